@@ -0,0 +1,22 @@
+// config/bpn.js - Badan Pangan Nasional endpoints and request tuning
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const numberFromEnv = (name) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? null : value;
+};
+
+module.exports = {
+  // Point these at the local mock (npm run mock:bpn) for offline development
+  apiBaseUrl: trimSlash(process.env.BPN_API_BASE_URL || 'https://api-panelhargav2.badanpangan.go.id/api'),
+  panelBaseUrl: trimSlash(process.env.BPN_PANEL_BASE_URL || 'https://panelharga.badanpangan.go.id'),
+
+  // Optional overrides; null keeps each caller's own default
+  timeoutMs: numberFromEnv('BPN_API_TIMEOUT_MS'),
+  requestDelayMs: numberFromEnv('BPN_REQUEST_DELAY_MS'),
+  retryDelayMs: numberFromEnv('BPN_RETRY_DELAY_MS')
+};
@@ -4,21 +4,28 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
-const sequelize = new Sequelize(
-  process.env.DB_NAME || 'food_price_db',
-  process.env.DB_USER || 'root',
-  process.env.DB_PASS || '',
-  {
-    host: process.env.DB_HOST || 'localhost',
-    dialect: 'mysql',
-    logging: process.env.NODE_ENV === 'development' ? console.log : false,
-    pool: {
-      max: 5,
-      min: 0,
-      acquire: 30000,
-      idle: 10000
+// DB_DIALECT=sqlite (in-memory by default) is used by the test suite
+const sequelize = process.env.DB_DIALECT === 'sqlite'
+  ? new Sequelize({
+    dialect: 'sqlite',
+    storage: process.env.DB_STORAGE || ':memory:',
+    logging: false
+  })
+  : new Sequelize(
+    process.env.DB_NAME || 'food_price_db',
+    process.env.DB_USER || 'root',
+    process.env.DB_PASS || '',
+    {
+      host: process.env.DB_HOST || 'localhost',
+      dialect: 'mysql',
+      logging: process.env.NODE_ENV === 'development' ? console.log : false,
+      pool: {
+        max: 5,
+        min: 0,
+        acquire: 30000,
+        idle: 10000
+      }
     }
-  }
-);
+  );
 
-module.exports = sequelize;
\ No newline at end of file
+module.exports = sequelize;
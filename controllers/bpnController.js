@@ -1,8 +1,8 @@
 // controllers/bpnPublicController.js
 const axios = require("axios");
+const bpnConfig = require("../config/bpn");
 
-const BPN_API_URL =
-  "https://api-panelhargav2.badanpangan.go.id/api/front/harga-pangan-informasi";
+const BPN_API_URL = `${bpnConfig.apiBaseUrl}/front/harga-pangan-informasi`;
 
 exports.getPublicPrices = async (req, res) => {
   try {
@@ -10,6 +10,7 @@ exports.getPublicPrices = async (req, res) => {
 
     const response = await axios.get(BPN_API_URL, {
       params: { province_id, city_id, level_harga_id },
+      timeout: bpnConfig.timeoutMs || 30000,
     });
 
     res.json({
@@ -0,0 +1,215 @@
+// controllers/commodityMappingController.js
+const { CommodityMapping } = require('../models');
+const bpnApiService = require('../services/bpnApiService');
+const commodityMappingService = require('../services/commodityMappingService');
+const { loadSurveyCommodities, getSurveyCommodities } = require('../services/surveyCommodityService');
+
+/**
+ * Validate mapping fields; returns an error message or null
+ * (internal_key is checked against the loaded survey commodity catalog)
+ */
+const validateMapping = ({ bpn_external_id, bpn_name, internal_key, priority }, { partial = false } = {}) => {
+  if (!partial || internal_key !== undefined) {
+    const keys = getSurveyCommodities().map(commodity => commodity.code);
+    if (!keys.includes(internal_key)) {
+      return `internal_key must be one of: ${keys.join(', ')}`;
+    }
+  }
+
+  if (!partial && !bpn_external_id && !bpn_name) {
+    return 'bpn_external_id or bpn_name is required';
+  }
+
+  if (bpn_external_id !== undefined && bpn_external_id !== null && !Number.isInteger(Number(bpn_external_id))) {
+    return 'bpn_external_id must be an integer';
+  }
+
+  if (priority !== undefined && (!Number.isInteger(Number(priority)) || Number(priority) < 1)) {
+    return 'priority must be a positive integer';
+  }
+
+  return null;
+};
+
+const pickFields = (body) => {
+  const fields = {};
+  ['bpn_external_id', 'bpn_name', 'internal_key', 'display_name', 'priority', 'is_active'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (typeof fields.bpn_name === 'string') fields.bpn_name = fields.bpn_name.trim();
+  return fields;
+};
+
+const commodityMappingController = {
+  /**
+   * List mappings (optionally filtered by internal_key / is_active)
+   */
+  getMappings: async (req, res) => {
+    try {
+      const { internal_key, is_active } = req.query;
+      const whereClause = {};
+
+      if (internal_key) whereClause.internal_key = internal_key;
+      if (is_active !== undefined) whereClause.is_active = is_active === 'true';
+
+      const mappings = await CommodityMapping.findAll({
+        where: whereClause,
+        order: [['internal_key', 'ASC'], ['priority', 'ASC'], ['id', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: mappings,
+        internal_keys: (await loadSurveyCommodities()).map(({ code, field, name }) => ({ key: code, field, name }))
+      });
+    } catch (error) {
+      console.error('Error fetching commodity mappings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch commodity mappings',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Create a mapping
+   */
+  createMapping: async (req, res) => {
+    try {
+      await loadSurveyCommodities();
+      const validationError = validateMapping(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      const mapping = await CommodityMapping.create({
+        ...pickFields(req.body),
+        created_by: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Commodity mapping created',
+        data: mapping
+      });
+    } catch (error) {
+      console.error('Error creating commodity mapping:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create commodity mapping',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Update a mapping
+   */
+  updateMapping: async (req, res) => {
+    try {
+      const mapping = await CommodityMapping.findByPk(req.params.id);
+      if (!mapping) {
+        return res.status(404).json({
+          success: false,
+          message: 'Commodity mapping not found'
+        });
+      }
+
+      await loadSurveyCommodities();
+      const validationError = validateMapping(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      const fields = pickFields(req.body);
+      const bpnExternalId = fields.bpn_external_id !== undefined ? fields.bpn_external_id : mapping.bpn_external_id;
+      const bpnName = fields.bpn_name !== undefined ? fields.bpn_name : mapping.bpn_name;
+      if (!bpnExternalId && !bpnName) {
+        return res.status(400).json({
+          success: false,
+          message: 'bpn_external_id or bpn_name is required'
+        });
+      }
+
+      await mapping.update(fields);
+
+      res.json({
+        success: true,
+        message: 'Commodity mapping updated',
+        data: mapping
+      });
+    } catch (error) {
+      console.error('Error updating commodity mapping:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update commodity mapping',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete a mapping
+   */
+  deleteMapping: async (req, res) => {
+    try {
+      const mapping = await CommodityMapping.findByPk(req.params.id);
+      if (!mapping) {
+        return res.status(404).json({
+          success: false,
+          message: 'Commodity mapping not found'
+        });
+      }
+
+      await mapping.destroy();
+
+      res.json({
+        success: true,
+        message: 'Commodity mapping deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting commodity mapping:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete commodity mapping',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Current BPN commodities that no active mapping matches
+   */
+  getUnmapped: async (req, res) => {
+    try {
+      const levelHargaId = parseInt(req.query.level_harga_id) || 3;
+      const { value: bpnData, storedAt } = await bpnApiService.getCachedPrices({ levelHargaId });
+      const mappings = await commodityMappingService.loadMappings();
+
+      res.json({
+        success: true,
+        data: {
+          ...commodityMappingService.getUnmappedReport(bpnData, mappings),
+          level_harga_id: levelHargaId,
+          bpn_data_at: new Date(storedAt).toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Error building unmapped report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build unmapped commodities report',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = commodityMappingController;
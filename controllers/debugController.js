@@ -142,8 +142,9 @@ const debugController = {
   testBPNApi: async (req, res) => {
     try {
       const axios = require('axios');
+      const bpnConfig = require('../config/bpn');
       
-      const bpnUrl = 'https://api-panelhargav2.badanpangan.go.id/api/front/harga-pangan-informasi?province_id=&city_id=&level_harga_id=3';
+      const bpnUrl = `${bpnConfig.apiBaseUrl}/front/harga-pangan-informasi?province_id=&city_id=&level_harga_id=3`;
       
       console.log('Testing BPN API:', bpnUrl);
       
@@ -179,11 +180,13 @@ const debugController = {
       
       console.log('Starting forced BPN sync...');
       
-      const result = await bpnApiService.fullSync({
-        provinceId: '',
-        cityId: '',
-        levelHargaId: 3
-      });
+      const syncRunService = require('../services/syncRunService');
+      const options = { provinceId: '', cityId: '', levelHargaId: 3 };
+      
+      const result = await syncRunService.track(
+        { source: 'bpn_full_sync', trigger: 'manual', triggeredBy: req.user?.id || null, options },
+        () => bpnApiService.fullSync(options)
+      );
 
       res.json({
         success: result.success,
@@ -0,0 +1,99 @@
+// controllers/forecastController.js
+const { Region } = require('../models');
+const { resolveProvince } = require('../services/provinceResolver');
+const forecastService = require('../services/forecastService');
+
+/**
+ * Region id from a province name, alias or BPS code, or a Region id
+ * @returns {Promise<number|null|undefined>} null when omitted (national), undefined when unknown
+ */
+const resolveRegionId = async (region) => {
+  if (region === undefined || region === '') return null;
+
+  const resolved = await resolveProvince(region);
+  if (resolved) return resolved.region_id;
+
+  if (/^\d+$/.test(String(region))) {
+    const found = await Region.findByPk(parseInt(region));
+    if (found) return found.id;
+  }
+  return undefined;
+};
+
+const forecastController = {
+  /**
+   * Point forecasts with prediction intervals and backtest errors for one commodity series
+   */
+  getForecast: async (req, res) => {
+    try {
+      const { commodity, region, source = 'prices', level = 'konsumen' } = req.query;
+
+      const config = forecastService.SOURCES[source];
+      if (!config) {
+        return res.status(400).json({
+          success: false,
+          message: `source must be one of: ${Object.keys(forecastService.SOURCES).join(', ')}`
+        });
+      }
+
+      if (!commodity) {
+        return res.status(400).json({ success: false, message: 'commodity is required' });
+      }
+
+      if (source === 'prices' && !forecastService.PRICE_LEVELS.includes(level)) {
+        return res.status(400).json({
+          success: false,
+          message: `level must be one of: ${forecastService.PRICE_LEVELS.join(', ')}`
+        });
+      }
+
+      const horizon = req.query.horizon !== undefined ? parseInt(req.query.horizon) : config.defaultHorizon;
+      if (!(horizon >= 1 && horizon <= config.maxHorizon)) {
+        return res.status(400).json({
+          success: false,
+          message: `horizon must be between 1 and ${config.maxHorizon} ${config.step}s`
+        });
+      }
+
+      const regionId = await resolveRegionId(region);
+      if (regionId === undefined) {
+        return res.status(400).json({ success: false, message: `Unknown region: ${region}` });
+      }
+
+      const found = await forecastService.findCommodity(source, commodity);
+      if (!found) {
+        return res.status(404).json({ success: false, message: `Commodity not found: ${commodity}` });
+      }
+
+      const result = await forecastService.getForecast({ source, commodity: found, regionId, level, horizon });
+      if (!result.forecast) {
+        return res.status(404).json({
+          success: false,
+          message: `Not enough history to forecast (${result.points} ${config.step}s, at least ${result.min_points} needed)`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          commodity: found,
+          region_id: regionId,
+          source,
+          ...(source === 'prices' && { level }),
+          step: config.step,
+          horizon,
+          ...result
+        }
+      });
+    } catch (error) {
+      console.error('Error computing forecast:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute forecast',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = forecastController;
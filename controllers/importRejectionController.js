@@ -0,0 +1,225 @@
+// controllers/importRejectionController.js
+const { ImportRejection, User } = require('../models');
+const importRejectionService = require('../services/importRejectionService');
+
+const importRejectionController = {
+  /**
+   * List rejected import rows with filters
+   */
+  getRejections: async (req, res) => {
+    try {
+      const {
+        source,
+        status = 'pending',
+        source_ref,
+        page = 1,
+        limit = 20
+      } = req.query;
+
+      const whereClause = {};
+      if (source) whereClause.source = source;
+      if (status !== 'all') whereClause.status = status;
+      if (source_ref) whereClause.source_ref = source_ref;
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows } = await ImportRejection.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset,
+        order: [['createdAt', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching import rejections:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch import rejections',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a single rejected row
+   */
+  getRejectionById: async (req, res) => {
+    try {
+      const rejection = await ImportRejection.findByPk(req.params.id, {
+        include: [{
+          model: User,
+          as: 'resolver',
+          attributes: ['id', 'username', 'full_name'],
+          required: false
+        }]
+      });
+
+      if (!rejection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import rejection not found'
+        });
+      }
+
+      res.json({ success: true, data: rejection });
+    } catch (error) {
+      console.error('Error fetching import rejection:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch import rejection',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Edit raw values of a pending row (merged into the stored payload, null clears a value)
+   */
+  updateRejection: async (req, res) => {
+    try {
+      const { raw_payload } = req.body;
+
+      if (!raw_payload || typeof raw_payload !== 'object' || Array.isArray(raw_payload)) {
+        return res.status(400).json({
+          success: false,
+          message: 'raw_payload must be an object of header → value'
+        });
+      }
+
+      const invalidKey = Object.keys(raw_payload).find(key => {
+        const value = raw_payload[key];
+        return value !== null && typeof value !== 'string' && typeof value !== 'number';
+      });
+      if (invalidKey) {
+        return res.status(400).json({
+          success: false,
+          message: `raw_payload.${invalidKey} must be a string, number or null`
+        });
+      }
+
+      const rejection = await ImportRejection.findByPk(req.params.id);
+      if (!rejection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import rejection not found'
+        });
+      }
+
+      if (rejection.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Import rejection is already ${rejection.status}`
+        });
+      }
+
+      await rejection.update({ raw_payload: { ...rejection.raw_payload, ...raw_payload } });
+
+      res.json({
+        success: true,
+        message: 'Import rejection updated',
+        data: rejection
+      });
+    } catch (error) {
+      console.error('Error updating import rejection:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update import rejection',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Re-submit a row through its importer's mapping and validation
+   */
+  resubmitRejection: async (req, res) => {
+    try {
+      const rejection = await ImportRejection.findByPk(req.params.id);
+      if (!rejection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import rejection not found'
+        });
+      }
+
+      if (rejection.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Import rejection is already ${rejection.status}`
+        });
+      }
+
+      const result = await importRejectionService.resubmit(rejection, { userId: req.user.id });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: `Row still rejected: ${result.error}`,
+          data: result.rejection
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Row imported',
+        data: result.rejection
+      });
+    } catch (error) {
+      console.error('Error re-submitting import rejection:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to re-submit import rejection',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Give up on a row (kept for reference)
+   */
+  discardRejection: async (req, res) => {
+    try {
+      const rejection = await ImportRejection.findByPk(req.params.id);
+      if (!rejection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import rejection not found'
+        });
+      }
+
+      if (rejection.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Import rejection is already ${rejection.status}`
+        });
+      }
+
+      await rejection.update({ status: 'discarded', resolved_by: req.user.id, resolved_at: new Date() });
+
+      res.json({
+        success: true,
+        message: 'Import rejection discarded',
+        data: rejection
+      });
+    } catch (error) {
+      console.error('Error discarding import rejection:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to discard import rejection',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = importRejectionController;
@@ -0,0 +1,152 @@
+// controllers/jobController.js
+const jobScheduler = require('../jobs');
+
+const jobController = {
+  /**
+   * List all registered background jobs
+   */
+  getJobs: async (req, res) => {
+    try {
+      const jobs = await jobScheduler.listJobs();
+
+      res.json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch jobs',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Pause or resume a job
+   */
+  setPaused: (isPaused) => async (req, res) => {
+    try {
+      const { name } = req.params;
+
+      if (!jobScheduler.jobs.has(name)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      const job = await jobScheduler.setPaused(name, isPaused);
+
+      res.json({
+        success: true,
+        message: `Job ${name} ${isPaused ? 'paused' : 'resumed'}`,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error updating job state:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update job state',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Change a job's cron expression
+   */
+  updateSchedule: async (req, res) => {
+    try {
+      const { name } = req.params;
+      const { cron_expression } = req.body;
+
+      if (!jobScheduler.jobs.has(name)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      if (!cron_expression || typeof cron_expression !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'cron_expression is required'
+        });
+      }
+
+      const job = await jobScheduler.updateSchedule(name, cron_expression.trim());
+
+      res.json({
+        success: true,
+        message: `Job ${name} rescheduled`,
+        data: job
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid cron expression')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error updating job schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update job schedule',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Trigger a job run now (runs in background)
+   */
+  runJob: async (req, res) => {
+    try {
+      const { name } = req.params;
+      const job = await jobScheduler.getJob(name);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      if (job.is_running) {
+        return res.status(409).json({
+          success: false,
+          message: `Job ${name} is already running`,
+          data: job
+        });
+      }
+
+      jobScheduler.runJob(name, { trigger: 'manual', triggeredBy: req.user.id })
+        .then(outcome => {
+          if (outcome.skipped) {
+            console.log(`⏳ Manual run of ${name} skipped: ${outcome.reason}`);
+          }
+        })
+        .catch(error => {
+          console.error(`❌ Manual run of ${name} failed:`, error.message);
+        });
+
+      res.status(202).json({
+        success: true,
+        message: `Job ${name} triggered`,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error triggering job:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to trigger job',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = jobController;
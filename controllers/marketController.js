@@ -0,0 +1,422 @@
+// controllers/marketController.js
+const { Op, fn, col } = require('sequelize');
+const { Market, Region, MarketPrice } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const marketMatcher = require('../services/marketMatcher');
+const { findNearbyMarkets } = require('../services/nearbyMarketService');
+const { loadSurveyCommodities, findSurveyCommodity } = require('../services/surveyCommodityService');
+const { isDryRun } = require('../utils/importPreview');
+
+const MARKET_TYPES = Market.rawAttributes.market_type.values;
+const OPERATING_DAYS = ['senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu', 'minggu'];
+
+const DEFAULT_NEARBY_RADIUS_KM = 5;
+const MAX_NEARBY_RADIUS_KM = 50;
+const MAX_NEARBY_RESULTS = 100;
+
+const EDITABLE_FIELDS = [
+  'name', 'market_type', 'region_id', 'address',
+  'latitude', 'longitude', 'operating_days', 'is_active'
+];
+
+const REGION_INCLUDE = {
+  model: Region,
+  as: 'region',
+  attributes: ['id', 'province_id', 'province_name', 'city_id', 'city_name', 'level'],
+  required: false
+};
+
+const isCoordinate = (value, limit) => {
+  if (value === null) return true;
+  const number = Number(value);
+  return value !== '' && !isNaN(number) && Math.abs(number) <= limit;
+};
+
+/**
+ * Validate market fields; returns an error message or null
+ */
+const validateMarket = async (fields, { partial = false } = {}) => {
+  if (!partial || fields.name !== undefined) {
+    if (!fields.name || typeof fields.name !== 'string' || !fields.name.trim()) return 'name is required';
+  }
+
+  if (fields.market_type !== undefined && !MARKET_TYPES.includes(fields.market_type)) {
+    return `Invalid market_type "${fields.market_type}". Allowed: ${MARKET_TYPES.join(', ')}`;
+  }
+
+  if (fields.latitude !== undefined && !isCoordinate(fields.latitude, 90)) {
+    return 'latitude must be a number between -90 and 90';
+  }
+
+  if (fields.longitude !== undefined && !isCoordinate(fields.longitude, 180)) {
+    return 'longitude must be a number between -180 and 180';
+  }
+
+  if (fields.operating_days !== undefined && fields.operating_days !== null) {
+    if (!Array.isArray(fields.operating_days) || !fields.operating_days.every(day => OPERATING_DAYS.includes(day))) {
+      return `operating_days must be a list of: ${OPERATING_DAYS.join(', ')}`;
+    }
+  }
+
+  if (fields.region_id !== undefined && fields.region_id !== null) {
+    const region = await Region.findByPk(fields.region_id);
+    if (!region) return `Region ${fields.region_id} not found`;
+  }
+
+  return null;
+};
+
+const pickFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (typeof fields.name === 'string') fields.name = fields.name.trim();
+  return fields;
+};
+
+// Week order, no repeats
+const orderDays = (days) => OPERATING_DAYS.filter(day => days.includes(day));
+
+/**
+ * Price rows linked to a market, per table
+ */
+const countLinkedRows = async (marketId) => {
+  const [sembakoPrices, marketPrices] = await Promise.all([
+    SembakoPrice.count({ where: { market_id: marketId } }),
+    MarketPrice.count({ where: { market_id: marketId } })
+  ]);
+  return { sembako_prices: sembakoPrices, market_prices: marketPrices };
+};
+
+const marketController = {
+  /**
+   * List registered markets
+   */
+  getMarkets: async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        search,
+        market_type,
+        region_id,
+        province,
+        is_active
+      } = req.query;
+
+      const whereClause = {};
+      if (search) whereClause.name = { [Op.like]: `%${search}%` };
+      if (market_type) whereClause.market_type = market_type;
+      if (region_id) whereClause.region_id = parseInt(region_id);
+      if (is_active !== undefined) whereClause.is_active = is_active === 'true' || is_active === '1';
+
+      if (province && !region_id) {
+        const regionIds = await marketMatcher.findProvinceRegionIds(province);
+        if (!regionIds) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown province: ${province}`
+          });
+        }
+        whereClause.region_id = { [Op.in]: regionIds };
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const { count, rows } = await Market.findAndCountAll({
+        where: whereClause,
+        include: [REGION_INCLUDE],
+        limit: parseInt(limit),
+        offset,
+        order: [['name', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / parseInt(limit))
+        },
+        market_types: MARKET_TYPES,
+        operating_days: OPERATING_DAYS
+      });
+    } catch (error) {
+      console.error('Error fetching markets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch markets',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Active markets around a point, each with its latest survey price for a commodity
+   * (sorted cheapest first when a commodity is given, nearest first otherwise)
+   */
+  getNearby: async (req, res) => {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+      const radiusKm = req.query.radius_km !== undefined ? parseFloat(req.query.radius_km) : DEFAULT_NEARBY_RADIUS_KM;
+      const maxAgeDays = req.query.max_age_days !== undefined ? parseInt(req.query.max_age_days) : null;
+      const limit = Math.min(parseInt(req.query.limit) || 20, MAX_NEARBY_RESULTS);
+
+      if (!isCoordinate(req.query.lat, 90) || !isCoordinate(req.query.lon, 180)) {
+        return res.status(400).json({
+          success: false,
+          message: 'lat and lon are required coordinates'
+        });
+      }
+
+      if (!(radiusKm > 0) || radiusKm > MAX_NEARBY_RADIUS_KM) {
+        return res.status(400).json({
+          success: false,
+          message: `radius_km must be between 0 and ${MAX_NEARBY_RADIUS_KM}`
+        });
+      }
+
+      if (maxAgeDays !== null && !(maxAgeDays >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'max_age_days must be a number of days'
+        });
+      }
+
+      let commodity = null;
+      if (req.query.commodity) {
+        const commodities = await loadSurveyCommodities();
+        commodity = findSurveyCommodity(req.query.commodity);
+        if (!commodity) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown commodity "${req.query.commodity}". Allowed: ${commodities.map(c => c.code).join(', ')}`
+          });
+        }
+      }
+
+      const sort = req.query.sort || (commodity ? 'price' : 'distance');
+      if (!['price', 'distance'].includes(sort) || (sort === 'price' && !commodity)) {
+        return res.status(400).json({
+          success: false,
+          message: 'sort must be "distance", or "price" together with a commodity'
+        });
+      }
+
+      const result = await findNearbyMarkets({ lat, lon, radiusKm, commodity, maxAgeDays, sort, limit });
+
+      res.json({
+        success: true,
+        data: result.markets,
+        meta: {
+          lat,
+          lon,
+          radius_km: radiusKm,
+          commodity: commodity ? commodity.code : null,
+          max_age_days: maxAgeDays,
+          sort,
+          total: result.total
+        }
+      });
+    } catch (error) {
+      console.error('Error searching nearby markets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search nearby markets',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Market detail with how many price rows are linked to it
+   */
+  getMarketById: async (req, res) => {
+    try {
+      const market = await Market.findByPk(req.params.id, { include: [REGION_INCLUDE] });
+      if (!market) {
+        return res.status(404).json({
+          success: false,
+          message: 'Market not found'
+        });
+      }
+
+      const latestSurvey = await SembakoPrice.findOne({
+        attributes: [[fn('MAX', col('survey_date')), 'latest_survey']],
+        where: { market_id: market.id },
+        raw: true
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...market.toJSON(),
+          linked_rows: await countLinkedRows(market.id),
+          latest_survey: latestSurvey?.latest_survey || null
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching market:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch market',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Register a market; existing rows are not linked until POST /markets/link
+   */
+  createMarket: async (req, res) => {
+    try {
+      const fields = pickFields(req.body);
+      const validationError = await validateMarket(fields);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+      if (fields.operating_days) fields.operating_days = orderDays(fields.operating_days);
+
+      const existing = await Market.findOne({
+        where: { name: fields.name, region_id: fields.region_id ?? null }
+      });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Market "${fields.name}" is already registered in this region (id ${existing.id})`
+        });
+      }
+
+      const market = await Market.create({ ...fields, created_by: req.user.id });
+      marketMatcher.invalidate();
+
+      res.status(201).json({ success: true, data: market });
+    } catch (error) {
+      console.error('Error creating market:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create market',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Update a market (rows already linked to it stay linked)
+   */
+  updateMarket: async (req, res) => {
+    try {
+      const market = await Market.findByPk(req.params.id);
+      if (!market) {
+        return res.status(404).json({
+          success: false,
+          message: 'Market not found'
+        });
+      }
+
+      const fields = pickFields(req.body);
+      const validationError = await validateMarket(fields, { partial: true });
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+      if (fields.operating_days) fields.operating_days = orderDays(fields.operating_days);
+
+      await market.update(fields);
+      marketMatcher.invalidate();
+
+      res.json({ success: true, data: market });
+    } catch (error) {
+      console.error('Error updating market:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update market',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete a market; its price rows keep their market_name and become unlinked
+   */
+  deleteMarket: async (req, res) => {
+    try {
+      const market = await Market.findByPk(req.params.id);
+      if (!market) {
+        return res.status(404).json({
+          success: false,
+          message: 'Market not found'
+        });
+      }
+
+      const [[sembakoPrices], [marketPrices]] = await Promise.all([
+        SembakoPrice.update({ market_id: null }, { where: { market_id: market.id }, hooks: false }),
+        MarketPrice.update({ market_id: null }, { where: { market_id: market.id }, hooks: false })
+      ]);
+      await market.destroy();
+      marketMatcher.invalidate();
+
+      res.json({
+        success: true,
+        message: 'Market deleted',
+        data: { unlinked_rows: { sembako_prices: sembakoPrices, market_prices: marketPrices } }
+      });
+    } catch (error) {
+      console.error('Error deleting market:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete market',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Market names on price rows that match no registered market
+   */
+  getUnlinked: async (req, res) => {
+    try {
+      const report = await marketMatcher.getUnlinkedReport();
+
+      res.json({
+        success: true,
+        data: report,
+        summary: {
+          unlinked_names: report.length,
+          unlinked_rows: report.reduce((sum, item) => sum + item.row_count, 0)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching unlinked markets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch unlinked markets',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Fuzzy-match unlinked price rows to registered markets (dry_run=true only reports)
+   */
+  linkMarkets: async (req, res) => {
+    try {
+      const result = await marketMatcher.linkExisting({
+        dryRun: isDryRun(req.query.dry_run) || isDryRun(req.body?.dry_run)
+      });
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error linking markets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to link markets',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = marketController;
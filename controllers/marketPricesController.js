@@ -4,6 +4,12 @@ const Region = require("../models/Region");
 const csv = require("csv-parser");
 const fs = require("fs");
 const { Op, fn, col } = require("sequelize");
+const { isDryRun, previewCsvImport } = require("../utils/importPreview");
+const importRejectionService = require("../services/importRejectionService");
+const { MARKET_PRICE_CSV_COLUMNS, mapMarketPriceCsvRow } = require("../services/csvImportService");
+const { getDefaultDateFormat, isValidDateFormat } = require("../utils/dateParser");
+const { buildMarketFilter } = require("../services/marketMatcher");
+const { getDefaultSubmissionStatus } = require("../services/moderationService");
 
 const marketPriceController = {
   // ✅ GET ALL
@@ -15,6 +21,7 @@ const marketPriceController = {
         search,
         market_type,
         market_name,
+        market_id,
         province_id,
         status,
         reported_by,
@@ -24,8 +31,17 @@ const marketPriceController = {
       if (search) whereClause.product_name = { [Op.like]: `%${search}%` };
       if (market_type) whereClause.market_type = market_type;
       if (market_name) whereClause.market_name = { [Op.like]: `%${market_name}%` };
+      if (market_id) {
+        const marketFilter = buildMarketFilter(market_id);
+        if (!marketFilter) {
+          return res.status(400).json({ success: false, message: "market_id tidak valid" });
+        }
+        Object.assign(whereClause, marketFilter);
+      }
       if (province_id) whereClause.province_id = province_id;
-      if (status) whereClause.status = status;
+      // Tanpa login (/public/market-prices) hanya data yang sudah disetujui
+      if (!req.user) whereClause.status = "published";
+      else if (status) whereClause.status = status;
       if (reported_by) whereClause.reported_by = reported_by;
 
       const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -117,7 +133,6 @@ const marketPriceController = {
         source,
         created_by,
         reported_by,
-        status,
       } = req.body;
 
       if (!product_name || !price || !market_type) {
@@ -142,7 +157,7 @@ const marketPriceController = {
         source: source || "manual",
         created_by: created_by || null,
         reported_by: reported_by || null,
-        status: status || "published",
+        status: getDefaultSubmissionStatus(), // status dari klien diabaikan; perubahan status hanya lewat moderasi
       });
 
       res
@@ -176,7 +191,6 @@ const marketPriceController = {
         source,
         created_by,
         reported_by,
-        status,
       } = req.body;
 
       const priceData = await MarketPrice.findByPk(id);
@@ -199,7 +213,6 @@ const marketPriceController = {
         source: source || priceData.source,
         created_by: created_by || priceData.created_by,
         reported_by: reported_by || priceData.reported_by,
-        status: status || priceData.status,
       };
       if (image_url !== undefined) updateData.image_url = image_url;
 
@@ -244,6 +257,16 @@ const marketPriceController = {
       if (!req.file)
         return res.status(400).json({ success: false, message: "File CSV diperlukan" });
 
+      // Format tanggal CSV (default DD/MM/YYYY untuk form Indonesia)
+      const dateFormat = req.body?.date_format || req.query.date_format || getDefaultDateFormat();
+      if (!isValidDateFormat(dateFormat)) {
+        fs.unlinkSync(req.file.path);
+        return res
+          .status(400)
+          .json({ success: false, message: `date_format tidak valid: ${dateFormat}` });
+      }
+      const mapRow = (item) => mapMarketPriceCsvRow(item, { dateFormat });
+
       const results = [];
       const errors = [];
 
@@ -253,34 +276,55 @@ const marketPriceController = {
         .on("end", async () => {
           try {
             let successCount = 0;
+            const rejectionIds = [];
+
+            if (isDryRun(req.query.dry_run) || isDryRun(req.body?.dry_run)) {
+              const preview = await previewCsvImport(results, {
+                columns: MARKET_PRICE_CSV_COLUMNS,
+                mapRow,
+                model: MarketPrice,
+                dateFields: ["effective_date"],
+                dateFormat,
+                rowKey: (data) => [data.product_name, data.market_type, data.market_name, data.province_id, String(data.effective_date)].join("|"),
+                findExisting: (data) => MarketPrice.findOne({
+                  where: {
+                    product_name: data.product_name,
+                    market_type: data.market_type,
+                    market_name: data.market_name,
+                    province_id: data.province_id,
+                    effective_date: data.effective_date,
+                  },
+                }),
+                describeKey: "product, market and effective date",
+              });
+
+              fs.unlinkSync(req.file.path);
+
+              return res.json({
+                success: true,
+                message: `Dry run: ${preview.totals.success_count} data akan diimport, ${preview.totals.error_count} gagal (tidak ada yang disimpan)`,
+                data: preview,
+              });
+            }
 
             for (let i = 0; i < results.length; i++) {
               try {
-                const item = results[i];
-                if (!item.product_name || !item.price || !item.market_type) {
-                  errors.push(`Baris ${i + 1}: Data tidak lengkap`);
-                  continue;
-                }
-
-                await MarketPrice.create({
-                  product_name: item.product_name,
-                  price: parseFloat(item.price),
-                  unit: item.unit || "kg",
-                  market_type: item.market_type,
-                  market_name: item.market_name || null,
-                  province_id: item.province_id ? parseInt(item.province_id) : null,
-                  grade: item.grade || null,
-                  image_url: item.image_url || null,
-                  effective_date: item.effective_date || new Date(),
-                  source: "import_csv",
-                  created_by: item.created_by || null,
-                  reported_by: item.reported_by || null,
-                  status: item.status || "published",
-                });
-
+                await MarketPrice.create(mapRow(results[i]));
                 successCount++;
               } catch (error) {
                 errors.push(`Baris ${i + 1}: ${error.message}`);
+
+                // Simpan baris yang ditolak agar bisa diperbaiki dan dikirim ulang
+                const rejection = await importRejectionService.record({
+                  source: "market_price_csv",
+                  sourceRef: req.file.originalname || req.file.filename,
+                  rowNumber: i + 1,
+                  payload: results[i],
+                  error,
+                  context: { date_format: dateFormat },
+                  createdBy: req.user?.id || null,
+                });
+                if (rejection) rejectionIds.push(rejection.id);
               }
             }
 
@@ -293,6 +337,7 @@ const marketPriceController = {
                 success_count: successCount,
                 error_count: errors.length,
                 errors: errors.slice(0, 10),
+                rejection_ids: rejectionIds, // Semua baris gagal: /api/import-rejections
               },
             });
           } catch (error) {
@@ -319,19 +364,32 @@ const marketPriceController = {
   // ✅ STATISTICS
   getStatistics: async (req, res) => {
     try {
-      const totalProducts = await MarketPrice.count();
+      const whereClause = { status: "published" }; // tanpa data draft/ditolak
+      if (req.query.market_id) {
+        const marketFilter = buildMarketFilter(req.query.market_id);
+        if (!marketFilter) {
+          return res.status(400).json({ success: false, message: "market_id tidak valid" });
+        }
+        Object.assign(whereClause, marketFilter);
+      }
+
+      const totalProducts = await MarketPrice.count({ where: whereClause });
       const avgPrice = await MarketPrice.findOne({
         attributes: [[fn("AVG", col("price")), "average"]],
+        where: whereClause,
       });
       const maxPrice = await MarketPrice.findOne({
         attributes: [[fn("MAX", col("price")), "maximum"]],
+        where: whereClause,
       });
       const minPrice = await MarketPrice.findOne({
         attributes: [[fn("MIN", col("price")), "minimum"]],
+        where: whereClause,
       });
 
       const marketTypes = await MarketPrice.findAll({
         attributes: ["market_type", [fn("COUNT", col("market_type")), "count"]],
+        where: whereClause,
         group: ["market_type"],
       });
 
@@ -356,6 +414,91 @@ const marketPriceController = {
         .json({ success: false, message: "Gagal mengambil statistik", error: err.message });
     }
   },
+
+  // ✅ STATISTIK PER PROVINSI
+  getProvinceStatistics: async (req, res) => {
+    try {
+      const whereClause = { status: "published" }; // tanpa data draft/ditolak
+      if (req.query.market_id) {
+        const marketFilter = buildMarketFilter(req.query.market_id);
+        if (!marketFilter) {
+          return res.status(400).json({ success: false, message: "market_id tidak valid" });
+        }
+        Object.assign(whereClause, marketFilter);
+      }
+
+      const rows = await MarketPrice.findAll({
+        attributes: [
+          "province_id",
+          [fn("AVG", col("price")), "avg_price"],
+          [fn("COUNT", col("id")), "total_products"],
+        ],
+        where: whereClause,
+        group: ["province_id"],
+        raw: true,
+      });
+
+      // market_prices hanya menyimpan province_id; nama dari tabel regions
+      const provinces = await Region.findAll({
+        attributes: ["province_id", "province_name"],
+        where: { level: "province", province_id: rows.map((row) => row.province_id).filter(Boolean) },
+        raw: true,
+      });
+      const nameById = new Map(provinces.map((region) => [region.province_id, region.province_name]));
+
+      res.json({
+        success: true,
+        data: rows.map((row) => ({
+          province_id: row.province_id,
+          province_name: nameById.get(row.province_id) || null,
+          avg_price: parseFloat(parseFloat(row.avg_price).toFixed(2)),
+          total_products: parseInt(row.total_products),
+        })),
+      });
+    } catch (err) {
+      console.error("Error getProvinceStatistics:", err);
+      res.status(500).json({ success: false, message: "Gagal ambil data", error: err.message });
+    }
+  },
+
+  // ✅ SEARCH produk/pasar/provinsi
+  search: async (req, res) => {
+    try {
+      const { q, market_id } = req.query;
+
+      const whereClause = {};
+      if (market_id) {
+        const marketFilter = buildMarketFilter(market_id);
+        if (!marketFilter) {
+          return res.status(400).json({ success: false, message: "market_id tidak valid" });
+        }
+        Object.assign(whereClause, marketFilter);
+      }
+
+      if (!q) return res.json({ success: true, data: [] });
+
+      const provinces = await Region.findAll({
+        attributes: ["province_id"],
+        where: { level: "province", province_name: { [Op.like]: `%${q}%` } },
+        raw: true,
+      });
+      whereClause[Op.or] = [
+        { product_name: { [Op.like]: `%${q}%` } },
+        { market_name: { [Op.like]: `%${q}%` } },
+        { province_id: provinces.map((region) => region.province_id) },
+      ];
+
+      const result = await MarketPrice.findAll({
+        where: whereClause,
+        limit: 50,
+      });
+
+      res.json({ success: true, data: result });
+    } catch (err) {
+      console.error("Error search:", err);
+      res.status(500).json({ success: false, message: "Gagal cari data", error: err.message });
+    }
+  },
 };
 
 
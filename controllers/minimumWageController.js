@@ -0,0 +1,310 @@
+// controllers/minimumWageController.js
+const { MinimumWage, Region } = require('../models');
+const { resolveProvince } = require('../services/provinceResolver');
+const affordabilityService = require('../services/affordabilityService');
+const { loadSurveyCommodities } = require('../services/surveyCommodityService');
+
+const EDITABLE_FIELDS = ['region_id', 'year', 'amount', 'effective_date', 'source'];
+const MAX_WINDOW_DAYS = 365;
+
+const REGION_INCLUDE = {
+  model: Region,
+  as: 'region',
+  attributes: ['id', 'province_id', 'province_name'],
+  required: false
+};
+
+/**
+ * region_id from body.region_id or body.province (name, alias or BPS code)
+ * @returns {Promise<{ regionId?: number, error?: string }>}
+ */
+const resolveRegion = async ({ region_id, province }) => {
+  if (region_id !== undefined) {
+    const region = await Region.findByPk(region_id);
+    return region ? { regionId: region.id } : { error: `Region ${region_id} not found` };
+  }
+  if (province !== undefined) {
+    const resolved = await resolveProvince(province);
+    return resolved ? { regionId: resolved.region_id } : { error: `Unknown province: ${province}` };
+  }
+  return {};
+};
+
+/**
+ * Validate wage fields; returns an error message or null
+ */
+const validateWage = (fields, { partial = false } = {}) => {
+  if (!partial && !fields.region_id) return 'region_id or province is required';
+
+  if (!partial || fields.year !== undefined) {
+    if (!Number.isInteger(Number(fields.year)) || Number(fields.year) < 2000 || Number(fields.year) > 2100) {
+      return 'year must be a year between 2000 and 2100';
+    }
+  }
+
+  if (!partial || fields.amount !== undefined) {
+    if (fields.amount === null || fields.amount === '' || isNaN(Number(fields.amount)) || Number(fields.amount) <= 0) {
+      return 'amount must be a positive monthly wage in Rupiah';
+    }
+  }
+
+  if (fields.effective_date && isNaN(new Date(fields.effective_date).getTime())) {
+    return 'effective_date must be a date (YYYY-MM-DD)';
+  }
+
+  return null;
+};
+
+const pickFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+/**
+ * Another wage for the same province and year, if any
+ */
+const findDuplicate = async (regionId, year, exceptId = null) => {
+  const existing = await MinimumWage.findOne({ where: { region_id: regionId, year: parseInt(year) } });
+  return existing && existing.id !== exceptId ? existing : null;
+};
+
+const minimumWageController = {
+  /**
+   * List minimum wages (optionally for one year / province)
+   */
+  getWages: async (req, res) => {
+    try {
+      const { year, province } = req.query;
+      const whereClause = {};
+
+      if (year) whereClause.year = parseInt(year);
+      if (province) {
+        const resolved = await resolveProvince(province);
+        if (!resolved) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown province: ${province}`
+          });
+        }
+        whereClause.region_id = resolved.region_id;
+      }
+
+      const wages = await MinimumWage.findAll({
+        where: whereClause,
+        include: [REGION_INCLUDE],
+        order: [['year', 'DESC'], ['region_id', 'ASC']]
+      });
+
+      res.json({ success: true, data: wages });
+    } catch (error) {
+      console.error('Error fetching minimum wages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch minimum wages',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a single minimum wage
+   */
+  getWageById: async (req, res) => {
+    try {
+      const wage = await MinimumWage.findByPk(req.params.id, { include: [REGION_INCLUDE] });
+      if (!wage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Minimum wage not found'
+        });
+      }
+
+      res.json({ success: true, data: wage });
+    } catch (error) {
+      console.error('Error fetching minimum wage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch minimum wage',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Add the UMP of a province for a year
+   */
+  createWage: async (req, res) => {
+    try {
+      const fields = pickFields(req.body);
+      const region = await resolveRegion(req.body);
+      if (region.error) {
+        return res.status(400).json({ success: false, message: region.error });
+      }
+      if (region.regionId) fields.region_id = region.regionId;
+
+      const validationError = validateWage(fields);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const existing = await findDuplicate(fields.region_id, fields.year);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `A minimum wage for this province and year already exists (id ${existing.id})`
+        });
+      }
+
+      const wage = await MinimumWage.create({ ...fields, created_by: req.user.id });
+
+      res.status(201).json({ success: true, data: wage });
+    } catch (error) {
+      console.error('Error creating minimum wage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create minimum wage',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Update a minimum wage
+   */
+  updateWage: async (req, res) => {
+    try {
+      const wage = await MinimumWage.findByPk(req.params.id);
+      if (!wage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Minimum wage not found'
+        });
+      }
+
+      const fields = pickFields(req.body);
+      const region = await resolveRegion(req.body);
+      if (region.error) {
+        return res.status(400).json({ success: false, message: region.error });
+      }
+      if (region.regionId) fields.region_id = region.regionId;
+
+      const validationError = validateWage(fields, { partial: true });
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const existing = await findDuplicate(fields.region_id ?? wage.region_id, fields.year ?? wage.year, wage.id);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `A minimum wage for this province and year already exists (id ${existing.id})`
+        });
+      }
+
+      await wage.update(fields);
+
+      res.json({ success: true, data: wage });
+    } catch (error) {
+      console.error('Error updating minimum wage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update minimum wage',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete a minimum wage
+   */
+  deleteWage: async (req, res) => {
+    try {
+      const wage = await MinimumWage.findByPk(req.params.id);
+      if (!wage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Minimum wage not found'
+        });
+      }
+
+      await wage.destroy();
+
+      res.json({ success: true, message: 'Minimum wage deleted' });
+    } catch (error) {
+      console.error('Error deleting minimum wage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete minimum wage',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Sembako basket cost as share of UMP and hours of work per province
+   */
+  getAffordability: async (req, res) => {
+    try {
+      const year = req.query.year !== undefined ? parseInt(req.query.year) : new Date().getFullYear();
+      const windowDays = req.query.window_days !== undefined
+        ? parseInt(req.query.window_days)
+        : affordabilityService.DEFAULT_WINDOW_DAYS;
+
+      if (!(year >= 2000 && year <= 2100)) {
+        return res.status(400).json({ success: false, message: 'year must be a year between 2000 and 2100' });
+      }
+
+      if (!(windowDays >= 1 && windowDays <= MAX_WINDOW_DAYS)) {
+        return res.status(400).json({ success: false, message: `window_days must be between 1 and ${MAX_WINDOW_DAYS}` });
+      }
+
+      let basket = affordabilityService.DEFAULT_BASKET;
+      if (req.query.basket) {
+        basket = affordabilityService.parseBasket(req.query.basket);
+        if (!basket) {
+          return res.status(400).json({
+            success: false,
+            message: 'basket must be a list of code:quantity, e.g. beras:30,gula:3'
+          });
+        }
+
+        const codes = (await loadSurveyCommodities()).map(commodity => commodity.code);
+        const unknown = Object.keys(basket).find(code => !codes.includes(code));
+        if (unknown) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown commodity "${unknown}". Allowed: ${codes.join(', ')}`
+          });
+        }
+      }
+
+      let regionId = null;
+      if (req.query.province) {
+        const resolved = await resolveProvince(req.query.province);
+        if (!resolved) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown province: ${req.query.province}`
+          });
+        }
+        regionId = resolved.region_id;
+      }
+
+      const data = await affordabilityService.getAffordability({ year, basket, windowDays, regionId });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Error computing affordability:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute affordability',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = minimumWageController;
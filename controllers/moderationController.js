@@ -0,0 +1,185 @@
+// controllers/moderationController.js
+const moderationService = require('../services/moderationService');
+
+const { QUEUE_TYPES } = moderationService;
+
+const MAX_BULK_ITEMS = 100;
+
+const reviewerOf = (req) => ({
+  userId: req.user.id,
+  comment: typeof req.body.comment === 'string' && req.body.comment.trim() ? req.body.comment.trim() : null,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+const unknownType = (res, type) => res.status(400).json({
+  success: false,
+  message: `Unknown type "${type}", expected one of: ${Object.keys(QUEUE_TYPES).join(', ')}`
+});
+
+/**
+ * Approve or reject one item
+ */
+const decide = (decision) => async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const queueType = QUEUE_TYPES[type];
+    if (!queueType) return unknownType(res, type);
+
+    const reviewer = reviewerOf(req);
+    if (decision === 'reject' && !reviewer.comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'comment is required when rejecting a submission'
+      });
+    }
+
+    const record = await queueType.model.findByPk(id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (!moderationService.isPending(type, record)) {
+      return res.status(409).json({
+        success: false,
+        message: `Submission is not pending review (status: ${record.status})`
+      });
+    }
+
+    await moderationService.applyDecision(type, record, decision, reviewer);
+    const [item] = await queueType.summarize([record]);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Submission approved and published' : 'Submission rejected',
+      data: { type, ...item }
+    });
+  } catch (error) {
+    console.error(`Error on moderation ${decision}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${decision} submission`,
+      error: error.message
+    });
+  }
+};
+
+const moderationController = {
+  /**
+   * List pending submissions of one type with per-status counts of all types
+   */
+  getQueue: async (req, res) => {
+    try {
+      const { type = 'sembako', status, page = 1, limit = 20 } = req.query;
+      const queueType = QUEUE_TYPES[type];
+      if (!queueType) return unknownType(res, type);
+
+      if (status && !queueType.pendingStatuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${queueType.pendingStatuses.join(', ')}`
+        });
+      }
+
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+      const { items, total } = await moderationService.listQueue(type, {
+        status,
+        page: pageNumber,
+        limit: pageSize
+      });
+
+      res.json({
+        success: true,
+        data: items,
+        summary: await moderationService.getQueueSummary(),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch moderation queue',
+        error: error.message
+      });
+    }
+  },
+
+  approve: decide('approve'),
+
+  reject: decide('reject'),
+
+  /**
+   * Approve several submissions at once; items that cannot be approved are listed in `failed`
+   */
+  bulkApprove: async (req, res) => {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'items must be a non-empty array of { type, id }'
+        });
+      }
+
+      if (items.length > MAX_BULK_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_BULK_ITEMS} items can be approved at once`
+        });
+      }
+
+      const result = await moderationService.bulkApprove(
+        items.map(item => ({ type: item && item.type, id: item && item.id })),
+        reviewerOf(req)
+      );
+
+      res.json({
+        success: true,
+        message: `${result.approved.length} approved, ${result.failed.length} failed`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error on moderation bulk approve:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to approve submissions',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Moderation decisions for one submission, newest first
+   */
+  getHistory: async (req, res) => {
+    try {
+      const { type, id } = req.params;
+      if (!QUEUE_TYPES[type]) return unknownType(res, type);
+
+      res.json({
+        success: true,
+        data: await moderationService.getHistory(type, id)
+      });
+    } catch (error) {
+      console.error('Error fetching moderation history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch moderation history',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = moderationController;
@@ -1,8 +1,19 @@
 const { Price, Commodity, Region, PriceOverride } = require('../models');
 const { syncPricesFromAPI, getPriceComparison } = require('../services/priceSync');
+const priceBackfill = require('../services/priceBackfill');
+const syncRunService = require('../services/syncRunService');
 const { Op } = require('sequelize');
 const sequelize = require('../config/database');
 
+/**
+ * 'YYYY-MM-DD' that names a day on the calendar (2026-02-31 does not)
+ */
+const isCalendarDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
 const priceController = {
   /**
    * Get current prices with optional filters
@@ -18,10 +29,10 @@ const priceController = {
         limit = 20
       } = req.query;
 
-      const whereClause = { date };
+      // Without region_id, only the national series (region_id NULL) is returned
+      const whereClause = { date, region_id: region_id || null };
       const commodityWhere = {};
 
-      if (region_id) whereClause.region_id = region_id;
       if (category) commodityWhere.category = category;
       if (search) {
         commodityWhere.name = { [Op.like]: `%${search}%` };
@@ -50,6 +61,7 @@ const priceController = {
       const yesterdayPrices = await Price.findAll({
         where: { 
           date: yesterdayStr,
+          region_id: region_id || null,
           commodity_id: rows.map(p => p.commodity_id)
         },
         attributes: ['commodity_id', 'price']
@@ -136,7 +148,7 @@ const priceController = {
         };
       }
 
-      if (region_id) whereClause.region_id = region_id;
+      whereClause.region_id = region_id || null;
 
       const prices = await Price.findAll({
         where: whereClause,
@@ -241,11 +253,10 @@ const priceController = {
             startDate.toISOString().split('T')[0],
             endDate.toISOString().split('T')[0]
           ]
-        }
+        },
+        region_id: region_id || null
       };
 
-      if (region_id) whereClause.region_id = region_id;
-
       // Get aggregated statistics
       const stats = await Price.findAll({
         where: whereClause,
@@ -283,7 +294,7 @@ const priceController = {
 
         // Get first and last prices for each commodity
         const firstPrices = await Price.findAll({
-          where: { date: startDateStr },
+          where: { date: startDateStr, region_id: region_id || null },
           include: [{
             model: Commodity,
             attributes: ['name', 'category']
@@ -291,7 +302,7 @@ const priceController = {
         });
 
         const lastPrices = await Price.findAll({
-          where: { date: endDateStr },
+          where: { date: endDateStr, region_id: region_id || null },
           include: [{
             model: Commodity,
             attributes: ['name', 'category']
@@ -363,18 +374,136 @@ const priceController = {
     }
   },
 
+  /**
+   * Get farm-gate → wholesale → retail margins per commodity and region
+   */
+  getPriceMargins: async (req, res) => {
+    try {
+      const {
+        date = new Date().toISOString().split('T')[0],
+        region_id,
+        commodity_id,
+        category
+      } = req.query;
+
+      // region_id=all returns every region, otherwise a single region (national when omitted)
+      const whereClause = {
+        date,
+        level: ['produsen', 'grosir', 'eceran', 'konsumen']
+      };
+      if (region_id !== 'all') whereClause.region_id = region_id || null;
+      if (commodity_id) whereClause.commodity_id = commodity_id;
+
+      const prices = await Price.findAll({
+        where: whereClause,
+        include: [
+          {
+            model: Commodity,
+            where: category ? { category } : undefined,
+            attributes: ['id', 'name', 'unit', 'category']
+          },
+          {
+            model: Region,
+            attributes: ['id', 'province_id', 'province_name', 'city_id', 'city_name', 'level'],
+            required: false
+          }
+        ],
+        order: [['commodity_id', 'ASC'], ['region_id', 'ASC']]
+      });
+
+      // Group level prices per commodity + region
+      const groups = {};
+      prices.forEach(price => {
+        const key = `${price.commodity_id}:${price.region_id || 'national'}`;
+        if (!groups[key]) {
+          groups[key] = {
+            commodity: price.Commodity,
+            region: price.Region || null,
+            region_id: price.region_id,
+            levels: {}
+          };
+        }
+        // Manual overrides win over API values for the same level
+        if (!groups[key].levels[price.level] || price.is_override) {
+          groups[key].levels[price.level] = parseFloat(price.price);
+        }
+      });
+
+      const calculateMarkup = (from, to) => {
+        if (!from || !to) return null;
+        return {
+          amount: parseFloat((to - from).toFixed(2)),
+          percentage: parseFloat((((to - from) / from) * 100).toFixed(2))
+        };
+      };
+
+      const margins = Object.values(groups).map(group => {
+        const produsen = group.levels.produsen || null;
+        const grosir = group.levels.grosir || null;
+        const konsumen = group.levels.konsumen || group.levels.eceran || null;
+
+        return {
+          commodity: group.commodity,
+          commodity_id: group.commodity?.id,
+          region_id: group.region_id,
+          region: group.region,
+          prices: { produsen, grosir, konsumen },
+          farm_to_wholesale: calculateMarkup(produsen, grosir),
+          wholesale_to_retail: calculateMarkup(grosir, konsumen),
+          farm_to_retail: calculateMarkup(produsen, konsumen),
+          complete: !!(produsen && grosir && konsumen)
+        };
+      });
+
+      res.json({
+        success: true,
+        data: margins,
+        meta: {
+          date,
+          region_id: region_id || null,
+          total: margins.length,
+          complete_chains: margins.filter(m => m.complete).length
+        }
+      });
+    } catch (error) {
+      console.error('Error getting price margins:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get price margins',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * Manually trigger price sync
    */
   syncPrices: async (req, res) => {
     try {
-      const { province_id, city_id, level_harga_id } = req.body;
+      const {
+        province_id,
+        city_id,
+        level_harga_id,
+        include_province_map,
+        include_city_prices,
+        komoditas_ids
+      } = req.body;
       
-      const result = await syncPricesFromAPI({
+      const options = {
         provinceId: province_id,
         cityId: city_id,
-        levelHargaId: level_harga_id || 3
-      });
+        levelHargaId: parseInt(level_harga_id) || 3,
+        includeProvinceMap: include_province_map === true || include_province_map === 'true',
+        includeCityPrices: include_city_prices === true || include_city_prices === 'true',
+        ...(Array.isArray(komoditas_ids) && komoditas_ids.length > 0 && {
+          komoditasIds: komoditas_ids.map(id => parseInt(id))
+        })
+      };
+
+      const result = await syncRunService.track(
+        { source: 'bpn_price_sync', trigger: 'manual', triggeredBy: req.user?.id || null, options },
+        () => syncPricesFromAPI(options)
+      );
 
       res.json({
         success: true,
@@ -391,6 +520,172 @@ const priceController = {
     }
   },
 
+  /**
+   * Start a historical backfill job (runs in background)
+   */
+  startBackfill: async (req, res) => {
+    try {
+      const { start_date, end_date, komoditas_ids, level_harga_id = 3 } = req.body;
+
+      if (!isCalendarDate(start_date) || !isCalendarDate(end_date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'start_date and end_date are required and must be real dates (YYYY-MM-DD)'
+        });
+      }
+
+      if (start_date > end_date) {
+        return res.status(400).json({
+          success: false,
+          message: 'start_date must be before or equal to end_date'
+        });
+      }
+
+      if (priceBackfill.countDays(start_date, end_date) > priceBackfill.MAX_BACKFILL_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `A backfill job covers at most ${priceBackfill.MAX_BACKFILL_DAYS} days; split the range`
+        });
+      }
+
+      if (!Array.isArray(komoditas_ids) || komoditas_ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'komoditas_ids must be a non-empty array of BPN commodity ids'
+        });
+      }
+
+      const levelHargaId = parseInt(level_harga_id);
+      if (![1, 2, 3].includes(levelHargaId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'level_harga_id must be 1 (produsen), 2 (grosir) or 3 (konsumen)'
+        });
+      }
+
+      const job = await priceBackfill.createBackfillJob({
+        startDate: start_date,
+        endDate: end_date,
+        komoditasIds: komoditas_ids.map(id => parseInt(id)),
+        levelHargaId,
+        createdBy: req.user?.id || null
+      });
+
+      priceBackfill.startBackfillJob(job.id);
+
+      res.status(202).json({
+        success: true,
+        message: 'Backfill job started',
+        data: await priceBackfill.getBackfillJob(job.id)
+      });
+    } catch (error) {
+      console.error('Error starting backfill:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start backfill',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Resume an interrupted, failed or partial backfill job: failed commodity/day pairs are
+   * retried first, then processing continues after the last completed day
+   */
+  resumeBackfill: async (req, res) => {
+    try {
+      const jobId = parseInt(req.params.id);
+      const job = await priceBackfill.getBackfillJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Backfill job not found'
+        });
+      }
+
+      if (job.status === 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Backfill job already completed'
+        });
+      }
+
+      if (priceBackfill.isJobActive(jobId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Backfill job is already running'
+        });
+      }
+
+      priceBackfill.startBackfillJob(jobId);
+
+      res.status(202).json({
+        success: true,
+        message: `Backfill job resumed from ${job.last_completed_date || job.start_date}`
+          + (job.failed_count > 0 ? ` (retrying ${job.failed_count} failed commodity/day pairs)` : ''),
+        data: job
+      });
+    } catch (error) {
+      console.error('Error resuming backfill:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resume backfill',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get backfill job progress
+   */
+  getBackfillStatus: async (req, res) => {
+    try {
+      const job = await priceBackfill.getBackfillJob(parseInt(req.params.id));
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Backfill job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching backfill status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch backfill status',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * List backfill jobs
+   */
+  getBackfillJobs: async (req, res) => {
+    try {
+      const { status, limit = 20 } = req.query;
+      const jobs = await priceBackfill.listBackfillJobs({ status, limit });
+
+      res.json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      console.error('Error fetching backfill jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch backfill jobs',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * Export prices to CSV/JSON
    */
@@ -0,0 +1,237 @@
+// controllers/priceIndexController.js
+const priceIndexService = require('../services/priceIndexService');
+const { resolveProvince } = require('../services/provinceResolver');
+const { loadSurveyCommodities } = require('../services/surveyCommodityService');
+const { GRANULARITIES, periodKey, periodRange, shiftPeriod, periodsBetween } = require('../utils/periods');
+
+const DEFAULT_SERIES_PERIODS = 12;
+const MAX_SERIES_PERIODS = 156;
+
+const PERIOD_FORMATS = { month: 'YYYY-MM', week: 'YYYY-Www' };
+
+/**
+ * Period key of the requested granularity, or null
+ */
+const parsePeriod = (value, granularity) => {
+  const range = periodRange(String(value));
+  return range && periodKey(range.start, granularity) === value ? value : null;
+};
+
+const isDateKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * Validate config fields; returns an error message or null
+ */
+const validateConfig = ({ weights, base_start, base_end, missing_rule, min_coverage }, commodityCodes) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+    return 'weights must be an object of commodity code → weight';
+  }
+
+  const unknown = Object.keys(weights).find(code => !commodityCodes.includes(code));
+  if (unknown) {
+    return `Unknown commodity "${unknown}". Allowed: ${commodityCodes.join(', ')}`;
+  }
+
+  const invalidWeight = Object.keys(weights).find(code => typeof weights[code] !== 'number' || !(weights[code] >= 0));
+  if (invalidWeight) {
+    return `weights.${invalidWeight} must be a number ≥ 0`;
+  }
+
+  if (!Object.values(weights).some(weight => weight > 0)) {
+    return 'At least one weight must be greater than 0';
+  }
+
+  if (!isDateKey(base_start) || !isDateKey(base_end) || base_start > base_end) {
+    return 'base_start and base_end must be dates (YYYY-MM-DD) with base_start ≤ base_end';
+  }
+
+  if (missing_rule !== undefined && !priceIndexService.MISSING_RULES.includes(missing_rule)) {
+    return `missing_rule must be one of: ${priceIndexService.MISSING_RULES.join(', ')}`;
+  }
+
+  if (min_coverage !== undefined && !(typeof min_coverage === 'number' && min_coverage >= 0 && min_coverage <= 1)) {
+    return 'min_coverage must be a number between 0 and 1';
+  }
+
+  return null;
+};
+
+const priceIndexController = {
+  /**
+   * Index series for the country or one province, per week or month
+   */
+  getSeries: async (req, res) => {
+    try {
+      const { province, granularity = 'month' } = req.query;
+
+      if (!GRANULARITIES.includes(granularity)) {
+        return res.status(400).json({
+          success: false,
+          message: `granularity must be one of: ${GRANULARITIES.join(', ')}`
+        });
+      }
+
+      let to = req.query.to || await priceIndexService.getLatestPeriod(granularity);
+      let from = req.query.from;
+
+      for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && !parsePeriod(value, granularity)) {
+          return res.status(400).json({
+            success: false,
+            message: `${name} must be a ${granularity} (${PERIOD_FORMATS[granularity]})`
+          });
+        }
+      }
+
+      let region = null;
+      if (province) {
+        region = await resolveProvince(province);
+        if (!region) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown province: ${province}`
+          });
+        }
+      }
+
+      if (!to) {
+        return res.json({ success: true, data: { province: region, series: [] }, message: 'No published surveys yet' });
+      }
+
+      from = from || shiftPeriod(to, granularity, -(DEFAULT_SERIES_PERIODS - 1));
+      if (from > to || periodsBetween(from, to, granularity).length > MAX_SERIES_PERIODS) {
+        return res.status(400).json({
+          success: false,
+          message: `from must not be after to, and at most ${MAX_SERIES_PERIODS} periods can be requested`
+        });
+      }
+
+      const result = await priceIndexService.getIndexSeries({
+        where: region ? { region_id: region.region_id } : {},
+        granularity,
+        from,
+        to
+      });
+
+      res.json({
+        success: true,
+        data: {
+          province: region,
+          granularity,
+          from,
+          to,
+          ...result
+        }
+      });
+    } catch (error) {
+      console.error('Error computing price index:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute price index',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Index of every province for one week or month
+   */
+  getProvinces: async (req, res) => {
+    try {
+      const { granularity = 'month' } = req.query;
+
+      if (!GRANULARITIES.includes(granularity)) {
+        return res.status(400).json({
+          success: false,
+          message: `granularity must be one of: ${GRANULARITIES.join(', ')}`
+        });
+      }
+
+      const period = req.query.period || await priceIndexService.getLatestPeriod(granularity);
+      if (req.query.period && !parsePeriod(period, granularity)) {
+        return res.status(400).json({
+          success: false,
+          message: `period must be a ${granularity} (${PERIOD_FORMATS[granularity]})`
+        });
+      }
+
+      if (!period) {
+        return res.json({ success: true, data: { national: null, provinces: [] }, message: 'No published surveys yet' });
+      }
+
+      const result = await priceIndexService.getProvinceIndexes({ granularity, period });
+
+      res.json({
+        success: true,
+        data: {
+          granularity,
+          period,
+          ...result
+        }
+      });
+    } catch (error) {
+      console.error('Error computing province price indexes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute province price indexes',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Active index config (weights, base period, missing-commodity rule)
+   */
+  getConfig: async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await priceIndexService.getActiveConfig(),
+        commodities: (await loadSurveyCommodities()).map(({ code, field, name }) => ({ code, field, name }))
+      });
+    } catch (error) {
+      console.error('Error fetching price index config:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch price index config',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Replace the active config (the previous one is kept, inactive)
+   */
+  updateConfig: async (req, res) => {
+    try {
+      const commodityCodes = (await loadSurveyCommodities()).map(commodity => commodity.code);
+      const validationError = validateConfig(req.body, commodityCodes);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+
+      const { name, weights, base_start, base_end, missing_rule, min_coverage } = req.body;
+      const fields = { weights, base_start, base_end };
+      if (typeof name === 'string' && name.trim()) fields.name = name.trim();
+      if (missing_rule !== undefined) fields.missing_rule = missing_rule;
+      if (min_coverage !== undefined) fields.min_coverage = min_coverage;
+
+      await priceIndexService.saveConfig(fields, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Price index config saved',
+        data: await priceIndexService.getActiveConfig()
+      });
+    } catch (error) {
+      console.error('Error saving price index config:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save price index config',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = priceIndexController;
@@ -0,0 +1,160 @@
+// controllers/provinceAliasController.js
+const { ProvinceAlias } = require('../models');
+const provinceResolver = require('../services/provinceResolver');
+const { PROVINCE_BY_CODE, normalizeProvinceName } = require('../utils/provinceNames');
+
+const formatAlias = (alias) => ({
+  id: alias.id,
+  alias: alias.alias,
+  bps_code: alias.bps_code,
+  province_name: PROVINCE_BY_CODE.get(alias.bps_code)?.name || null,
+  created_by: alias.created_by,
+  createdAt: alias.createdAt
+});
+
+const provinceAliasController = {
+  /**
+   * List province aliases, optionally for one BPS code
+   */
+  getAliases: async (req, res) => {
+    try {
+      const whereClause = {};
+      if (req.query.bps_code) whereClause.bps_code = parseInt(req.query.bps_code);
+
+      const aliases = await ProvinceAlias.findAll({
+        where: whereClause,
+        order: [['bps_code', 'ASC'], ['alias', 'ASC']]
+      });
+
+      res.json({ success: true, data: aliases.map(formatAlias) });
+    } catch (error) {
+      console.error('Error fetching province aliases:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch province aliases',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Add an alias; existing rows are not relinked until POST /provinces/resolve
+   */
+  createAlias: async (req, res) => {
+    try {
+      const alias = normalizeProvinceName(req.body.alias);
+      const bpsCode = parseInt(req.body.bps_code);
+
+      if (!alias) {
+        return res.status(400).json({
+          success: false,
+          message: 'alias is required'
+        });
+      }
+
+      if (!PROVINCE_BY_CODE.has(bpsCode)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown BPS province code: ${req.body.bps_code}`
+        });
+      }
+
+      const existing = await ProvinceAlias.findOne({ where: { alias } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Alias "${alias}" already points to BPS code ${existing.bps_code}`
+        });
+      }
+
+      const created = await ProvinceAlias.create({
+        alias,
+        bps_code: bpsCode,
+        created_by: req.user.id
+      });
+      provinceResolver.invalidate();
+
+      res.status(201).json({ success: true, data: formatAlias(created) });
+    } catch (error) {
+      console.error('Error creating province alias:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create province alias',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete an alias (rows already linked through it keep their region)
+   */
+  deleteAlias: async (req, res) => {
+    try {
+      const alias = await ProvinceAlias.findByPk(req.params.id);
+      if (!alias) {
+        return res.status(404).json({
+          success: false,
+          message: 'Province alias not found'
+        });
+      }
+
+      await alias.destroy();
+      provinceResolver.invalidate();
+
+      res.json({ success: true, message: 'Province alias deleted' });
+    } catch (error) {
+      console.error('Error deleting province alias:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete province alias',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Province names in sembako data that match no region
+   */
+  getUnresolved: async (req, res) => {
+    try {
+      const report = await provinceResolver.getUnresolvedReport();
+
+      res.json({
+        success: true,
+        data: report,
+        summary: {
+          unresolved_names: report.length,
+          unresolved_rows: report.reduce((sum, item) => sum + item.row_count, 0)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching unresolved provinces:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch unresolved provinces',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Re-run resolution for unlinked rows
+   */
+  resolveProvinces: async (req, res) => {
+    try {
+      provinceResolver.invalidate();
+      const result = await provinceResolver.backfill();
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error('Error resolving provinces:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resolve provinces',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = provinceAliasController;
@@ -5,21 +5,21 @@ const SembakoPrice = require("../models/SembakoPrice");
 const csv = require("csv-parser");
 const fs = require("fs");
 const { Op, fn, col } = require("sequelize");
-
-// Daftar 9 sembako dan field mapping
-const SEMBAKO_FIELDS = {
-  'Harga Beras': 'harga_beras',
-  'Harga Gula': 'harga_gula', 
-  'Harga Minyak': 'harga_minyak',
-  'Harga Daging': 'harga_daging',
-  'Harga Ayam': 'harga_ayam',
-  'Harga Telur': 'harga_telur',
-  'Harga Bawang Merah': 'harga_bawang_merah',
-  'Harga Bawang Putih': 'harga_bawang_putih',
-  'Harga Gas': 'harga_gas',
-  'Harga Garam': 'harga_garam',
-  'Harga Susu': 'harga_susu'
-};
+const { isDryRun, previewCsvImport } = require("../utils/importPreview");
+const importRejectionService = require("../services/importRejectionService");
+const { buildProvinceFilter } = require("../services/provinceResolver");
+const { buildMarketFilter } = require("../services/marketMatcher");
+const { getSembakoCsvColumns, mapSembakoCsvRow } = require("../services/csvImportService");
+const { loadSurveyCommodities } = require("../services/surveyCommodityService");
+const {
+  hasAnyPrice,
+  createSurvey,
+  updateSurvey,
+  withPrices,
+  aggregatePrices
+} = require("../services/surveyObservationService");
+const { getDefaultSubmissionStatus, applyDecision } = require("../services/moderationService");
+const { getDefaultDateFormat, isValidDateFormat, formatDateKey } = require("../utils/dateParser");
 
 const sembakoPriceController = {
   // ✅ GET ALL dengan filtering dan pagination
@@ -30,6 +30,7 @@ const sembakoPriceController = {
         limit = 20,
         province_name,
         market_name,
+        market_id,
         start_date,
         end_date,
         status,
@@ -40,11 +41,18 @@ const sembakoPriceController = {
       const whereClause = {};
       
       if (province_name) {
-        whereClause.province_name = { [Op.like]: `%${province_name}%` };
+        Object.assign(whereClause, await buildProvinceFilter(province_name));
       }
       if (market_name) {
         whereClause.market_name = { [Op.like]: `%${market_name}%` };
       }
+      if (market_id) {
+        const marketFilter = buildMarketFilter(market_id);
+        if (!marketFilter) {
+          return res.status(400).json({ success: false, message: "market_id tidak valid" });
+        }
+        Object.assign(whereClause, marketFilter);
+      }
       if (status) {
         whereClause.status = status;
       }
@@ -76,7 +84,7 @@ const sembakoPriceController = {
       res.json({
         success: true,
         message: "Data sembako berhasil diambil",
-        data: rows,
+        data: await withPrices(rows),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -110,7 +118,7 @@ const sembakoPriceController = {
       res.json({
         success: true,
         message: "Data berhasil diambil",
-        data: sembako,
+        data: await withPrices(sembako),
       });
     } catch (err) {
       console.error("Error getById sembako:", err);
@@ -122,27 +130,15 @@ const sembakoPriceController = {
     }
   },
 
-  // ✅ CREATE
+  // ✅ CREATE (harga per komoditas: harga_<kode>, mis. harga_beras)
   create: async (req, res) => {
     try {
       const {
         province_name,
         market_name,
         survey_date,
-        harga_beras,
-        harga_gula,
-        harga_minyak,
-        harga_daging,
-        harga_ayam,
-        harga_telur,
-        harga_bawang_merah,
-        harga_bawang_putih,
-        harga_gas,
-        harga_garam,
-        harga_susu,
         source,
         created_by,
-        status,
       } = req.body;
 
       // Validasi field wajib
@@ -154,42 +150,38 @@ const sembakoPriceController = {
       }
 
       // Validasi minimal ada satu harga yang diisi
-      const hargaFields = [harga_beras, harga_gula, harga_minyak, harga_daging, 
-                          harga_ayam, harga_telur, harga_bawang_merah, 
-                          harga_bawang_putih, harga_gas, harga_garam, harga_susu];
-      
-      const hasAnyPrice = hargaFields.some(price => price && price > 0);
-      if (!hasAnyPrice) {
+      const commodities = await loadSurveyCommodities();
+      if (!hasAnyPrice(req.body, commodities)) {
         return res.status(400).json({
           success: false,
           message: "Minimal satu harga sembako harus diisi",
         });
       }
 
-      const newSembako = await SembakoPrice.create({
+      const prices = {};
+      commodities.forEach(commodity => {
+        if (req.body[commodity.field] !== undefined) prices[commodity.field] = req.body[commodity.field];
+      });
+
+      const newSembako = await createSurvey({
         province_name,
         market_name,
         survey_date,
-        harga_beras: harga_beras ? parseFloat(harga_beras) : null,
-        harga_gula: harga_gula ? parseFloat(harga_gula) : null,
-        harga_minyak: harga_minyak ? parseFloat(harga_minyak) : null,
-        harga_daging: harga_daging ? parseFloat(harga_daging) : null,
-        harga_ayam: harga_ayam ? parseFloat(harga_ayam) : null,
-        harga_telur: harga_telur ? parseFloat(harga_telur) : null,
-        harga_bawang_merah: harga_bawang_merah ? parseFloat(harga_bawang_merah) : null,
-        harga_bawang_putih: harga_bawang_putih ? parseFloat(harga_bawang_putih) : null,
-        harga_gas: harga_gas ? parseFloat(harga_gas) : null,
-        harga_garam: harga_garam ? parseFloat(harga_garam) : null,
-        harga_susu: harga_susu ? parseFloat(harga_susu) : null,
+        ...prices,
         source: source || "manual",
         created_by: created_by || null,
-        status: status || "published",
+        status: getDefaultSubmissionStatus(), // status dari klien diabaikan; perubahan status hanya lewat moderasi
       });
 
+      const messages = {
+        flagged: "Data harga sembako ditambahkan, tetapi ditandai untuk ditinjau (harga tidak wajar)",
+        draft: "Data harga sembako ditambahkan dan menunggu persetujuan"
+      };
+
       res.status(201).json({
         success: true,
-        message: "Data harga sembako berhasil ditambahkan",
-        data: newSembako,
+        message: messages[newSembako.status] || "Data harga sembako berhasil ditambahkan",
+        data: await withPrices(newSembako),
       });
     } catch (err) {
       console.error("Error create sembako:", err);
@@ -205,7 +197,8 @@ const sembakoPriceController = {
   update: async (req, res) => {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      // Status dan flag hanya diubah lewat moderasi (applyDecision → AuditLog)
+      const { status, flag_reason, ...updateData } = req.body;
 
       const sembakoData = await SembakoPrice.findByPk(id);
       if (!sembakoData) {
@@ -215,20 +208,13 @@ const sembakoPriceController = {
         });
       }
 
-      // Convert harga fields to float jika ada
-      Object.keys(SEMBAKO_FIELDS).forEach(key => {
-        const fieldName = SEMBAKO_FIELDS[key];
-        if (updateData[fieldName]) {
-          updateData[fieldName] = parseFloat(updateData[fieldName]);
-        }
-      });
-
-      await sembakoData.update(updateData);
+      // harga_<kode> yang dikirim mengubah observasinya; null/kosong menghapusnya
+      await updateSurvey(sembakoData, updateData);
 
       res.json({
         success: true,
         message: "Data berhasil diperbarui",
-        data: sembakoData,
+        data: await withPrices(sembakoData),
       });
     } catch (err) {
       console.error("Error update sembako:", err);
@@ -278,6 +264,18 @@ const sembakoPriceController = {
         });
       }
 
+      // Format tanggal CSV (default DD/MM/YYYY untuk form Indonesia)
+      const dateFormat = req.body?.date_format || req.query.date_format || getDefaultDateFormat();
+      if (!isValidDateFormat(dateFormat)) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          message: `date_format tidak valid: ${dateFormat}`
+        });
+      }
+      const mapRow = (item) => mapSembakoCsvRow(item, { dateFormat });
+      await loadSurveyCommodities();
+
       const results = [];
       const errors = [];
 
@@ -287,50 +285,54 @@ const sembakoPriceController = {
         .on("end", async () => {
           try {
             let successCount = 0;
-
-            for (let i = 0; i < results.length; i++) {
-              try {
-                const item = results[i];
-                
-                // Mapping field dari Google Form ke database
-                const mappedData = {
-                  timestamp: item.Timestamp ? new Date(item.Timestamp) : new Date(),
-                  province_name: item['Province ID'] || item.province_id || item.provinsi,
-                  market_name: item['Nama Pasar'] || item.nama_pasar || item.market_name,
-                  survey_date: item['Tanggal'] ? new Date(item.Tanggal) : new Date(),
-                  source: "import_csv"
-                };
-
-                // Mapping harga sembako
-                Object.keys(SEMBAKO_FIELDS).forEach(csvField => {
-                  const dbField = SEMBAKO_FIELDS[csvField];
-                  if (item[csvField] && !isNaN(parseFloat(item[csvField]))) {
-                    mappedData[dbField] = parseFloat(item[csvField]);
+            const rejectionIds = [];
+
+            if (isDryRun(req.query.dry_run) || isDryRun(req.body?.dry_run)) {
+              const preview = await previewCsvImport(results, {
+                columns: getSembakoCsvColumns(),
+                mapRow,
+                model: SembakoPrice,
+                dateFields: ['timestamp', 'survey_date'],
+                dateFormat,
+                rowKey: (data) => `${data.province_name}|${data.market_name}|${formatDateKey(data.survey_date)}`,
+                findExisting: (data) => SembakoPrice.findOne({
+                  where: {
+                    province_name: data.province_name,
+                    market_name: data.market_name,
+                    survey_date: formatDateKey(data.survey_date)
                   }
-                });
-
-                // Validasi data minimal
-                if (!mappedData.province_name || !mappedData.market_name) {
-                  errors.push(`Baris ${i + 1}: Province name dan market name wajib diisi`);
-                  continue;
-                }
+                }),
+                describeKey: 'province, market and survey date'
+              });
 
-                // Cek apakah minimal ada satu harga
-                const hasPrice = Object.keys(SEMBAKO_FIELDS).some(key => {
-                  const dbField = SEMBAKO_FIELDS[key];
-                  return mappedData[dbField] && mappedData[dbField] > 0;
-                });
+              fs.unlinkSync(req.file.path);
 
-                if (!hasPrice) {
-                  errors.push(`Baris ${i + 1}: Minimal satu harga sembako harus diisi`);
-                  continue;
-                }
+              return res.json({
+                success: true,
+                message: `Dry run: ${preview.totals.success_count} data akan diimport, ${preview.totals.error_count} gagal (tidak ada yang disimpan)`,
+                data: preview
+              });
+            }
 
-                await SembakoPrice.create(mappedData);
+            for (let i = 0; i < results.length; i++) {
+              try {
+                await createSurvey(mapRow(results[i]));
                 successCount++;
 
               } catch (error) {
                 errors.push(`Baris ${i + 1}: ${error.message}`);
+
+                // Simpan baris yang ditolak agar bisa diperbaiki dan dikirim ulang
+                const rejection = await importRejectionService.record({
+                  source: "sembako_csv",
+                  sourceRef: req.file.originalname || req.file.filename,
+                  rowNumber: i + 1,
+                  payload: results[i],
+                  error,
+                  context: { date_format: dateFormat },
+                  createdBy: req.user?.id || null,
+                });
+                if (rejection) rejectionIds.push(rejection.id);
               }
             }
 
@@ -344,7 +346,8 @@ const sembakoPriceController = {
                 success_count: successCount,
                 error_count: errors.length,
                 errors: errors.slice(0, 10), // Tampilkan 10 error pertama
-                sample_mapping: Object.keys(SEMBAKO_FIELDS) // Untuk debugging
+                rejection_ids: rejectionIds, // Semua baris gagal: /api/import-rejections
+                sample_mapping: Object.keys(getSembakoCsvColumns()) // Untuk debugging
               },
             });
           } catch (error) {
@@ -377,7 +380,22 @@ const sembakoPriceController = {
   // ✅ STATISTICS untuk dashboard
   getStatistics: async (req, res) => {
     try {
-      const totalRecords = await SembakoPrice.count();
+      // Statistik hanya menghitung data yang sudah disetujui; editor melihat jumlah antrean terpisah
+      const whereClause = { status: 'published' };
+      const marketWhere = {};
+      if (req.query.market_id) {
+        const marketFilter = buildMarketFilter(req.query.market_id);
+        if (!marketFilter) {
+          return res.status(400).json({ success: false, message: "market_id tidak valid" });
+        }
+        Object.assign(marketWhere, marketFilter);
+      }
+      Object.assign(whereClause, marketWhere);
+
+      const totalRecords = await SembakoPrice.count({ where: whereClause });
+      const pendingReview = req.user
+        ? await SembakoPrice.count({ where: { ...marketWhere, status: { [Op.in]: ['draft', 'flagged'] } } })
+        : undefined;
       
       // Statistik per provinsi
       const provinceStats = await SembakoPrice.findAll({
@@ -386,21 +404,19 @@ const sembakoPriceController = {
           [fn('COUNT', col('id')), 'total_records'],
           [fn('MAX', col('survey_date')), 'latest_survey']
         ],
+        where: whereClause,
         group: ['province_name'],
         order: [[fn('COUNT', col('id')), 'DESC']]
       });
 
-      // Average harga per sembako (yang tidak null)
+      // Average harga per sembako (yang diisi)
+      const commodities = await loadSurveyCommodities();
+      const averages = await aggregatePrices(whereClause);
       const avgPrices = {};
-      for (const field of Object.values(SEMBAKO_FIELDS)) {
-        const avg = await SembakoPrice.findOne({
-          attributes: [[fn('AVG', col(field)), 'average']],
-          where: {
-            [field]: { [Op.not]: null }
-          }
-        });
-        avgPrices[field] = avg ? parseFloat(avg.dataValues.average || 0).toFixed(0) : 0;
-      }
+      commodities.forEach(commodity => {
+        const avg = averages.find(row => row.commodity_id === commodity.id);
+        avgPrices[commodity.field] = avg ? parseFloat(avg.avg_price || 0).toFixed(0) : 0;
+      });
 
       // Distribusi data per bulan (3 bulan terakhir)
       const threeMonthsAgo = new Date();
@@ -412,6 +428,7 @@ const sembakoPriceController = {
           [fn('COUNT', col('id')), 'count']
         ],
         where: {
+          ...whereClause,
           survey_date: { [Op.gte]: threeMonthsAgo }
         },
         group: [fn('DATE_FORMAT', col('survey_date'), '%Y-%m')],
@@ -425,6 +442,7 @@ const sembakoPriceController = {
           summary: {
             total_records: totalRecords,
             total_provinces: provinceStats.length,
+            pending_review: pendingReview,
             latest_update: new Date().toISOString()
           },
           province_stats: provinceStats.map(item => ({
@@ -452,11 +470,18 @@ const sembakoPriceController = {
   // ✅ GET latest prices per province untuk dashboard
   getLatestPrices: async (req, res) => {
     try {
-      const { province } = req.query;
+      const { province, market_id } = req.query;
       
       let whereClause = { status: 'published' };
       if (province) {
-        whereClause.province_name = { [Op.like]: `%${province}%` };
+        Object.assign(whereClause, await buildProvinceFilter(province));
+      }
+      if (market_id) {
+        const marketFilter = buildMarketFilter(market_id);
+        if (!marketFilter) {
+          return res.status(400).json({ success: false, message: "market_id tidak valid" });
+        }
+        Object.assign(whereClause, marketFilter);
       }
 
       // Ambil data terbaru per provinsi
@@ -469,7 +494,7 @@ const sembakoPriceController = {
       res.json({
         success: true,
         message: "Data harga terbaru berhasil diambil",
-        data: latestPrices
+        data: await withPrices(latestPrices)
       });
     } catch (err) {
       console.error("Error getLatestPrices:", err);
@@ -480,6 +505,81 @@ const sembakoPriceController = {
       });
     }
   },
+
+  // ✅ GET data yang ditandai outlier (menunggu tinjauan)
+  getFlagged: async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows } = await SembakoPrice.findAndCountAll({
+        where: { status: 'flagged' },
+        limit: parseInt(limit),
+        offset,
+        order: [['survey_date', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        message: "Data yang ditandai berhasil diambil",
+        data: await withPrices(rows),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / parseInt(limit)),
+        },
+      });
+    } catch (err) {
+      console.error("Error getFlagged sembako:", err);
+      res.status(500).json({
+        success: false,
+        message: "Gagal mengambil data yang ditandai",
+        error: err.message
+      });
+    }
+  },
+
+  // ✅ Konfirmasi harga yang ditandai: data dipublikasikan dan ikut dalam agregat
+  confirmFlagged: async (req, res) => {
+    try {
+      const sembakoData = await SembakoPrice.findByPk(req.params.id);
+      if (!sembakoData) {
+        return res.status(404).json({
+          success: false,
+          message: "Data tidak ditemukan"
+        });
+      }
+
+      if (sembakoData.status !== 'flagged') {
+        return res.status(400).json({
+          success: false,
+          message: `Data tidak sedang ditandai (status: ${sembakoData.status})`
+        });
+      }
+
+      // Dicatat di audit_logs seperti persetujuan lewat /api/moderation
+      await applyDecision("sembako", sembakoData, "approve", {
+        userId: req.user ? req.user.id : null,
+        comment: req.body && req.body.comment ? req.body.comment : null,
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent")
+      });
+
+      res.json({
+        success: true,
+        message: "Harga dikonfirmasi dan dipublikasikan",
+        data: await withPrices(sembakoData),
+      });
+    } catch (err) {
+      console.error("Error confirmFlagged sembako:", err);
+      res.status(500).json({
+        success: false,
+        message: "Gagal mengonfirmasi data",
+        error: err.message
+      });
+    }
+  },
 };
 
 module.exports = sembakoPriceController;
\ No newline at end of file
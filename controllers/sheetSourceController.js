@@ -0,0 +1,272 @@
+// controllers/sheetSourceController.js
+const cron = require('node-cron');
+const { SheetSource } = require('../models');
+const { getDefaultFieldMappings } = require('../services/googleSheetsService');
+const { loadSurveyCommodities } = require('../services/surveyCommodityService');
+const sheetSourceService = require('../services/sheetSourceService');
+const sheetSourceJobs = require('../jobs/sheetSourceJobs');
+const { isDryRun } = require('../utils/importPreview');
+const { DATE_FORMATS, isValidDateFormat } = require('../utils/dateParser');
+
+const EDITABLE_FIELDS = [
+  'name', 'sheet_id', 'sheet_gid', 'sheet_name', 'range',
+  'column_mappings', 'default_province', 'date_format', 'writeback_enabled', 'status_column',
+  'cron_expression', 'is_active'
+];
+
+/**
+ * Validate source fields; returns an error message or null
+ */
+const validateSource = (fields, { partial = false } = {}) => {
+  if (!partial || fields.name !== undefined) {
+    if (!fields.name || typeof fields.name !== 'string') return 'name is required';
+  }
+
+  if (!partial || fields.sheet_id !== undefined) {
+    if (!fields.sheet_id || typeof fields.sheet_id !== 'string') return 'sheet_id is required';
+  }
+
+  if (fields.cron_expression !== undefined && !cron.validate(fields.cron_expression)) {
+    return `Invalid cron expression: ${fields.cron_expression}`;
+  }
+
+  if (fields.date_format !== undefined && fields.date_format !== null && !isValidDateFormat(fields.date_format)) {
+    return `Invalid date_format "${fields.date_format}". Allowed: ${DATE_FORMATS.join(', ')}`;
+  }
+
+  if (fields.status_column !== undefined && fields.status_column !== null && !/^[A-Z]{1,3}$/.test(fields.status_column)) {
+    return 'status_column must be a column letter such as "O"';
+  }
+
+  if (fields.column_mappings !== undefined && fields.column_mappings !== null) {
+    if (typeof fields.column_mappings !== 'object' || Array.isArray(fields.column_mappings)) {
+      return 'column_mappings must be an object of field → header name(s)';
+    }
+
+    const defaultMappings = getDefaultFieldMappings();
+    for (const [field, headers] of Object.entries(fields.column_mappings)) {
+      if (!defaultMappings[field]) {
+        return `Unknown column_mappings field "${field}". Allowed: ${Object.keys(defaultMappings).join(', ')}`;
+      }
+      if (![].concat(headers).every(header => typeof header === 'string' && header.trim())) {
+        return `column_mappings.${field} must be a header name or a list of header names`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const pickFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const sheetSourceController = {
+  /**
+   * List sheet sources
+   */
+  getSources: async (req, res) => {
+    try {
+      const sources = await SheetSource.findAll({ order: [['name', 'ASC']] });
+      await loadSurveyCommodities();
+
+      res.json({
+        success: true,
+        data: sources,
+        mappable_fields: Object.keys(getDefaultFieldMappings()),
+        date_formats: DATE_FORMATS
+      });
+    } catch (error) {
+      console.error('Error fetching sheet sources:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sheet sources',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Source detail with its incremental sync state
+   */
+  getSourceById: async (req, res) => {
+    try {
+      const source = await SheetSource.findByPk(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sheet source not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...source.toJSON(),
+          job_name: sheetSourceJobs.jobName(source),
+          sync_state: await sheetSourceService.getSourceState(source)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching sheet source:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sheet source',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Create a source and schedule its job
+   */
+  createSource: async (req, res) => {
+    try {
+      const fields = pickFields(req.body);
+      await loadSurveyCommodities();
+      const validationError = validateSource(fields);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      const source = await SheetSource.create({ ...fields, created_by: req.user.id });
+      await sheetSourceJobs.refresh(source);
+
+      res.status(201).json({
+        success: true,
+        message: 'Sheet source created',
+        data: source
+      });
+    } catch (error) {
+      console.error('Error creating sheet source:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create sheet source',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Update a source and its schedule
+   */
+  updateSource: async (req, res) => {
+    try {
+      const source = await SheetSource.findByPk(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sheet source not found'
+        });
+      }
+
+      const fields = pickFields(req.body);
+      await loadSurveyCommodities();
+      const validationError = validateSource(fields, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      const cronChanged = fields.cron_expression !== undefined && fields.cron_expression !== source.cron_expression;
+      await source.update(fields);
+      await sheetSourceJobs.refresh(source, { cronChanged });
+
+      res.json({
+        success: true,
+        message: 'Sheet source updated',
+        data: source
+      });
+    } catch (error) {
+      console.error('Error updating sheet source:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update sheet source',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Delete a source and its job (imported prices are kept)
+   */
+  deleteSource: async (req, res) => {
+    try {
+      const source = await SheetSource.findByPk(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sheet source not found'
+        });
+      }
+
+      await sheetSourceJobs.remove(source);
+      await source.destroy();
+
+      res.json({
+        success: true,
+        message: 'Sheet source deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting sheet source:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete sheet source',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Sync one source now (?dry_run=true previews without writing)
+   */
+  syncSource: async (req, res) => {
+    try {
+      const source = await SheetSource.findByPk(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sheet source not found'
+        });
+      }
+
+      const force = req.body?.force === true || req.body?.force === 'true';
+
+      if (isDryRun(req.query.dry_run) || isDryRun(req.body?.dry_run)) {
+        return res.json({
+          success: true,
+          message: `Dry run for ${source.name}: nothing was written`,
+          data: await sheetSourceService.previewSource(source, { force })
+        });
+      }
+
+      console.log(`🔄 Manual sync of sheet source "${source.name}" triggered by: ${req.user.username}`);
+
+      const { result } = await sheetSourceService.syncSource(source, { triggeredBy: req.user.id, force });
+
+      res.json({
+        success: true,
+        message: `Google Sheet sync completed for ${source.name}`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Sheet source sync error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Sync failed',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = sheetSourceController;
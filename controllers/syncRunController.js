@@ -0,0 +1,110 @@
+// controllers/syncRunController.js
+const { SyncRun, User } = require('../models');
+const { Op } = require('sequelize');
+
+const syncRunController = {
+  /**
+   * Get sync run history with filters
+   */
+  getSyncRuns: async (req, res) => {
+    try {
+      const {
+        source,
+        status,
+        trigger,
+        triggered_by,
+        start_date,
+        end_date,
+        page = 1,
+        limit = 20
+      } = req.query;
+
+      const whereClause = {};
+
+      if (source) whereClause.source = source;
+      if (status) whereClause.status = status;
+      if (trigger) whereClause.trigger_type = trigger;
+      if (triggered_by) whereClause.triggered_by = triggered_by;
+
+      // Date filters are inclusive whole days on started_at
+      if (start_date || end_date) {
+        whereClause.started_at = {};
+        if (start_date) whereClause.started_at[Op.gte] = new Date(`${start_date}T00:00:00`);
+        if (end_date) whereClause.started_at[Op.lte] = new Date(`${end_date}T23:59:59.999`);
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows } = await SyncRun.findAndCountAll({
+        where: whereClause,
+        attributes: { exclude: ['errors', 'options'] },
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'full_name'],
+          required: false
+        }],
+        limit: parseInt(limit),
+        offset,
+        order: [['started_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching sync runs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sync runs',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a single sync run with errors and options
+   */
+  getSyncRunById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const run = await SyncRun.findByPk(id, {
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'full_name'],
+          required: false
+        }]
+      });
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sync run not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: run
+      });
+    } catch (error) {
+      console.error('Error fetching sync run:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sync run',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = syncRunController;
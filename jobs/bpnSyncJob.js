@@ -1,73 +1,35 @@
 // ================================
-// Scheduled sync job (optional)
+// Scheduled BPN sync job
 // jobs/bpnSyncJob.js
 // ================================
 
-const cron = require('node-cron');
 const bpnApiService = require('../services/bpnApiService');
-
-class BPNSyncJob {
-  constructor() {
-    this.isRunning = false;
-  }
-
-  /**
-   * Start scheduled sync job
-   * Runs every day at 6:00 AM
-   */
-  start() {
-    console.log('🕒 Starting BPN sync scheduler...');
-    
-    // Run daily at 6:00 AM
-    cron.schedule('0 6 * * *', async () => {
-      if (this.isRunning) {
-        console.log('⚠️ BPN sync already running, skipping...');
-        return;
-      }
-
-      try {
-        this.isRunning = true;
-        console.log('🔄 Starting scheduled BPN sync...');
-        
-        const result = await bpnApiService.fullSync({
-          levelHargaId: 3 // konsumen level
-        });
-
-        if (result.success) {
-          console.log('✅ Scheduled BPN sync completed:', result.message);
-        } else {
-          console.error('❌ Scheduled BPN sync failed:', result.message);
-        }
-
-      } catch (error) {
-        console.error('❌ Scheduled BPN sync error:', error.message);
-      } finally {
-        this.isRunning = false;
-      }
-    });
-
-    console.log('✅ BPN sync scheduler started (daily at 6:00 AM)');
-  }
-
-  /**
-   * Manual trigger for testing
-   */
-  async runNow() {
-    if (this.isRunning) {
-      throw new Error('Sync job is already running');
+const syncRunService = require('../services/syncRunService');
+
+// produsen, grosir, konsumen
+const ALL_LEVEL_HARGA_IDS = [1, 2, 3];
+
+module.exports = {
+  name: 'bpn_full_sync',
+  description: 'Sync BPN commodities and national prices for all price levels',
+  // Runs every day at 6:00 AM unless rescheduled through /api/jobs
+  defaultCron: process.env.BPN_SYNC_CRON || '0 6 * * *',
+  lockTtlMinutes: 60,
+
+  async run({ trigger, triggeredBy }) {
+    const options = { levelHargaIds: ALL_LEVEL_HARGA_IDS };
+
+    const result = await syncRunService.track(
+      { source: 'bpn_full_sync', trigger, triggeredBy, options },
+      () => bpnApiService.fullSync(options)
+    );
+
+    if (result.success) {
+      console.log('✅ BPN sync completed:', result.message);
+    } else {
+      console.error('❌ BPN sync failed:', result.message);
     }
 
-    try {
-      this.isRunning = true;
-      console.log('🔄 Manual BPN sync triggered...');
-      
-      const result = await bpnApiService.fullSync();
-      return result;
-      
-    } finally {
-      this.isRunning = false;
-    }
+    return result;
   }
-}
-
-module.exports = new BPNSyncJob();
\ No newline at end of file
+};
@@ -0,0 +1,28 @@
+// ================================
+// Scheduled Google Sheet sync job
+// jobs/googleSheetSyncJob.js
+// ================================
+
+const googleSheetsService = require('../services/googleSheetsService');
+const syncRunService = require('../services/syncRunService');
+
+const intervalHours = process.env.SYNC_INTERVAL_HOURS || 6;
+
+module.exports = {
+  name: 'google_sheet_sync',
+  description: `Import Google Form responses into sembako prices (every ${intervalHours} hours)`,
+  defaultCron: `0 */${intervalHours} * * *`,
+  runOnStartup: true,
+  lockTtlMinutes: 60,
+
+  isEnabled() {
+    return !!(process.env.GOOGLE_SHEETS_API_KEY && process.env.GOOGLE_SHEET_ID);
+  },
+
+  async run({ trigger, triggeredBy }) {
+    return syncRunService.track(
+      { source: 'google_sheet', trigger, triggeredBy },
+      () => googleSheetsService.syncToDatabase()
+    );
+  }
+};
@@ -0,0 +1,7 @@
+// jobs/index.js - Register every background job with the scheduler
+const jobScheduler = require('../services/jobScheduler');
+
+jobScheduler.register(require('./bpnSyncJob'));
+jobScheduler.register(require('./googleSheetSyncJob'));
+
+module.exports = jobScheduler;
@@ -0,0 +1,67 @@
+// ================================
+// One scheduled job per Google Sheet source
+// jobs/sheetSourceJobs.js
+// ================================
+
+const jobScheduler = require('../services/jobScheduler');
+const { ScheduledJob, SheetSource } = require('../models');
+const sheetSourceService = require('../services/sheetSourceService');
+
+const jobName = (source) => `google_sheet_source_${source.id}`;
+
+const buildJob = (source) => ({
+  name: jobName(source),
+  description: `Import "${source.name}" form responses into sembako prices`,
+  defaultCron: source.cron_expression,
+  lockTtlMinutes: 60,
+
+  isEnabled() {
+    return !!process.env.GOOGLE_SHEETS_API_KEY;
+  },
+
+  async run({ trigger, triggeredBy }) {
+    const { result } = await sheetSourceService.syncSource(source.id, { trigger, triggeredBy });
+    return result;
+  }
+});
+
+/**
+ * Register, reschedule or stop the job after a source was saved.
+ * The job's persisted schedule (jobs API) wins over source.cron_expression unless
+ * cron_expression itself was just changed; deactivating keeps the schedule and pause state.
+ * @param {Object} options - { cronChanged }
+ */
+const refresh = async (source, { cronChanged = false } = {}) => {
+  if (source.is_active) {
+    await jobScheduler.upsert(buildJob(source), { reschedule: cronChanged });
+  } else {
+    await jobScheduler.unregister(jobName(source), { keepRow: true });
+    if (cronChanged) {
+      // Picked up when the source is activated again
+      await ScheduledJob.update({ cron_expression: source.cron_expression }, { where: { name: jobName(source) } });
+    }
+  }
+};
+
+const remove = (source) => jobScheduler.unregister(jobName(source));
+
+/**
+ * Register jobs for every active source (call before jobScheduler.start())
+ */
+const registerAll = async () => {
+  const sources = await SheetSource.findAll({ where: { is_active: true } });
+
+  for (const source of sources) {
+    await jobScheduler.upsert(buildJob(source));
+  }
+
+  return sources.length;
+};
+
+module.exports = {
+  jobName,
+  buildJob,
+  refresh,
+  remove,
+  registerAll
+};
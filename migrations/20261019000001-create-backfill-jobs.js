@@ -0,0 +1,93 @@
+// migrations/20261019000001-create-backfill-jobs.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('backfill_jobs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      start_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      end_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      komoditas_ids: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: "BPN commodity ids (Commodity.external_id)"
+      },
+      level_harga_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'running', 'completed', 'failed'),
+        defaultValue: 'pending'
+      },
+      last_completed_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: "Resume cursor - last day fully processed"
+      },
+      total_days: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      processed_days: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      saved_prices: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      errors: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('backfill_jobs', {
+      fields: ['status'],
+      name: 'idx_backfill_status'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('backfill_jobs');
+  }
+};
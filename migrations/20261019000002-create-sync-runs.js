@@ -0,0 +1,96 @@
+// migrations/20261019000002-create-sync-runs.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sync_runs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: "bpn_full_sync, bpn_price_sync, google_sheet, ..."
+      },
+      trigger_type: {
+        type: Sequelize.ENUM('cron', 'manual', 'startup'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      triggered_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "User id for manual runs",
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      status: {
+        type: Sequelize.ENUM('running', 'success', 'partial', 'failed'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      duration_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      counts: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      error_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      errors: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('sync_runs', {
+      fields: ['source', 'started_at'],
+      name: 'idx_sync_runs_source_started'
+    });
+
+    await queryInterface.addIndex('sync_runs', {
+      fields: ['status'],
+      name: 'idx_sync_runs_status'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('sync_runs');
+  }
+};
@@ -0,0 +1,75 @@
+// migrations/20261019000003-create-scheduled-jobs.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('scheduled_jobs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      cron_expression: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      is_paused: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      locked_by: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "hostname:pid of the process running the job"
+      },
+      locked_until: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_run_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_status: {
+        type: Sequelize.ENUM('success', 'failed'),
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      run_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('scheduled_jobs');
+  }
+};
@@ -0,0 +1,51 @@
+// migrations/20261019000004-create-cache-entries.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('cache_entries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      cache_key: {
+        type: Sequelize.STRING(191),
+        allowNull: false,
+        unique: true
+      },
+      value: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      stored_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      stale_until: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: "Expired entries are served while revalidating until this time"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('cache_entries');
+  }
+};
@@ -0,0 +1,92 @@
+// migrations/20261019000005-create-commodity-mappings.js
+'use strict';
+
+// Previously hard-coded in routes/bpnData.js generateComparison()
+const DEFAULT_MAPPINGS = [
+  ['Beras Premium', 'beras', 'Beras', 1],
+  ['Beras Medium', 'beras', 'Beras', 2],
+  ['Beras Kualitas Super I', 'beras', 'Beras', 1],
+  ['Gula Pasir Lokal', 'gula', 'Gula', 1],
+  ['Gula Pasir Kualitas Premium', 'gula', 'Gula', 2],
+  ['Minyak Goreng Curah', 'minyak', 'Minyak Goreng', 1],
+  ['Minyak Goreng Kemasan Bermerk', 'minyak', 'Minyak Goreng', 2],
+  ['Daging Sapi Kualitas I', 'daging', 'Daging Sapi', 1],
+  ['Daging Ayam Ras Segar', 'ayam', 'Daging Ayam', 1],
+  ['Telur Ayam Ras Segar', 'telur', 'Telur Ayam', 1],
+  ['Bawang Merah Ukuran Sedang', 'bawang_merah', 'Bawang Merah', 1],
+  ['Bawang Putih Ukuran Sedang', 'bawang_putih', 'Bawang Putih', 1],
+  ['Garam Beryodium', 'garam', 'Garam', 1]
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('commodity_mappings', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      bpn_external_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: "BPN commodity id; matched before bpn_name"
+      },
+      bpn_name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "BPN commodity name (case-insensitive match)"
+      },
+      internal_key: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: "Sembako commodity key, e.g. beras → harga_beras"
+      },
+      display_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('commodity_mappings', ['internal_key']);
+    await queryInterface.addIndex('commodity_mappings', ['bpn_external_id']);
+
+    const now = new Date();
+    await queryInterface.bulkInsert('commodity_mappings', DEFAULT_MAPPINGS.map(([bpnName, key, name, priority]) => ({
+      bpn_name: bpnName,
+      internal_key: key,
+      display_name: name,
+      priority,
+      is_active: true,
+      createdAt: now,
+      updatedAt: now
+    })));
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('commodity_mappings');
+  }
+};
@@ -0,0 +1,104 @@
+// migrations/20261019000006-create-sheet-sync-tables.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sheet_sync_states', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      sheet_key: {
+        type: Sequelize.STRING(191),
+        allowNull: false,
+        unique: true,
+        comment: "Spreadsheet id + sheet name"
+      },
+      last_row_index: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: "Last processed sheet row (1 = header only)"
+      },
+      total_rows: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.createTable('sheet_rows', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      sheet_key: {
+        type: Sequelize.STRING(191),
+        allowNull: false
+      },
+      row_index: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: "Row number in the sheet (_originalRowIndex)"
+      },
+      row_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: "SHA-256 of the row values"
+      },
+      sembako_price_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('synced', 'duplicate', 'error', 'deleted'),
+        allowNull: false,
+        defaultValue: 'synced'
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: "When the row disappeared from the sheet"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('sheet_rows', ['sheet_key', 'row_index']);
+    await queryInterface.addIndex('sheet_rows', ['sembako_price_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('sheet_rows');
+    await queryInterface.dropTable('sheet_sync_states');
+  }
+};
@@ -0,0 +1,79 @@
+// migrations/20261019000007-create-sheet-sources.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sheet_sources', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      sheet_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: "Google spreadsheet id"
+      },
+      sheet_gid: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: "Tab id; takes precedence over sheet_name"
+      },
+      sheet_name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'Form Responses 1'
+      },
+      range: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'A:N'
+      },
+      column_mappings: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      default_province: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Used when a row has no province column"
+      },
+      cron_expression: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        defaultValue: '0 */6 * * *'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('sheet_sources');
+  }
+};
@@ -0,0 +1,83 @@
+// migrations/20261019000008-create-import-rejections.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('import_rejections', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      source: {
+        type: Sequelize.ENUM('google_sheet', 'sembako_csv', 'market_price_csv'),
+        allowNull: false
+      },
+      source_ref: {
+        type: Sequelize.STRING(191),
+        allowNull: true,
+        comment: "Sheet key or uploaded file name"
+      },
+      row_number: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      raw_payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      error_reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      context: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'resolved', 'discarded'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      resolved_record_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      resolved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('import_rejections', ['source', 'status']);
+    await queryInterface.addIndex('import_rejections', ['source', 'source_ref', 'row_number']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('import_rejections');
+  }
+};
@@ -0,0 +1,17 @@
+// migrations/20261019000009-add-date-format-to-sheet-sources.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('sheet_sources', 'date_format', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: "DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD or auto; null = FORM_DATE_FORMAT",
+      after: 'default_province'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('sheet_sources', 'date_format');
+  }
+};
@@ -0,0 +1,121 @@
+// migrations/20261019000010-add-province-resolution.js
+'use strict';
+
+const {
+  BPS_PROVINCES,
+  DEFAULT_ALIASES,
+  normalizeProvinceName,
+  buildAliasMap,
+  matchProvinceCode
+} = require('../utils/provinceNames');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('province_aliases', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      alias: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      bps_code: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('province_aliases', Object.entries(DEFAULT_ALIASES).map(([alias, code]) => ({
+      alias: normalizeProvinceName(alias),
+      bps_code: code,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    await queryInterface.addColumn('sembako_prices', 'region_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'regions', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: "Province region resolved from province_name",
+      after: 'province_name'
+    });
+
+    await queryInterface.addIndex('sembako_prices', {
+      fields: ['region_id', 'survey_date'],
+      name: 'idx_region_date'
+    });
+
+    // Province regions are keyed by BPS code; add the ones BPN sync has not created yet
+    const [existing] = await queryInterface.sequelize.query(
+      "SELECT province_id FROM regions WHERE level = 'province'"
+    );
+    const existingCodes = new Set(existing.map(row => Number(row.province_id)));
+    const missing = BPS_PROVINCES.filter(({ code }) => !existingCodes.has(code));
+
+    if (missing.length > 0) {
+      await queryInterface.bulkInsert('regions', missing.map(({ code, name }) => ({
+        province_id: code,
+        province_name: name,
+        level: 'province',
+        createdAt: now,
+        updatedAt: now
+      })));
+    }
+
+    // Backfill existing rows
+    const [regions] = await queryInterface.sequelize.query(
+      "SELECT id, province_id FROM regions WHERE level = 'province'"
+    );
+    const regionByCode = new Map(regions.map(row => [Number(row.province_id), row.id]));
+    const aliases = buildAliasMap(Object.entries(DEFAULT_ALIASES));
+
+    const [names] = await queryInterface.sequelize.query(
+      'SELECT DISTINCT province_name FROM sembako_prices'
+    );
+    const unresolved = [];
+
+    for (const { province_name: provinceName } of names) {
+      const regionId = regionByCode.get(matchProvinceCode(provinceName, aliases));
+      if (!regionId) {
+        unresolved.push(provinceName);
+        continue;
+      }
+
+      await queryInterface.sequelize.query(
+        'UPDATE sembako_prices SET region_id = :regionId WHERE province_name = :provinceName',
+        { replacements: { regionId, provinceName } }
+      );
+    }
+
+    if (unresolved.length > 0) {
+      console.log(`⚠️ Unresolved province names (see GET /api/regions/provinces/unresolved): ${unresolved.join(', ')}`);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('sembako_prices', 'idx_region_date');
+    await queryInterface.removeColumn('sembako_prices', 'region_id');
+    await queryInterface.dropTable('province_aliases');
+  }
+};
@@ -0,0 +1,26 @@
+// migrations/20261019000011-add-writeback-to-sheet-sources.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('sheet_sources', 'writeback_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Write each row's sync status back to the sheet",
+      after: 'date_format'
+    });
+
+    await queryInterface.addColumn('sheet_sources', 'status_column', {
+      type: Sequelize.STRING(3),
+      allowNull: true,
+      comment: "First of the two status columns (status, message); null = column after range",
+      after: 'writeback_enabled'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('sheet_sources', 'status_column');
+    await queryInterface.removeColumn('sheet_sources', 'writeback_enabled');
+  }
+};
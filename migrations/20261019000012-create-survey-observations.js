@@ -0,0 +1,138 @@
+// migrations/20261019000012-create-survey-observations.js
+'use strict';
+
+// Survey commodities at the time of this migration (the wide harga_<code> columns)
+const COMMODITIES = [
+  { code: 'beras', name: 'Beras', unit: 'Rp/kg', category: 'beras' },
+  { code: 'gula', name: 'Gula', unit: 'Rp/kg', category: 'lainnya' },
+  { code: 'minyak', name: 'Minyak Goreng', unit: 'Rp/liter', category: 'lainnya' },
+  { code: 'daging', name: 'Daging Sapi', unit: 'Rp/kg', category: 'daging' },
+  { code: 'ayam', name: 'Daging Ayam', unit: 'Rp/kg', category: 'daging' },
+  { code: 'telur', name: 'Telur Ayam', unit: 'Rp/kg', category: 'lainnya' },
+  { code: 'bawang_merah', name: 'Bawang Merah', unit: 'Rp/kg', category: 'bumbu' },
+  { code: 'bawang_putih', name: 'Bawang Putih', unit: 'Rp/kg', category: 'bumbu' },
+  { code: 'gas', name: 'Gas LPG', unit: 'Rp/tabung 3kg', category: 'lainnya' },
+  { code: 'garam', name: 'Garam', unit: 'Rp/kg', category: 'bumbu' },
+  { code: 'susu', name: 'Susu', unit: 'Rp/liter', category: 'lainnya' }
+];
+
+const commodityIds = async (queryInterface) => {
+  const [rows] = await queryInterface.sequelize.query(
+    'SELECT id, code FROM commodities WHERE code IS NOT NULL'
+  );
+  return new Map(rows.map(row => [row.code, row.id]));
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('commodities', 'code', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      unique: true,
+      comment: 'Survey commodity key (e.g. beras → harga_beras); null for BPN-only commodities',
+      after: 'external_id'
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('commodities', COMMODITIES.map(commodity => ({
+      ...commodity,
+      is_active: true,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    await queryInterface.createTable('survey_observations', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      survey_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'sembako_prices', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      commodity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'commodities', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      unit: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'Rp/kg'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('survey_observations', {
+      fields: ['survey_id', 'commodity_id'],
+      unique: true,
+      name: 'uniq_survey_commodity'
+    });
+    await queryInterface.addIndex('survey_observations', {
+      fields: ['commodity_id'],
+      name: 'idx_observation_commodity'
+    });
+
+    // Wide → long: one observation per non-empty harga_<code> cell
+    const ids = await commodityIds(queryInterface);
+    for (const { code, unit } of COMMODITIES) {
+      await queryInterface.sequelize.query(
+        `INSERT INTO survey_observations (survey_id, commodity_id, price, unit, createdAt, updatedAt)
+         SELECT id, :commodityId, harga_${code}, :unit, createdAt, updatedAt
+         FROM sembako_prices
+         WHERE harga_${code} IS NOT NULL AND harga_${code} > 0`,
+        { replacements: { commodityId: ids.get(code), unit } }
+      );
+    }
+
+    for (const { code } of COMMODITIES) {
+      await queryInterface.removeColumn('sembako_prices', `harga_${code}`);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const { code } of COMMODITIES) {
+      await queryInterface.addColumn('sembako_prices', `harga_${code}`, {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      });
+    }
+
+    // Long → wide (commodities added after this migration are dropped)
+    const ids = await commodityIds(queryInterface);
+    for (const { code } of COMMODITIES) {
+      await queryInterface.sequelize.query(
+        `UPDATE sembako_prices SET harga_${code} = (
+           SELECT price FROM survey_observations
+           WHERE survey_observations.survey_id = sembako_prices.id
+             AND survey_observations.commodity_id = :commodityId
+         )`,
+        { replacements: { commodityId: ids.get(code) } }
+      );
+    }
+
+    await queryInterface.dropTable('survey_observations');
+    await queryInterface.bulkDelete('commodities', { code: COMMODITIES.map(({ code }) => code) });
+    await queryInterface.removeColumn('commodities', 'code');
+  }
+};
@@ -0,0 +1,104 @@
+// migrations/20261019000013-create-markets.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('markets', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      market_type: {
+        type: Sequelize.ENUM('Pasar Tradisional', 'Pasar Modern', 'Grosir', 'Online Shop'),
+        allowNull: false,
+        defaultValue: 'Pasar Tradisional'
+      },
+      region_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Province or city region the market is in'
+      },
+      address: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      latitude: {
+        type: Sequelize.DECIMAL(10, 7),
+        allowNull: true
+      },
+      longitude: {
+        type: Sequelize.DECIMAL(10, 7),
+        allowNull: true
+      },
+      operating_days: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Days the market is open, e.g. ["senin", "kamis"]; null = every day'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('markets', {
+      fields: ['region_id'],
+      name: 'idx_market_region'
+    });
+    await queryInterface.addIndex('markets', {
+      fields: ['name'],
+      name: 'idx_market_registry_name'
+    });
+
+    // Price rows keep market_name; market_id is filled by POST /api/markets/link and on save
+    await queryInterface.addColumn('sembako_prices', 'market_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Registered market matched from market_name',
+      after: 'market_name'
+    });
+    await queryInterface.addIndex('sembako_prices', {
+      fields: ['market_id', 'survey_date'],
+      name: 'idx_market_date'
+    });
+
+    await queryInterface.addColumn('marketprices', 'market_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'market_name'
+    });
+    await queryInterface.addIndex('marketprices', {
+      fields: ['market_id'],
+      name: 'idx_marketprices_market'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('marketprices', 'idx_marketprices_market');
+    await queryInterface.removeColumn('marketprices', 'market_id');
+    await queryInterface.removeIndex('sembako_prices', 'idx_market_date');
+    await queryInterface.removeColumn('sembako_prices', 'market_id');
+    await queryInterface.dropTable('markets');
+  }
+};
@@ -0,0 +1,45 @@
+// migrations/20261019000014-add-outlier-flags.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('sembako_prices', 'status', {
+      type: Sequelize.ENUM('draft', 'published', 'flagged', 'archived'),
+      defaultValue: 'published'
+    });
+
+    await queryInterface.addColumn('sembako_prices', 'flag_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Why the survey was flagged (outlier prices); null = not flagged',
+      after: 'status'
+    });
+
+    await queryInterface.addColumn('survey_observations', 'outlier_score', {
+      type: Sequelize.DECIMAL(8, 2),
+      allowNull: true,
+      comment: 'Robust z-score against recent prices; null = not enough history',
+      after: 'unit'
+    });
+
+    await queryInterface.addColumn('survey_observations', 'flag_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Why the price was flagged as an outlier; cleared when a reviewer confirms it',
+      after: 'outlier_score'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('survey_observations', 'flag_reason');
+    await queryInterface.removeColumn('survey_observations', 'outlier_score');
+    await queryInterface.removeColumn('sembako_prices', 'flag_reason');
+
+    // Unconfirmed outliers stay out of the published data
+    await queryInterface.sequelize.query("UPDATE sembako_prices SET status = 'draft' WHERE status = 'flagged'");
+    await queryInterface.changeColumn('sembako_prices', 'status', {
+      type: Sequelize.ENUM('draft', 'published', 'archived'),
+      defaultValue: 'published'
+    });
+  }
+};
@@ -0,0 +1,76 @@
+// migrations/20261019000015-add-moderation.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('sembako_prices', 'status', {
+      type: Sequelize.ENUM('draft', 'published', 'flagged', 'rejected', 'archived'),
+      defaultValue: 'published'
+    });
+
+    await queryInterface.changeColumn('marketprices', 'status', {
+      type: Sequelize.ENUM('draft', 'published', 'rejected', 'archived'),
+      defaultValue: 'published'
+    });
+
+    // audit_logs was created by model sync on older installs; moderation decisions need the value columns
+    const tables = (await queryInterface.showAllTables()).map(table => (typeof table === 'string' ? table : table.tableName));
+    if (!tables.includes('audit_logs')) {
+      await queryInterface.createTable('audit_logs', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        user_id: Sequelize.INTEGER,
+        action: Sequelize.STRING,
+        entity_type: Sequelize.STRING,
+        entity_id: Sequelize.INTEGER,
+        old_values: Sequelize.JSON,
+        new_values: Sequelize.JSON,
+        ip_address: Sequelize.STRING,
+        user_agent: Sequelize.STRING,
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+          defaultValue: Sequelize.NOW
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+          defaultValue: Sequelize.NOW
+        }
+      });
+    } else {
+      const columns = await queryInterface.describeTable('audit_logs');
+      for (const column of ['old_values', 'new_values']) {
+        if (!columns[column]) {
+          await queryInterface.addColumn('audit_logs', column, { type: Sequelize.JSON, allowNull: true });
+        }
+      }
+    }
+
+    await queryInterface.addIndex('audit_logs', {
+      fields: ['entity_type', 'entity_id'],
+      name: 'idx_audit_entity'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('audit_logs', 'idx_audit_entity');
+
+    // Rejected submissions stay out of the published data
+    await queryInterface.sequelize.query("UPDATE sembako_prices SET status = 'archived' WHERE status = 'rejected'");
+    await queryInterface.sequelize.query("UPDATE marketprices SET status = 'archived' WHERE status = 'rejected'");
+
+    await queryInterface.changeColumn('marketprices', 'status', {
+      type: Sequelize.ENUM('draft', 'published', 'archived'),
+      defaultValue: 'published'
+    });
+    await queryInterface.changeColumn('sembako_prices', 'status', {
+      type: Sequelize.ENUM('draft', 'published', 'flagged', 'archived'),
+      defaultValue: 'published'
+    });
+  }
+};
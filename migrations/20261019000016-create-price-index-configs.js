@@ -0,0 +1,69 @@
+// migrations/20261019000016-create-price-index-configs.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('price_index_configs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        defaultValue: 'Indeks Harga Sembako'
+      },
+      weights: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Survey commodity code → weight, e.g. { "beras": 0.3 }; normalized to the available commodities'
+      },
+      base_start: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+        comment: 'First day of the base period (index = 100)'
+      },
+      base_end: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      missing_rule: {
+        type: Sequelize.ENUM('carry_forward', 'reweight', 'skip'),
+        allowNull: false,
+        defaultValue: 'carry_forward',
+        comment: 'What to do with a basket commodity that has no price in a period'
+      },
+      min_coverage: {
+        type: Sequelize.DECIMAL(4, 2),
+        allowNull: false,
+        defaultValue: 0.6,
+        comment: 'Share of the basket weight that must be observed in a period for an index value'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('price_index_configs');
+  }
+};
@@ -0,0 +1,62 @@
+// migrations/20261019000017-create-minimum-wages.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('minimum_wages', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      region_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Province region the UMP applies to'
+      },
+      year: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Monthly provincial minimum wage (UMP) in Rupiah'
+      },
+      effective_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Decree number or URL (e.g. SK Gubernur)'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('minimum_wages', {
+      fields: ['region_id', 'year'],
+      unique: true,
+      name: 'idx_minimum_wage_region_year'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('minimum_wages');
+  }
+};
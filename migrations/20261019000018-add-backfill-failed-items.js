@@ -0,0 +1,27 @@
+// migrations/20261019000018-add-backfill-failed-items.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('backfill_jobs', 'failed_items', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Commodity/day pairs to retry on resume: [{ date, komoditas_id, error, attempts }]'
+    });
+
+    await queryInterface.changeColumn('backfill_jobs', 'status', {
+      type: Sequelize.ENUM('pending', 'running', 'completed', 'partial', 'failed'),
+      defaultValue: 'pending'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query("UPDATE backfill_jobs SET status = 'failed' WHERE status = 'partial'");
+    await queryInterface.changeColumn('backfill_jobs', 'status', {
+      type: Sequelize.ENUM('pending', 'running', 'completed', 'failed'),
+      defaultValue: 'pending'
+    });
+
+    await queryInterface.removeColumn('backfill_jobs', 'failed_items');
+  }
+};
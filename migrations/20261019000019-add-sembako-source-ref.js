@@ -0,0 +1,28 @@
+// migrations/20261019000019-add-sembako-source-ref.js
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('sembako_prices', 'source_ref', {
+      type: Sequelize.STRING(191),
+      allowNull: true,
+      comment: 'Sheet key (sheet_rows.sheet_key) of the Google Sheet the row came from'
+    });
+
+    // Records already tracked by a sheet row belong to that sheet
+    await queryInterface.sequelize.query(`
+      UPDATE sembako_prices
+      SET source_ref = (
+        SELECT sheet_rows.sheet_key FROM sheet_rows
+        WHERE sheet_rows.sembako_price_id = sembako_prices.id
+        ORDER BY sheet_rows.id DESC
+        LIMIT 1
+      )
+      WHERE source = 'google_sheet'
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('sembako_prices', 'source_ref');
+  }
+};
@@ -0,0 +1,207 @@
+// mocks/bpn/server.js - Local stand-in for the BPN panel API, replaying recorded fixtures
+//
+// Run standalone:  npm run mock:bpn   (BPN_MOCK_PORT, default 4010)
+// then start the backend with
+//   BPN_API_BASE_URL=http://localhost:4010/api
+//   BPN_PANEL_BASE_URL=http://localhost:4010
+//
+// Failure scenarios can be forced for every endpoint or for a single one:
+//   POST /__mock/scenario { "scenario": "timeout", "endpoint": "harga-peta-provinsi" }
+//   or per request with the x-bpn-mock-scenario header / __scenario query param
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+const SCENARIOS = {
+  ok: 'Replay the recorded fixture',
+  empty: 'status=success with an empty data array',
+  api_error: 'HTTP 200 with status=error (BPN rejects the request)',
+  error: 'HTTP 500',
+  timeout: 'Hold the request open until the client gives up',
+  malformed: 'HTTP 200 with a truncated JSON body'
+};
+
+const EMPTY_RESPONSE = { status: 'success', message: 'Data tidak ditemukan', data: [] };
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8'));
+
+/**
+ * Build the mock app
+ * @param {Object} options - { scenario = 'ok', hangMs = 120000 }
+ */
+const createBpnMockServer = (options = {}) => {
+  const state = {
+    scenario: options.scenario || 'ok',
+    endpointScenarios: {},
+    hangMs: options.hangMs || 120000,
+    requests: []
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  // Control endpoints
+  app.get('/__mock/requests', (req, res) => {
+    res.json({ success: true, data: state.requests });
+  });
+
+  app.post('/__mock/scenario', (req, res) => {
+    try {
+      setScenario(req.body?.scenario, req.body?.endpoint);
+      res.json({ success: true, data: { scenario: state.scenario, endpoints: state.endpointScenarios } });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message, scenarios: SCENARIOS });
+    }
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  /**
+   * Wrap a fixture handler with request logging and scenario handling
+   */
+  const endpoint = (name, handler) => (req, res) => {
+    const scenario = req.get('x-bpn-mock-scenario') || req.query.__scenario
+      || state.endpointScenarios[name] || state.scenario;
+
+    state.requests.push({ endpoint: name, query: req.query, scenario, at: new Date().toISOString() });
+
+    switch (scenario) {
+      case 'empty':
+        return res.json(EMPTY_RESPONSE);
+      case 'api_error':
+        return res.json({ status: 'error', message: 'Mock: request rejected by BPN', data: null });
+      case 'error':
+        return res.status(500).json({ status: 'error', message: 'Mock: internal server error' });
+      case 'malformed':
+        return res.type('application/json').send('{"status":"success","data":[{"id":1,"name":"Beras');
+      case 'timeout': {
+        const timer = setTimeout(() => res.json(EMPTY_RESPONSE), state.hangMs);
+        res.on('close', () => clearTimeout(timer));
+        return;
+      }
+      default:
+        return handler(req, res);
+    }
+  };
+
+  app.get('/api/front/harga-pangan-informasi', endpoint('harga-pangan-informasi', (req, res) => {
+    const level = parseInt(req.query.level_harga_id) || 3;
+    const file = `harga-pangan-informasi-level-${level}.json`;
+
+    if (!fs.existsSync(path.join(FIXTURE_DIR, file))) {
+      return res.json(EMPTY_RESPONSE);
+    }
+
+    const fixture = loadFixture(file);
+    res.json({
+      ...fixture,
+      request_data: {
+        province_id: req.query.province_id || '',
+        city_id: req.query.city_id || '',
+        level_harga_id: String(level)
+      }
+    });
+  }));
+
+  app.get('/api/front/harga-peta-provinsi', endpoint('harga-peta-provinsi', (req, res) => {
+    const fixtures = loadFixture('harga-peta-provinsi.json');
+    res.json(fixtures[req.query.komoditas_id] || EMPTY_RESPONSE);
+  }));
+
+  app.get('/api/provinces', endpoint('provinces', (req, res) => {
+    const fixture = loadFixture('provinces.json');
+    const search = String(req.query.search || '').toLowerCase();
+
+    res.json({
+      ...fixture,
+      data: fixture.data.filter(province => province.nama.toLowerCase().includes(search))
+    });
+  }));
+
+  app.get('/api/cities', endpoint('cities', (req, res) => {
+    const fixtures = loadFixture('cities.json');
+    res.json(fixtures[req.query.province_id] || EMPTY_RESPONSE);
+  }));
+
+  // Commodity icons (every filename gets the same placeholder image)
+  app.get('/assets/img/komoditas-ikon/:filename', endpoint('komoditas-ikon', (req, res) => {
+    res.type('png').send(fs.readFileSync(path.join(FIXTURE_DIR, 'icon.png')));
+  }));
+
+  app.use((req, res) => {
+    res.status(404).json({ status: 'error', message: `Mock: no fixture for ${req.path}` });
+  });
+
+  /**
+   * Force a scenario for all endpoints, or only for one endpoint
+   */
+  function setScenario(scenario, endpointName = null) {
+    if (!SCENARIOS[scenario]) {
+      throw new Error(`Unknown scenario: ${scenario}`);
+    }
+
+    if (endpointName) {
+      state.endpointScenarios[endpointName] = scenario;
+    } else {
+      state.scenario = scenario;
+      state.endpointScenarios = {};
+    }
+  }
+
+  function reset() {
+    state.scenario = options.scenario || 'ok';
+    state.endpointScenarios = {};
+    state.requests = [];
+  }
+
+  /**
+   * Start listening; port 0 picks a free port
+   * @returns {Promise<{ url: string, apiBaseUrl: string, close: Function }>}
+   */
+  const listen = (port = 0) => new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        apiBaseUrl: `${url}/api`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+    server.on('error', reject);
+  });
+
+  return {
+    app,
+    state,
+    setScenario,
+    reset,
+    listen,
+    requestsFor: (endpointName) => state.requests.filter(request => request.endpoint === endpointName)
+  };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.BPN_MOCK_PORT) || 4010;
+
+  createBpnMockServer({ scenario: process.env.BPN_MOCK_SCENARIO || 'ok' })
+    .listen(port)
+    .then(({ url, apiBaseUrl }) => {
+      console.log(`🧪 BPN mock server running at ${url}`);
+      console.log(`   BPN_API_BASE_URL=${apiBaseUrl}`);
+      console.log(`   BPN_PANEL_BASE_URL=${url}`);
+      console.log(`   Scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+    });
+}
+
+module.exports = {
+  SCENARIOS,
+  createBpnMockServer
+};
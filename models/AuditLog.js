@@ -9,6 +9,8 @@ AuditLog.init(
     action: DataTypes.STRING,
     entity_type: DataTypes.STRING,
     entity_id: DataTypes.INTEGER,
+    old_values: DataTypes.JSON,
+    new_values: DataTypes.JSON, // e.g. { status, comment } for moderation decisions
     ip_address: DataTypes.STRING,
     user_agent: DataTypes.STRING,
   },
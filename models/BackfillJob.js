@@ -0,0 +1,76 @@
+// models/BackfillJob.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const BackfillJob = sequelize.define('BackfillJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  komoditas_ids: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'BPN commodity ids (Commodity.external_id)'
+  },
+  level_harga_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'partial', 'failed'),
+    defaultValue: 'pending'
+  },
+  last_completed_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Resume cursor - last day fully processed'
+  },
+  total_days: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  processed_days: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  saved_prices: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  errors: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  failed_items: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Commodity/day pairs to retry on resume: [{ date, komoditas_id, error, attempts }]'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'backfill_jobs'
+});
+
+module.exports = BackfillJob;
@@ -0,0 +1,38 @@
+// models/CacheEntry.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CacheEntry = sequelize.define('CacheEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  cache_key: {
+    type: DataTypes.STRING(191),
+    allowNull: false,
+    unique: true
+  },
+  value: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  stored_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  stale_until: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Expired entries are served while revalidating until this time'
+  }
+}, {
+  timestamps: true,
+  tableName: 'cache_entries'
+});
+
+module.exports = CacheEntry;
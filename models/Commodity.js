@@ -13,6 +13,12 @@ const Commodity = sequelize.define('Commodity', {
     allowNull: true,
     comment: 'ID from Badan Pangan API'
   },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    unique: true,
+    comment: 'Survey commodity key (e.g. beras → harga_beras); null for BPN-only commodities'
+  },
   name: {
     type: DataTypes.STRING,
     allowNull: false
@@ -0,0 +1,53 @@
+// models/CommodityMapping.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CommodityMapping = sequelize.define('CommodityMapping', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  bpn_external_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'BPN commodity id; matched before bpn_name'
+  },
+  bpn_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'BPN commodity name (case-insensitive match)'
+  },
+  internal_key: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Sembako commodity key, e.g. beras → harga_beras'
+  },
+  display_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Lower wins when several BPN items map to the same key'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'commodity_mappings',
+  indexes: [
+    { fields: ['internal_key'] },
+    { fields: ['bpn_external_id'] }
+  ]
+});
+
+module.exports = CommodityMapping;
@@ -0,0 +1,76 @@
+// models/ImportRejection.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ImportRejection = sequelize.define('ImportRejection', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  source: {
+    type: DataTypes.ENUM('google_sheet', 'sembako_csv', 'market_price_csv'),
+    allowNull: false
+  },
+  source_ref: {
+    type: DataTypes.STRING(191),
+    allowNull: true,
+    comment: 'Sheet key or uploaded file name'
+  },
+  row_number: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Sheet row index or CSV line (1 = first data row)'
+  },
+  raw_payload: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Row values keyed by header, editable before re-submit'
+  },
+  error_reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  context: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'What the re-submit needs, e.g. sheet_key and sheet_source_id'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'resolved', 'discarded'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Re-submit attempts'
+  },
+  resolved_record_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'sembako_prices / market_prices id created by the fix'
+  },
+  resolved_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'import_rejections',
+  indexes: [
+    { fields: ['source', 'status'] },
+    { fields: ['source', 'source_ref', 'row_number'] }
+  ]
+});
+
+module.exports = ImportRejection;
@@ -0,0 +1,62 @@
+// models/Market.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Market = sequelize.define('Market', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  market_type: {
+    type: DataTypes.ENUM('Pasar Tradisional', 'Pasar Modern', 'Grosir', 'Online Shop'),
+    allowNull: false,
+    defaultValue: 'Pasar Tradisional'
+  },
+  region_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Province or city region the market is in'
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    validate: { min: -90, max: 90 }
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    validate: { min: -180, max: 180 }
+  },
+  operating_days: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Days the market is open, e.g. ["senin", "kamis"]; null = every day'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'markets',
+  indexes: [
+    { fields: ['region_id'], name: 'idx_market_region' },
+    { fields: ['name'], name: 'idx_market_registry_name' }
+  ]
+});
+
+module.exports = Market;
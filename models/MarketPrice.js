@@ -2,6 +2,21 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/database");
 
+const linkMarket = async (price) => {
+  if (!price.market_name) {
+    price.market_id = null;
+    return;
+  }
+
+  try {
+    const { resolveMarket } = require("../services/marketMatcher");
+    const market = await resolveMarket(price.market_name, { provinceId: price.province_id });
+    price.market_id = market ? market.id : null;
+  } catch (error) {
+    console.error("⚠️ Market matching failed:", error.message);
+  }
+};
+
 const MarketPrice = sequelize.define("MarketPrice", {
   product_name: {
     type: DataTypes.STRING,
@@ -29,6 +44,10 @@ const MarketPrice = sequelize.define("MarketPrice", {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  market_id: { // pasar terdaftar (markets), dicocokkan dari market_name
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
   province_id: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -60,12 +79,21 @@ const MarketPrice = sequelize.define("MarketPrice", {
     allowNull: true,
   },
   status: { // moderasi data
-    type: DataTypes.ENUM("draft", "published", "archived"),
+    type: DataTypes.ENUM("draft", "published", "rejected", "archived"),
     defaultValue: "published",
   },
 }, {
   tableName: "marketprices",
   timestamps: true,
+  hooks: {
+    // Cocokkan market_name ke pasar terdaftar
+    beforeSave: async (price) => {
+      const needsMarket = price.isNewRecord
+        ? !price.market_id
+        : price.changed("market_name") && !price.changed("market_id");
+      if (needsMarket) await linkMarket(price);
+    },
+  },
 });
 
 module.exports = MarketPrice;
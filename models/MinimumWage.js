@@ -0,0 +1,53 @@
+// models/MinimumWage.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const MinimumWage = sequelize.define('MinimumWage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  region_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Province region the UMP applies to'
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 2000, max: 2100 }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Monthly provincial minimum wage (UMP) in Rupiah',
+    validate: { min: 0 }
+  },
+  effective_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Usually 1 January of the year'
+  },
+  source: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Decree number or URL (e.g. SK Gubernur)'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'minimum_wages',
+  indexes: [
+    {
+      unique: true,
+      fields: ['region_id', 'year'],
+      name: 'idx_minimum_wage_region_year'
+    }
+  ]
+});
+
+module.exports = MinimumWage;
@@ -0,0 +1,56 @@
+// models/PriceIndexConfig.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const PriceIndexConfig = sequelize.define('PriceIndexConfig', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'Indeks Harga Sembako'
+  },
+  weights: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Survey commodity code → weight, e.g. { "beras": 0.3 }; normalized to the available commodities'
+  },
+  base_start: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'First day of the base period (index = 100)'
+  },
+  base_end: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  missing_rule: {
+    type: DataTypes.ENUM('carry_forward', 'reweight', 'skip'),
+    allowNull: false,
+    defaultValue: 'carry_forward',
+    comment: 'What to do with a basket commodity that has no price in a period'
+  },
+  min_coverage: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: false,
+    defaultValue: 0.6,
+    comment: 'Share of the basket weight that must be observed in a period for an index value'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Only the newest active config is used; older ones are kept as history'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'price_index_configs'
+});
+
+module.exports = PriceIndexConfig;
@@ -0,0 +1,31 @@
+// models/ProvinceAlias.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ProvinceAlias = sequelize.define('ProvinceAlias', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  alias: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Normalized spelling (lowercase, no punctuation), e.g. "jabar"'
+  },
+  bps_code: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'BPS province code the alias stands for'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'province_aliases'
+});
+
+module.exports = ProvinceAlias;
@@ -0,0 +1,62 @@
+// models/ScheduledJob.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ScheduledJob = sequelize.define('ScheduledJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  cron_expression: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  is_paused: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  locked_by: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'hostname:pid of the process running the job'
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_status: {
+    type: DataTypes.ENUM('success', 'failed'),
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  run_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true,
+  tableName: 'scheduled_jobs'
+});
+
+module.exports = ScheduledJob;
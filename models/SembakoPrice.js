@@ -4,6 +4,16 @@
 const { DataTypes } = require("sequelize");
 const sequelize = require("../config/database");
 
+const linkMarket = async (price) => {
+  try {
+    const { resolveMarket } = require("../services/marketMatcher");
+    const market = await resolveMarket(price.market_name, { regionId: price.region_id });
+    price.market_id = market ? market.id : null;
+  } catch (error) {
+    console.error("⚠️ Market matching failed:", error.message);
+  }
+};
+
 const SembakoPrice = sequelize.define("SembakoPrice", {
   // Data umum
   timestamp: {
@@ -15,71 +25,26 @@ const SembakoPrice = sequelize.define("SembakoPrice", {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  region_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: "Province region resolved from province_name",
+  },
   market_name: {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  market_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: "Registered market matched from market_name",
+  },
   survey_date: {
     type: DataTypes.DATEONLY,
     allowNull: false,
   },
   
-  // 9 Bahan Pokok (Sembako)
-  harga_beras: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga beras per kg",
-  },
-  harga_gula: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga gula per kg",
-  },
-  harga_minyak: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga minyak goreng per liter",
-  },
-  harga_daging: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga daging sapi per kg",
-  },
-  harga_ayam: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga ayam per kg",
-  },
-  harga_telur: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga telur per kg",
-  },
-  harga_bawang_merah: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga bawang merah per kg",
-  },
-  harga_bawang_putih: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga bawang putih per kg",
-  },
-  harga_gas: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga gas LPG 3kg per tabung",
-  },
-  harga_garam: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga garam per kg",
-  },
-  harga_susu: {
-    type: DataTypes.DECIMAL(10, 2),
-    allowNull: true,
-    comment: "Harga susu per liter/kemasan",
-  },
+  // Harga per komoditas disimpan di survey_observations (lihat SurveyObservation)
   
   // Meta data
   source: {
@@ -87,14 +52,23 @@ const SembakoPrice = sequelize.define("SembakoPrice", {
     allowNull: false,
     defaultValue: "manual",
   },
+  source_ref: {
+    type: DataTypes.STRING(191),
+    allowNull: true,
+    comment: "Sheet key (sheet_rows.sheet_key) of the Google Sheet the row came from",
+  },
   created_by: {
     type: DataTypes.INTEGER,
     allowNull: true,
   },
   status: {
-    type: DataTypes.ENUM("draft", "published", "archived"),
+    type: DataTypes.ENUM("draft", "published", "flagged", "rejected", "archived"),
     defaultValue: "published",
   },
+  flag_reason: { // kenapa harga survei ditandai (outlier), null = tidak ditandai
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
 }, {
   tableName: "sembako_prices",
   timestamps: true,
@@ -103,10 +77,18 @@ const SembakoPrice = sequelize.define("SembakoPrice", {
       fields: ["province_name", "survey_date"],
       name: "idx_province_date"
     },
+    {
+      fields: ["region_id", "survey_date"],
+      name: "idx_region_date"
+    },
     {
       fields: ["market_name"],
       name: "idx_market_name"
     },
+    {
+      fields: ["market_id", "survey_date"],
+      name: "idx_market_date"
+    },
     {
       fields: ["survey_date"],
       name: "idx_survey_date"
@@ -115,7 +97,27 @@ const SembakoPrice = sequelize.define("SembakoPrice", {
       fields: ["status"],
       name: "idx_status"
     }
-  ]
+  ],
+  hooks: {
+    // Link new rows (and renamed provinces/markets) to their canonical province region and registered market
+    beforeSave: async (price) => {
+      const needsResolve = price.isNewRecord ? !price.region_id : price.changed("province_name");
+      if (needsResolve) {
+        try {
+          const { resolveProvince } = require("../services/provinceResolver");
+          const resolved = await resolveProvince(price.province_name);
+          price.region_id = resolved ? resolved.region_id : null;
+        } catch (error) {
+          console.error("⚠️ Province resolution failed:", error.message);
+        }
+      }
+
+      const needsMarket = price.isNewRecord
+        ? !price.market_id
+        : price.changed("market_name") && !price.changed("market_id");
+      if (needsMarket) await linkMarket(price);
+    }
+  }
 });
 
 module.exports = SembakoPrice;
\ No newline at end of file
@@ -0,0 +1,52 @@
+// models/SheetRow.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SheetRow = sequelize.define('SheetRow', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  sheet_key: {
+    type: DataTypes.STRING(191),
+    allowNull: false
+  },
+  row_index: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Row number in the sheet (_originalRowIndex)'
+  },
+  row_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the row values'
+  },
+  sembako_price_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('synced', 'duplicate', 'error', 'deleted'),
+    allowNull: false,
+    defaultValue: 'synced'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the row disappeared from the sheet'
+  }
+}, {
+  timestamps: true,
+  tableName: 'sheet_rows',
+  indexes: [
+    { fields: ['sheet_key', 'row_index'] }, // not unique: deleted rows keep their last index
+    { fields: ['sembako_price_id'] }
+  ]
+});
+
+module.exports = SheetRow;
@@ -0,0 +1,83 @@
+// models/SheetSource.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SheetSource = sequelize.define('SheetSource', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  sheet_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Google spreadsheet id'
+  },
+  sheet_gid: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Tab id; takes precedence over sheet_name'
+  },
+  sheet_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Form Responses 1'
+  },
+  range: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'A:N'
+  },
+  column_mappings: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Per-field header names checked before the defaults, e.g. { "harga_beras": ["Beras (Rp/kg)"] }'
+  },
+  default_province: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Used when a row has no province column'
+  },
+  date_format: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD or auto; null = FORM_DATE_FORMAT'
+  },
+  writeback_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: "Write each row's sync status back to the sheet"
+  },
+  status_column: {
+    type: DataTypes.STRING(3),
+    allowNull: true,
+    comment: 'First of the two status columns (status, message); null = column after range'
+  },
+  cron_expression: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: '0 */6 * * *'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'sheet_sources'
+});
+
+module.exports = SheetSource;
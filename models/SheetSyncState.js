@@ -0,0 +1,36 @@
+// models/SheetSyncState.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SheetSyncState = sequelize.define('SheetSyncState', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  sheet_key: {
+    type: DataTypes.STRING(191),
+    allowNull: false,
+    unique: true,
+    comment: 'Spreadsheet id + sheet name'
+  },
+  last_row_index: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Last processed sheet row (1 = header only)'
+  },
+  total_rows: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'sheet_sync_states'
+});
+
+module.exports = SheetSyncState;
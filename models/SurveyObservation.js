@@ -0,0 +1,58 @@
+// models/SurveyObservation.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One price per commodity per survey (sembako_prices row)
+const SurveyObservation = sequelize.define('SurveyObservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  survey_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'sembako_prices.id'
+  },
+  commodity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: { min: 0.01 }
+  },
+  unit: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'Rp/kg',
+    comment: 'Commodity unit at the time of the survey'
+  },
+  outlier_score: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true,
+    comment: 'Robust z-score against recent prices; null = not enough history'
+  },
+  flag_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why the price was flagged as an outlier; cleared when a reviewer confirms it'
+  }
+}, {
+  timestamps: true,
+  tableName: 'survey_observations',
+  indexes: [
+    {
+      unique: true,
+      fields: ['survey_id', 'commodity_id'],
+      name: 'uniq_survey_commodity'
+    },
+    {
+      fields: ['commodity_id'],
+      name: 'idx_observation_commodity'
+    }
+  ]
+});
+
+module.exports = SurveyObservation;
@@ -0,0 +1,79 @@
+// models/SyncRun.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SyncRun = sequelize.define('SyncRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  source: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'bpn_full_sync, bpn_price_sync, google_sheet, ...'
+  },
+  trigger_type: {
+    type: DataTypes.ENUM('cron', 'manual', 'startup'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  triggered_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'User id for manual runs'
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'success', 'partial', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  duration_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  counts: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  error_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  errors: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  options: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'sync_runs',
+  indexes: [
+    {
+      fields: ['source', 'started_at'],
+      name: 'idx_sync_runs_source_started'
+    },
+    {
+      fields: ['status'],
+      name: 'idx_sync_runs_status'
+    }
+  ]
+});
+
+module.exports = SyncRun;
@@ -9,6 +9,21 @@ const Region = require('./Region');
 const User = require('./User');
 const AuditLog = require('./AuditLog');
 const MarketPrice = require('./MarketPrice');
+const BackfillJob = require('./BackfillJob');
+const SyncRun = require('./SyncRun');
+const ScheduledJob = require('./ScheduledJob');
+const CacheEntry = require('./CacheEntry');
+const CommodityMapping = require('./CommodityMapping');
+const SheetSyncState = require('./SheetSyncState');
+const SheetRow = require('./SheetRow');
+const SheetSource = require('./SheetSource');
+const ImportRejection = require('./ImportRejection');
+const ProvinceAlias = require('./ProvinceAlias');
+const SembakoPrice = require('./SembakoPrice');
+const SurveyObservation = require('./SurveyObservation');
+const Market = require('./Market');
+const PriceIndexConfig = require('./PriceIndexConfig');
+const MinimumWage = require('./MinimumWage');
 
 // 🔗 Setup associations
 Commodity.hasMany(Price, { foreignKey: 'commodity_id' });
@@ -18,10 +33,77 @@ Region.hasMany(Price, { foreignKey: 'region_id' });
 Price.belongsTo(Region, { foreignKey: 'region_id' });
 
 // ✅ MarketPrice → Region
+// No FK constraint: regions.province_id is shared by a province and its cities, so it is not a unique key
 MarketPrice.belongsTo(Region, {
   foreignKey: "province_id",
   targetKey: "province_id",
-  as: "province"
+  as: "province",
+  constraints: false
+});
+
+// SyncRun → User (who triggered a manual run)
+SyncRun.belongsTo(User, {
+  foreignKey: "triggered_by",
+  as: "user",
+  constraints: false
+});
+
+// SembakoPrice → Region (canonical province)
+SembakoPrice.belongsTo(Region, {
+  foreignKey: "region_id",
+  as: "region",
+  constraints: false
+});
+
+// SembakoPrice (survey) → SurveyObservation (one price per commodity)
+SembakoPrice.hasMany(SurveyObservation, {
+  foreignKey: "survey_id",
+  as: "observations",
+  onDelete: "CASCADE"
+});
+SurveyObservation.belongsTo(SembakoPrice, {
+  foreignKey: "survey_id",
+  as: "survey"
+});
+Commodity.hasMany(SurveyObservation, { foreignKey: 'commodity_id' });
+SurveyObservation.belongsTo(Commodity, { foreignKey: 'commodity_id' });
+
+// Market registry: Market → Region, price rows → Market
+Market.belongsTo(Region, {
+  foreignKey: "region_id",
+  as: "region",
+  constraints: false
+});
+SembakoPrice.belongsTo(Market, {
+  foreignKey: "market_id",
+  as: "market",
+  constraints: false
+});
+MarketPrice.belongsTo(Market, {
+  foreignKey: "market_id",
+  as: "market",
+  constraints: false
+});
+
+// AuditLog → User (who did it)
+AuditLog.belongsTo(User, {
+  foreignKey: "user_id",
+  as: "user",
+  constraints: false
+});
+
+// ImportRejection → User (who fixed the row)
+ImportRejection.belongsTo(User, {
+  foreignKey: "resolved_by",
+  as: "resolver",
+  constraints: false
+});
+
+// MinimumWage → Region (province)
+MinimumWage.belongsTo(Region, {
+  foreignKey: "region_id",
+  as: "region",
+  constraints: false
 });
 
 // Export
@@ -34,4 +116,19 @@ module.exports = {
   User,
   AuditLog,
   MarketPrice,
+  BackfillJob,
+  SyncRun,
+  ScheduledJob,
+  CacheEntry,
+  CommodityMapping,
+  SheetSyncState,
+  SheetRow,
+  SheetSource,
+  ImportRejection,
+  ProvinceAlias,
+  SembakoPrice,
+  SurveyObservation,
+  Market,
+  PriceIndexConfig,
+  MinimumWage,
 };
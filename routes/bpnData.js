@@ -4,69 +4,52 @@
 const express = require('express');
 const router = express.Router();
 const bpnApiService = require('../services/bpnApiService');
+const syncRunService = require('../services/syncRunService');
+const { resolveRegionId } = require('../services/priceSync');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 
-// Cache untuk data BPN
-let bpnCache = {
-  data: null,
-  timestamp: null,
-  expiry: 30 * 60 * 1000 // 30 menit
-};
+const cacheService = require('../services/cacheService');
+const commodityMappingService = require('../services/commodityMappingService');
+const provinceComparisonService = require('../services/provinceComparisonService');
+const surveyCommodityService = require('../services/surveyCommodityService');
 
-// GET /api/bpn/prices - Get BPN price data using existing service
+const toISO = (timestamp) => new Date(timestamp).toISOString();
+
+// GET /api/bpn/prices - Get BPN price data (cached per level/province/city)
 router.get('/prices', async (req, res) => {
+  const options = {
+    provinceId: req.query.province_id || '',
+    cityId: req.query.city_id || '',
+    levelHargaId: parseInt(req.query.level_harga_id) || 3
+  };
+
   try {
-    // Check cache first
-    const now = Date.now();
-    if (bpnCache.data && bpnCache.timestamp && (now - bpnCache.timestamp) < bpnCache.expiry) {
-      console.log('📊 Serving BPN data from cache');
+    const cached = await bpnApiService.getCachedPrices(options);
+    const bpnData = cached.value;
+
+    if (cached.source === 'fresh') {
       return res.json({
         success: true,
-        source: 'cache',
-        cached_at: new Date(bpnCache.timestamp).toISOString(),
-        data: bpnCache.data,
-        count: bpnCache.data.length
+        source: 'fresh',
+        fetched_at: toISO(cached.storedAt),
+        data: bpnData,
+        count: bpnData.length,
+        message: `Retrieved ${bpnData.length} items from BPN API`
       });
     }
 
-    console.log('🔄 Fetching fresh BPN data using service...');
-    
-    // Gunakan service yang sudah ada
-    const bpnData = await bpnApiService.fetchCurrentPrices({
-      provinceId: '',
-      cityId: '',
-      levelHargaId: 3 // konsumen
-    });
-
-    // Update cache
-    bpnCache = {
-      data: bpnData,
-      timestamp: now,
-      expiry: 30 * 60 * 1000
-    };
-
+    console.log(`📊 Serving BPN data from cache (${cached.source})`);
     res.json({
       success: true,
-      source: 'fresh',
-      fetched_at: new Date(now).toISOString(),
+      source: cached.source,
+      ...(cached.source === 'cache_fallback' && { warning: 'Using cached data due to API error' }),
+      cached_at: toISO(cached.storedAt),
       data: bpnData,
-      count: bpnData.length,
-      message: `Retrieved ${bpnData.length} items from BPN API`
+      count: bpnData.length
     });
 
   } catch (error) {
     console.error('BPN API Error:', error);
-    
-    // Return cached data if available
-    if (bpnCache.data) {
-      return res.json({
-        success: true,
-        source: 'cache_fallback',
-        warning: 'Using cached data due to API error',
-        cached_at: new Date(bpnCache.timestamp).toISOString(),
-        data: bpnCache.data,
-        count: bpnCache.data.length
-      });
-    }
 
     res.status(503).json({
       success: false,
@@ -80,51 +63,30 @@ router.get('/prices', async (req, res) => {
 // GET /api/bpn/comparison - Get comparison data
 router.get('/comparison', async (req, res) => {
   try {
-    const SembakoPrice = require('../models/SembakoPrice');
-    
     // Get internal average prices
-    const internalStats = await SembakoPrice.findAll({
-      attributes: [
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_beras')), 'avg_beras'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_gula')), 'avg_gula'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_minyak')), 'avg_minyak'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_daging')), 'avg_daging'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_ayam')), 'avg_ayam'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_telur')), 'avg_telur'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_bawang_merah')), 'avg_bawang_merah'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_bawang_putih')), 'avg_bawang_putih'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_garam')), 'avg_garam'],
-      ],
-      raw: true
-    });
+    const internalAverages = await commodityMappingService.getInternalAverages();
 
-    // Get BPN data (use cache if available, otherwise fetch fresh)
-    let bpnData;
-    const now = Date.now();
-    if (bpnCache.data && bpnCache.timestamp && (now - bpnCache.timestamp) < bpnCache.expiry) {
-      bpnData = bpnCache.data;
-    } else {
-      bpnData = await bpnApiService.fetchCurrentPrices({
-        levelHargaId: 3
-      });
-      bpnCache = { data: bpnData, timestamp: now, expiry: 30 * 60 * 1000 };
-    }
+    // Get BPN data through the shared cache
+    const { value: bpnData } = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
     
-    // Generate comparison
-    const comparison = generateComparison(internalStats[0], bpnData);
+    // Generate comparison from the mapping table
+    const mappings = await commodityMappingService.loadMappings();
+    const comparison = commodityMappingService.buildComparison(internalAverages, bpnData, mappings);
+    const coverage = commodityMappingService.getUnmappedReport(bpnData, mappings);
 
     res.json({
       success: true,
       message: "Comparison data between internal and BPN",
       data: {
-        internal_averages: internalStats[0],
+        internal_averages: internalAverages,
         bpn_data: bpnData,
         comparison: comparison,
         summary: {
           total_comparisons: comparison.length,
           higher_than_bpn: comparison.filter(c => c.trend === 'higher').length,
           lower_than_bpn: comparison.filter(c => c.trend === 'lower').length,
-          same_as_bpn: comparison.filter(c => c.trend === 'same').length
+          same_as_bpn: comparison.filter(c => c.trend === 'same').length,
+          unmapped_bpn_commodities: coverage.unmapped_count
         },
         generated_at: new Date().toISOString()
       }
@@ -140,70 +102,73 @@ router.get('/comparison', async (req, res) => {
   }
 });
 
-// Function to generate comparison - disesuaikan dengan format data dari bpnApiService
-const generateComparison = (internalData, bpnData) => {
-  // Mapping berdasarkan struktur data yang sebenarnya dari BPN API
-  const mapping = {
-    // Format nama bisa berbeda dari API BPN yang sebenarnya
-    'Beras Premium': { key: 'avg_beras', name: 'Beras', priority: 1 },
-    'Beras Medium': { key: 'avg_beras', name: 'Beras', priority: 2 },
-    'Beras Kualitas Super I': { key: 'avg_beras', name: 'Beras', priority: 1 },
-    'Gula Pasir Lokal': { key: 'avg_gula', name: 'Gula', priority: 1 },
-    'Gula Pasir Kualitas Premium': { key: 'avg_gula', name: 'Gula', priority: 2 },
-    'Minyak Goreng Curah': { key: 'avg_minyak', name: 'Minyak Goreng', priority: 1 },
-    'Minyak Goreng Kemasan Bermerk': { key: 'avg_minyak', name: 'Minyak Goreng', priority: 2 },
-    'Daging Sapi Kualitas I': { key: 'avg_daging', name: 'Daging Sapi', priority: 1 },
-    'Daging Ayam Ras Segar': { key: 'avg_ayam', name: 'Daging Ayam', priority: 1 },
-    'Telur Ayam Ras Segar': { key: 'avg_telur', name: 'Telur Ayam', priority: 1 },
-    'Bawang Merah Ukuran Sedang': { key: 'avg_bawang_merah', name: 'Bawang Merah', priority: 1 },
-    'Bawang Putih Ukuran Sedang': { key: 'avg_bawang_putih', name: 'Bawang Putih', priority: 1 },
-    'Garam Beryodium': { key: 'avg_garam', name: 'Garam', priority: 1 }
-  };
+// GET /api/bpn/comparison/provinces - Survey vs BPN province prices for a date window
+router.get('/comparison/provinces', async (req, res) => {
+  try {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const today = new Date().toISOString().split('T')[0];
+    const windowDays = parseInt(req.query.window_days) || 30;
+    const endDate = req.query.end_date || today;
+    const startDate = req.query.start_date || (() => {
+      const date = new Date(`${endDate}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() - (windowDays - 1));
+      return date.toISOString().split('T')[0];
+    })();
+    const { province, commodity } = req.query;
+
+    if (!datePattern.test(startDate) || !datePattern.test(endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_date and end_date must use YYYY-MM-DD'
+      });
+    }
 
-  const comparison = [];
-  const processedKeys = new Set();
-  
-  // Sort BPN data by priority to get main commodities first
-  const sortedBpnData = bpnData.sort((a, b) => {
-    const aPriority = mapping[a.name]?.priority || 999;
-    const bPriority = mapping[b.name]?.priority || 999;
-    return aPriority - bPriority;
-  });
-
-  sortedBpnData.forEach(bpnItem => {
-    const mapped = mapping[bpnItem.name];
-    if (mapped && internalData[mapped.key] && !processedKeys.has(mapped.key)) {
-      const internalPrice = parseFloat(internalData[mapped.key]);
-      const bpnPrice = bpnItem.today || bpnItem.price || 0; // fallback untuk berbagai format
-      
-      if (bpnPrice > 0) {
-        const difference = internalPrice - bpnPrice;
-        const percentageDiff = ((difference / bpnPrice) * 100);
-
-        comparison.push({
-          commodity_name: mapped.name,
-          bpn_name: bpnItem.name,
-          internal_price: internalPrice,
-          bpn_price: bpnPrice,
-          difference: difference,
-          percentage_difference: percentageDiff,
-          trend: Math.abs(difference) < 500 ? 'same' : (difference > 0 ? 'higher' : 'lower'),
-          bpn_trend: bpnItem.gap_change || 'stable',
-          bpn_gap: bpnItem.gap || 0,
-          bpn_gap_percentage: bpnItem.gap_percentage || 0,
-          unit: bpnItem.unit || bpnItem.satuan || 'Rp/kg',
-          bpn_id: bpnItem.id,
-          image_url: bpnItem.image_url || bpnItem.background,
-          yesterday_date: bpnItem.yesterday_date || new Date().toISOString().split('T')[0]
-        });
-
-        processedKeys.add(mapped.key);
-      }
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_date must be before or equal to end_date'
+      });
     }
-  });
 
-  return comparison;
-};
+    const surveyCommodities = await surveyCommodityService.loadSurveyCommodities();
+    if (commodity && !surveyCommodities.some(item => item.code === commodity)) {
+      return res.status(400).json({
+        success: false,
+        message: `commodity must be one of: ${surveyCommodities.map(item => item.code).join(', ')}`
+      });
+    }
+
+    const result = await provinceComparisonService.compareByProvince({
+      startDate,
+      endDate,
+      province,
+      commodityKey: commodity
+    });
+
+    res.json({
+      success: true,
+      message: "Province comparison between internal survey and BPN prices",
+      data: result.provinces,
+      summary: result.summary,
+      meta: {
+        start_date: startDate,
+        end_date: endDate,
+        province: province || null,
+        commodity: commodity || null,
+        bpn_level: 'konsumen',
+        generated_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Province comparison error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal membuat perbandingan per provinsi',
+      error: error.message
+    });
+  }
+});
 
 // GET /api/bpn/latest - Get latest prices using existing service
 router.get('/latest', async (req, res) => {
@@ -233,21 +198,44 @@ router.get('/latest', async (req, res) => {
   }
 });
 
-// GET /api/bpn/sync - Manual sync using existing service
-router.post('/sync', async (req, res) => {
+// POST /api/bpn/sync - Manual sync using existing service (admin, recorded as triggered_by)
+// Pulls produsen, grosir and konsumen levels unless levelHargaId/levelHargaIds is given
+router.post('/sync', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
-    const { provinceId, cityId, levelHargaId = 3 } = req.body;
+    const { provinceId, cityId, levelHargaId, levelHargaIds } = req.body;
     
-    const syncResult = await bpnApiService.fullSync({
-      provinceId,
-      cityId,
-      levelHargaId: parseInt(levelHargaId)
-    });
+    let levels = [1, 2, 3];
+    if (Array.isArray(levelHargaIds) && levelHargaIds.length > 0) {
+      levels = levelHargaIds.map(id => parseInt(id));
+    } else if (levelHargaId && levelHargaId !== 'all') {
+      levels = [parseInt(levelHargaId)];
+    }
+
+    if (levels.some(id => ![1, 2, 3].includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'levelHargaId harus 1 (produsen), 2 (grosir) atau 3 (konsumen)'
+      });
+    }
+    
+    // Prices of a province/city without a region row would otherwise land in the national series
+    try {
+      await resolveRegionId(provinceId, cityId);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const options = { provinceId, cityId, levelHargaIds: levels };
+    const syncResult = await syncRunService.track(
+      { source: 'bpn_full_sync', trigger: 'manual', triggeredBy: req.user.id, options },
+      () => bpnApiService.fullSync(options)
+    );
 
     res.json({
       success: syncResult.success,
       message: syncResult.message,
-      data: syncResult.data
+      data: syncResult.data,
+      sync_run_id: syncResult.sync_run_id
     });
 
   } catch (error) {
@@ -263,15 +251,8 @@ router.post('/sync', async (req, res) => {
 // GET /api/bpn/trends - Get trend analysis
 router.get('/trends', async (req, res) => {
   try {
-    // Get BPN data (use cache if available)
-    let bpnData;
-    const now = Date.now();
-    if (bpnCache.data && bpnCache.timestamp && (now - bpnCache.timestamp) < bpnCache.expiry) {
-      bpnData = bpnCache.data;
-    } else {
-      bpnData = await bpnApiService.fetchCurrentPrices({ levelHargaId: 3 });
-      bpnCache = { data: bpnData, timestamp: now, expiry: 30 * 60 * 1000 };
-    }
+    // Get BPN data through the shared cache
+    const { value: bpnData } = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
     
     const trends = {
       increasing: bpnData.filter(item => (item.gap_change === 'up' || item.gap > 0)).length,
@@ -318,49 +299,88 @@ router.get('/trends', async (req, res) => {
   }
 });
 
-// GET /api/bpn/cache/status - Check cache status
-router.get('/cache/status', (req, res) => {
-  const now = Date.now();
-  const isExpired = !bpnCache.timestamp || (now - bpnCache.timestamp) > bpnCache.expiry;
-  const timeLeft = bpnCache.timestamp ? Math.max(0, bpnCache.expiry - (now - bpnCache.timestamp)) : 0;
-
-  res.json({
-    success: true,
-    cache: {
-      has_data: !!bpnCache.data,
-      timestamp: bpnCache.timestamp ? new Date(bpnCache.timestamp).toISOString() : null,
-      is_expired: isExpired,
-      time_left_ms: timeLeft,
-      time_left_minutes: Math.round(timeLeft / (1000 * 60)),
-      expiry_minutes: bpnCache.expiry / (1000 * 60),
-      data_size: bpnCache.data ? JSON.stringify(bpnCache.data).length : 0,
-      records_count: bpnCache.data?.length || 0
-    }
-  });
+// GET /api/bpn/cache/status - Status of every cached BPN response
+router.get('/cache/status', async (req, res) => {
+  try {
+    const now = Date.now();
+    const entries = await cacheService.list(bpnApiService.cacheConfig.keyPrefix);
+    const { ttl, nonRetailTtl, stale } = bpnApiService.cacheConfig;
+    const toMinutes = (ms) => ms / (1000 * 60);
+
+    const keys = entries.map(entry => {
+      const state = cacheService.describe(entry, now);
+      return {
+        key: entry.key,
+        stored_at: toISO(entry.storedAt),
+        expires_at: toISO(entry.expiresAt),
+        stale_until: toISO(entry.staleUntil),
+        is_expired: state.is_expired,
+        is_stale: state.is_stale,
+        time_left_ms: state.time_left_ms,
+        time_left_minutes: Math.round(toMinutes(state.time_left_ms)),
+        data_size: JSON.stringify(entry.value).length,
+        records_count: Array.isArray(entry.value) ? entry.value.length : 0
+      };
+    });
+
+    res.json({
+      success: true,
+      cache: {
+        driver: cacheService.driver.name,
+        config: {
+          ttl_minutes: {
+            national: toMinutes(ttl.national),
+            province: toMinutes(ttl.province),
+            city: toMinutes(ttl.city),
+            non_retail: nonRetailTtl ? toMinutes(nonRetailTtl) : null
+          },
+          stale_minutes: toMinutes(stale)
+        },
+        total_keys: keys.length,
+        total_data_size: keys.reduce((sum, key) => sum + key.data_size, 0),
+        keys
+      }
+    });
+  } catch (error) {
+    console.error('Cache status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal membaca status cache',
+      error: error.message
+    });
+  }
 });
 
-// POST /api/bpn/cache/clear - Clear cache
-router.post('/cache/clear', (req, res) => {
-  const oldCacheSize = bpnCache.data ? JSON.stringify(bpnCache.data).length : 0;
-  
-  bpnCache = {
-    data: null,
-    timestamp: null,
-    expiry: 30 * 60 * 1000
-  };
+// POST /api/bpn/cache/clear - Clear all cached BPN responses (optionally by key prefix)
+router.post('/cache/clear', async (req, res) => {
+  try {
+    const prefix = bpnApiService.cacheConfig.keyPrefix + (req.body?.prefix || req.query.prefix || '');
+    const clearedKeys = await cacheService.clear(prefix);
 
-  res.json({
-    success: true,
-    message: 'BPN cache cleared successfully',
-    cleared: {
-      data_size: oldCacheSize,
-      cleared_at: new Date().toISOString()
-    }
-  });
+    res.json({
+      success: true,
+      message: 'BPN cache cleared successfully',
+      cleared: {
+        prefix,
+        keys: clearedKeys,
+        cleared_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Cache clear error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal menghapus cache',
+      error: error.message
+    });
+  }
 });
 
 // GET /api/bpn/health - Health check for BPN service
 router.get('/health', async (req, res) => {
+  const { key } = bpnApiService.getPriceCachePolicy({ levelHargaId: 3 });
+  const cachedEntry = await cacheService.get(key).catch(() => null);
+
   try {
     const startTime = Date.now();
     
@@ -378,8 +398,9 @@ router.get('/health', async (req, res) => {
       status: 'healthy',
       response_time_ms: responseTime,
       cache_status: {
-        has_cached_data: !!bpnCache.data,
-        cache_age_minutes: bpnCache.timestamp ? Math.round((Date.now() - bpnCache.timestamp) / (1000 * 60)) : null
+        driver: cacheService.driver.name,
+        has_cached_data: !!cachedEntry,
+        cache_age_minutes: cachedEntry ? Math.round((Date.now() - cachedEntry.storedAt) / (1000 * 60)) : null
       },
       checked_at: new Date().toISOString()
     });
@@ -389,7 +410,7 @@ router.get('/health', async (req, res) => {
       success: false,
       status: 'unhealthy',
       error: error.message,
-      cache_fallback_available: !!bpnCache.data,
+      cache_fallback_available: !!cachedEntry,
       checked_at: new Date().toISOString()
     });
   }
@@ -398,15 +419,8 @@ router.get('/health', async (req, res) => {
 // GET /api/bpn/commodities - Get list of available commodities
 router.get('/commodities', async (req, res) => {
   try {
-    // Get BPN data (use cache if available)
-    let bpnData;
-    const now = Date.now();
-    if (bpnCache.data && bpnCache.timestamp && (now - bpnCache.timestamp) < bpnCache.expiry) {
-      bpnData = bpnCache.data;
-    } else {
-      bpnData = await bpnApiService.fetchCurrentPrices({ levelHargaId: 3 });
-      bpnCache = { data: bpnData, timestamp: now, expiry: 30 * 60 * 1000 };
-    }
+    // Get BPN data through the shared cache
+    const { value: bpnData } = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
 
     const commodities = bpnData.map(item => ({
       id: item.id,
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const commodityMappingController = require('../controllers/commodityMappingController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: CommodityMappings
+ *   description: Mapping between BPN commodities and internal sembako fields
+ */
+
+/**
+ * @swagger
+ * /commodity-mappings:
+ *   get:
+ *     summary: List commodity mappings
+ *     tags: [CommodityMappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: internal_key
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of mappings and valid internal keys
+ */
+router.get(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  commodityMappingController.getMappings
+);
+
+/**
+ * @swagger
+ * /commodity-mappings/unmapped:
+ *   get:
+ *     summary: Current BPN commodities without an active mapping
+ *     tags: [CommodityMappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: level_harga_id
+ *         schema:
+ *           type: integer
+ *           enum: [1, 2, 3]
+ *     responses:
+ *       200:
+ *         description: Unmapped BPN commodities and internal keys without a match
+ */
+router.get(
+  '/unmapped',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  commodityMappingController.getUnmapped
+);
+
+/**
+ * @swagger
+ * /commodity-mappings:
+ *   post:
+ *     summary: Create a commodity mapping
+ *     tags: [CommodityMappings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - internal_key
+ *             properties:
+ *               bpn_external_id:
+ *                 type: integer
+ *               bpn_name:
+ *                 type: string
+ *               internal_key:
+ *                 type: string
+ *                 example: beras
+ *               display_name:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *                 example: 1
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Mapping created
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  commodityMappingController.createMapping
+);
+
+/**
+ * @swagger
+ * /commodity-mappings/{id}:
+ *   put:
+ *     summary: Update a commodity mapping
+ *     tags: [CommodityMappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Mapping updated
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  commodityMappingController.updateMapping
+);
+
+/**
+ * @swagger
+ * /commodity-mappings/{id}:
+ *   delete:
+ *     summary: Delete a commodity mapping
+ *     tags: [CommodityMappings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Mapping deleted
+ */
+router.delete(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  commodityMappingController.deleteMapping
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const forecastController = require('../controllers/forecastController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Forecast
+ *   description: Holt-Winters price forecasts with prediction intervals
+ */
+
+/**
+ * @swagger
+ * /forecast:
+ *   get:
+ *     summary: Forecast a commodity price series (public)
+ *     description: |
+ *       Fits an additive Holt-Winters model (weekly season for daily BPN prices, yearly season
+ *       for weekly survey averages; Holt's linear trend when the history is shorter than two
+ *       seasons). Fitted models are cached and refreshed after each sync.
+ *     tags: [Forecast]
+ *     parameters:
+ *       - in: query
+ *         name: commodity
+ *         required: true
+ *         description: Commodity id, code or name (prices); survey commodity code (survey)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: region
+ *         description: Province name, alias or BPS code, or region id; national series when omitted
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: horizon
+ *         description: Steps ahead (days for prices, max 90; weeks for survey, max 26)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [prices, survey]
+ *           default: prices
+ *       - in: query
+ *         name: level
+ *         description: Price level of the BPN series (prices only)
+ *         schema:
+ *           type: string
+ *           enum: [produsen, grosir, eceran, konsumen]
+ *           default: konsumen
+ *     responses:
+ *       200:
+ *         description: Model parameters, backtest errors and forecasts with 80% and 95% intervals
+ *       400:
+ *         description: Invalid source, level, horizon or region
+ *       404:
+ *         description: Unknown commodity or not enough history
+ */
+router.get('/', forecastController.getForecast);
+
+module.exports = router;
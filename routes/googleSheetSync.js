@@ -4,15 +4,64 @@
 const express = require('express');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const googleSheetsService = require('../services/googleSheetsService');
+const syncRunService = require('../services/syncRunService');
+const sheetSourceService = require('../services/sheetSourceService');
+const sheetSourceController = require('../controllers/sheetSourceController');
+const { SheetSource } = require('../models');
+const jobScheduler = require('../jobs');
+const { isDryRun } = require('../utils/importPreview');
 
 const router = express.Router();
 
-// Manual sync trigger (Admin only)
+// Manual sync trigger (Admin only), ?dry_run=true previews without writing
 router.post('/sync', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
+    // force=true re-maps every row instead of only new/edited ones
+    const force = req.body?.force === true || req.body?.force === 'true';
+    const dryRun = isDryRun(req.query.dry_run) || isDryRun(req.body?.dry_run);
+
+    // source_id syncs a configured sheet source instead of the .env sheet
+    if (req.body?.source_id) {
+      const source = await SheetSource.findByPk(req.body.source_id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sheet source not found'
+        });
+      }
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          message: `Dry run for ${source.name}: nothing was written`,
+          data: await sheetSourceService.previewSource(source, { force })
+        });
+      }
+
+      console.log(`🔄 Manual sync of sheet source "${source.name}" triggered by: ${req.user.username}`);
+      const { result } = await sheetSourceService.syncSource(source, { triggeredBy: req.user.id, force });
+
+      return res.json({
+        success: true,
+        message: `Google Sheet sync completed for ${source.name}`,
+        data: result
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Dry run: nothing was written',
+        data: await googleSheetsService.previewSync({ force })
+      });
+    }
+
     console.log(`🔄 Manual sync triggered by: ${req.user.username}`);
     
-    const result = await googleSheetsService.syncToDatabase();
+    const result = await syncRunService.track(
+      { source: 'google_sheet', trigger: 'manual', triggeredBy: req.user.id, options: { force } },
+      () => googleSheetsService.syncToDatabase({ force })
+    );
     
     res.json({
       success: true,
@@ -29,6 +78,14 @@ router.post('/sync', authenticateToken, authorizeRoles('admin'), async (req, res
   }
 });
 
+// Sheet sources with their own column mappings and schedule (Admin only)
+router.get('/sources', authenticateToken, authorizeRoles('admin'), sheetSourceController.getSources);
+router.post('/sources', authenticateToken, authorizeRoles('admin'), sheetSourceController.createSource);
+router.get('/sources/:id', authenticateToken, authorizeRoles('admin'), sheetSourceController.getSourceById);
+router.put('/sources/:id', authenticateToken, authorizeRoles('admin'), sheetSourceController.updateSource);
+router.delete('/sources/:id', authenticateToken, authorizeRoles('admin'), sheetSourceController.deleteSource);
+router.post('/sources/:id/sync', authenticateToken, authorizeRoles('admin'), sheetSourceController.syncSource);
+
 // Test tanpa auth - HANYA UNTUK DEBUGGING
 router.get('/test-simple', async (req, res) => {
   res.json({
@@ -98,16 +155,36 @@ router.get('/status', authenticateToken, async (req, res) => {
       raw: true
     });
 
+    const [scheduler, lastRun, incremental, sources] = await Promise.all([
+      jobScheduler.getJob('google_sheet_sync'),
+      syncRunService.getLastRun('google_sheet'),
+      googleSheetsService.getSyncState(),
+      SheetSource.findAll({
+        attributes: ['id', 'name', 'sheet_id', 'is_active', 'writeback_enabled', 'cron_expression', 'last_synced_at'],
+        order: [['name', 'ASC']]
+      })
+    ]);
+
     res.json({
       success: true,
       message: 'Sync status retrieved',
       data: {
         google_sheet_records: stats.length > 0 ? parseInt(stats[0].count) : 0,
         last_sync: stats.length > 0 ? stats[0].latest_sync : null,
+        last_run: lastRun,
+        incremental,
+        scheduler,
+        sources,
         config: {
           sheet_id: process.env.GOOGLE_SHEET_ID,
           range: process.env.GOOGLE_SHEET_RANGE,
-          sync_interval: process.env.SYNC_INTERVAL_HOURS || 6
+          sync_interval: process.env.SYNC_INTERVAL_HOURS || 6,
+          writeback: {
+            enabled: googleSheetsService.writeBack,
+            status_column: googleSheetsService.writeBack ? googleSheetsService.statusColumn : null,
+            writer: googleSheetsService.statusWriter.name,
+            writer_configured: googleSheetsService.statusWriter.isConfigured()
+          }
         }
       }
     });
@@ -2,6 +2,9 @@
 const express = require('express');
 const axios = require('axios');
 const router = express.Router();
+const bpnConfig = require('../config/bpn');
+
+const BPN_ICON_BASE = `${bpnConfig.panelBaseUrl}/assets/img/komoditas-ikon`;
 
 // Cache untuk gambar yang sudah didownload
 const imageCache = new Map();
@@ -10,7 +13,7 @@ const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 jam
 router.get('/bpn-image/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
-    const originalUrl = `https://panelharga.badanpangan.go.id/assets/img/komoditas-ikon/${filename}`;
+    const originalUrl = `${BPN_ICON_BASE}/${filename}`;
     
     // Check cache first
     const cached = imageCache.get(filename);
@@ -31,7 +34,7 @@ router.get('/bpn-image/:filename', async (req, res) => {
       timeout: 10000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Referer': 'https://panelharga.badanpangan.go.id/',
+        'Referer': `${bpnConfig.panelBaseUrl}/`,
         'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8'
       }
     });
@@ -82,12 +85,12 @@ router.get('/bpn-images/test-all', async (req, res) => {
   
   for (const filename of testImages) {
     try {
-      const originalUrl = `https://panelharga.badanpangan.go.id/assets/img/komoditas-ikon/${filename}`;
+      const originalUrl = `${BPN_ICON_BASE}/${filename}`;
       const response = await axios.head(originalUrl, {
         timeout: 5000,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Referer': 'https://panelharga.badanpangan.go.id/'
+          'Referer': `${bpnConfig.panelBaseUrl}/`
         }
       });
       
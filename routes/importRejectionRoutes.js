@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const importRejectionController = require('../controllers/importRejectionController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: ImportRejections
+ *   description: Rows rejected by the Google Sheet sync and CSV imports, with fix-and-retry
+ */
+
+/**
+ * @swagger
+ * /import-rejections:
+ *   get:
+ *     summary: List rejected import rows
+ *     tags: [ImportRejections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [google_sheet, sembako_csv, market_price_csv]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, resolved, discarded, all]
+ *           default: pending
+ *       - in: query
+ *         name: source_ref
+ *         description: Sheet key or uploaded file name
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of rejected rows
+ */
+router.get(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  importRejectionController.getRejections
+);
+
+/**
+ * @swagger
+ * /import-rejections/{id}:
+ *   get:
+ *     summary: Get a rejected row with its raw payload and error reason
+ *     tags: [ImportRejections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rejected row
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  importRejectionController.getRejectionById
+);
+
+/**
+ * @swagger
+ * /import-rejections/{id}:
+ *   put:
+ *     summary: Edit the raw values of a pending row
+ *     tags: [ImportRejections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               raw_payload:
+ *                 type: object
+ *                 description: Header → value, merged into the stored payload
+ *     responses:
+ *       200:
+ *         description: Row updated
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  importRejectionController.updateRejection
+);
+
+/**
+ * @swagger
+ * /import-rejections/{id}/resubmit:
+ *   post:
+ *     summary: Run the row through its importer's mapping and validation again
+ *     tags: [ImportRejections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Row imported, rejection resolved
+ *       400:
+ *         description: Row still rejected (error_reason updated)
+ */
+router.post(
+  '/:id/resubmit',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  importRejectionController.resubmitRejection
+);
+
+/**
+ * @swagger
+ * /import-rejections/{id}/discard:
+ *   post:
+ *     summary: Discard a pending row
+ *     tags: [ImportRejections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Row discarded
+ */
+router.post(
+  '/:id/discard',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  importRejectionController.discardRejection
+);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const jobController = require('../controllers/jobController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Background job scheduler administration
+ */
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: List background jobs with schedule, lock and last run state
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of jobs
+ */
+router.get('/', authenticateToken, authorizeRoles('admin'), jobController.getJobs);
+
+/**
+ * @swagger
+ * /jobs/{name}/pause:
+ *   post:
+ *     summary: Pause a job
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job paused
+ */
+router.post('/:name/pause', authenticateToken, authorizeRoles('admin'), jobController.setPaused(true));
+
+/**
+ * @swagger
+ * /jobs/{name}/resume:
+ *   post:
+ *     summary: Resume a paused job
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job resumed
+ */
+router.post('/:name/resume', authenticateToken, authorizeRoles('admin'), jobController.setPaused(false));
+
+/**
+ * @swagger
+ * /jobs/{name}/schedule:
+ *   put:
+ *     summary: Change a job's cron expression
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cron_expression:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Job rescheduled
+ */
+router.put('/:name/schedule', authenticateToken, authorizeRoles('admin'), jobController.updateSchedule);
+
+/**
+ * @swagger
+ * /jobs/{name}/run:
+ *   post:
+ *     summary: Trigger a job run now
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Job triggered
+ *       409:
+ *         description: Job already running
+ */
+router.post('/:name/run', authenticateToken, authorizeRoles('admin'), jobController.runJob);
+
+module.exports = router;
@@ -9,9 +9,10 @@ const {
   remove,
   importCSV,
   getStatistics,
+  getProvinceStatistics,
+  search,
 } = require("../controllers/marketPricesController");
 const { authenticateToken, authorizeRoles } = require("../middleware/auth");
-const MarketPrice = require("../models/MarketPrice");
 
 const router = express.Router();
 
@@ -35,6 +36,9 @@ const upload = multer({ storage });
 // ✅ CRUD routes
 router.get("/", authenticateToken, getAll);
 router.get("/statistics", authenticateToken, getStatistics);
+// ✅ Statistik harga per provinsi & search (sebelum /:id agar tidak tertangkap sebagai id)
+router.get("/statistics/province", authenticateToken, getProvinceStatistics);
+router.get("/search", authenticateToken, search);
 router.get("/:id", authenticateToken, getById);
 
 // ✅ Admin & Editor bisa create
@@ -56,56 +60,6 @@ router.put(
 );
 router.delete("/:id", authenticateToken, authorizeRoles("admin"), remove);
 
-// ✅ Statistik harga per provinsi (langsung ambil dari market_prices)
-router.get("/statistics/province", authenticateToken, async (req, res) => {
-  try {
-    const result = await MarketPrice.findAll({
-      attributes: [
-        "province_name",
-        [
-          MarketPrice.sequelize.fn("AVG", MarketPrice.sequelize.col("price")),
-          "avg_price",
-        ],
-        [
-          MarketPrice.sequelize.fn("COUNT", MarketPrice.sequelize.col("id")),
-          "total_products",
-        ],
-      ],
-      group: ["province_name"],
-      raw: true,
-    });
-
-    res.json({ success: true, data: result });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ success: false, message: "Gagal ambil data" });
-  }
-});
-
-// ✅ Search produk/pasar/provinsi
-router.get("/search", authenticateToken, async (req, res) => {
-  try {
-    const { q } = req.query;
-    if (!q) return res.json({ success: true, data: [] });
-
-    const result = await MarketPrice.findAll({
-      where: {
-        [MarketPrice.sequelize.Op.or]: [
-          { product_name: { [MarketPrice.sequelize.Op.like]: `%${q}%` } },
-          { market_name: { [MarketPrice.sequelize.Op.like]: `%${q}%` } },
-          { province_name: { [MarketPrice.sequelize.Op.like]: `%${q}%` } },
-        ],
-      },
-      limit: 50,
-    });
-
-    res.json({ success: true, data: result });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ success: false, message: "Gagal cari data" });
-  }
-});
-
 // ✅ Import CSV
 router.post(
   "/import",
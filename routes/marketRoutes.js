@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const marketController = require('../controllers/marketController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Markets
+ *   description: Registry of markets that price rows are linked to
+ */
+
+/**
+ * @swagger
+ * /markets:
+ *   get:
+ *     summary: List registered markets
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: market_type
+ *         schema:
+ *           type: string
+ *           enum: [Pasar Tradisional, Pasar Modern, Grosir, Online Shop]
+ *       - in: query
+ *         name: region_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: province
+ *         description: Province name, alias or BPS code (includes markets in its cities)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Markets with their region
+ */
+router.get('/', authenticateToken, marketController.getMarkets);
+
+/**
+ * @swagger
+ * /markets/nearby:
+ *   get:
+ *     summary: Markets near a point with their latest survey price (public)
+ *     tags: [Markets]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: -6.9175
+ *       - in: query
+ *         name: lon
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 107.6191
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *           default: 5
+ *           maximum: 50
+ *       - in: query
+ *         name: commodity
+ *         description: Survey commodity code (e.g. beras) whose latest price to attach
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: max_age_days
+ *         description: Ignore survey data older than this
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         description: Defaults to price (cheapest first) with a commodity, distance otherwise
+ *         schema:
+ *           type: string
+ *           enum: [price, distance]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Markets with distance_km, latest_price and data_age_days
+ *       400:
+ *         description: Invalid coordinates, radius or commodity
+ */
+router.get('/nearby', marketController.getNearby);
+
+/**
+ * @swagger
+ * /markets/unlinked:
+ *   get:
+ *     summary: Market names on price rows that match no registered market
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unlinked names with row counts, most used first
+ */
+router.get(
+  '/unlinked',
+  authenticateToken,
+  authorizeRoles('admin'),
+  marketController.getUnlinked
+);
+
+/**
+ * @swagger
+ * /markets/link:
+ *   post:
+ *     summary: Fuzzy-match unlinked price rows to registered markets
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         description: Report the matches without linking any row
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Matches (with similarity score) and names left unmatched
+ */
+router.post(
+  '/link',
+  authenticateToken,
+  authorizeRoles('admin'),
+  marketController.linkMarkets
+);
+
+/**
+ * @swagger
+ * /markets/{id}:
+ *   get:
+ *     summary: Market detail with linked row counts
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Market
+ *       404:
+ *         description: Market not found
+ */
+router.get('/:id', authenticateToken, marketController.getMarketById);
+
+/**
+ * @swagger
+ * /markets:
+ *   post:
+ *     summary: Register a market
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Pasar Kosambi
+ *               market_type:
+ *                 type: string
+ *                 example: Pasar Tradisional
+ *               region_id:
+ *                 type: integer
+ *               address:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *                 example: -6.9197
+ *               longitude:
+ *                 type: number
+ *                 example: 107.6186
+ *               operating_days:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [senin, selasa, rabu, kamis, jumat, sabtu]
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Market created
+ *       409:
+ *         description: A market with this name already exists in the region
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  marketController.createMarket
+);
+
+/**
+ * @swagger
+ * /markets/{id}:
+ *   put:
+ *     summary: Update a market
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Market updated
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  marketController.updateMarket
+);
+
+/**
+ * @swagger
+ * /markets/{id}:
+ *   delete:
+ *     summary: Delete a market (its price rows become unlinked)
+ *     tags: [Markets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Market deleted
+ */
+router.delete(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  marketController.deleteMarket
+);
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const minimumWageController = require('../controllers/minimumWageController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: MinimumWages
+ *   description: Provincial minimum wages (UMP) and sembako basket affordability
+ */
+
+/**
+ * @swagger
+ * /minimum-wages/affordability:
+ *   get:
+ *     summary: Sembako basket cost as share of UMP and hours of work per province (public)
+ *     tags: [MinimumWages]
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         description: |
+ *           UMP year (the latest earlier UMP is used when a province has none); default this year.
+ *           Prices come from the newest surveys dated on or before the end of that year.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: province
+ *         description: Province name, alias or BPS code; all provinces when omitted
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: window_days
+ *         description: Days of surveys before each province's newest survey used for average prices
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: basket
+ *         description: Monthly quantities as code:quantity (default household basket of four)
+ *         schema:
+ *           type: string
+ *           example: beras:30,gula:3,minyak:4
+ *     responses:
+ *       200:
+ *         description: Basket, and per province the cost, UMP, share of UMP and hours of work
+ *       400:
+ *         description: Invalid year, window, basket or province
+ */
+router.get('/affordability', minimumWageController.getAffordability);
+
+/**
+ * @swagger
+ * /minimum-wages:
+ *   get:
+ *     summary: List minimum wages
+ *     tags: [MinimumWages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: province
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Minimum wages with their province
+ */
+router.get('/', authenticateToken, minimumWageController.getWages);
+
+/**
+ * @swagger
+ * /minimum-wages/{id}:
+ *   get:
+ *     summary: Get a minimum wage
+ *     tags: [MinimumWages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Minimum wage
+ *       404:
+ *         description: Not found
+ */
+router.get('/:id', authenticateToken, minimumWageController.getWageById);
+
+/**
+ * @swagger
+ * /minimum-wages:
+ *   post:
+ *     summary: Add the UMP of a province for a year
+ *     tags: [MinimumWages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [year, amount]
+ *             properties:
+ *               region_id:
+ *                 type: integer
+ *               province:
+ *                 type: string
+ *                 description: Province name, alias or BPS code (instead of region_id)
+ *               year:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *                 description: Monthly wage in Rupiah
+ *               effective_date:
+ *                 type: string
+ *                 format: date
+ *               source:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Minimum wage created
+ *       409:
+ *         description: The province already has a UMP for that year
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  minimumWageController.createWage
+);
+
+/**
+ * @swagger
+ * /minimum-wages/{id}:
+ *   put:
+ *     summary: Update a minimum wage
+ *     tags: [MinimumWages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Minimum wage updated
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  minimumWageController.updateWage
+);
+
+/**
+ * @swagger
+ * /minimum-wages/{id}:
+ *   delete:
+ *     summary: Delete a minimum wage
+ *     tags: [MinimumWages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Minimum wage deleted
+ */
+router.delete(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  minimumWageController.deleteWage
+);
+
+module.exports = router;
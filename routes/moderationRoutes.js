@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const moderationController = require('../controllers/moderationController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Moderation
+ *   description: Review queue for draft and flagged price submissions
+ */
+
+/**
+ * @swagger
+ * /moderation/queue:
+ *   get:
+ *     summary: List submissions waiting for review, oldest first
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sembako, market_price]
+ *           default: sembako
+ *       - in: query
+ *         name: status
+ *         description: One pending status (sembako - draft or flagged, market_price - draft); default all
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Pending submissions plus pending counts per type and status
+ */
+router.get(
+  '/queue',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  moderationController.getQueue
+);
+
+/**
+ * @swagger
+ * /moderation/bulk-approve:
+ *   post:
+ *     summary: Approve several submissions at once
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [sembako, market_price]
+ *                     id:
+ *                       type: integer
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Approved items and items that could not be approved
+ */
+router.post(
+  '/bulk-approve',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  moderationController.bulkApprove
+);
+
+/**
+ * @swagger
+ * /moderation/{type}/{id}/approve:
+ *   post:
+ *     summary: Approve a submission (published, flagged prices confirmed)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sembako, market_price]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Submission approved
+ *       409:
+ *         description: Submission is not pending review
+ */
+router.post(
+  '/:type/:id/approve',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  moderationController.approve
+);
+
+/**
+ * @swagger
+ * /moderation/{type}/{id}/reject:
+ *   post:
+ *     summary: Reject a submission with a comment
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sembako, market_price]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [comment]
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Submission rejected
+ *       400:
+ *         description: Missing comment
+ *       409:
+ *         description: Submission is not pending review
+ */
+router.post(
+  '/:type/:id/reject',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  moderationController.reject
+);
+
+/**
+ * @swagger
+ * /moderation/{type}/{id}/history:
+ *   get:
+ *     summary: Moderation decisions for a submission with reviewer and comment
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sembako, market_price]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit log entries, newest first
+ */
+router.get(
+  '/:type/:id/history',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  moderationController.getHistory
+);
+
+module.exports = router;
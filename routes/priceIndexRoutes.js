@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const priceIndexController = require('../controllers/priceIndexController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: PriceIndex
+ *   description: Indeks Harga Sembako - weighted basket index of published survey prices
+ */
+
+/**
+ * @swagger
+ * /price-index:
+ *   get:
+ *     summary: Index series nationwide or for one province, with MoM/WoW and YoY change (public)
+ *     tags: [PriceIndex]
+ *     parameters:
+ *       - in: query
+ *         name: province
+ *         description: Province name, alias or BPS code; nationwide when omitted
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [month, week]
+ *           default: month
+ *       - in: query
+ *         name: from
+ *         description: First period (2026-01 or 2026-W03); default 12 periods before `to`
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Last period; default the period of the newest published survey
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Config used, base prices and one entry per period (index 100 = base period)
+ *       400:
+ *         description: Invalid granularity, period or province
+ */
+router.get('/', priceIndexController.getSeries);
+
+/**
+ * @swagger
+ * /price-index/provinces:
+ *   get:
+ *     summary: Index of every province for one period, highest first (public)
+ *     tags: [PriceIndex]
+ *     parameters:
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [month, week]
+ *           default: month
+ *       - in: query
+ *         name: period
+ *         description: 2026-09 or 2026-W38; default the period of the newest published survey
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: National and per-province index with changes
+ */
+router.get('/provinces', priceIndexController.getProvinces);
+
+/**
+ * @swagger
+ * /price-index/config:
+ *   get:
+ *     summary: Active index config (built-in defaults until one is saved)
+ *     tags: [PriceIndex]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Weights, base period, missing-commodity rule and minimum coverage
+ */
+router.get(
+  '/config',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  priceIndexController.getConfig
+);
+
+/**
+ * @swagger
+ * /price-index/config:
+ *   put:
+ *     summary: Save a new index config (the previous one is kept as history)
+ *     tags: [PriceIndex]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [weights, base_start, base_end]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               weights:
+ *                 type: object
+ *                 description: Commodity code → weight (normalized, need not sum to 1)
+ *                 example: { "beras": 0.4, "minyak": 0.2, "gula": 0.2, "telur": 0.2 }
+ *               base_start:
+ *                 type: string
+ *                 format: date
+ *               base_end:
+ *                 type: string
+ *                 format: date
+ *               missing_rule:
+ *                 type: string
+ *                 enum: [carry_forward, reweight, skip]
+ *                 description: >
+ *                   carry_forward - use the last price from up to 3 periods back;
+ *                   reweight - leave the commodity out and scale up the other weights;
+ *                   skip - no index for the period
+ *               min_coverage:
+ *                 type: number
+ *                 description: Share of the basket weight (0-1) that must be observed in a period
+ *     responses:
+ *       200:
+ *         description: Config saved
+ *       400:
+ *         description: Invalid weights, base period or rule
+ */
+router.put(
+  '/config',
+  authenticateToken,
+  authorizeRoles('admin'),
+  priceIndexController.updateConfig
+);
+
+module.exports = router;
@@ -64,6 +64,33 @@ router.get('/comparison', priceController.getPriceComparison);
  */
 router.get('/statistics', priceController.getPriceStatistics);
 
+/**
+ * @swagger
+ * /prices/margins:
+ *   get:
+ *     summary: Get farm-gate, wholesale and retail margins per commodity and region
+ *     tags: [Prices]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: region_id
+ *         description: Region id, or "all" for every region (national when omitted)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: commodity_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Price margins
+ */
+router.get('/margins', priceController.getPriceMargins);
+
 /**
  * @swagger
  * /prices/sync:
@@ -83,6 +110,116 @@ router.post(
   priceController.syncPrices
 );
 
+/**
+ * @swagger
+ * /prices/backfill:
+ *   post:
+ *     summary: Start a historical backfill of province prices over a date range
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *               komoditas_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               level_harga_id:
+ *                 type: integer
+ *                 enum: [1, 2, 3]
+ *     responses:
+ *       202:
+ *         description: Backfill job started
+ *       400:
+ *         description: Invalid dates, a range over 366 days, or invalid commodities/level
+ */
+router.post(
+  '/backfill',
+  authenticateToken,
+  authorizeRoles('admin'),
+  priceController.startBackfill
+);
+
+/**
+ * @swagger
+ * /prices/backfill:
+ *   get:
+ *     summary: List backfill jobs
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backfill jobs with progress
+ */
+router.get(
+  '/backfill',
+  authenticateToken,
+  authorizeRoles('admin'),
+  priceController.getBackfillJobs
+);
+
+/**
+ * @swagger
+ * /prices/backfill/{id}:
+ *   get:
+ *     summary: Get backfill job progress
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Backfill job progress, including failed commodity/day pairs (failed_items)
+ */
+router.get(
+  '/backfill/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  priceController.getBackfillStatus
+);
+
+/**
+ * @swagger
+ * /prices/backfill/{id}/resume:
+ *   post:
+ *     summary: Resume a backfill job (retries failed commodity/day pairs, then continues after the last completed day)
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Backfill job resumed
+ */
+router.post(
+  '/backfill/:id/resume',
+  authenticateToken,
+  authorizeRoles('admin'),
+  priceController.resumeBackfill
+);
+
 /**
  * @swagger
  * /prices/export:
@@ -2,6 +2,8 @@
 const express = require("express");
 const router = express.Router();
 const { Region } = require("../models");
+const { authenticateToken, authorizeRoles } = require("../middleware/auth");
+const provinceAliasController = require("../controllers/provinceAliasController");
 
 // GET all provinces
 router.get("/provinces", async (req, res) => {
@@ -34,4 +36,15 @@ router.get("/cities/:provinceId", async (req, res) => {
   }
 });
 
+// Province name resolution (admin)
+router.get("/province-aliases", authenticateToken, authorizeRoles("admin"), provinceAliasController.getAliases);
+router.post("/province-aliases", authenticateToken, authorizeRoles("admin"), provinceAliasController.createAlias);
+router.delete("/province-aliases/:id", authenticateToken, authorizeRoles("admin"), provinceAliasController.deleteAlias);
+
+// Province names in sembako data that match no region
+router.get("/provinces/unresolved", authenticateToken, authorizeRoles("admin"), provinceAliasController.getUnresolved);
+
+// Link unlinked rows again (after adding aliases)
+router.post("/provinces/resolve", authenticateToken, authorizeRoles("admin"), provinceAliasController.resolveProvinces);
+
 module.exports = router;
@@ -1,6 +1,7 @@
 // routes/sembakoPrice.js
 const express = require("express");
 const multer = require("multer");
+const { Op } = require("sequelize");
 const {
   getAll,
   getById,
@@ -10,9 +11,15 @@ const {
   importCSV,
   getStatistics,
   getLatestPrices,
+  getFlagged,
+  confirmFlagged,
 } = require("../controllers/sembakoPriceController");
 const { authenticateToken, authorizeRoles } = require("../middleware/auth");
 const SembakoPrice = require("../models/SembakoPrice");
+const { buildProvinceFilter } = require("../services/provinceResolver");
+const { buildMarketFilter } = require("../services/marketMatcher");
+const { loadSurveyCommodities, findSurveyCommodity } = require("../services/surveyCommodityService");
+const { withPrices, aggregatePrices } = require("../services/surveyObservationService");
 
 const router = express.Router();
 
@@ -55,6 +62,11 @@ router.get("/public/statistics", getStatistics);
 router.get("/", authenticateToken, getAll);
 router.get("/statistics", authenticateToken, getStatistics);
 router.get("/latest", authenticateToken, getLatestPrices);
+
+// ✅ Harga yang ditandai outlier - Admin & Editor meninjau
+router.get("/flagged", authenticateToken, authorizeRoles("admin", "editor"), getFlagged);
+router.post("/:id/confirm", authenticateToken, authorizeRoles("admin", "editor"), confirmFlagged);
+
 router.get("/:id", authenticateToken, getById);
 
 // ✅ Admin & Editor bisa create
@@ -147,13 +159,13 @@ router.get("/search/markets", authenticateToken, async (req, res) => {
     let whereClause = {};
     
     if (province) {
-      whereClause.province_name = { [SembakoPrice.sequelize.Op.like]: `%${province}%` };
+      Object.assign(whereClause, await buildProvinceFilter(province));
     }
 
     const markets = await SembakoPrice.findAll({
-      attributes: ['market_name', 'province_name'],
+      attributes: ['market_name', 'province_name', 'market_id'],
       where: whereClause,
-      group: ['market_name', 'province_name'],
+      group: ['market_name', 'province_name', 'market_id'],
       order: [['market_name', 'ASC']]
     });
 
@@ -161,7 +173,8 @@ router.get("/search/markets", authenticateToken, async (req, res) => {
       success: true,
       data: markets.map(m => ({
         market_name: m.market_name,
-        province_name: m.province_name
+        province_name: m.province_name,
+        market_id: m.market_id // null = belum terhubung ke pasar terdaftar (/api/markets)
       }))
     });
   } catch (error) {
@@ -177,15 +190,22 @@ router.get("/search/markets", authenticateToken, async (req, res) => {
 // ✅ Export data ke CSV
 router.get("/export/csv", authenticateToken, async (req, res) => {
   try {
-    const { province_name, start_date, end_date } = req.query;
+    const { province_name, market_id, start_date, end_date } = req.query;
     
     let whereClause = { status: 'published' };
     if (province_name) {
-      whereClause.province_name = { [SembakoPrice.sequelize.Op.like]: `%${province_name}%` };
+      Object.assign(whereClause, await buildProvinceFilter(province_name));
+    }
+    if (market_id) {
+      const marketFilter = buildMarketFilter(market_id);
+      if (!marketFilter) {
+        return res.status(400).json({ success: false, message: "market_id tidak valid" });
+      }
+      Object.assign(whereClause, marketFilter);
     }
     if (start_date && end_date) {
       whereClause.survey_date = {
-        [SembakoPrice.sequelize.Op.between]: [start_date, end_date]
+        [Op.between]: [start_date, end_date]
       };
     }
 
@@ -195,25 +215,16 @@ router.get("/export/csv", authenticateToken, async (req, res) => {
       limit: 1000 // Batasi untuk performance
     });
 
-    // Convert to CSV format
-    const csvHeader = 'Timestamp,Province ID,Nama Pasar,Tanggal,Harga Beras,Harga Gula,Harga Minyak,Harga Daging,Harga Ayam,Harga Telur,Harga Bawang Merah,Harga Bawang Putih,Harga Gas,Harga Garam,Harga Susu\n';
+    // Convert to CSV format (satu kolom harga per komoditas survei)
+    const commodities = await loadSurveyCommodities();
+    const csvHeader = ['Timestamp', 'Province ID', 'Nama Pasar', 'Tanggal', ...commodities.map(c => c.label)].join(',') + '\n';
     
-    const csvRows = data.map(row => [
-      row.timestamp.toISOString(),
+    const csvRows = (await withPrices(data)).map(row => [
+      new Date(row.timestamp).toISOString(),
       row.province_name,
       row.market_name,
       row.survey_date,
-      row.harga_beras || '',
-      row.harga_gula || '',
-      row.harga_minyak || '',
-      row.harga_daging || '',
-      row.harga_ayam || '',
-      row.harga_telur || '',
-      row.harga_bawang_merah || '',
-      row.harga_bawang_putih || '',
-      row.harga_gas || '',
-      row.harga_garam || '',
-      row.harga_susu || ''
+      ...commodities.map(c => row[c.field] || '')
     ].join(','));
 
     const csvContent = csvHeader + csvRows.join('\n');
@@ -235,18 +246,15 @@ router.get("/export/csv", authenticateToken, async (req, res) => {
 // ✅ Analisis trend harga per komoditas
 router.get("/analysis/trends", authenticateToken, async (req, res) => {
   try {
-    const { commodity, province, days = 30 } = req.query;
+    const { commodity, province, market_id, days = 30 } = req.query;
     
-    const validCommodities = [
-      'harga_beras', 'harga_gula', 'harga_minyak', 'harga_daging', 
-      'harga_ayam', 'harga_telur', 'harga_bawang_merah', 
-      'harga_bawang_putih', 'harga_gas', 'harga_garam', 'harga_susu'
-    ];
+    const commodities = await loadSurveyCommodities();
+    const surveyCommodity = findSurveyCommodity(commodity);
 
-    if (!commodity || !validCommodities.includes(commodity)) {
+    if (!surveyCommodity) {
       return res.status(400).json({
         success: false,
-        message: "Commodity parameter harus salah satu dari: " + validCommodities.join(', ')
+        message: "Commodity parameter harus salah satu dari: " + commodities.map(c => c.field).join(', ')
       });
     }
 
@@ -254,27 +262,25 @@ router.get("/analysis/trends", authenticateToken, async (req, res) => {
     startDate.setDate(startDate.getDate() - parseInt(days));
 
     let whereClause = {
-      survey_date: { [SembakoPrice.sequelize.Op.gte]: startDate },
-      [commodity]: { [SembakoPrice.sequelize.Op.not]: null },
+      survey_date: { [Op.gte]: startDate },
       status: 'published'
     };
 
     if (province) {
-      whereClause.province_name = { [SembakoPrice.sequelize.Op.like]: `%${province}%` };
+      Object.assign(whereClause, await buildProvinceFilter(province));
+    }
+    if (market_id) {
+      const marketFilter = buildMarketFilter(market_id);
+      if (!marketFilter) {
+        return res.status(400).json({ success: false, message: "market_id tidak valid" });
+      }
+      Object.assign(whereClause, marketFilter);
     }
 
-    const trends = await SembakoPrice.findAll({
-      attributes: [
-        'survey_date',
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col(commodity)), 'avg_price'],
-        [SembakoPrice.sequelize.fn('MIN', SembakoPrice.sequelize.col(commodity)), 'min_price'],
-        [SembakoPrice.sequelize.fn('MAX', SembakoPrice.sequelize.col(commodity)), 'max_price'],
-        [SembakoPrice.sequelize.fn('COUNT', SembakoPrice.sequelize.col(commodity)), 'data_points']
-      ],
-      where: whereClause,
-      group: ['survey_date'],
-      order: [['survey_date', 'ASC']]
-    });
+    const trends = (await aggregatePrices(whereClause, {
+      groupBy: ['survey_date'],
+      codes: [surveyCommodity.code]
+    })).sort((a, b) => String(a.survey_date).localeCompare(String(b.survey_date)));
 
     res.json({
       success: true,
@@ -285,10 +291,10 @@ router.get("/analysis/trends", authenticateToken, async (req, res) => {
         period_days: parseInt(days),
         trends: trends.map(t => ({
           date: t.survey_date,
-          avg_price: parseFloat(t.dataValues.avg_price || 0).toFixed(0),
-          min_price: parseFloat(t.dataValues.min_price || 0).toFixed(0),
-          max_price: parseFloat(t.dataValues.max_price || 0).toFixed(0),
-          data_points: parseInt(t.dataValues.data_points)
+          avg_price: parseFloat(t.avg_price || 0).toFixed(0),
+          min_price: parseFloat(t.min_price || 0).toFixed(0),
+          max_price: parseFloat(t.max_price || 0).toFixed(0),
+          data_points: parseInt(t.count)
         }))
       }
     });
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const syncRunController = require('../controllers/syncRunController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: SyncRuns
+ *   description: History of BPN and Google Sheets synchronization runs
+ */
+
+/**
+ * @swagger
+ * /sync-runs:
+ *   get:
+ *     summary: List sync runs
+ *     tags: [SyncRuns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, success, partial, failed]
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [cron, manual, startup]
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of sync runs
+ */
+router.get(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  syncRunController.getSyncRuns
+);
+
+/**
+ * @swagger
+ * /sync-runs/{id}:
+ *   get:
+ *     summary: Get sync run detail including errors and options
+ *     tags: [SyncRuns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sync run detail
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'editor'),
+  syncRunController.getSyncRunById
+);
+
+module.exports = router;
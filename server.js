@@ -70,7 +70,8 @@ app.get("/health", (req, res) => {
     },
     bpn_integration: {
       enabled: true,
-      cache_duration_minutes: 30
+      cache_driver: process.env.CACHE_DRIVER || 'memory',
+      cache_duration_minutes: parseFloat(process.env.BPN_CACHE_TTL_MINUTES) || 30
     }
   });
 });
@@ -86,6 +87,16 @@ const marketPriceRoutes = require("./routes/marketPrices");
 const regionRoutes = require("./routes/regionRoutes");
 const overrideRoutes = require("./routes/overrideRoutes");
 const marketPricePublicRoutes = require("./routes/marketPricesPublic");
+const priceRoutes = require("./routes/priceRoutes");
+const syncRunRoutes = require("./routes/syncRunRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const commodityMappingRoutes = require("./routes/commodityMappingRoutes");
+const importRejectionRoutes = require("./routes/importRejectionRoutes");
+const marketRoutes = require("./routes/marketRoutes");
+const moderationRoutes = require("./routes/moderationRoutes");
+const priceIndexRoutes = require("./routes/priceIndexRoutes");
+const minimumWageRoutes = require("./routes/minimumWageRoutes");
+const forecastRoutes = require("./routes/forecastRoutes");
 
 // Sembako routes
 const sembakoPriceRoutes = require("./routes/sembakoPrice");
@@ -109,6 +120,16 @@ app.use("/api/bpn-legacy", bpnRoutes); // Legacy BPN routes
 app.use("/api/market-prices", marketPriceRoutes);
 app.use("/api/regions", regionRoutes);
 app.use("/api/overrides", overrideRoutes);
+app.use("/api/prices", priceRoutes);
+app.use("/api/sync-runs", syncRunRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/commodity-mappings", commodityMappingRoutes);
+app.use("/api/import-rejections", importRejectionRoutes);
+app.use("/api/markets", marketRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/price-index", priceIndexRoutes);
+app.use("/api/minimum-wages", minimumWageRoutes);
+app.use("/api/forecast", forecastRoutes);
 
 // Sembako API routes
 app.use("/api/sembako", sembakoPriceRoutes);
@@ -136,12 +157,26 @@ app.get("/api/info", (req, res) => {
       market_prices: "/api/market-prices",
       regions: "/api/regions",
       overrides: "/api/overrides",
+      prices: "/api/prices",
+      sync_runs: "/api/sync-runs",
+      jobs: "/api/jobs",
+      commodity_mappings: "/api/commodity-mappings",
+      markets: "/api/markets",
+      moderation: "/api/moderation",
+      price_index: "/api/price-index",
+      minimum_wages: "/api/minimum-wages",
+      forecast: "/api/forecast",
       sembako: "/api/sembako",
       google_sheets: "/api/google-sheet",
       public: {
         market_prices: "/public/market-prices",
         sembako_stats: "/api/sembako/public/statistics",
-        sembako_latest: "/api/sembako/public/latest"
+        sembako_latest: "/api/sembako/public/latest",
+        markets_nearby: "/api/markets/nearby",
+        price_index: "/api/price-index",
+        price_index_provinces: "/api/price-index/provinces",
+        affordability: "/api/minimum-wages/affordability",
+        forecast: "/api/forecast"
       }
     },
     features: {
@@ -161,12 +196,19 @@ app.get("/api/info", (req, res) => {
     },
     bpn_integration: {
       enabled: true,
-      cache_duration_minutes: 30,
+      cache_driver: process.env.CACHE_DRIVER || 'memory',
+      cache_duration_minutes: parseFloat(process.env.BPN_CACHE_TTL_MINUTES) || 30,
       endpoints: {
         prices: "/api/bpn/prices",
         comparison: "/api/bpn/comparison",
+        province_comparison: "/api/bpn/comparison/provinces",
         trends: "/api/bpn/trends"
       }
+    },
+    moderation: {
+      // DEFAULT_SUBMISSION_STATUS=published skips the review queue
+      default_submission_status: require("./services/moderationService").getDefaultSubmissionStatus(),
+      queue: "/api/moderation/queue"
     }
   });
 });
@@ -176,7 +218,8 @@ app.get("/api/combined/statistics", async (req, res) => {
   try {
     const MarketPrice = require("./models/MarketPrice");
     const SembakoPrice = require("./models/SembakoPrice");
-    const axios = require("axios");
+    const bpnApiService = require("./services/bpnApiService");
+    const commodityMappingService = require("./services/commodityMappingService");
 
     // Get database counts
     const [marketCount, sembakoCount, googleSheetCount] = await Promise.all([
@@ -185,13 +228,14 @@ app.get("/api/combined/statistics", async (req, res) => {
       SembakoPrice.count({ where: { source: 'google_sheet' } })
     ]);
 
-    // Try to get BPN data count
+    // Try to get BPN data count (shared cache) and mapping coverage
     let bpnCount = 0;
+    let bpnMappedCount = 0;
     try {
-      const bpnResponse = await axios.get('https://panelharga.badanpangan.go.id/api/nasional/get_data_nasional', {
-        timeout: 5000
-      });
-      bpnCount = bpnResponse.data?.data?.length || 0;
+      const { value: bpnData } = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
+      const mappings = await commodityMappingService.loadMappings();
+      bpnCount = bpnData.length;
+      bpnMappedCount = commodityMappingService.getUnmappedReport(bpnData, mappings).mapped_count;
     } catch (bpnError) {
       console.log('BPN data not available for statistics');
     }
@@ -212,6 +256,8 @@ app.get("/api/combined/statistics", async (req, res) => {
         },
         bpn_data: {
           total_commodities: bpnCount,
+          mapped_commodities: bpnMappedCount,
+          unmapped_commodities: bpnCount - bpnMappedCount,
           type: "official_government_prices",
           source: "Badan Pangan Nasional"
         },
@@ -238,31 +284,25 @@ app.get("/api/combined/statistics", async (req, res) => {
 // NEW: Quick comparison endpoint
 app.get("/api/quick-comparison", async (req, res) => {
   try {
-    const SembakoPrice = require("./models/SembakoPrice");
-    const axios = require("axios");
+    const bpnApiService = require("./services/bpnApiService");
+    const commodityMappingService = require("./services/commodityMappingService");
 
     // Get internal averages
-    const internalStats = await SembakoPrice.findAll({
-      attributes: [
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_beras')), 'avg_beras'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_gula')), 'avg_gula'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_minyak')), 'avg_minyak'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_daging')), 'avg_daging'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_ayam')), 'avg_ayam'],
-        [SembakoPrice.sequelize.fn('AVG', SembakoPrice.sequelize.col('harga_telur')), 'avg_telur'],
-      ],
-      raw: true
-    });
+    const internalAverages = await commodityMappingService.getInternalAverages();
 
-    // Get BPN data
-    const bpnResponse = await axios.get('https://panelharga.badanpangan.go.id/api/nasional/get_data_nasional', {
-      timeout: 10000
-    });
+    // Get BPN data (shared cache) and compare through the mapping table
+    const { value: bpnData } = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
+    const mappings = await commodityMappingService.loadMappings();
+    const comparison = commodityMappingService.buildComparison(internalAverages, bpnData, mappings);
+    const coverage = commodityMappingService.getUnmappedReport(bpnData, mappings);
 
     const quickComparison = {
-      internal_data_points: Object.keys(internalStats[0]).length,
-      bpn_data_points: bpnResponse.data?.data?.length || 0,
-      comparison_available: true,
+      internal_data_points: Object.values(internalAverages).filter(value => value !== null).length,
+      bpn_data_points: bpnData.length,
+      compared_commodities: comparison.length,
+      mapped_bpn_commodities: coverage.mapped_count,
+      unmapped_bpn_commodities: coverage.unmapped_count,
+      comparison_available: comparison.length > 0,
       last_updated: new Date().toISOString()
     };
 
@@ -319,6 +359,15 @@ app.use('/api/*', (req, res) => {
       "/api/market-prices", 
       "/api/regions",
       "/api/overrides",
+      "/api/prices",
+      "/api/sync-runs",
+      "/api/jobs",
+      "/api/commodity-mappings",
+      "/api/markets",
+      "/api/moderation",
+      "/api/price-index",
+      "/api/minimum-wages",
+      "/api/forecast",
       "/api/sembako",
       "/api/google-sheet",
       "/api/info",
@@ -398,11 +447,11 @@ app.use((err, req, res, next) => {
 });
 
 // ==========================================
-// GOOGLE SHEETS SCHEDULED SYNC STARTUP
+// BACKGROUND JOB SCHEDULER (Google Sheets + BPN)
 // ==========================================
 
 // Import scheduler after all routes are defined
-const scheduledSync = require('./services/scheduledSync');
+const jobScheduler = require('./jobs');
 
 // ==========================================
 // START SERVER
@@ -419,7 +468,12 @@ app.listen(PORT, async () => {
   console.log(`   • Private CRUD: http://localhost:${PORT}/api/sembako`);
   console.log(`   • Import CSV: http://localhost:${PORT}/api/sembako/import`);
   console.log(`   • Export CSV: http://localhost:${PORT}/api/sembako/export/csv`);
+  console.log(`   • Rejected Rows: http://localhost:${PORT}/api/import-rejections`);
+  console.log(`   • Review Queue: http://localhost:${PORT}/api/moderation/queue`);
   console.log(`   • Trends: http://localhost:${PORT}/api/sembako/analysis/trends`);
+  console.log(`   • Price Index: http://localhost:${PORT}/api/price-index`);
+  console.log(`   • Affordability: http://localhost:${PORT}/api/minimum-wages/affordability`);
+  console.log(`   • Forecast: http://localhost:${PORT}/api/forecast`);
   
   // Google Sheets endpoints logging
   console.log(`\n📋 GOOGLE SHEETS SYNC ENDPOINTS:`);
@@ -427,6 +481,7 @@ app.listen(PORT, async () => {
   console.log(`   • Sheet Info: http://localhost:${PORT}/api/google-sheet/info`);
   console.log(`   • Test Connection: http://localhost:${PORT}/api/google-sheet/test`);
   console.log(`   • Sync Status: http://localhost:${PORT}/api/google-sheet/status`);
+  console.log(`   • Sheet Sources: http://localhost:${PORT}/api/google-sheet/sources`);
   
   // NEW: BPN endpoints logging
   console.log(`\n🏛️ BPN DATA INTEGRATION ENDPOINTS:`);
@@ -449,32 +504,47 @@ app.listen(PORT, async () => {
   console.log(`   • API Key: ${process.env.GOOGLE_SHEETS_API_KEY ? '✅ Configured' : '❌ Missing'}`);
   console.log(`   • Sheet ID: ${process.env.GOOGLE_SHEET_ID ? '✅ Configured' : '❌ Missing'}`);
   console.log(`   • Range: ${process.env.GOOGLE_SHEET_RANGE || 'Form Responses 1!A:N'}`);
+  console.log(`   • Date Format: ${process.env.FORM_DATE_FORMAT || 'DD/MM/YYYY'} (override per sheet source)`);
+  console.log(`   • Status Write-back: ${process.env.GOOGLE_SHEET_WRITEBACK === 'true' ? '✅ Enabled' : '⏸️ Off'}${process.env.GOOGLE_SHEET_WRITEBACK === 'true' && !process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ? ' (❌ GOOGLE_SERVICE_ACCOUNT_EMAIL missing)' : ''}`);
   console.log(`   • Sync Interval: ${process.env.SYNC_INTERVAL_HOURS || 6} hours`);
   
   console.log(`   🏛️ BPN INTEGRATION:`);
   console.log(`   • Status: ✅ Enabled`);
-  console.log(`   • Cache Duration: 30 minutes`);
+  console.log(`   • Cache: ${process.env.CACHE_DRIVER || 'memory'} driver, ${parseFloat(process.env.BPN_CACHE_TTL_MINUTES) || 30} minutes`);
   console.log(`   • Fallback: ✅ Cache available when API down`);
   
-  if (hasGoogleSheetsConfig) {
-    // Start scheduled sync only if properly configured
-    if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SCHEDULED_SYNC === 'true') {
-      try {
-        scheduledSync.start();
-        console.log(`\n📅 SCHEDULED SYNC: ✅ Enabled (every ${process.env.SYNC_INTERVAL_HOURS || 6} hours)`);
-        console.log(`   • Next sync will start in 30 seconds for initial sync`);
-        console.log(`   • Manual sync: POST http://localhost:${PORT}/api/google-sheet/sync`);
-      } catch (error) {
-        console.error(`❌ SCHEDULED SYNC: Failed to start - ${error.message}`);
+  // Syncs still 'running' in the ledger were cut off when the previous process stopped
+  try {
+    const staleRuns = await require('./services/syncRunService').failStaleRuns();
+    if (staleRuns > 0) console.log(`   ⚠️ SYNC RUNS: ${staleRuns} interrupted run(s) marked failed`);
+  } catch (error) {
+    console.error(`❌ Failed to close interrupted sync runs - ${error.message}`);
+  }
+  
+  // One job per configured Google Sheet source
+  try {
+    const sourceCount = await require('./jobs/sheetSourceJobs').registerAll();
+    console.log(`   📋 SHEET SOURCES: ${sourceCount} active`);
+  } catch (error) {
+    console.error(`❌ Failed to register sheet source jobs - ${error.message}`);
+  }
+  
+  // Start scheduled jobs (jobs without configuration stay disabled)
+  if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SCHEDULED_SYNC === 'true') {
+    try {
+      console.log(`\n📅 SCHEDULED JOBS: ✅ Enabled`);
+      await jobScheduler.start();
+      console.log(`   • Manage jobs: GET http://localhost:${PORT}/api/jobs`);
+      if (!hasGoogleSheetsConfig) {
+        console.log(`   • Google Sheet sync needs GOOGLE_SHEETS_API_KEY and GOOGLE_SHEET_ID in .env`);
       }
-    } else {
-      console.log(`\n📅 SCHEDULED SYNC: ⏸️ Disabled (development mode)`);
-      console.log(`   • Set ENABLE_SCHEDULED_SYNC=true to enable in development`);
-      console.log(`   • Manual sync available at: POST http://localhost:${PORT}/api/google-sheet/sync`);
+    } catch (error) {
+      console.error(`❌ SCHEDULED JOBS: Failed to start - ${error.message}`);
     }
   } else {
-    console.log(`\n📅 SCHEDULED SYNC: ❌ Disabled (Missing configuration)`);
-    console.log(`   • Please set GOOGLE_SHEETS_API_KEY and GOOGLE_SHEET_ID in .env`);
+    console.log(`\n📅 SCHEDULED JOBS: ⏸️ Disabled (development mode)`);
+    console.log(`   • Set ENABLE_SCHEDULED_SYNC=true to enable in development`);
+    console.log(`   • Manual run available at: POST http://localhost:${PORT}/api/jobs/:name/run`);
   }
   
   console.log(`\n💡 QUICK TEST COMMANDS:`);
@@ -0,0 +1,191 @@
+// services/affordabilityService.js - Sembako basket cost against provincial minimum wages (UMP)
+//
+// Basket cost = Σ quantity × average published survey price of the province over the
+// window before its newest survey of the year (or earlier), so past years are priced with
+// that year's surveys. Commodities without a price in the province are priced at the
+// national average of the same window and reported as imputed.
+const { Op, fn, col } = require('sequelize');
+const { MinimumWage, Region } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { aggregatePrices } = require('./surveyObservationService');
+const { loadSurveyCommodities } = require('./surveyCommodityService');
+
+// Monthly needs of a household of four, in each commodity's survey unit (kg, liter, tabung)
+const DEFAULT_BASKET = {
+  beras: 30,
+  gula: 3,
+  minyak: 4,
+  daging: 1,
+  ayam: 3,
+  telur: 4,
+  bawang_merah: 1,
+  bawang_putih: 0.5,
+  gas: 4,
+  garam: 0.5,
+  susu: 2
+};
+
+// Hourly wage = 1/173 of the monthly wage (the divisor used for overtime pay)
+const HOURS_PER_MONTH = 173;
+const DEFAULT_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 0) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const windowStart = (latest, days) => toDateKey(new Date(new Date(latest).getTime() - (days - 1) * DAY_MS));
+
+/**
+ * Parse "beras:30,gula:3" into { beras: 30, gula: 3 }
+ * @returns {Object|null} null when an entry is malformed
+ */
+const parseBasket = (value) => {
+  const basket = {};
+  for (const entry of String(value).split(',')) {
+    const [code, quantity] = entry.split(':').map(part => (part || '').trim());
+    const amount = Number(quantity);
+    if (!code || quantity === '' || isNaN(amount) || amount < 0) return null;
+    basket[code.replace(/^harga_/, '')] = amount;
+  }
+  return basket;
+};
+
+/**
+ * Average price per commodity code for published surveys matching where
+ */
+const averagePrices = async (where, codes) => {
+  const prices = {};
+  (await aggregatePrices({ ...where, status: 'published' }, { codes })).forEach(row => {
+    prices[row.code] = parseFloat(row.avg_price);
+  });
+  return prices;
+};
+
+/**
+ * Newest UMP per region for the year (or the latest earlier year)
+ * @returns {Promise<Map>} region_id → MinimumWage
+ */
+const loadWages = async (year, regionIds = null) => {
+  const where = { year: { [Op.lte]: year } };
+  if (regionIds) where.region_id = regionIds;
+
+  const wages = new Map();
+  (await MinimumWage.findAll({ where, order: [['year', 'DESC']] })).forEach(wage => {
+    if (!wages.has(wage.region_id)) wages.set(wage.region_id, wage);
+  });
+  return wages;
+};
+
+/**
+ * Basket cost, share of UMP and hours of work per province
+ * @param {Object} options - { year, basket: code → quantity, windowDays, regionId: one province only }
+ */
+const getAffordability = async ({ year, basket = DEFAULT_BASKET, windowDays = DEFAULT_WINDOW_DAYS, regionId = null }) => {
+  const commodities = await loadSurveyCommodities();
+  const items = commodities.filter(commodity => basket[commodity.code] > 0);
+  const codes = items.map(commodity => commodity.code);
+
+  // Surveys after the requested year would price a past UMP with later prices
+  const yearEnd = `${year}-12-31`;
+  const surveyWhere = {
+    status: 'published',
+    region_id: regionId || { [Op.ne]: null },
+    survey_date: { [Op.lte]: yearEnd }
+  };
+  const latestByRegion = await SembakoPrice.findAll({
+    attributes: ['region_id', [fn('MAX', col('survey_date')), 'latest_survey_date']],
+    where: surveyWhere,
+    group: ['region_id'],
+    raw: true
+  });
+
+  const result = { year, window_days: windowDays, hours_per_month: HOURS_PER_MONTH, basket: [], provinces: [], without_prices: [] };
+  result.basket = items.map(commodity => ({
+    code: commodity.code,
+    name: commodity.name,
+    quantity: basket[commodity.code],
+    unit: String(commodity.unit || '').replace(/^Rp\//, '')
+  }));
+  if (codes.length === 0) return result;
+
+  // National averages for imputing, over the window before the newest survey anywhere
+  const nationalLatest = await SembakoPrice.max('survey_date', {
+    where: { status: 'published', survey_date: { [Op.lte]: yearEnd } }
+  });
+  const nationalPrices = nationalLatest
+    ? await averagePrices({ survey_date: { [Op.between]: [windowStart(nationalLatest, windowDays), nationalLatest] } }, codes)
+    : {};
+
+  const regionIds = latestByRegion.map(row => row.region_id);
+  const wages = await loadWages(year, regionId ? [regionId] : null);
+  const regions = await Region.findAll({
+    where: { id: [...new Set([...regionIds, ...wages.keys()])] },
+    attributes: ['id', 'province_id', 'province_name']
+  });
+  const regionById = new Map(regions.map(region => [region.id, region]));
+
+  for (const { region_id: id, latest_survey_date: latest } of latestByRegion) {
+    const prices = await averagePrices({
+      region_id: id,
+      survey_date: { [Op.between]: [windowStart(latest, windowDays), latest] }
+    }, codes);
+
+    const lines = result.basket.map(item => {
+      const imputed = prices[item.code] === undefined;
+      const price = imputed ? nationalPrices[item.code] ?? null : prices[item.code];
+      return {
+        code: item.code,
+        quantity: item.quantity,
+        price: round(price),
+        cost: price === null ? null : round(price * item.quantity),
+        imputed
+      };
+    });
+
+    const priced = lines.filter(line => line.cost !== null);
+    const cost = priced.reduce((sum, line) => sum + line.cost, 0);
+    const wage = wages.get(id);
+    const amount = wage ? parseFloat(wage.amount) : null;
+    const region = regionById.get(id);
+
+    result.provinces.push({
+      region_id: id,
+      province_id: region ? region.province_id : null,
+      province_name: region ? region.province_name : null,
+      latest_survey_date: latest,
+      basket_cost: round(cost),
+      ump: wage ? { year: wage.year, amount } : null,
+      share_of_ump_pct: amount ? round(cost / amount * 100, 2) : null,
+      hours_of_work: amount ? round(cost / (amount / HOURS_PER_MONTH), 1) : null,
+      imputed_commodities: lines.filter(line => line.imputed && line.cost !== null).map(line => line.code),
+      unpriced_commodities: lines.filter(line => line.cost === null).map(line => line.code),
+      items: lines
+    });
+  }
+
+  // Most burdened first; provinces without UMP last
+  result.provinces.sort((a, b) => (b.share_of_ump_pct ?? -1) - (a.share_of_ump_pct ?? -1));
+
+  wages.forEach((wage, id) => {
+    if (!regionIds.includes(id)) {
+      const region = regionById.get(id);
+      result.without_prices.push({
+        region_id: id,
+        province_name: region ? region.province_name : null,
+        ump: { year: wage.year, amount: parseFloat(wage.amount) }
+      });
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_BASKET,
+  HOURS_PER_MONTH,
+  DEFAULT_WINDOW_DAYS,
+  parseBasket,
+  getAffordability
+};
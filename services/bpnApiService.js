@@ -1,11 +1,16 @@
 // services/bpnApiService.js - Fixed version dengan better error handling
 const axios = require('axios');
 const { Commodity, Price, Region } = require('../models');
+const cacheService = require('./cacheService');
+const bpnConfig = require('../config/bpn');
+const { getLevelHarga, resolveRegionId } = require('./priceSync');
+
+const minutesFromEnv = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 60 * 1000;
 
 class BPNApiService {
   constructor() {
     this.apiClient = axios.create({
-      timeout: 30000,
+      timeout: bpnConfig.timeoutMs || 30000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
         'Accept': 'application/json',
@@ -13,12 +18,58 @@ class BPNApiService {
       }
     });
 
-    this.baseURL = 'https://api-panelhargav2.badanpangan.go.id/api';
+    this.baseURL = bpnConfig.apiBaseUrl;
     this.endpoints = {
       prices: `${this.baseURL}/front/harga-pangan-informasi`,
       provinces: `${this.baseURL}/provinces`,
       cities: `${this.baseURL}/cities`
     };
+
+    // Cache expiry per scope; produsen/grosir can get their own TTL
+    this.cacheConfig = {
+      keyPrefix: 'bpn:prices:',
+      ttl: {
+        national: minutesFromEnv('BPN_CACHE_TTL_MINUTES', 30),
+        province: minutesFromEnv('BPN_CACHE_PROVINCE_TTL_MINUTES', 60),
+        city: minutesFromEnv('BPN_CACHE_CITY_TTL_MINUTES', 120)
+      },
+      nonRetailTtl: process.env.BPN_CACHE_NON_RETAIL_TTL_MINUTES
+        ? minutesFromEnv('BPN_CACHE_NON_RETAIL_TTL_MINUTES', 60)
+        : null,
+      stale: minutesFromEnv('BPN_CACHE_STALE_MINUTES', 24 * 60)
+    };
+  }
+
+  /**
+   * Cache key and TTL for a price request
+   */
+  getPriceCachePolicy({ provinceId = '', cityId = '', levelHargaId = 3 } = {}) {
+    const scope = cityId ? 'city' : provinceId ? 'province' : 'national';
+    const level = parseInt(levelHargaId) || 3;
+    const ttlMs = level !== 3 && this.cacheConfig.nonRetailTtl
+      ? this.cacheConfig.nonRetailTtl
+      : this.cacheConfig.ttl[scope];
+
+    return {
+      key: `${this.cacheConfig.keyPrefix}level=${level}:province=${provinceId || ''}:city=${cityId || ''}`,
+      scope,
+      ttlMs,
+      staleMs: this.cacheConfig.stale
+    };
+  }
+
+  /**
+   * Current prices through the shared cache (stale-while-revalidate)
+   * @returns {Promise<{ value: Array, source: string, storedAt: number, error?: string }>}
+   */
+  async getCachedPrices(options = {}) {
+    const policy = this.getPriceCachePolicy(options);
+
+    return cacheService.getOrFetch(
+      policy.key,
+      () => this.fetchCurrentPrices(options),
+      { ttlMs: policy.ttlMs, staleMs: policy.staleMs }
+    );
   }
 
   /**
@@ -63,8 +114,9 @@ class BPNApiService {
 
   /**
    * Sync prices to database dengan validasi yang lebih baik
+   * @param {number|null} regionId - region row of the requested province/city (null = national)
    */
-  async syncPrices(apiData, levelHarga = 'konsumen') {
+  async syncPrices(apiData, levelHarga = 'konsumen', regionId = null) {
     console.log('💾 Syncing prices to database...');
     
     const today = new Date().toISOString().split('T')[0];
@@ -115,6 +167,8 @@ class BPNApiService {
           where: {
             commodity_id: commodity.id,
             date: today,
+            region_id: regionId,
+            level: levelHarga,
             is_override: true
           }
         });
@@ -129,12 +183,12 @@ class BPNApiService {
           where: {
             commodity_id: commodity.id,
             date: today,
+            region_id: regionId,
             source: 'api',
             level: levelHarga
           },
           defaults: {
             price: price,
-            region_id: null,
             is_override: false
           }
         });
@@ -235,11 +289,19 @@ class BPNApiService {
 
   /**
    * Full synchronization process dengan better error handling
+   * options.levelHargaIds: list of levels to pull in one run (default: [levelHargaId || 3])
+   * options.provinceId / options.cityId: save against that region (throws if it has no region row yet)
    */
   async fullSync(options = {}) {
     const startTime = Date.now();
+    const levelHargaIds = Array.isArray(options.levelHargaIds) && options.levelHargaIds.length > 0
+      ? options.levelHargaIds
+      : [options.levelHargaId || 3];
+
+    // Province/city prices must never land in the national series (region_id null)
+    const regionId = await resolveRegionId(options.provinceId, options.cityId);
     
-    console.log('🚀 Starting full BPN synchronization...');
+    console.log(`🚀 Starting full BPN synchronization (levels: ${levelHargaIds.map(id => getLevelHarga(id)).join(', ')})...`);
     
     const results = {
       regions: 0,
@@ -247,70 +309,83 @@ class BPNApiService {
       prices: 0,
       price_errors: 0,
       duration: 0,
+      levels: {},
       errors: []
     };
 
-    try {
-      // Step 1: Fetch current prices
-      const priceData = await this.fetchCurrentPrices(options);
-      
-      if (priceData && priceData.length > 0) {
-        console.log(`Received ${priceData.length} items from BPN API`);
-        
-        // Step 2: Sync commodities
-        try {
-          const commodities = await this.syncCommodities(priceData);
-          results.commodities = commodities.length;
-        } catch (error) {
-          results.errors.push(`Commodities: ${error.message}`);
-        }
+    for (const levelHargaId of levelHargaIds) {
+      const levelHarga = getLevelHarga(levelHargaId);
+      const levelResult = { commodities: 0, prices: 0, price_errors: 0 };
+      results.levels[levelHarga] = levelResult;
 
-        // Step 3: Sync prices
-        try {
-          const levelHarga = options.levelHargaId === 1 ? 'produsen' : 
-                           options.levelHargaId === 2 ? 'grosir' : 'konsumen';
-          
-          const priceSync = await this.syncPrices(priceData, levelHarga);
-          results.prices = priceSync.synced.length;
-          results.price_errors = priceSync.errors.length;
+      try {
+        // Step 1: Fetch current prices
+        const priceData = await this.fetchCurrentPrices({ ...options, levelHargaId });
+        
+        if (priceData && priceData.length > 0) {
+          console.log(`Received ${priceData.length} ${levelHarga} items from BPN API`);
           
-          if (priceSync.errors.length > 0) {
-            results.errors.push(...priceSync.errors.slice(0, 3)); // Include some price errors
+          // Step 2: Sync commodities
+          try {
+            const commodities = await this.syncCommodities(priceData);
+            levelResult.commodities = commodities.length;
+            results.commodities = Math.max(results.commodities, commodities.length);
+          } catch (error) {
+            results.errors.push(`Commodities (${levelHarga}): ${error.message}`);
+          }
+
+          // Step 3: Sync prices
+          try {
+            const priceSync = await this.syncPrices(priceData, levelHarga, regionId);
+            levelResult.prices = priceSync.synced.length;
+            levelResult.price_errors = priceSync.errors.length;
+            results.prices += priceSync.synced.length;
+            results.price_errors += priceSync.errors.length;
+            
+            if (priceSync.errors.length > 0) {
+              results.errors.push(...priceSync.errors.slice(0, 3)); // Include some price errors
+            }
+          } catch (error) {
+            results.errors.push(`Prices (${levelHarga}): ${error.message}`);
           }
-        } catch (error) {
-          results.errors.push(`Prices: ${error.message}`);
+        } else {
+          results.errors.push(`No ${levelHarga} price data received from BPN API`);
         }
-      } else {
-        results.errors.push('No price data received from BPN API');
+      } catch (error) {
+        // One failing level should not abort the others
+        console.error(`❌ BPN sync failed for level ${levelHarga}:`, error.message);
+        levelResult.error = error.message;
+        results.errors.push(`Level ${levelHarga}: ${error.message}`);
       }
+    }
 
-      results.duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      
-      const successRate = results.commodities > 0 ? ((results.prices / results.commodities) * 100).toFixed(1) : 0;
-      
-      console.log(`✅ BPN sync completed in ${results.duration}s:`, {
-        commodities: results.commodities,
-        prices: results.prices,
-        price_errors: results.price_errors,
-        success_rate: `${successRate}%`,
-        errors: results.errors.length
-      });
+    results.duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
-      return {
-        success: true,
-        message: `Sync completed: ${results.commodities} commodities, ${results.prices} prices (${successRate}% success rate)`,
-        data: results
-      };
+    const failedLevels = Object.values(results.levels).filter(level => level.error).length;
+    const expectedPrices = Object.values(results.levels).reduce((sum, level) => sum + level.commodities, 0);
+    const successRate = expectedPrices > 0 ? ((results.prices / expectedPrices) * 100).toFixed(1) : 0;
+    
+    console.log(`✅ BPN sync completed in ${results.duration}s:`, {
+      commodities: results.commodities,
+      prices: results.prices,
+      price_errors: results.price_errors,
+      success_rate: `${successRate}%`,
+      errors: results.errors.length
+    });
 
-    } catch (error) {
-      console.error('❌ Full sync failed:', error.message);
-      
+    if (failedLevels === levelHargaIds.length) {
       return {
         success: false,
-        message: `Sync failed: ${error.message}`,
+        message: `Sync failed: ${results.errors[results.errors.length - 1]}`,
         data: results
       };
     }
+
+    return {
+      success: true,
+      message: `Sync completed: ${results.commodities} commodities, ${results.prices} prices across ${levelHargaIds.length} level(s) (${successRate}% success rate)`,
+      data: results
+    };
   }
 
   /**
@@ -327,7 +402,8 @@ class BPNApiService {
     try {
       const whereClause = { 
         date: date,
-        source: 'api'
+        source: 'api',
+        region_id: null // national series only
       };
 
       const commodityWhere = { is_active: true };
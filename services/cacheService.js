@@ -0,0 +1,212 @@
+// services/cacheService.js - Cache with memory/database drivers and stale-while-revalidate
+const { Op } = require('sequelize');
+const { CacheEntry } = require('../models');
+
+/**
+ * In-process cache (lost on restart, not shared between instances)
+ */
+class MemoryCacheDriver {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  async clear(prefix = '') {
+    let cleared = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        cleared++;
+      }
+    }
+    return cleared;
+  }
+
+  async list(prefix = '') {
+    return [...this.entries.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, entry]) => ({ key, ...entry }));
+  }
+}
+
+/**
+ * Cache stored in the cache_entries table (survives restarts, shared between instances)
+ */
+class DatabaseCacheDriver {
+  constructor() {
+    this.name = 'database';
+  }
+
+  toEntry(row) {
+    return {
+      value: row.value,
+      storedAt: new Date(row.stored_at).getTime(),
+      expiresAt: new Date(row.expires_at).getTime(),
+      staleUntil: new Date(row.stale_until).getTime()
+    };
+  }
+
+  async get(key) {
+    const row = await CacheEntry.findOne({ where: { cache_key: key } });
+    return row ? this.toEntry(row) : null;
+  }
+
+  async set(key, entry) {
+    await CacheEntry.upsert({
+      cache_key: key,
+      value: entry.value,
+      stored_at: new Date(entry.storedAt),
+      expires_at: new Date(entry.expiresAt),
+      stale_until: new Date(entry.staleUntil)
+    });
+  }
+
+  async delete(key) {
+    return CacheEntry.destroy({ where: { cache_key: key } });
+  }
+
+  async clear(prefix = '') {
+    return CacheEntry.destroy({
+      where: prefix ? { cache_key: { [Op.like]: `${prefix}%` } } : {}
+    });
+  }
+
+  async list(prefix = '') {
+    const rows = await CacheEntry.findAll({
+      where: prefix ? { cache_key: { [Op.like]: `${prefix}%` } } : {},
+      order: [['cache_key', 'ASC']]
+    });
+    return rows.map(row => ({ key: row.cache_key, ...this.toEntry(row) }));
+  }
+}
+
+class CacheService {
+  constructor(driver) {
+    this.driver = driver;
+    this.revalidating = new Map(); // key → in-flight fetch promise
+  }
+
+  /**
+   * Describe an entry's freshness at a given time
+   */
+  describe(entry, now = Date.now()) {
+    return {
+      is_expired: now >= entry.expiresAt,
+      is_stale: now >= entry.expiresAt && now < entry.staleUntil,
+      time_left_ms: Math.max(0, entry.expiresAt - now)
+    };
+  }
+
+  async get(key) {
+    return this.driver.get(key);
+  }
+
+  async set(key, value, { ttlMs, staleMs = 0 }) {
+    const now = Date.now();
+    const entry = {
+      value,
+      storedAt: now,
+      expiresAt: now + ttlMs,
+      staleUntil: now + ttlMs + staleMs
+    };
+    await this.driver.set(key, entry);
+    return entry;
+  }
+
+  async delete(key) {
+    return this.driver.delete(key);
+  }
+
+  async clear(prefix = '') {
+    return this.driver.clear(prefix);
+  }
+
+  async list(prefix = '') {
+    return this.driver.list(prefix);
+  }
+
+  /**
+   * Fetch and store a value, sharing one in-flight request per key
+   */
+  refresh(key, fetchFn, options) {
+    if (this.revalidating.has(key)) {
+      return this.revalidating.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const value = await fetchFn();
+        return await this.set(key, value, options);
+      } finally {
+        this.revalidating.delete(key);
+      }
+    })();
+
+    this.revalidating.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Read-through with stale-while-revalidate.
+   * source: 'cache' (fresh), 'stale' (expired, refreshing in background),
+   * 'fresh' (just fetched) or 'cache_fallback' (fetch failed, old entry served)
+   */
+  async getOrFetch(key, fetchFn, { ttlMs, staleMs = 0 }) {
+    let entry = null;
+    try {
+      entry = await this.driver.get(key);
+    } catch (error) {
+      console.error(`⚠️ Cache read failed for ${key}:`, error.message);
+    }
+
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      return { value: entry.value, source: 'cache', storedAt: entry.storedAt };
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.refresh(key, fetchFn, { ttlMs, staleMs }).catch(error => {
+        console.error(`⚠️ Background revalidation failed for ${key}:`, error.message);
+      });
+      return { value: entry.value, source: 'stale', storedAt: entry.storedAt };
+    }
+
+    try {
+      const fresh = await this.refresh(key, fetchFn, { ttlMs, staleMs });
+      return { value: fresh.value, source: 'fresh', storedAt: fresh.storedAt };
+    } catch (error) {
+      if (entry) {
+        return {
+          value: entry.value,
+          source: 'cache_fallback',
+          storedAt: entry.storedAt,
+          error: error.message
+        };
+      }
+      throw error;
+    }
+  }
+}
+
+const createDriver = (name) => {
+  if (name === 'database') return new DatabaseCacheDriver();
+  return new MemoryCacheDriver();
+};
+
+module.exports = new CacheService(createDriver(process.env.CACHE_DRIVER || 'memory'));
+module.exports.CacheService = CacheService;
+module.exports.MemoryCacheDriver = MemoryCacheDriver;
+module.exports.DatabaseCacheDriver = DatabaseCacheDriver;
@@ -0,0 +1,129 @@
+// services/commodityMappingService.js - BPN commodity ↔ sembako field mapping
+const { CommodityMapping } = require('../models');
+const { getSurveyCommodities, findSurveyCommodity } = require('./surveyCommodityService');
+const { aggregatePrices } = require('./surveyObservationService');
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const getBpnPrice = (bpnItem) => bpnItem.today || bpnItem.price || 0; // fallback untuk berbagai format
+
+/**
+ * Active mappings, best priority first
+ */
+const loadMappings = async () => {
+  return CommodityMapping.findAll({
+    where: { is_active: true },
+    order: [['priority', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Find the mapping for a BPN item: external id first, then name
+ */
+const findMapping = (bpnItem, mappings) => {
+  const byId = mappings.find(m => m.bpn_external_id && String(m.bpn_external_id) === String(bpnItem.id));
+  if (byId) return byId;
+
+  const name = normalizeName(bpnItem.name);
+  return mappings.find(m => m.bpn_name && normalizeName(m.bpn_name) === name) || null;
+};
+
+/**
+ * Internal AVG per survey commodity, keyed avg_<internal_key> (published surveys only)
+ */
+const getInternalAverages = async (where = { status: 'published' }) => {
+  const averages = {};
+  (await aggregatePrices(where)).forEach(row => {
+    averages[`avg_${row.code}`] = row.avg_price;
+  });
+  return averages;
+};
+
+/**
+ * Compare internal averages against BPN items using the mapping table.
+ * One row per internal key; the best-priority BPN item with a price wins.
+ */
+const buildComparison = (internalData, bpnData, mappings) => {
+  const candidates = bpnData
+    .map(bpnItem => ({ bpnItem, mapping: findMapping(bpnItem, mappings) }))
+    .filter(({ mapping }) => mapping)
+    .sort((a, b) => a.mapping.priority - b.mapping.priority);
+
+  const comparison = [];
+  const processedKeys = new Set();
+
+  candidates.forEach(({ bpnItem, mapping }) => {
+    const key = mapping.internal_key;
+    const internalValue = internalData[`avg_${key}`];
+    const bpnPrice = getBpnPrice(bpnItem);
+
+    if (!internalValue || processedKeys.has(key) || bpnPrice <= 0) {
+      return;
+    }
+
+    const internalPrice = parseFloat(internalValue);
+    const difference = internalPrice - bpnPrice;
+    const percentageDiff = ((difference / bpnPrice) * 100);
+
+    comparison.push({
+      commodity_key: key,
+      commodity_name: mapping.display_name || findSurveyCommodity(key)?.name || key,
+      bpn_name: bpnItem.name,
+      mapping_id: mapping.id,
+      internal_price: internalPrice,
+      bpn_price: bpnPrice,
+      difference: difference,
+      percentage_difference: percentageDiff,
+      trend: Math.abs(difference) < 500 ? 'same' : (difference > 0 ? 'higher' : 'lower'),
+      bpn_trend: bpnItem.gap_change || 'stable',
+      bpn_gap: bpnItem.gap || 0,
+      bpn_gap_percentage: bpnItem.gap_percentage || 0,
+      unit: bpnItem.unit || bpnItem.satuan || 'Rp/kg',
+      bpn_id: bpnItem.id,
+      image_url: bpnItem.image_url || bpnItem.background,
+      yesterday_date: bpnItem.yesterday_date || new Date().toISOString().split('T')[0]
+    });
+
+    processedKeys.add(key);
+  });
+
+  return comparison;
+};
+
+/**
+ * BPN items without a mapping, and internal keys no BPN item maps to
+ */
+const getUnmappedReport = (bpnData, mappings) => {
+  const unmapped = [];
+  const mappedKeys = new Set();
+
+  bpnData.forEach(bpnItem => {
+    const mapping = findMapping(bpnItem, mappings);
+    if (mapping) {
+      mappedKeys.add(mapping.internal_key);
+    } else {
+      unmapped.push({
+        bpn_id: bpnItem.id,
+        bpn_name: bpnItem.name,
+        unit: bpnItem.unit || bpnItem.satuan || 'Rp/kg',
+        current_price: getBpnPrice(bpnItem)
+      });
+    }
+  });
+
+  return {
+    total_bpn_commodities: bpnData.length,
+    mapped_count: bpnData.length - unmapped.length,
+    unmapped_count: unmapped.length,
+    unmapped_bpn_commodities: unmapped,
+    internal_keys_without_match: getSurveyCommodities().map(commodity => commodity.code).filter(key => !mappedKeys.has(key))
+  };
+};
+
+module.exports = {
+  loadMappings,
+  findMapping,
+  getInternalAverages,
+  buildComparison,
+  getUnmappedReport
+};
@@ -0,0 +1,110 @@
+// services/csvImportService.js - Row mapping shared by the CSV importers, their dry runs and rejection re-submits
+const { getDefaultDateFormat, parseDate, formatDateKey } = require('../utils/dateParser');
+const { getSurveyCommodities } = require('./surveyCommodityService');
+const { getDefaultSubmissionStatus } = require('./moderationService');
+
+/**
+ * Header CSV yang dibaca per field (urutan = prioritas); kolom harga mengikuti
+ * katalog komoditas survei ("Harga Beras" → harga_beras)
+ */
+const getSembakoCsvColumns = () => {
+  const columns = {
+    timestamp: ['Timestamp'],
+    province_name: ['Province ID', 'province_id', 'provinsi'],
+    market_name: ['Nama Pasar', 'nama_pasar', 'market_name'],
+    survey_date: ['Tanggal']
+  };
+  getSurveyCommodities().forEach(commodity => {
+    columns[commodity.field] = [commodity.label];
+  });
+  return columns;
+};
+
+/**
+ * Mapping satu baris CSV Google Form ke payload survei harga_<code> (throw jika ditolak).
+ * Panggil loadSurveyCommodities() sebelumnya agar komoditas baru ikut terbaca.
+ * @param {Object} options - { dateFormat }
+ */
+const mapSembakoCsvRow = (item, { dateFormat = getDefaultDateFormat() } = {}) => {
+  const mappedData = {
+    timestamp: parseDate(item.Timestamp, { format: dateFormat, field: 'Timestamp' }) || new Date(),
+    province_name: item['Province ID'] || item.province_id || item.provinsi,
+    market_name: item['Nama Pasar'] || item.nama_pasar || item.market_name,
+    survey_date: parseDate(item['Tanggal'], { format: dateFormat, field: 'Tanggal' }),
+    source: 'import_csv',
+    status: getDefaultSubmissionStatus()
+  };
+
+  // Tanggal kosong ditolak, bukan diganti hari ini (hanya Timestamp boleh default sekarang)
+  if (!mappedData.survey_date) {
+    throw new Error('Tanggal wajib diisi');
+  }
+  mappedData.survey_date = formatDateKey(mappedData.survey_date);
+
+  // Mapping harga sembako
+  const commodities = getSurveyCommodities();
+  commodities.forEach(commodity => {
+    const value = item[commodity.label];
+    if (value && !isNaN(parseFloat(value))) {
+      mappedData[commodity.field] = parseFloat(value);
+    }
+  });
+
+  // Validasi data minimal
+  if (!mappedData.province_name || !mappedData.market_name) {
+    throw new Error('Province name dan market name wajib diisi');
+  }
+
+  // Cek apakah minimal ada satu harga
+  const hasPrice = commodities.some(commodity => mappedData[commodity.field] > 0);
+
+  if (!hasPrice) {
+    throw new Error('Minimal satu harga sembako harus diisi');
+  }
+
+  return mappedData;
+};
+
+// Kolom CSV market price (nama header = nama field)
+const MARKET_PRICE_CSV_COLUMNS = [
+  'product_name', 'price', 'unit', 'market_type', 'market_name', 'province_id',
+  'grade', 'image_url', 'effective_date', 'created_by', 'reported_by'
+].reduce((columns, field) => ({ ...columns, [field]: [field] }), {});
+
+/**
+ * Mapping satu baris CSV ke record MarketPrice (throw jika ditolak)
+ * @param {Object} options - { dateFormat }
+ */
+const mapMarketPriceCsvRow = (item, { dateFormat = getDefaultDateFormat() } = {}) => {
+  if (!item.product_name || !item.price || !item.market_type) {
+    throw new Error('Data tidak lengkap');
+  }
+
+  const effectiveDate = parseDate(item.effective_date, { format: dateFormat, field: 'effective_date' });
+  if (!effectiveDate) {
+    throw new Error('effective_date wajib diisi');
+  }
+
+  return {
+    product_name: item.product_name,
+    price: parseFloat(item.price),
+    unit: item.unit || 'kg',
+    market_type: item.market_type,
+    market_name: item.market_name || null,
+    province_id: item.province_id ? parseInt(item.province_id) : null,
+    grade: item.grade || null,
+    image_url: item.image_url || null,
+    effective_date: formatDateKey(effectiveDate),
+    source: 'import_csv',
+    created_by: item.created_by || null,
+    reported_by: item.reported_by || null,
+    status: getDefaultSubmissionStatus() // kolom status di CSV diabaikan
+  };
+};
+
+module.exports = {
+  getSembakoCsvColumns,
+  MARKET_PRICE_CSV_COLUMNS,
+  mapSembakoCsvRow,
+  mapMarketPriceCsvRow
+};
@@ -0,0 +1,245 @@
+// services/forecastService.js - Price forecasts from the BPN daily series and the survey series
+//
+// prices: daily Price rows of one commodity, region (national when none) and price level,
+//         weekly season (7 days).
+// survey: weekly averages of published survey observations, yearly season (52 weeks) once
+//         two years of data exist.
+// Gaps are filled by linear interpolation. Fitted models are cached (FORECAST_CACHE_TTL_HOURS)
+// and dropped after every sync, so the next request refits on the new data.
+const { Op, fn, col } = require('sequelize');
+const { Commodity, Price } = require('../models');
+const cacheService = require('./cacheService');
+const { aggregatePrices } = require('./surveyObservationService');
+const { findSurveyCommodity, loadSurveyCommodities } = require('./surveyCommodityService');
+const { periodKey, periodRange, shiftPeriod } = require('../utils/periods');
+const holtWinters = require('../utils/holtWinters');
+
+const CACHE_PREFIX = 'forecast:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SOURCES = {
+  prices: {
+    step: 'day',
+    period: 7,
+    historyDays: 730,
+    defaultHorizon: 14,
+    maxHorizon: 90,
+    minPoints: 21
+  },
+  survey: {
+    step: 'week',
+    period: 52,
+    historyDays: 3 * 365,
+    defaultHorizon: 8,
+    maxHorizon: 26,
+    minPoints: 10
+  }
+};
+
+const PRICE_LEVELS = Price.rawAttributes.level.values;
+
+const getCacheTtlMs = () => (parseFloat(process.env.FORECAST_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const addDays = (dateKey, days) => toDateKey(new Date(new Date(dateKey).getTime() + days * DAY_MS));
+
+const round = (value, digits = 2) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Commodity for a source: Commodity id, code or name (prices); survey code or harga_ field (survey)
+ */
+const findCommodity = async (source, key) => {
+  if (source === 'survey') {
+    await loadSurveyCommodities();
+    const commodity = findSurveyCommodity(key);
+    return commodity ? { id: commodity.id, code: commodity.code, name: commodity.name, unit: commodity.unit } : null;
+  }
+
+  const where = /^\d+$/.test(String(key))
+    ? { id: parseInt(key) }
+    : { [Op.or]: [{ code: key }, { name: key }] };
+  const commodity = await Commodity.findOne({ where });
+  return commodity ? { id: commodity.id, code: commodity.code, name: commodity.name, unit: commodity.unit } : null;
+};
+
+/**
+ * Fill missing steps between observations by linear interpolation
+ * @param {Array<{ key, value }>} points - sorted by key (date or ISO week)
+ * @param {Function} nextKey - key → following key
+ * @returns {{ keys: string[], values: number[], filled: number }}
+ */
+const fillGaps = (points, nextKey) => {
+  const keys = [];
+  const values = [];
+  let filled = 0;
+
+  points.forEach((point, index) => {
+    if (index > 0) {
+      const previous = points[index - 1];
+      const missing = [];
+      for (let key = nextKey(previous.key); key < point.key; key = nextKey(key)) missing.push(key);
+      missing.forEach((key, offset) => {
+        keys.push(key);
+        values.push(previous.value + (point.value - previous.value) * (offset + 1) / (missing.length + 1));
+      });
+      filled += missing.length;
+    }
+    keys.push(point.key);
+    values.push(point.value);
+  });
+
+  return { keys, values, filled };
+};
+
+/**
+ * Daily Price series of a commodity (region_id null = national)
+ */
+const loadPriceSeries = async ({ commodityId, regionId, level, since }) => {
+  const rows = await Price.findAll({
+    attributes: ['date', [fn('AVG', col('price')), 'price']],
+    where: { commodity_id: commodityId, region_id: regionId || null, level, date: { [Op.gte]: since } },
+    group: ['date'],
+    order: [['date', 'ASC']],
+    raw: true
+  });
+
+  return fillGaps(
+    rows.map(row => ({ key: String(row.date).slice(0, 10), value: parseFloat(row.price) })),
+    key => addDays(key, 1)
+  );
+};
+
+/**
+ * Weekly survey series of a commodity (weighted by the number of observations)
+ */
+const loadSurveySeries = async ({ code, regionId, since }) => {
+  const where = { status: 'published', survey_date: { [Op.gte]: since } };
+  if (regionId) where.region_id = regionId;
+
+  const weeks = new Map();
+  (await aggregatePrices(where, { groupBy: ['survey_date'], codes: [code] })).forEach(row => {
+    const week = periodKey(row.survey_date, 'week');
+    const count = parseInt(row.count);
+    const entry = weeks.get(week) || { total: 0, count: 0 };
+    entry.total += parseFloat(row.avg_price) * count;
+    entry.count += count;
+    weeks.set(week, entry);
+  });
+
+  return fillGaps(
+    [...weeks.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, { total, count }]) => ({ key, value: total / count })),
+    key => shiftPeriod(key, 'week', 1)
+  );
+};
+
+/**
+ * Fit a model for one series
+ * @returns {Promise<Object>} cached model payload (model null when there is too little history)
+ */
+const fitSeries = async ({ source, commodity, regionId, level }) => {
+  const config = SOURCES[source];
+  const since = toDateKey(new Date(Date.now() - config.historyDays * DAY_MS));
+
+  const series = source === 'survey'
+    ? await loadSurveySeries({ code: commodity.code, regionId, since })
+    : await loadPriceSeries({ commodityId: commodity.id, regionId, level, since });
+
+  if (series.values.length < config.minPoints) {
+    return { points: series.values.length, model: null };
+  }
+
+  const model = holtWinters.fit(series.values, config.period);
+  return {
+    points: series.values.length,
+    first_key: series.keys[0],
+    last_key: series.keys[series.keys.length - 1],
+    filled_points: series.filled,
+    model,
+    backtest: holtWinters.backtest(series.values, config.period, config.defaultHorizon, config.minPoints),
+    fitted_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Date (prices) or week (survey) `step` steps after the last observation
+ */
+const stepKey = (source, lastKey, step) => (source === 'survey'
+  ? shiftPeriod(lastKey, 'week', step)
+  : addDays(lastKey, step));
+
+/**
+ * Forecast a commodity series
+ * @param {Object} options - { source, commodity (findCommodity result), regionId, level, horizon }
+ * @returns {Promise<Object>} forecast null when the series is too short to fit
+ */
+const getForecast = async ({ source, commodity, regionId = null, level = 'konsumen', horizon }) => {
+  const key = `${CACHE_PREFIX}${source}:${commodity.id}:${regionId || 'national'}${source === 'prices' ? `:${level}` : ''}`;
+
+  const { value: fitted, source: cacheSource } = await cacheService.getOrFetch(
+    key,
+    () => fitSeries({ source, commodity, regionId, level }),
+    { ttlMs: getCacheTtlMs() }
+  );
+
+  if (!fitted.model) {
+    return { points: fitted.points, min_points: SOURCES[source].minPoints, forecast: null };
+  }
+
+  const { model, backtest } = fitted;
+  const forecast = holtWinters.forecast(model, horizon).map(point => {
+    const keyForStep = stepKey(source, fitted.last_key, point.step);
+    return {
+      ...(source === 'survey'
+        ? { week: keyForStep, start_date: periodRange(keyForStep).start }
+        : { date: keyForStep }),
+      // Prices cannot go below zero
+      value: round(Math.max(point.value, 0)),
+      lower_80: round(Math.max(point.lower_80, 0)),
+      upper_80: round(point.upper_80),
+      lower_95: round(Math.max(point.lower_95, 0)),
+      upper_95: round(point.upper_95)
+    };
+  });
+
+  return {
+    points: fitted.points,
+    history: { from: fitted.first_key, to: fitted.last_key, filled_points: fitted.filled_points },
+    model: {
+      method: model.method,
+      season_length: model.period || null,
+      alpha: model.alpha,
+      beta: model.beta,
+      gamma: model.period ? model.gamma : null,
+      residual_sd: round(model.sigma),
+      fitted_at: fitted.fitted_at,
+      cached: cacheSource === 'cache'
+    },
+    backtest: backtest
+      ? {
+          horizon: backtest.horizon,
+          mae: round(backtest.mae),
+          rmse: round(backtest.rmse),
+          mape: round(backtest.mape),
+          naive_mae: round(backtest.naive_mae),
+          coverage_95: round(backtest.coverage_95)
+        }
+      : null,
+    forecast
+  };
+};
+
+/**
+ * Drop every fitted model (called after syncs)
+ */
+const invalidate = async () => cacheService.clear(CACHE_PREFIX);
+
+module.exports = {
+  SOURCES,
+  PRICE_LEVELS,
+  findCommodity,
+  getForecast,
+  invalidate
+};
@@ -1,24 +1,119 @@
 // ==========================================
 // 2. services/googleSheetsService.js - UPDATED with GID support
 // ==========================================
+const crypto = require('crypto');
 const axios = require('axios');
 const SembakoPrice = require('../models/SembakoPrice');
+const { SheetSyncState, SheetRow } = require('../models');
 const { Op } = require('sequelize');
+const { detectColumnMatches } = require('../utils/importPreview');
+const { getDefaultDateFormat, parseDate, formatDateKey, inspectDateColumns } = require('../utils/dateParser');
+const importRejectionService = require('./importRejectionService');
+const { loadSurveyCommodities, getSurveyCommodities } = require('./surveyCommodityService');
+const { createSurvey, updateSurvey } = require('./surveyObservationService');
+const sheetStatusWriter = require('./sheetStatusWriter');
+const { getDefaultSubmissionStatus } = require('./moderationService');
+
+const { STATUS_HEADERS, nextColumnAfterRange } = sheetStatusWriter;
+
+// Columns that are not form data: the row index and the write-back status columns
+const isMetaColumn = (key) => key === '_originalRowIndex' || STATUS_HEADERS.includes(key);
+
+// Status cell text for each sheet_rows status
+const WRITEBACK_STATUS = {
+  synced: 'ACCEPTED',
+  duplicate: 'DUPLICATE',
+  error: 'REJECTED'
+};
+
+// Header names tried for the survey fields (per-source column_mappings are checked first)
+const SURVEY_FIELD_MAPPINGS = {
+  // Timestamp fields
+  timestamp: ['Timestamp', 'timestamp', 'Tanggal Input', 'Created'],
+  
+  // Location fields  
+  province_name: ['Province ID', 'province_id', 'Provinsi', 'Province'],
+  market_name: ['Nama Pasar', 'nama_pasar', 'market_name', 'Pasar', 'Market Name'],
+  survey_date: ['Tanggal', 'tanggal', 'Date', 'Survey Date', 'Tanggal Survei']
+};
+
+/**
+ * Default header names per field: survey fields plus harga_<code> for every survey commodity
+ */
+const getDefaultFieldMappings = () => {
+  const mappings = { ...SURVEY_FIELD_MAPPINGS };
+  getSurveyCommodities().forEach(commodity => {
+    mappings[commodity.field] = commodity.headers;
+  });
+  return mappings;
+};
 
 class GoogleSheetsService {
-  constructor() {
+  /**
+   * @param {Object} config - overrides for the GOOGLE_SHEET_* env configuration
+   *   { sourceId, name, sheetId, sheetGid, sheetName, range, columnMappings, defaultProvince, dateFormat,
+   *     writeBack, statusColumn, statusWriter }
+   */
+  constructor(config = {}) {
+    this.sourceId = config.sourceId || null;
+    this.name = config.name || 'default';
     this.apiKey = process.env.GOOGLE_SHEETS_API_KEY;
-    this.sheetId = process.env.GOOGLE_SHEET_ID;
-    this.sheetGid = process.env.GOOGLE_SHEET_GID; // NEW: Support for specific sheet GID
-    this.range = process.env.GOOGLE_SHEET_RANGE || 'A:N';
-    this.sheetName = process.env.GOOGLE_SHEET_NAME || 'Form Responses 1';
+    this.sheetId = config.sheetId || process.env.GOOGLE_SHEET_ID;
+    this.sheetGid = config.sheetGid || (config.sheetId ? null : process.env.GOOGLE_SHEET_GID); // NEW: Support for specific sheet GID
+    this.range = config.range || process.env.GOOGLE_SHEET_RANGE || 'A:N';
+    this.sheetName = config.sheetName || process.env.GOOGLE_SHEET_NAME || 'Form Responses 1';
+    this.columnMappings = config.columnMappings || {};
+    this.defaultProvince = config.defaultProvince || null;
+    this.dateFormat = config.dateFormat || getDefaultDateFormat();
+    this.writeBack = config.writeBack ?? process.env.GOOGLE_SHEET_WRITEBACK === 'true';
+    this.statusColumn = config.statusColumn
+      || (config.sheetId ? null : process.env.GOOGLE_SHEET_STATUS_COLUMN)
+      || nextColumnAfterRange(this.range);
+    this.statusWriter = config.statusWriter || sheetStatusWriter;
     this.baseUrl = 'https://sheets.googleapis.com/v4/spreadsheets';
     
-    console.log('📊 Google Sheets Service Configuration:');
+    console.log(`📊 Google Sheets Service Configuration (${this.name}):`);
     console.log(`   • Sheet ID: ${this.sheetId}`);
     console.log(`   • GID: ${this.sheetGid || 'Not specified'}`);
     console.log(`   • Range: ${this.range}`);
     console.log(`   • Sheet Name: ${this.sheetName}`);
+    console.log(`   • Date Format: ${this.dateFormat}`);
+    console.log(`   • Write-back: ${this.writeBack ? `columns ${this.statusColumn}+ (${this.statusWriter.name})` : 'off'}`);
+  }
+
+  /**
+   * Service instance for a SheetSource row
+   */
+  static fromSource(source) {
+    return new GoogleSheetsService({
+      sourceId: source.id,
+      name: source.name,
+      sheetId: source.sheet_id,
+      sheetGid: source.sheet_gid,
+      sheetName: source.sheet_name,
+      range: source.range,
+      columnMappings: source.column_mappings,
+      defaultProvince: source.default_province,
+      dateFormat: source.date_format,
+      writeBack: !!source.writeback_enabled,
+      statusColumn: source.status_column
+    });
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.sheetId);
+  }
+
+  /**
+   * Default header names, with this source's overrides tried first
+   */
+  getFieldMappings() {
+    const mappings = {};
+    Object.entries(getDefaultFieldMappings()).forEach(([dbField, headers]) => {
+      const overrides = [].concat(this.columnMappings[dbField] || []);
+      mappings[dbField] = [...overrides, ...headers.filter(header => !overrides.includes(header))];
+    });
+    return mappings;
   }
 
   /**
@@ -119,33 +214,12 @@ class GoogleSheetsService {
       console.log(`🔄 Mapping row data:`, Object.keys(sheetRow));
       
       // Multiple possible field mappings untuk flexibility
-      const fieldMappings = {
-        // Timestamp fields
-        timestamp: ['Timestamp', 'timestamp', 'Tanggal Input', 'Created'],
-        
-        // Location fields  
-        province_name: ['Province ID', 'province_id', 'Provinsi', 'Province'],
-        market_name: ['Nama Pasar', 'nama_pasar', 'market_name', 'Pasar', 'Market Name'],
-        survey_date: ['Tanggal', 'tanggal', 'Date', 'Survey Date', 'Tanggal Survei'],
-        
-        // Price fields - 9 Sembako + 2 Bonus
-        harga_beras: ['Harga Beras', 'harga_beras', 'Beras', 'Rice Price'],
-        harga_gula: ['Harga Gula', 'harga_gula', 'Gula', 'Sugar Price'],
-        harga_minyak: ['Harga Minyak', 'harga_minyak', 'Minyak', 'Oil Price', 'Minyak Goreng'],
-        harga_daging: ['Harga Daging', 'harga_daging', 'Daging', 'Meat Price', 'Daging Sapi'],
-        harga_ayam: ['Harga Ayam', 'harga_ayam', 'Ayam', 'Chicken Price'],
-        harga_telur: ['Harga Telur', 'harga_telur', 'Telur', 'Egg Price'],
-        harga_bawang_merah: ['Harga Bawang Merah', 'harga_bawang_merah', 'Bawang Merah', 'Red Onion Price'],
-        harga_bawang_putih: ['Harga Bawang Putih', 'harga_bawang_putih', 'Bawang Putih', 'Garlic Price'],
-        harga_gas: ['Harga Gas', 'harga_gas', 'Gas', 'Gas Price', 'Gas LPG'],
-        harga_garam: ['Harga Garam', 'harga_garam', 'Garam', 'Salt Price'],
-        harga_susu: ['Harga Susu', 'harga_susu', 'Susu', 'Milk Price']
-      };
+      const fieldMappings = this.getFieldMappings();
 
       // Smart field mapping
       const mappedData = {
         source: 'google_sheet',
-        status: 'published',
+        source_ref: this.getSheetKey(),
       };
 
       // Map each field using multiple possible names
@@ -163,29 +237,37 @@ class GoogleSheetsService {
         
         if (value !== null) {
           if (dbField === 'timestamp' || dbField === 'survey_date') {
-            mappedData[dbField] = this.parseDate(value);
+            mappedData[dbField] = this.parseDate(value, dbField);
           } else if (dbField.startsWith('harga_')) {
             mappedData[dbField] = this.parsePrice(value);
           } else {
             mappedData[dbField] = value;
           }
-        } else if (dbField === 'survey_date') {
-          // Default survey_date jika tidak ada
-          mappedData[dbField] = new Date();
         }
       });
 
+      // Tanggal kosong ditolak seperti import CSV, bukan diganti Timestamp atau hari ini
+      if (!mappedData.survey_date) {
+        throw new Error('Tanggal wajib diisi');
+      }
+      // DATEONLY: simpan tanggal kalender lokal, bukan Date yang bisa bergeser sehari di zona waktu lain
+      mappedData.survey_date = formatDateKey(mappedData.survey_date);
+      if (!mappedData.timestamp) {
+        mappedData.timestamp = new Date();
+      }
+
+      // Sources run by a single provincial office may omit the province column
+      if (!mappedData.province_name && this.defaultProvince) {
+        mappedData.province_name = this.defaultProvince;
+      }
+
       // Validasi data wajib
       if (!mappedData.province_name || !mappedData.market_name) {
         throw new Error(`Missing required fields: province_name="${mappedData.province_name}", market_name="${mappedData.market_name}"`);
       }
 
       // Cek apakah minimal ada satu harga
-      const priceFields = [
-        'harga_beras', 'harga_gula', 'harga_minyak', 'harga_daging', 
-        'harga_ayam', 'harga_telur', 'harga_bawang_merah', 
-        'harga_bawang_putih', 'harga_gas', 'harga_garam', 'harga_susu'
-      ];
+      const priceFields = getSurveyCommodities().map(commodity => commodity.field);
       
       const hasValidPrice = priceFields.some(field => 
         mappedData[field] !== null && mappedData[field] !== undefined && mappedData[field] > 0
@@ -210,48 +292,11 @@ class GoogleSheetsService {
   }
 
   /**
-   * Parse tanggal dari berbagai format - ENHANCED
+   * Parse tanggal dengan format sumber ini (strict: throw jika tidak valid atau ambigu).
+   * Sel kosong → null; pemanggil memutuskan (survey_date ditolak, timestamp = sekarang).
    */
-  parseDate(dateString) {
-    if (!dateString) return new Date();
-    
-    try {
-      // Handle berbagai format tanggal
-      let date;
-      
-      // Format: "9/23/2025 19:50:23" atau "23/9/2025 19:50:23"
-      if (dateString.includes('/') && dateString.includes(':')) {
-        date = new Date(dateString);
-      }
-      // Format: "2025-09-23" 
-      else if (dateString.includes('-')) {
-        date = new Date(dateString);
-      }
-      // Format: "23/09/2025" atau "9/23/2025"
-      else if (dateString.includes('/')) {
-        const parts = dateString.split('/');
-        if (parts.length === 3) {
-          // Try both formats
-          const format1 = new Date(`${parts[0]}/${parts[1]}/${parts[2]}`); // MM/DD/YYYY
-          const format2 = new Date(`${parts[1]}/${parts[0]}/${parts[2]}`); // DD/MM/YYYY
-          
-          date = !isNaN(format1.getTime()) ? format1 : format2;
-        }
-      }
-      else {
-        date = new Date(dateString);
-      }
-      
-      if (isNaN(date.getTime())) {
-        console.warn('⚠️  Date parsing failed, using today:', dateString);
-        return new Date();
-      }
-      
-      return date;
-    } catch (error) {
-      console.warn('⚠️  Date parsing error:', dateString, error.message);
-      return new Date();
-    }
+  parseDate(dateString, field = 'date') {
+    return parseDate(dateString, { format: this.dateFormat, field });
   }
 
   /**
@@ -301,72 +346,508 @@ class GoogleSheetsService {
     }
   }
 
-  // Rest of the methods remain the same...
-  async syncToDatabase() {
+  /**
+   * Key identifying the synced sheet in sheet_sync_states / sheet_rows
+   */
+  getSheetKey() {
+    return `${this.sheetId}:${this.sheetGid || this.sheetName}`;
+  }
+
+  /**
+   * Content hash of a sheet row (values in header order)
+   */
+  hashRow(row) {
+    const values = Object.keys(row)
+      .filter(key => !isMetaColumn(key))
+      .map(key => (row[key] === null ? '' : String(row[key]).trim()));
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+  }
+
+  isEmptyRow(row) {
+    return Object.keys(row).every(key => isMetaColumn(key) || row[key] === null || String(row[key]).trim() === '');
+  }
+
+  /**
+   * Fill the status columns of the processed rows in the source sheet.
+   * Never fails the sync: write errors are returned in the summary.
+   * @param {Array} statuses - [{ rowIndex, status, message }]
+   */
+  async writeBackStatuses(statuses) {
+    const summary = { enabled: true, column: this.statusColumn, written: 0, error: null };
+    if (statuses.length === 0) return summary;
+
+    try {
+      const sheetName = await this.getSheetNameByGid();
+      const { written } = await this.statusWriter.writeStatuses({
+        sheetId: this.sheetId,
+        sheetName,
+        column: this.statusColumn,
+        rows: statuses
+      });
+      summary.written = written;
+      console.log(`📝 Wrote sync status for ${written} rows to column ${this.statusColumn}`);
+    } catch (error) {
+      summary.error = error.response?.data?.error?.message || error.message;
+      console.error('⚠️ Sheet write-back failed:', summary.error);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compare the sheet with the rows stored by previous runs.
+   * Rows are matched by index + hash, then by hash alone (rows shifted after a
+   * deletion above them), then by index (edited in place).
+   *
+   * @param {Array} sheetData - rows from fetchSheetData()
+   * @param {Array} storedRows - SheetRow instances for this sheet
+   * @param {Object} options - { force: re-process unchanged rows too }
+   * @returns {{ unchanged, moved, changed, added, deleted }}
+   */
+  planIncrementalSync(sheetData, storedRows, { force = false } = {}) {
+    const plan = { unchanged: [], moved: [], changed: [], added: [], deleted: [] };
+    const activeRows = storedRows.filter(stored => stored.status !== 'deleted');
+    const unmatched = new Set(activeRows);
+    const byIndex = new Map(activeRows.map(stored => [stored.row_index, stored]));
+    const pending = [];
+
+    sheetData.forEach(row => {
+      const hash = this.hashRow(row);
+      const stored = byIndex.get(row._originalRowIndex);
+
+      if (stored && stored.row_hash === hash) {
+        unmatched.delete(stored);
+        (force ? plan.changed : plan.unchanged).push({ row, hash, stored });
+      } else {
+        pending.push({ row, hash });
+      }
+    });
+
+    const byHash = new Map();
+    unmatched.forEach(stored => {
+      if (!byHash.has(stored.row_hash)) byHash.set(stored.row_hash, []);
+      byHash.get(stored.row_hash).push(stored);
+    });
+
+    pending.forEach(({ row, hash }) => {
+      const movedFrom = byHash.get(hash)?.shift();
+      if (movedFrom) {
+        unmatched.delete(movedFrom);
+        (force ? plan.changed : plan.moved).push({ row, hash, stored: movedFrom });
+        return;
+      }
+
+      const stored = byIndex.get(row._originalRowIndex);
+      if (stored && unmatched.has(stored)) {
+        unmatched.delete(stored);
+        plan.changed.push({ row, hash, stored });
+      } else {
+        plan.added.push({ row, hash, stored: null });
+      }
+    });
+
+    plan.deleted = [...unmatched];
+    return plan;
+  }
+
+  /**
+   * Insert a new sembako price for a sheet row, adopting an existing record of
+   * this sheet that no tracked row owns yet (a row that was deleted and re-added),
+   * or an untracked record without sheet key (data synced before row tracking existed).
+   * Records of other sheets are reported as duplicates, never overwritten.
+   * Only new records (and re-added archived ones) get the default submission status;
+   * adopted records keep their moderation status.
+   * @returns {{ status: 'synced'|'duplicate', sembakoPriceId, adopted, flagReason }}
+   */
+  async insertRow(mappedData, ownedPriceIds) {
+    const duplicateCheck = await this.isDuplicateData(mappedData);
+
+    if (duplicateCheck.isDuplicate) {
+      const existing = duplicateCheck.existing;
+      if (ownedPriceIds.has(existing.id) || !(await this.canAdopt(existing))) {
+        return { status: 'duplicate', sembakoPriceId: null, adopted: false, flagReason: null };
+      }
+
+      const restored = existing.status === 'archived' ? { status: getDefaultSubmissionStatus() } : {};
+      await updateSurvey(existing, { ...mappedData, ...restored });
+      return { status: 'synced', sembakoPriceId: existing.id, adopted: true, flagReason: existing.flag_reason };
+    }
+
+    const price = await createSurvey({ ...mappedData, status: getDefaultSubmissionStatus() });
+    return { status: 'synced', sembakoPriceId: price.id, adopted: false, flagReason: price.flag_reason };
+  }
+
+  /**
+   * Whether an existing google_sheet record may be taken over by a row of this sheet
+   */
+  async canAdopt(existing) {
+    if (existing.source_ref) return existing.source_ref === this.getSheetKey();
+    return (await SheetRow.count({ where: { sembako_price_id: existing.id } })) === 0;
+  }
+
+  /**
+   * Incremental sync: only new, edited and deleted rows touch sembako_prices.
+   * @param {Object} options - { force: re-map every row even if unchanged }
+   */
+  async syncToDatabase(options = {}) {
+    const { force = false } = options;
     const startTime = Date.now();
     const result = {
+      mode: force ? 'full' : 'incremental',
       total_rows: 0,
       success_count: 0,
+      updated_count: 0,
+      unchanged_count: 0,
+      moved_count: 0,
       duplicate_count: 0,
+      deleted_count: 0,
+      flagged_count: 0,
       error_count: 0,
+      new_rows: 0,
+      last_row_index: null,
       errors: []
     };
+    const statuses = [];
 
     try {
-      console.log('🚀 Starting Google Sheet sync...');
-      
-      const sheetData = await this.fetchSheetData();
+      console.log(`🚀 Starting Google Sheet sync (${result.mode})...`);
+      await loadSurveyCommodities();
+
+      const sheetKey = this.getSheetKey();
+      const sheetData = (await this.fetchSheetData()).filter(row => !this.isEmptyRow(row));
       result.total_rows = sheetData.length;
 
-      if (sheetData.length === 0) {
-        console.log('✅ No data to sync');
-        return result;
+      const [state] = await SheetSyncState.findOrCreate({ where: { sheet_key: sheetKey } });
+      const storedRows = await SheetRow.findAll({ where: { sheet_key: sheetKey } });
+      const ownedPriceIds = new Set(
+        storedRows
+          .filter(stored => stored.status !== 'deleted' && stored.sembako_price_id)
+          .map(stored => stored.sembako_price_id)
+      );
+
+      const plan = this.planIncrementalSync(sheetData, storedRows, { force });
+      result.unchanged_count = plan.unchanged.length;
+      result.new_rows = plan.added.filter(({ row }) => row._originalRowIndex > state.last_row_index).length;
+
+      console.log(`📋 Plan: ${plan.added.length} new, ${plan.changed.length} changed, ${plan.moved.length} moved, ${plan.deleted.length} deleted, ${plan.unchanged.length} unchanged (cursor: row ${state.last_row_index})`);
+
+      // Rows shifted by a deletion above them: same content, new position
+      for (const { row, stored } of plan.moved) {
+        await stored.update({ row_index: row._originalRowIndex });
+        result.moved_count++;
       }
 
-      for (let i = 0; i < sheetData.length; i++) {
+      // New and edited rows
+      for (const { row, hash, stored } of [...plan.added, ...plan.changed]) {
+        const rowFields = { sheet_key: sheetKey, row_index: row._originalRowIndex, row_hash: hash, deleted_at: null };
+
         try {
-          const row = sheetData[i];
           const mappedData = this.mapSheetDataToDatabase(row);
-          
-          // Check duplicate
-          const duplicateCheck = await this.isDuplicateData(mappedData);
-          if (duplicateCheck.isDuplicate) {
-            result.duplicate_count++;
-            console.log(`⏭️  Row ${row._originalRowIndex}: Duplicate data skipped`);
-            continue;
+          let outcome;
+
+          const linkedPrice = stored?.sembako_price_id
+            ? await SembakoPrice.findByPk(stored.sembako_price_id)
+            : null;
+
+          // Edited row: the record keeps its moderation status (only applyDecision changes it)
+          if (linkedPrice) {
+            await updateSurvey(linkedPrice, mappedData);
+            outcome = { status: 'synced', sembakoPriceId: linkedPrice.id, flagReason: linkedPrice.flag_reason };
+            result.updated_count++;
+            console.log(`✏️  Row ${row._originalRowIndex}: ${mappedData.market_name} (${mappedData.province_name}) updated`);
+          } else {
+            outcome = await this.insertRow(mappedData, ownedPriceIds);
+
+            if (outcome.status === 'duplicate') {
+              result.duplicate_count++;
+              console.log(`⏭️  Row ${row._originalRowIndex}: Duplicate data skipped`);
+            } else {
+              ownedPriceIds.add(outcome.sembakoPriceId);
+              if (outcome.adopted) {
+                result.updated_count++;
+              } else {
+                result.success_count++;
+              }
+              console.log(`✅ Row ${row._originalRowIndex}: ${mappedData.market_name} (${mappedData.province_name}) saved`);
+            }
+          }
+
+          if (outcome.flagReason) {
+            result.flagged_count++;
+            console.log(`🚩 Row ${row._originalRowIndex}: flagged for review (${outcome.flagReason})`);
           }
 
-          // Insert ke database
-          await SembakoPrice.create(mappedData);
-          result.success_count++;
-          
-          console.log(`✅ Row ${row._originalRowIndex}: ${mappedData.market_name} (${mappedData.province_name}) saved`);
-          
+          statuses.push({
+            rowIndex: row._originalRowIndex,
+            status: WRITEBACK_STATUS[outcome.status],
+            message: outcome.status === 'duplicate'
+              ? 'Same market, province and survey date was already submitted'
+              : `Saved as record #${outcome.sembakoPriceId}${outcome.flagReason ? ` (flagged for review: ${outcome.flagReason})` : ''}`
+          });
+
+          const fields = { ...rowFields, status: outcome.status, sembako_price_id: outcome.sembakoPriceId, error_message: null };
+          if (stored) {
+            await stored.update(fields);
+          } else {
+            await SheetRow.create(fields);
+          }
+
+          // Row fixed in the sheet itself: close its quarantined rejection
+          if (stored?.status === 'error' && outcome.status === 'synced') {
+            await importRejectionService.resolveSheetRow(sheetKey, row._originalRowIndex, outcome.sembakoPriceId);
+          }
         } catch (error) {
           result.error_count++;
-          const errorMsg = `Row ${sheetData[i]?._originalRowIndex || i + 1}: ${error.message}`;
+          const errorMsg = `Row ${row._originalRowIndex}: ${error.message}`;
           result.errors.push(errorMsg);
           console.error(`❌ ${errorMsg}`);
+          statuses.push({ rowIndex: row._originalRowIndex, status: WRITEBACK_STATUS.error, message: error.message });
+
+          // Keep the hash so an unchanged broken row is not retried every run
+          const fields = { ...rowFields, status: 'error', error_message: error.message };
+          if (stored) {
+            await stored.update(fields);
+          } else {
+            await SheetRow.create(fields);
+          }
+
+          await importRejectionService.record({
+            source: 'google_sheet',
+            sourceRef: sheetKey,
+            rowNumber: row._originalRowIndex,
+            payload: row,
+            error,
+            context: { sheet_key: sheetKey, sheet_source_id: this.sourceId }
+          });
+        }
+      }
+
+      // Rows removed from the sheet: flag the row and archive its price record
+      for (const stored of plan.deleted) {
+        await stored.update({ status: 'deleted', deleted_at: new Date() });
+
+        if (stored.sembako_price_id) {
+          await SembakoPrice.update(
+            { status: 'archived' },
+            { where: { id: stored.sembako_price_id, source: 'google_sheet' } }
+          );
         }
+
+        result.deleted_count++;
+        console.log(`🗑️  Row ${stored.row_index}: removed from sheet, record archived`);
+      }
+
+      if (this.writeBack) {
+        result.writeback = await this.writeBackStatuses(statuses);
       }
 
+      result.last_row_index = sheetData.reduce((max, row) => Math.max(max, row._originalRowIndex), 1);
+      await state.update({
+        last_row_index: result.last_row_index,
+        total_rows: result.total_rows,
+        last_synced_at: new Date()
+      });
+
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       
       console.log(`\n📊 SYNC COMPLETED in ${duration}s:`);
       console.log(`   • Total rows: ${result.total_rows}`);
-      console.log(`   • Success: ${result.success_count}`);
+      console.log(`   • Inserted: ${result.success_count}`);
+      console.log(`   • Updated: ${result.updated_count}`);
+      console.log(`   • Unchanged: ${result.unchanged_count}`);
+      console.log(`   • Deleted: ${result.deleted_count}`);
       console.log(`   • Duplicates: ${result.duplicate_count}`);
+      console.log(`   • Flagged: ${result.flagged_count}`);
       console.log(`   • Errors: ${result.error_count}`);
 
       return result;
 
     } catch (error) {
       console.error('❌ Sync process failed:', error.message);
+      result.success = false;
       result.errors.push(`Sync process failed: ${error.message}`);
       return result;
     }
   }
 
+  /**
+   * Dry run of syncToDatabase: what each row would do, without writing anything
+   * @param {Object} options - { force: preview a full re-map }
+   */
+  async previewSync(options = {}) {
+    const { force = false } = options;
+    const sheetKey = this.getSheetKey();
+    await loadSurveyCommodities();
+    const sheetData = (await this.fetchSheetData()).filter(row => !this.isEmptyRow(row));
+    const headers = sheetData.length > 0
+      ? Object.keys(sheetData[0]).filter(key => !isMetaColumn(key))
+      : [];
+
+    const [state, storedRows] = await Promise.all([
+      SheetSyncState.findOne({ where: { sheet_key: sheetKey } }),
+      SheetRow.findAll({ where: { sheet_key: sheetKey } })
+    ]);
+    const lastRowIndex = state?.last_row_index || 1;
+    const ownedPriceIds = new Set(
+      storedRows
+        .filter(stored => stored.status !== 'deleted' && stored.sembako_price_id)
+        .map(stored => stored.sembako_price_id)
+    );
+
+    const plan = this.planIncrementalSync(sheetData, storedRows, { force });
+    const columns = detectColumnMatches(headers, this.getFieldMappings());
+    const preview = {
+      dry_run: true,
+      mode: force ? 'full' : 'incremental',
+      sheet_key: sheetKey,
+      writeback: { enabled: this.writeBack, column: this.writeBack ? this.statusColumn : null },
+      columns,
+      dates: inspectDateColumns(sheetData, [columns.matched.timestamp, columns.matched.survey_date], this.dateFormat),
+      totals: {
+        total_rows: sheetData.length,
+        success_count: 0,
+        updated_count: 0,
+        unchanged_count: plan.unchanged.length,
+        moved_count: plan.moved.length,
+        duplicate_count: 0,
+        deleted_count: plan.deleted.length,
+        error_count: 0,
+        new_rows: plan.added.filter(({ row }) => row._originalRowIndex > lastRowIndex).length
+      },
+      rows: []
+    };
+
+    const tryMap = (row) => {
+      try {
+        return { mapped: this.mapSheetDataToDatabase(row), error: null };
+      } catch (error) {
+        return { mapped: null, error: error.message };
+      }
+    };
+
+    plan.unchanged.forEach(({ row, stored }) => {
+      const { mapped, error } = tryMap(row);
+      preview.rows.push({
+        row_index: row._originalRowIndex,
+        action: 'unchanged',
+        mapped,
+        reason: error || 'Row not edited since the last sync',
+        sembako_price_id: stored.sembako_price_id
+      });
+    });
+
+    plan.moved.forEach(({ row, stored }) => {
+      preview.rows.push({
+        row_index: row._originalRowIndex,
+        action: 'move',
+        mapped: null,
+        reason: `Same content as row ${stored.row_index}, only re-indexed`,
+        sembako_price_id: stored.sembako_price_id
+      });
+    });
+
+    // Rows inserted earlier in this preview, to catch duplicates within the sheet
+    const pendingInserts = new Map();
+
+    for (const { row, stored } of [...plan.added, ...plan.changed]) {
+      const { mapped, error } = tryMap(row);
+      const entry = { row_index: row._originalRowIndex, mapped, reason: null, sembako_price_id: null };
+
+      if (error) {
+        preview.totals.error_count++;
+        preview.rows.push({ ...entry, action: 'error', reason: error });
+        continue;
+      }
+
+      const linkedPrice = stored?.sembako_price_id
+        ? await SembakoPrice.findByPk(stored.sembako_price_id)
+        : null;
+
+      if (linkedPrice) {
+        preview.totals.updated_count++;
+        preview.rows.push({ ...entry, action: 'update', sembako_price_id: linkedPrice.id, reason: 'Row edited since the last sync' });
+        continue;
+      }
+
+      const key = `${mapped.province_name}|${mapped.market_name}|${formatDateKey(mapped.survey_date)}`;
+      if (pendingInserts.has(key)) {
+        preview.totals.duplicate_count++;
+        preview.rows.push({ ...entry, action: 'duplicate', reason: `Same province, market and survey date as row ${pendingInserts.get(key)}` });
+        continue;
+      }
+
+      const duplicateCheck = await this.isDuplicateData(mapped);
+      if (duplicateCheck.isDuplicate
+        && (ownedPriceIds.has(duplicateCheck.existing.id) || !(await this.canAdopt(duplicateCheck.existing)))) {
+        preview.totals.duplicate_count++;
+        preview.rows.push({
+          ...entry,
+          action: 'duplicate',
+          sembako_price_id: duplicateCheck.existing.id,
+          reason: `Record #${duplicateCheck.existing.id} for this province, market and survey date is already synced from another row or sheet`
+        });
+        continue;
+      }
+
+      pendingInserts.set(key, row._originalRowIndex);
+
+      if (duplicateCheck.isDuplicate) {
+        preview.totals.updated_count++;
+        preview.rows.push({
+          ...entry,
+          action: 'update',
+          sembako_price_id: duplicateCheck.existing.id,
+          reason: `Adopts untracked record #${duplicateCheck.existing.id} with the same province, market and survey date`
+        });
+      } else {
+        preview.totals.success_count++;
+        preview.rows.push({ ...entry, action: 'insert' });
+      }
+    }
+
+    plan.deleted.forEach(stored => {
+      preview.rows.push({
+        row_index: stored.row_index,
+        action: 'delete',
+        mapped: null,
+        reason: stored.sembako_price_id
+          ? `Row removed from the sheet, record #${stored.sembako_price_id} would be archived`
+          : 'Row removed from the sheet',
+        sembako_price_id: stored.sembako_price_id
+      });
+    });
+
+    preview.rows.sort((a, b) => a.row_index - b.row_index);
+    return preview;
+  }
+
+  /**
+   * Incremental sync state for the status endpoint
+   */
+  async getSyncState() {
+    const sheetKey = this.getSheetKey();
+    const [state, rowCounts] = await Promise.all([
+      SheetSyncState.findOne({ where: { sheet_key: sheetKey } }),
+      SheetRow.findAll({
+        attributes: ['status', [SheetRow.sequelize.fn('COUNT', SheetRow.sequelize.col('id')), 'count']],
+        where: { sheet_key: sheetKey },
+        group: ['status'],
+        raw: true
+      })
+    ]);
+
+    const rows = {};
+    rowCounts.forEach(({ status, count }) => { rows[status] = parseInt(count); });
+
+    return {
+      sheet_key: sheetKey,
+      last_row_index: state?.last_row_index || null,
+      total_rows: state?.total_rows || 0,
+      last_synced_at: state?.last_synced_at || null,
+      tracked_rows: rows
+    };
+  }
+
   /**
    * Get sheet info untuk debugging
    */
@@ -391,4 +872,7 @@ class GoogleSheetsService {
   }
 }
 
-module.exports = new GoogleSheetsService();
\ No newline at end of file
+module.exports = new GoogleSheetsService();
+module.exports.GoogleSheetsService = GoogleSheetsService;
+module.exports.getDefaultFieldMappings = getDefaultFieldMappings;
+module.exports.WRITEBACK_STATUS = WRITEBACK_STATUS;
\ No newline at end of file
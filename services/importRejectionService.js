@@ -0,0 +1,167 @@
+// services/importRejectionService.js - Quarantine for rows rejected by the sheet sync and CSV imports
+const { ImportRejection, SheetRow, SheetSource, MarketPrice } = require('../models');
+const { mapSembakoCsvRow, mapMarketPriceCsvRow } = require('./csvImportService');
+const { loadSurveyCommodities } = require('./surveyCommodityService');
+const { createSurvey } = require('./surveyObservationService');
+
+const SOURCES = ['google_sheet', 'sembako_csv', 'market_price_csv'];
+
+/**
+ * Row values without internal bookkeeping keys
+ */
+const cleanPayload = (row) => {
+  const payload = {};
+  Object.keys(row).forEach(key => {
+    if (key !== '_originalRowIndex') payload[key] = row[key];
+  });
+  return payload;
+};
+
+/**
+ * Store a rejected row. A sheet row keeps a single pending rejection that is
+ * refreshed when the row is edited and still fails.
+ * Failures are logged and never break the import itself.
+ *
+ * @param {Object} rejection - { source, sourceRef, rowNumber, payload, error, context, createdBy }
+ * @returns {Promise<Object|null>} ImportRejection instance
+ */
+const record = async ({ source, sourceRef = null, rowNumber = null, payload, error, context = null, createdBy = null }) => {
+  try {
+    const fields = {
+      raw_payload: cleanPayload(payload),
+      error_reason: error instanceof Error ? error.message : String(error),
+      context
+    };
+
+    if (source === 'google_sheet') {
+      const pending = await ImportRejection.findOne({
+        where: { source, source_ref: sourceRef, row_number: rowNumber, status: 'pending' }
+      });
+      if (pending) {
+        return await pending.update(fields);
+      }
+    }
+
+    return await ImportRejection.create({
+      ...fields,
+      source,
+      source_ref: sourceRef,
+      row_number: rowNumber,
+      created_by: createdBy
+    });
+  } catch (recordError) {
+    console.error(`⚠️ Failed to store rejected ${source} row ${rowNumber}:`, recordError.message);
+    return null;
+  }
+};
+
+/**
+ * Close the pending rejection of a sheet row that now syncs (fixed in the sheet itself)
+ */
+const resolveSheetRow = async (sheetKey, rowIndex, sembakoPriceId) => {
+  try {
+    await ImportRejection.update(
+      { status: 'resolved', resolved_record_id: sembakoPriceId, resolved_at: new Date() },
+      { where: { source: 'google_sheet', source_ref: sheetKey, row_number: rowIndex, status: 'pending' } }
+    );
+  } catch (error) {
+    console.error(`⚠️ Failed to resolve rejection for ${sheetKey} row ${rowIndex}:`, error.message);
+  }
+};
+
+/**
+ * Map and save a sheet row with the same service (and column mappings) that rejected it,
+ * then point the tracked sheet row at the new record so later edits update it
+ */
+const resubmitSheetRow = async (rejection) => {
+  // Required lazily: googleSheetsService records rejections through this module
+  const googleSheetsService = require('./googleSheetsService');
+  const { GoogleSheetsService, WRITEBACK_STATUS } = googleSheetsService;
+
+  let service = googleSheetsService;
+  const sheetSourceId = rejection.context?.sheet_source_id;
+  if (sheetSourceId) {
+    const source = await SheetSource.findByPk(sheetSourceId);
+    if (!source) {
+      throw new Error(`Sheet source ${sheetSourceId} no longer exists`);
+    }
+    service = GoogleSheetsService.fromSource(source);
+  }
+
+  const sheetKey = rejection.source_ref;
+  const trackedRows = await SheetRow.findAll({ where: { sheet_key: sheetKey } });
+  const ownedPriceIds = new Set(
+    trackedRows
+      .filter(row => row.status !== 'deleted' && row.sembako_price_id)
+      .map(row => row.sembako_price_id)
+  );
+
+  const mappedData = service.mapSheetDataToDatabase(rejection.raw_payload);
+  const outcome = await service.insertRow(mappedData, ownedPriceIds);
+
+  if (outcome.status === 'duplicate') {
+    throw new Error('Duplicate data: this province, market and survey date is already synced from another row or sheet');
+  }
+
+  const trackedRow = trackedRows.find(row => row.row_index === rejection.row_number && row.status === 'error');
+  if (trackedRow) {
+    await trackedRow.update({ status: 'synced', sembako_price_id: outcome.sembakoPriceId, error_message: null });
+
+    if (service.writeBack) {
+      await service.writeBackStatuses([{
+        rowIndex: trackedRow.row_index,
+        status: WRITEBACK_STATUS.synced,
+        message: `Corrected by an editor, saved as record #${outcome.sembakoPriceId}`
+      }]);
+    }
+  }
+
+  return outcome.sembakoPriceId;
+};
+
+const resubmitters = {
+  google_sheet: resubmitSheetRow,
+  sembako_csv: async (rejection) => {
+    const mappedData = mapSembakoCsvRow(rejection.raw_payload, { dateFormat: rejection.context?.date_format });
+    return (await createSurvey(mappedData)).id;
+  },
+  market_price_csv: async (rejection) => {
+    const mappedData = mapMarketPriceCsvRow(rejection.raw_payload, { dateFormat: rejection.context?.date_format });
+    return (await MarketPrice.create(mappedData)).id;
+  }
+};
+
+/**
+ * Run a (possibly edited) rejected row through its importer's mapping and validation again
+ * @returns {Promise<{ success: boolean, rejection, recordId?: number, error?: string }>}
+ */
+const resubmit = async (rejection, { userId = null } = {}) => {
+  if (rejection.status !== 'pending') {
+    throw new Error(`Rejection ${rejection.id} is already ${rejection.status}`);
+  }
+
+  try {
+    await loadSurveyCommodities();
+    const recordId = await resubmitters[rejection.source](rejection);
+
+    await rejection.update({
+      status: 'resolved',
+      attempts: rejection.attempts + 1,
+      resolved_record_id: recordId,
+      resolved_by: userId,
+      resolved_at: new Date()
+    });
+
+    return { success: true, rejection, recordId };
+  } catch (error) {
+    await rejection.update({ attempts: rejection.attempts + 1, error_reason: error.message });
+    return { success: false, rejection, error: error.message };
+  }
+};
+
+module.exports = {
+  SOURCES,
+  record,
+  resolveSheetRow,
+  resubmit
+};
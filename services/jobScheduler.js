@@ -0,0 +1,321 @@
+// services/jobScheduler.js - Single registry for every background job
+const os = require('os');
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { ScheduledJob } = require('../models');
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map(); // name → { definition, task, cronExpression, isRunning }
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.started = false;
+  }
+
+  /**
+   * Register a job definition
+   * @param {Object} definition - { name, description, defaultCron, run, isEnabled?, runOnStartup?, lockTtlMinutes? }
+   */
+  register(definition) {
+    if (!definition.name || typeof definition.run !== 'function') {
+      throw new Error('Job definition requires name and run()');
+    }
+    if (!cron.validate(definition.defaultCron)) {
+      throw new Error(`Invalid cron expression for job ${definition.name}: ${definition.defaultCron}`);
+    }
+
+    this.jobs.set(definition.name, {
+      definition,
+      task: null,
+      cronExpression: definition.defaultCron,
+      isRunning: false
+    });
+  }
+
+  /**
+   * Get the persisted row of a job, creating it with the default schedule
+   */
+  async ensureRow(name) {
+    const job = this.assertRegistered(name);
+    const [row] = await ScheduledJob.findOrCreate({
+      where: { name },
+      defaults: {
+        name,
+        description: job.definition.description || null,
+        cron_expression: job.definition.defaultCron
+      }
+    });
+    return row;
+  }
+
+  /**
+   * Register a job at runtime, or replace its definition if it exists.
+   * A persisted schedule (possibly changed through the jobs API) is kept; the definition's
+   * defaultCron only replaces it with `reschedule` (the owner's schedule itself changed).
+   */
+  async upsert(definition, { reschedule = false } = {}) {
+    const existing = this.jobs.get(definition.name);
+
+    if (existing) {
+      existing.definition = definition;
+    } else {
+      this.register(definition);
+    }
+
+    if (reschedule) {
+      await this.updateSchedule(definition.name, definition.defaultCron);
+    } else {
+      const row = await this.ensureRow(definition.name);
+      const job = this.jobs.get(definition.name);
+      if (row.cron_expression !== job.cronExpression) {
+        job.cronExpression = row.cron_expression;
+        if (job.task) this.schedule(definition.name);
+      }
+    }
+
+    if (this.started && !this.jobs.get(definition.name).task) {
+      await this.startJob(definition.name);
+    }
+  }
+
+  /**
+   * Stop and forget a job (sync run history is kept)
+   * @param {Object} options - { keepRow } keep the persisted schedule and pause state
+   *   for when the job is registered again
+   */
+  async unregister(name, { keepRow = false } = {}) {
+    const job = this.jobs.get(name);
+    if (job) {
+      if (job.task) job.task.stop();
+      this.jobs.delete(name);
+    }
+    if (!keepRow) await ScheduledJob.destroy({ where: { name } });
+  }
+
+  /**
+   * Load persisted schedules and start cron tasks for enabled jobs
+   */
+  async start() {
+    this.started = true;
+
+    for (const name of this.jobs.keys()) {
+      await this.startJob(name);
+    }
+  }
+
+  async startJob(name) {
+    const job = this.jobs.get(name);
+    const row = await this.ensureRow(name);
+
+    job.cronExpression = row.cron_expression;
+
+    if (job.definition.isEnabled && !job.definition.isEnabled()) {
+      console.log(`⏸️ Job ${name}: disabled (missing configuration)`);
+      return;
+    }
+
+    this.schedule(name);
+    console.log(`📅 Job ${name}: ${job.cronExpression}${row.is_paused ? ' (paused)' : ''}`);
+
+    if (job.definition.runOnStartup && !row.is_paused) {
+      // Initial run shortly after boot
+      setTimeout(() => {
+        this.runJob(name, { trigger: 'startup' }).catch(error => {
+          console.error(`❌ Startup run of ${name} failed:`, error.message);
+        });
+      }, 30000);
+    }
+  }
+
+  /**
+   * (Re)create the cron task for a job
+   */
+  schedule(name) {
+    const job = this.jobs.get(name);
+    if (job.task) job.task.stop();
+
+    job.task = cron.schedule(job.cronExpression, () => {
+      this.tick(name).catch(error => {
+        console.error(`❌ Job ${name} tick failed:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Cron callback: honour pause/schedule changes made by other processes, then run
+   */
+  async tick(name) {
+    const job = this.jobs.get(name);
+    const row = await ScheduledJob.findOne({ where: { name } });
+
+    if (!row || row.is_paused) {
+      return;
+    }
+
+    if (row.cron_expression !== job.cronExpression) {
+      console.log(`📅 Job ${name}: schedule changed to ${row.cron_expression}, rescheduling`);
+      job.cronExpression = row.cron_expression;
+      this.schedule(name);
+      return;
+    }
+
+    await this.runJob(name, { trigger: 'cron' });
+  }
+
+  /**
+   * Try to take the cross-process lock for a job
+   */
+  async acquireLock(name, ttlMinutes) {
+    const now = new Date();
+    const [affected] = await ScheduledJob.update(
+      {
+        locked_by: this.instanceId,
+        locked_until: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+        last_run_at: now
+      },
+      {
+        where: {
+          name,
+          [Op.or]: [
+            { locked_until: null },
+            { locked_until: { [Op.lt]: now } }
+          ]
+        }
+      }
+    );
+    return affected > 0;
+  }
+
+  async releaseLock(name, fields = {}) {
+    await ScheduledJob.update(
+      { ...fields, locked_by: null, locked_until: null },
+      { where: { name, locked_by: this.instanceId } }
+    );
+  }
+
+  /**
+   * Run a job now, unless it is already running in any process
+   * @returns {Promise<{ skipped: boolean, reason?: string, result?: * }>}
+   */
+  async runJob(name, { trigger = 'manual', triggeredBy = null } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job ${name} is not registered`);
+    }
+
+    if (job.isRunning) {
+      console.log(`⏳ Job ${name} already running in this process, skipping...`);
+      return { skipped: true, reason: 'already_running' };
+    }
+
+    await this.ensureRow(name);
+    const locked = await this.acquireLock(name, job.definition.lockTtlMinutes || 120);
+    if (!locked) {
+      console.log(`⏳ Job ${name} locked by another process, skipping...`);
+      return { skipped: true, reason: 'locked' };
+    }
+
+    job.isRunning = true;
+    console.log(`\n🔄 JOB ${name} STARTED (${trigger})`);
+
+    try {
+      const result = await job.definition.run({ trigger, triggeredBy });
+      const failed = result?.success === false;
+
+      await this.releaseLock(name, {
+        last_finished_at: new Date(),
+        last_status: failed ? 'failed' : 'success',
+        last_error: failed ? (result.message || null) : null,
+        run_count: ScheduledJob.sequelize.literal('run_count + 1')
+      });
+
+      console.log(`✅ JOB ${name} ${failed ? 'FINISHED WITH ERRORS' : 'COMPLETED'}`);
+      return { skipped: false, result };
+    } catch (error) {
+      console.error(`❌ JOB ${name} FAILED:`, error.message);
+
+      await this.releaseLock(name, {
+        last_finished_at: new Date(),
+        last_status: 'failed',
+        last_error: error.message,
+        run_count: ScheduledJob.sequelize.literal('run_count + 1')
+      });
+
+      throw error;
+    } finally {
+      job.isRunning = false;
+    }
+  }
+
+  async setPaused(name, isPaused) {
+    await this.ensureRow(name);
+    await ScheduledJob.update({ is_paused: isPaused }, { where: { name } });
+    return this.getJob(name);
+  }
+
+  async updateSchedule(name, cronExpression) {
+    const job = this.assertRegistered(name);
+
+    if (!cron.validate(cronExpression)) {
+      throw new Error(`Invalid cron expression: ${cronExpression}`);
+    }
+
+    await this.ensureRow(name);
+    await ScheduledJob.update({ cron_expression: cronExpression }, { where: { name } });
+    job.cronExpression = cronExpression;
+
+    if (job.task) {
+      this.schedule(name);
+    }
+
+    return this.getJob(name);
+  }
+
+  assertRegistered(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job ${name} is not registered`);
+    }
+    return job;
+  }
+
+  formatJob(name, row) {
+    const job = this.jobs.get(name);
+    const lockActive = !!(row?.locked_until && new Date(row.locked_until) > new Date());
+
+    return {
+      name,
+      description: job.definition.description || null,
+      cron_expression: row?.cron_expression || job.cronExpression,
+      default_cron: job.definition.defaultCron,
+      is_enabled: job.definition.isEnabled ? job.definition.isEnabled() : true,
+      is_scheduled: !!job.task,
+      is_paused: row ? row.is_paused : false,
+      is_running: job.isRunning || lockActive,
+      locked_by: lockActive ? row.locked_by : null,
+      locked_until: lockActive ? row.locked_until : null,
+      last_run_at: row?.last_run_at || null,
+      last_finished_at: row?.last_finished_at || null,
+      last_status: row?.last_status || null,
+      last_error: row?.last_error || null,
+      run_count: row?.run_count || 0
+    };
+  }
+
+  async getJob(name) {
+    if (!this.jobs.has(name)) return null;
+    const row = await ScheduledJob.findOne({ where: { name } });
+    return this.formatJob(name, row);
+  }
+
+  async listJobs() {
+    const rows = await ScheduledJob.findAll({
+      where: { name: [...this.jobs.keys()] }
+    });
+    const rowByName = {};
+    rows.forEach(row => { rowByName[row.name] = row; });
+
+    return [...this.jobs.keys()].map(name => this.formatJob(name, rowByName[name]));
+  }
+}
+
+module.exports = new JobScheduler();
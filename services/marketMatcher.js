@@ -0,0 +1,200 @@
+// services/marketMatcher.js - Link free-text market names on price rows to registered markets
+const { Op, fn, col } = require('sequelize');
+const { Market, Region, MarketPrice } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { resolveProvince } = require('./provinceResolver');
+const { normalizeMarketName, findBestMarketMatch } = require('../utils/marketNames');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MATCH_THRESHOLD = 0.85;
+
+// { markets: Array, provinceByRegion: Map, loadedAt } - shared by every lookup in this process
+let lookupCache = null;
+
+const invalidate = () => {
+  lookupCache = null;
+};
+
+const getMatchThreshold = () => {
+  const threshold = parseFloat(process.env.MARKET_MATCH_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+};
+
+const loadLookups = async () => {
+  if (lookupCache && Date.now() - lookupCache.loadedAt < CACHE_TTL_MS) {
+    return lookupCache;
+  }
+
+  const [markets, regions] = await Promise.all([
+    Market.findAll({
+      where: { is_active: true },
+      attributes: ['id', 'name', 'region_id'],
+      raw: true
+    }),
+    Region.findAll({ attributes: ['id', 'province_id'], raw: true })
+  ]);
+
+  const provinceByRegion = new Map(regions.map(region => [region.id, region.province_id ? Number(region.province_id) : null]));
+  lookupCache = {
+    markets: markets.map(market => ({
+      ...market,
+      province_id: provinceByRegion.get(market.region_id) || null
+    })),
+    provinceByRegion,
+    loadedAt: Date.now()
+  };
+  return lookupCache;
+};
+
+/**
+ * Registered market for a free-text name. Markets in another province are never matched;
+ * markets without a region match any province.
+ * @param {string} name - market name as typed in the survey/price row
+ * @param {Object} scope - { regionId } (sembako rows) or { provinceId: BPS code } (market prices)
+ * @returns {Promise<{ id, name, score }|null>}
+ */
+const resolveMarket = async (name, { regionId = null, provinceId = null } = {}) => {
+  if (!normalizeMarketName(name)) return null;
+
+  const lookups = await loadLookups();
+  const province = provinceId ? Number(provinceId) : lookups.provinceByRegion.get(regionId) || null;
+  const candidates = province
+    ? lookups.markets.filter(market => !market.province_id || market.province_id === province)
+    : lookups.markets;
+
+  const match = findBestMarketMatch(name, candidates, getMatchThreshold());
+  if (!match) return null;
+
+  return {
+    id: match.candidate.id,
+    name: match.candidate.name,
+    score: Math.round(match.score * 1000) / 1000
+  };
+};
+
+/**
+ * Where-clause for a market_id query parameter (one id or a comma-separated list)
+ * @returns {Object|null} null when the value holds no valid id
+ */
+const buildMarketFilter = (value) => {
+  const ids = String(value).split(',').map(id => parseInt(id)).filter(id => id > 0);
+  if (ids.length === 0) return null;
+  return { market_id: ids.length === 1 ? ids[0] : { [Op.in]: ids } };
+};
+
+// Unlinked market names per table, grouped with the column that scopes the match
+const UNLINKED_SOURCES = [
+  {
+    source: 'sembako_prices',
+    model: SembakoPrice,
+    scopeField: 'region_id',
+    scope: (row) => ({ regionId: row.region_id })
+  },
+  {
+    source: 'marketprices',
+    model: MarketPrice,
+    scopeField: 'province_id',
+    scope: (row) => ({ provinceId: row.province_id })
+  }
+];
+
+const findUnlinkedNames = ({ model, scopeField }) => model.findAll({
+  attributes: ['market_name', scopeField, [fn('COUNT', col('id')), 'row_count']],
+  where: { market_id: null, market_name: { [Op.ne]: null } },
+  group: ['market_name', scopeField],
+  order: [['market_name', 'ASC']],
+  raw: true
+});
+
+/**
+ * Fuzzy-match every unlinked price row against the registry and link the matches
+ * @param {Object} options - { dryRun: report the matches without updating rows }
+ */
+const linkExisting = async ({ dryRun = false } = {}) => {
+  invalidate();
+  const result = { dry_run: dryRun, linked_rows: 0, matches: [], unmatched: [] };
+
+  for (const source of UNLINKED_SOURCES) {
+    const names = await findUnlinkedNames(source);
+
+    for (const row of names) {
+      const scope = source.scope(row);
+      const market = await resolveMarket(row.market_name, scope);
+      const rowCount = parseInt(row.row_count);
+
+      if (!market) {
+        result.unmatched.push({ source: source.source, market_name: row.market_name, [source.scopeField]: row[source.scopeField], rows: rowCount });
+        continue;
+      }
+
+      let rows = rowCount;
+      if (!dryRun) {
+        [rows] = await source.model.update(
+          { market_id: market.id },
+          {
+            where: { market_name: row.market_name, [source.scopeField]: row[source.scopeField], market_id: null },
+            hooks: false
+          }
+        );
+      }
+
+      result.linked_rows += rows;
+      result.matches.push({
+        source: source.source,
+        market_name: row.market_name,
+        market_id: market.id,
+        matched_name: market.name,
+        score: market.score,
+        rows
+      });
+    }
+  }
+
+  console.log(`🏪 Market linking${dryRun ? ' (dry run)' : ''}: ${result.linked_rows} rows linked, ${result.unmatched.length} names unmatched`);
+  return result;
+};
+
+/**
+ * Market names on price rows that are not linked to a registered market
+ */
+const getUnlinkedReport = async () => {
+  const report = [];
+
+  for (const source of UNLINKED_SOURCES) {
+    const names = await findUnlinkedNames(source);
+    names.forEach(row => report.push({
+      source: source.source,
+      market_name: row.market_name,
+      normalized: normalizeMarketName(row.market_name),
+      [source.scopeField]: row[source.scopeField],
+      row_count: parseInt(row.row_count)
+    }));
+  }
+
+  return report.sort((a, b) => b.row_count - a.row_count);
+};
+
+/**
+ * Region ids (the province and its cities) for a province search parameter
+ * @returns {Promise<Array<number>|null>} null when the province does not resolve
+ */
+const findProvinceRegionIds = async (input) => {
+  const resolved = await resolveProvince(input);
+  if (!resolved) return null;
+
+  const regions = await Region.findAll({
+    where: { province_id: resolved.bps_code },
+    attributes: ['id'],
+    raw: true
+  });
+  return regions.map(region => region.id);
+};
+
+module.exports = {
+  invalidate,
+  resolveMarket,
+  buildMarketFilter,
+  linkExisting,
+  getUnlinkedReport,
+  findProvinceRegionIds
+};
@@ -0,0 +1,155 @@
+// services/moderationService.js - Review queue for draft and flagged price submissions
+//
+// Submissions wait as "draft" (unless DEFAULT_SUBMISSION_STATUS=published) or "flagged"
+// (outlier prices, sembako only) until an editor approves ("published") or rejects
+// ("rejected") them. Every decision is written to audit_logs with the reviewer,
+// the comment and the status change.
+const { Op } = require('sequelize');
+const { AuditLog, MarketPrice, User } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { confirmFlaggedPrices, withPrices } = require('./surveyObservationService');
+
+const QUEUE_TYPES = {
+  sembako: {
+    model: SembakoPrice,
+    entityType: 'sembako_price',
+    pendingStatuses: ['draft', 'flagged'],
+    summarize: async (rows) => (await withPrices(rows)).map(row => ({
+      ...row,
+      submitted_by: row.created_by
+    }))
+  },
+  market_price: {
+    model: MarketPrice,
+    entityType: 'market_price',
+    pendingStatuses: ['draft'],
+    summarize: async (rows) => rows.map(row => ({
+      ...row.toJSON(),
+      submitted_by: row.reported_by || row.created_by
+    }))
+  }
+};
+
+/**
+ * Status for new form/sheet/CSV/manual submissions that do not set one:
+ * draft (reviewed before it counts) unless DEFAULT_SUBMISSION_STATUS=published
+ */
+const getDefaultSubmissionStatus = () => (process.env.DEFAULT_SUBMISSION_STATUS === 'published' ? 'published' : 'draft');
+
+const isPending = (type, record) => QUEUE_TYPES[type].pendingStatuses.includes(record.status);
+
+/**
+ * Pending items, oldest submission first
+ * @param {string} type - key of QUEUE_TYPES
+ * @param {Object} options - { status: one pending status (default all), page, limit }
+ */
+const listQueue = async (type, { status = null, page = 1, limit = 20 } = {}) => {
+  const queueType = QUEUE_TYPES[type];
+  const { count, rows } = await queueType.model.findAndCountAll({
+    where: { status: status || queueType.pendingStatuses },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    items: (await queueType.summarize(rows)).map(item => ({ type, ...item })),
+    total: count
+  };
+};
+
+/**
+ * Pending item counts per type and status
+ */
+const getQueueSummary = async () => {
+  const summary = {};
+  for (const [type, queueType] of Object.entries(QUEUE_TYPES)) {
+    summary[type] = {};
+    for (const status of queueType.pendingStatuses) {
+      summary[type][status] = await queueType.model.count({ where: { status } });
+    }
+  }
+  return summary;
+};
+
+/**
+ * Approve ("published") or reject ("rejected") a pending record and log the decision
+ * @param {string} type - key of QUEUE_TYPES
+ * @param {Object} record - pending SembakoPrice / MarketPrice
+ * @param {string} decision - approve | reject
+ * @param {Object} reviewer - { userId, comment, ipAddress, userAgent }
+ */
+const applyDecision = async (type, record, decision, { userId, comment = null, ipAddress = null, userAgent = null }) => {
+  const previous = { status: record.status };
+  if (record.flag_reason) previous.flag_reason = record.flag_reason;
+
+  if (decision === 'approve' && type === 'sembako') {
+    // Approved outliers count as normal prices from now on
+    await confirmFlaggedPrices(record);
+  } else {
+    await record.update({ status: decision === 'approve' ? 'published' : 'rejected' }, { hooks: false });
+  }
+
+  await AuditLog.create({
+    user_id: userId,
+    action: `moderation_${decision}`,
+    entity_type: QUEUE_TYPES[type].entityType,
+    entity_id: record.id,
+    old_values: previous,
+    new_values: { status: record.status, comment },
+    ip_address: ipAddress,
+    user_agent: userAgent
+  });
+
+  return record;
+};
+
+/**
+ * Approve several items; unknown, missing and no-longer-pending items are reported, not thrown
+ * @param {Array<{ type, id }>} items
+ */
+const bulkApprove = async (items, reviewer) => {
+  const result = { approved: [], failed: [] };
+
+  for (const { type, id } of items) {
+    const queueType = QUEUE_TYPES[type];
+    const record = queueType ? await queueType.model.findByPk(id) : null;
+
+    if (!record) {
+      result.failed.push({ type, id, error: queueType ? 'Not found' : `Unknown type "${type}"` });
+    } else if (!isPending(type, record)) {
+      result.failed.push({ type, id, error: `Not pending review (status: ${record.status})` });
+    } else {
+      await applyDecision(type, record, 'approve', reviewer);
+      result.approved.push({ type, id: record.id });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Moderation decisions for one item, newest first
+ */
+const getHistory = async (type, id) => {
+  return AuditLog.findAll({
+    where: {
+      entity_type: QUEUE_TYPES[type].entityType,
+      entity_id: id,
+      action: { [Op.like]: 'moderation_%' }
+    },
+    include: [{ model: User, as: 'user', attributes: ['id', 'username', 'full_name', 'role'], required: false }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  });
+};
+
+module.exports = {
+  QUEUE_TYPES,
+  getDefaultSubmissionStatus,
+  isPending,
+  listQueue,
+  getQueueSummary,
+  applyDecision,
+  bulkApprove,
+  getHistory
+};
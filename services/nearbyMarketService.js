@@ -0,0 +1,144 @@
+// services/nearbyMarketService.js - Markets around a point with their latest survey price
+const { Op, fn, col } = require('sequelize');
+const { Market, Region, SurveyObservation } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { aggregatePrices } = require('./surveyObservationService');
+const { distanceKm, boundingBox } = require('../utils/geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ageInDays = (date) => Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / DAY_MS));
+
+/**
+ * Latest published survey date per market; with a commodity, only surveys that observed it
+ * @returns {Promise<Map<number, string>>} market_id → survey_date
+ */
+const findLatestSurveyDates = async (marketIds, commodity) => {
+  const rows = commodity
+    ? await SurveyObservation.findAll({
+      attributes: [
+        [col('survey.market_id'), 'market_id'],
+        [fn('MAX', col('survey.survey_date')), 'survey_date']
+      ],
+      where: { commodity_id: commodity.id },
+      include: [{
+        model: SembakoPrice,
+        as: 'survey',
+        attributes: [],
+        where: { market_id: marketIds, status: 'published' }
+      }],
+      group: ['survey.market_id'],
+      raw: true
+    })
+    : await SembakoPrice.findAll({
+      attributes: ['market_id', [fn('MAX', col('survey_date')), 'survey_date']],
+      where: { market_id: marketIds, status: 'published' },
+      group: ['market_id'],
+      raw: true
+    });
+
+  return new Map(rows.map(row => [row.market_id, row.survey_date]));
+};
+
+/**
+ * Average price of a commodity per market on that market's latest survey date
+ * (several surveys of one market on one day are averaged)
+ * @returns {Promise<Map<number, Object>>} market_id → aggregate row
+ */
+const findLatestPrices = async (latestDates, commodity) => {
+  if (latestDates.size === 0) return new Map();
+
+  const rows = await aggregatePrices({
+    status: 'published',
+    [Op.or]: [...latestDates].map(([marketId, surveyDate]) => ({ market_id: marketId, survey_date: surveyDate }))
+  }, { groupBy: ['market_id', 'survey_date'], codes: [commodity.code] });
+
+  return new Map(rows.map(row => [row.market_id, row]));
+};
+
+/**
+ * Active markets within radiusKm of a point
+ * @param {Object} options
+ *   - lat, lon: search point
+ *   - radiusKm: search radius
+ *   - commodity: survey commodity (surveyCommodityService entry) whose latest price to attach, or null
+ *   - maxAgeDays: ignore prices older than this many days (null = any age)
+ *   - sort: 'distance' or 'price' (markets without a price last)
+ *   - limit: maximum markets returned
+ */
+const findNearbyMarkets = async ({ lat, lon, radiusKm, commodity = null, maxAgeDays = null, sort = 'distance', limit = 20 }) => {
+  const box = boundingBox(lat, lon, radiusKm);
+  const markets = await Market.findAll({
+    where: {
+      is_active: true,
+      latitude: { [Op.between]: [box.minLat, box.maxLat] },
+      longitude: { [Op.between]: [box.minLon, box.maxLon] }
+    },
+    include: [{
+      model: Region,
+      as: 'region',
+      attributes: ['id', 'province_id', 'province_name', 'city_name'],
+      required: false
+    }]
+  });
+
+  const inRange = markets
+    .map(market => ({
+      market,
+      distance: distanceKm(lat, lon, parseFloat(market.latitude), parseFloat(market.longitude))
+    }))
+    .filter(item => item.distance <= radiusKm);
+
+  const marketIds = inRange.map(item => item.market.id);
+  const latestDates = marketIds.length > 0 ? await findLatestSurveyDates(marketIds, commodity) : new Map();
+  if (maxAgeDays !== null) {
+    latestDates.forEach((surveyDate, marketId) => {
+      if (ageInDays(surveyDate) > maxAgeDays) latestDates.delete(marketId);
+    });
+  }
+  const latestPrices = commodity ? await findLatestPrices(latestDates, commodity) : new Map();
+
+  const results = inRange.map(({ market, distance }) => {
+    const surveyDate = latestDates.get(market.id) || null;
+    const price = latestPrices.get(market.id);
+
+    return {
+      id: market.id,
+      name: market.name,
+      market_type: market.market_type,
+      address: market.address,
+      latitude: parseFloat(market.latitude),
+      longitude: parseFloat(market.longitude),
+      operating_days: market.operating_days,
+      region: market.region,
+      distance_km: Math.round(distance * 100) / 100,
+      latest_survey_date: surveyDate,
+      data_age_days: surveyDate ? ageInDays(surveyDate) : null,
+      latest_price: price
+        ? {
+          commodity: commodity.code,
+          price: Math.round(parseFloat(price.avg_price)),
+          unit: commodity.unit,
+          survey_date: price.survey_date,
+          surveys: parseInt(price.count)
+        }
+        : null
+    };
+  });
+
+  const byDistance = (a, b) => a.distance_km - b.distance_km;
+  const byPrice = (a, b) => {
+    if (a.latest_price && b.latest_price) return a.latest_price.price - b.latest_price.price || byDistance(a, b);
+    if (a.latest_price || b.latest_price) return a.latest_price ? -1 : 1;
+    return byDistance(a, b);
+  };
+
+  return {
+    total: results.length,
+    markets: results.sort(sort === 'price' ? byPrice : byDistance).slice(0, limit)
+  };
+};
+
+module.exports = {
+  findNearbyMarkets
+};
@@ -0,0 +1,123 @@
+// services/outlierDetectionService.js - Flag survey prices that are far off recent prices
+//
+// Each incoming price is compared with recent published prices of the same commodity:
+// same market first, then same province, then nationwide (the first scope with enough
+// data wins). Prices more than OUTLIER_THRESHOLD robust standard deviations from the
+// median (median/MAD) are flagged and kept out of public aggregates until confirmed.
+const { Op } = require('sequelize');
+const { SurveyObservation } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { median, medianAbsoluteDeviation, robustZScore } = require('../utils/robustStats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REFERENCE_PRICES = 500;
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const getConfig = () => ({
+  enabled: process.env.OUTLIER_DETECTION !== 'false',
+  windowDays: parseInt(process.env.OUTLIER_WINDOW_DAYS) || 90,
+  minSamples: parseInt(process.env.OUTLIER_MIN_SAMPLES) || 5,
+  threshold: parseFloat(process.env.OUTLIER_THRESHOLD) || 3.5,
+  // Smallest spread used, as a share of the median (5% → identical history still tolerates small changes)
+  minSpreadRatio: parseFloat(process.env.OUTLIER_MIN_SPREAD) || 0.05
+});
+
+/**
+ * Published, unflagged prices of a commodity in the window before the survey date
+ */
+const loadReferencePrices = async (commodityId, surveyWhere, { surveyDate, windowDays, excludeSurveyId }) => {
+  const until = surveyDate ? new Date(surveyDate) : new Date();
+  const since = new Date(until.getTime() - windowDays * DAY_MS);
+
+  const where = { commodity_id: commodityId, flag_reason: null };
+  if (excludeSurveyId) where.survey_id = { [Op.ne]: excludeSurveyId };
+
+  const rows = await SurveyObservation.findAll({
+    attributes: ['price'],
+    where,
+    include: [{
+      model: SembakoPrice,
+      as: 'survey',
+      attributes: [],
+      where: {
+        ...surveyWhere,
+        status: 'published',
+        survey_date: { [Op.between]: [toDateKey(since), toDateKey(until)] }
+      }
+    }],
+    order: [['id', 'DESC']],
+    limit: MAX_REFERENCE_PRICES,
+    raw: true
+  });
+
+  return rows.map(row => parseFloat(row.price));
+};
+
+const formatRupiah = (value) => `Rp${Math.round(value).toLocaleString('id-ID')}`;
+
+/**
+ * Score one price against recent prices around the survey
+ * @param {Object} commodity - survey commodity (surveyCommodityService entry)
+ * @param {number} price
+ * @param {Object} survey - { id, survey_date, market_id, region_id }
+ * @returns {Promise<Object|null>} { flagged, score, median, scope, samples, reason }; null when
+ *   there is not enough history to judge the price
+ */
+const scorePrice = async (commodity, price, survey) => {
+  const config = getConfig();
+  const scopes = [];
+  if (survey.market_id) scopes.push({ name: 'pasar', where: { market_id: survey.market_id } });
+  if (survey.region_id) scopes.push({ name: 'provinsi', where: { region_id: survey.region_id } });
+  scopes.push({ name: 'nasional', where: {} });
+
+  for (const scope of scopes) {
+    const prices = await loadReferencePrices(commodity.id, scope.where, {
+      surveyDate: survey.survey_date,
+      windowDays: config.windowDays,
+      excludeSurveyId: survey.id
+    });
+    if (prices.length < config.minSamples) continue;
+
+    const center = median(prices);
+    const score = robustZScore(price, center, medianAbsoluteDeviation(prices, center), center * config.minSpreadRatio);
+    const flagged = Math.abs(score) > config.threshold;
+
+    return {
+      flagged,
+      score: Math.round(score * 100) / 100,
+      median: center,
+      scope: scope.name,
+      samples: prices.length,
+      reason: flagged
+        ? `${commodity.code}: ${formatRupiah(price)} menyimpang dari median ${formatRupiah(center)} ` +
+          `(${scope.name}, ${prices.length} data ${config.windowDays} hari, z=${(Math.round(score * 10) / 10)})`
+        : null
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Score the prices of one survey
+ * @param {Object} survey - saved SembakoPrice
+ * @param {Array<{ commodity, price }>} prices - non-null prices to score
+ * @returns {Promise<Map<number, Object>>} commodity_id → scorePrice result (commodities without enough history are missing)
+ */
+const scoreSurvey = async (survey, prices) => {
+  const results = new Map();
+  if (!getConfig().enabled) return results;
+
+  for (const { commodity, price } of prices) {
+    const result = await scorePrice(commodity, price, survey);
+    if (result) results.set(commodity.id, result);
+  }
+  return results;
+};
+
+module.exports = {
+  getConfig,
+  scorePrice,
+  scoreSurvey
+};
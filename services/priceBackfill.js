@@ -0,0 +1,242 @@
+// services/priceBackfill.js - Historical BPN price backfill over a date range
+const { BackfillJob, Commodity, Region } = require('../models');
+const {
+  pause,
+  getLevelHarga,
+  formatPeriodDate,
+  fetchHargaInformasi,
+  fetchHargaPetaProvinsi,
+  syncCommodities,
+  syncRegions,
+  savePricesFromPetaProvinsi
+} = require('./priceSync');
+
+const MAX_STORED_ERRORS = 100;
+// Longest range one job may cover (inclusive days)
+const MAX_BACKFILL_DAYS = 366;
+
+// Jobs being processed by this process (prevents double run on resume)
+const activeJobs = new Set();
+
+/**
+ * Add days to a 'YYYY-MM-DD' string
+ */
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Number of days in an inclusive date range
+ */
+const countDays = (startDate, endDate) => {
+  const diff = new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`);
+  return Math.floor(diff / (24 * 60 * 60 * 1000)) + 1;
+};
+
+/**
+ * Progress summary for API responses
+ */
+const formatProgress = (job) => ({
+  id: job.id,
+  status: job.status,
+  start_date: job.start_date,
+  end_date: job.end_date,
+  komoditas_ids: job.komoditas_ids,
+  level_harga_id: job.level_harga_id,
+  last_completed_date: job.last_completed_date,
+  processed_days: job.processed_days,
+  total_days: job.total_days,
+  progress_percentage: job.total_days > 0
+    ? parseFloat(((job.processed_days / job.total_days) * 100).toFixed(1))
+    : 0,
+  saved_prices: job.saved_prices,
+  failed_count: (job.failed_items || []).length,
+  failed_items: job.failed_items || [],
+  error_count: (job.errors || []).length,
+  errors: job.errors || [],
+  is_active: activeJobs.has(job.id),
+  started_at: job.started_at,
+  finished_at: job.finished_at
+});
+
+/**
+ * Make sure commodities and province regions exist before saving prices
+ */
+const ensureReferenceData = async (komoditasIds, levelHargaId) => {
+  const provinceCount = await Region.count({ where: { level: 'province' } });
+  if (provinceCount === 0) {
+    await syncRegions({ includeCities: false });
+  }
+
+  const commodityCount = await Commodity.count({ where: { external_id: komoditasIds } });
+  if (commodityCount < komoditasIds.length) {
+    const hargaInfo = await fetchHargaInformasi('', '', levelHargaId);
+    await syncCommodities(hargaInfo?.data);
+  }
+};
+
+/**
+ * Create a backfill job
+ */
+const createBackfillJob = async ({ startDate, endDate, komoditasIds, levelHargaId = 3, createdBy = null }) => {
+  return BackfillJob.create({
+    start_date: startDate,
+    end_date: endDate,
+    komoditas_ids: komoditasIds,
+    level_harga_id: levelHargaId,
+    total_days: countDays(startDate, endDate),
+    created_by: createdBy,
+    errors: [],
+    failed_items: []
+  });
+};
+
+/**
+ * Fetch and save the province prices of one commodity for one day
+ * @returns {Promise<number>} saved prices
+ */
+const backfillDay = async (job, date, komoditasId, levelHarga) => {
+  await pause(1500); // Delay between requests
+
+  const petaData = await fetchHargaPetaProvinsi(job.level_harga_id, komoditasId, formatPeriodDate(date));
+  const prices = await savePricesFromPetaProvinsi(petaData?.data, komoditasId, levelHarga, date);
+  return prices.length;
+};
+
+/**
+ * Process a backfill job day by day, continuing after last_completed_date.
+ * Commodity/day pairs that fail are kept in failed_items and retried first on the next run;
+ * a run that ends with failures left is "partial" (resumable).
+ */
+const runBackfillJob = async (jobId) => {
+  if (activeJobs.has(jobId)) {
+    throw new Error(`Backfill job ${jobId} is already running`);
+  }
+
+  const job = await BackfillJob.findByPk(jobId);
+  if (!job) {
+    throw new Error(`Backfill job ${jobId} not found`);
+  }
+
+  activeJobs.add(jobId);
+
+  try {
+    const levelHarga = getLevelHarga(job.level_harga_id);
+    const errors = [...(job.errors || [])];
+    const recordError = (message) => {
+      if (errors.length < MAX_STORED_ERRORS) errors.push(message);
+    };
+    let failedItems = [...(job.failed_items || [])];
+    let savedPrices = job.saved_prices;
+    let currentDate = job.last_completed_date ? addDays(job.last_completed_date, 1) : job.start_date;
+
+    await job.update({
+      status: 'running',
+      started_at: job.started_at || new Date(),
+      finished_at: null
+    });
+
+    console.log(`🔄 Backfill #${job.id}: ${currentDate} → ${job.end_date} (${levelHarga}, ${job.komoditas_ids.length} commodities)`);
+
+    await ensureReferenceData(job.komoditas_ids, job.level_harga_id);
+
+    // Retry the pairs that failed in earlier runs
+    if (failedItems.length > 0) {
+      console.log(`🔁 Backfill #${job.id}: retrying ${failedItems.length} failed commodity/day pairs`);
+      const stillFailing = [];
+
+      for (const item of failedItems) {
+        try {
+          savedPrices += await backfillDay(job, item.date, item.komoditas_id, levelHarga);
+        } catch (error) {
+          console.error(`❌ Backfill #${job.id} retry ${item.date} commodity ${item.komoditas_id}:`, error.message);
+          stillFailing.push({ ...item, error: error.message, attempts: item.attempts + 1 });
+        }
+      }
+
+      failedItems = stillFailing;
+      await job.update({ saved_prices: savedPrices, failed_items: [...failedItems] });
+    }
+
+    while (currentDate <= job.end_date) {
+      let savedForDay = 0;
+
+      for (const komoditasId of job.komoditas_ids) {
+        try {
+          savedForDay += await backfillDay(job, currentDate, komoditasId, levelHarga);
+        } catch (error) {
+          console.error(`❌ Backfill #${job.id} ${currentDate} commodity ${komoditasId}:`, error.message);
+          failedItems.push({ date: currentDate, komoditas_id: komoditasId, error: error.message, attempts: 1 });
+          recordError(`${currentDate} commodity ${komoditasId}: ${error.message}`);
+        }
+      }
+
+      // Advance the cursor only after the whole day is processed (failures stay in failed_items)
+      savedPrices += savedForDay;
+      await job.update({
+        last_completed_date: currentDate,
+        processed_days: countDays(job.start_date, currentDate),
+        saved_prices: savedPrices,
+        failed_items: [...failedItems],
+        errors: [...errors]
+      });
+
+      console.log(`📅 Backfill #${job.id}: ${currentDate} done (${job.processed_days}/${job.total_days}, ${savedForDay} prices)`);
+      currentDate = addDays(currentDate, 1);
+    }
+
+    const status = failedItems.length > 0 ? 'partial' : 'completed';
+    await job.update({ status, finished_at: new Date() });
+    console.log(`✅ Backfill #${job.id} ${status}: ${job.saved_prices} prices saved, ${failedItems.length} pairs failed`);
+
+    return job;
+  } catch (error) {
+    console.error(`❌ Backfill #${job.id} failed:`, error.message);
+    await job.update({
+      status: 'failed',
+      finished_at: new Date(),
+      errors: [...(job.errors || []), `Job failed: ${error.message}`]
+    });
+    throw error;
+  } finally {
+    activeJobs.delete(jobId);
+  }
+};
+
+/**
+ * Run a job in the background; failures are recorded on the job itself
+ */
+const startBackfillJob = (jobId) => {
+  runBackfillJob(jobId).catch(error => {
+    console.error(`Backfill job ${jobId} stopped:`, error.message);
+  });
+};
+
+const isJobActive = (jobId) => activeJobs.has(jobId);
+
+const getBackfillJob = async (jobId) => {
+  const job = await BackfillJob.findByPk(jobId);
+  return job ? formatProgress(job) : null;
+};
+
+const listBackfillJobs = async ({ status, limit = 20 } = {}) => {
+  const jobs = await BackfillJob.findAll({
+    where: status ? { status } : {},
+    order: [['createdAt', 'DESC']],
+    limit: parseInt(limit)
+  });
+  return jobs.map(formatProgress);
+};
+
+module.exports = {
+  MAX_BACKFILL_DAYS,
+  countDays,
+  createBackfillJob,
+  runBackfillJob,
+  startBackfillJob,
+  getBackfillJob,
+  listBackfillJobs,
+  isJobActive
+};
@@ -0,0 +1,340 @@
+// services/priceIndexService.js - Indeks Harga Sembako (weighted basket price index)
+//
+// index = 100 × Σ wᵢ·(pᵢ / pᵢ,base) / Σ wᵢ over the basket commodities priced in the period,
+// where pᵢ is the mean published survey price in the scope (nationwide or one province).
+// Commodities without a base-period price are left out of that scope's basket. A commodity
+// missing in a period is carried forward from the last MAX_CARRY_PERIODS periods
+// (carry_forward), dropped with the other weights scaled up (reweight), or blanks the
+// period (skip). Periods where less than min_coverage of the basket weight was actually
+// observed get no index value.
+const { Op } = require('sequelize');
+const { PriceIndexConfig, Region } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { aggregatePrices } = require('./surveyObservationService');
+const { periodKey, periodRange, shiftPeriod, previousYearPeriod, periodsBetween } = require('../utils/periods');
+
+// Rough shares of household sembako spending; used until an admin saves a config
+const DEFAULT_WEIGHTS = {
+  beras: 0.30,
+  ayam: 0.12,
+  daging: 0.10,
+  telur: 0.10,
+  minyak: 0.10,
+  gula: 0.07,
+  bawang_merah: 0.06,
+  gas: 0.06,
+  bawang_putih: 0.04,
+  susu: 0.03,
+  garam: 0.02
+};
+
+const MISSING_RULES = PriceIndexConfig.rawAttributes.missing_rule.values;
+const MAX_CARRY_PERIODS = 3;
+
+// Periods back to the same period last year
+const YEAR_LAG = { month: 12, week: 53 };
+
+const round = (value, digits = 2) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * First calendar month with published surveys (base period of the default config)
+ */
+const getDefaultBasePeriod = async () => {
+  const first = await SembakoPrice.min('survey_date', { where: { status: 'published' } });
+  if (!first) return { base_start: null, base_end: null };
+
+  const { start, end } = periodRange(periodKey(first, 'month'));
+  return { base_start: start, base_end: end };
+};
+
+/**
+ * Newest active config, or the built-in defaults
+ */
+const getActiveConfig = async () => {
+  const config = await PriceIndexConfig.findOne({
+    where: { is_active: true },
+    order: [['id', 'DESC']]
+  });
+
+  if (!config) {
+    return {
+      id: null,
+      name: 'Indeks Harga Sembako',
+      weights: DEFAULT_WEIGHTS,
+      ...(await getDefaultBasePeriod()),
+      missing_rule: 'carry_forward',
+      min_coverage: 0.6,
+      is_default: true
+    };
+  }
+
+  return {
+    id: config.id,
+    name: config.name,
+    weights: config.weights,
+    base_start: config.base_start,
+    base_end: config.base_end,
+    missing_rule: config.missing_rule,
+    min_coverage: parseFloat(config.min_coverage),
+    is_default: false
+  };
+};
+
+/**
+ * Save a new active config; earlier configs are deactivated but kept
+ */
+const saveConfig = async (fields, userId) => {
+  await PriceIndexConfig.update({ is_active: false }, { where: { is_active: true } });
+  return PriceIndexConfig.create({ ...fields, is_active: true, created_by: userId || null });
+};
+
+/**
+ * Mean price per commodity for each scope in the window
+ * @returns {Promise<Map>} scope (groupBy value, or null) → { code: price }
+ */
+const loadBasePrices = async (where, { startDate, endDate, groupBy = null, codes }) => {
+  const rows = await aggregatePrices(
+    { ...where, status: 'published', survey_date: { [Op.between]: [startDate, endDate] } },
+    { groupBy: groupBy ? [groupBy] : [], codes }
+  );
+
+  const scopes = new Map();
+  rows.forEach(row => {
+    const scope = groupBy ? row[groupBy] : null;
+    if (!scopes.has(scope)) scopes.set(scope, {});
+    scopes.get(scope)[row.code] = parseFloat(row.avg_price);
+  });
+  return scopes;
+};
+
+/**
+ * Mean price per commodity and period for each scope in the window
+ * @returns {Promise<Map>} scope → period → { prices: { code: price }, observations }
+ */
+const loadPeriodPrices = async (where, { startDate, endDate, granularity, groupBy = null, codes }) => {
+  const rows = await aggregatePrices(
+    { ...where, status: 'published', survey_date: { [Op.between]: [startDate, endDate] } },
+    { groupBy: groupBy ? [groupBy, 'survey_date'] : ['survey_date'], codes }
+  );
+
+  // Daily averages → period averages, weighted by the number of observations
+  const totals = new Map();
+  rows.forEach(row => {
+    const scope = groupBy ? row[groupBy] : null;
+    const period = periodKey(row.survey_date, granularity);
+    const count = parseInt(row.count);
+
+    if (!totals.has(scope)) totals.set(scope, new Map());
+    const periods = totals.get(scope);
+    if (!periods.has(period)) periods.set(period, {});
+    const entry = periods.get(period)[row.code] || { total: 0, count: 0 };
+    entry.total += parseFloat(row.avg_price) * count;
+    entry.count += count;
+    periods.get(period)[row.code] = entry;
+  });
+
+  const scopes = new Map();
+  totals.forEach((periods, scope) => {
+    const result = new Map();
+    periods.forEach((entries, period) => {
+      const prices = {};
+      let observations = 0;
+      Object.entries(entries).forEach(([code, { total, count }]) => {
+        prices[code] = total / count;
+        observations += count;
+      });
+      result.set(period, { prices, observations });
+    });
+    scopes.set(scope, result);
+  });
+  return scopes;
+};
+
+/**
+ * Index value, coverage and changes for each period key
+ * @param {Map} periodPrices - period → { prices, observations } of one scope
+ * @param {Object} basePrices - code → base-period price of the same scope
+ */
+const computeSeries = (periodPrices, basePrices, config, { granularity, keys, withComponents = false }) => {
+  const basket = Object.entries(config.weights)
+    .filter(([code, weight]) => weight > 0 && basePrices[code] > 0)
+    .map(([code, weight]) => ({ code, weight, basePrice: basePrices[code] }));
+  const basketWeight = basket.reduce((sum, item) => sum + item.weight, 0);
+
+  const rows = keys.map(key => {
+    const current = periodPrices.get(key);
+
+    const components = basket.map(({ code, weight, basePrice }) => {
+      let price = current && current.prices[code] !== undefined ? current.prices[code] : null;
+      let carriedFrom = null;
+
+      if (price === null && config.missing_rule === 'carry_forward') {
+        for (let step = 1; step <= MAX_CARRY_PERIODS && price === null; step++) {
+          const earlier = periodPrices.get(shiftPeriod(key, granularity, -step));
+          if (earlier && earlier.prices[code] !== undefined) {
+            price = earlier.prices[code];
+            carriedFrom = shiftPeriod(key, granularity, -step);
+          }
+        }
+      }
+
+      return { code, weight, basePrice, price, carriedFrom };
+    });
+
+    const priced = components.filter(component => component.price !== null);
+    const missing = components.filter(component => component.price === null).map(component => component.code);
+    const observedWeight = priced
+      .filter(component => !component.carriedFrom)
+      .reduce((sum, component) => sum + component.weight, 0);
+    const coverage = basketWeight > 0 ? observedWeight / basketWeight : 0;
+
+    let index = null;
+    if (priced.length > 0 && coverage >= config.min_coverage && !(config.missing_rule === 'skip' && missing.length > 0)) {
+      const pricedWeight = priced.reduce((sum, component) => sum + component.weight, 0);
+      index = 100 * priced.reduce((sum, component) => sum + component.weight * (component.price / component.basePrice), 0) / pricedWeight;
+    }
+
+    const { start, end } = periodRange(key);
+    const row = {
+      period: key,
+      start_date: start,
+      end_date: end,
+      index: round(index),
+      coverage: round(coverage, 3),
+      observations: current ? current.observations : 0,
+      missing,
+      carried_forward: components.filter(component => component.carriedFrom).map(component => component.code)
+    };
+
+    if (withComponents) {
+      row.components = components.map(component => ({
+        code: component.code,
+        weight: round(component.weight / basketWeight, 4),
+        base_price: round(component.basePrice, 0),
+        price: round(component.price, 0),
+        relative: component.price === null ? null : round(100 * component.price / component.basePrice),
+        carried_from: component.carriedFrom
+      }));
+    }
+    return row;
+  });
+
+  // Changes against the previous period and the same period last year
+  const indexByPeriod = new Map(rows.map(row => [row.period, row.index]));
+  const change = (current, previous) => (current === null || !previous ? null : round((current / previous - 1) * 100));
+  rows.forEach(row => {
+    const yearAgo = granularity === 'month' ? shiftPeriod(row.period, 'month', -12) : previousYearPeriod(row.period);
+    row.change_previous_pct = change(row.index, indexByPeriod.get(shiftPeriod(row.period, granularity, -1)));
+    row.change_yoy_pct = change(row.index, yearAgo ? indexByPeriod.get(yearAgo) : null);
+  });
+
+  return { rows, excluded: Object.keys(config.weights).filter(code => !basket.some(item => item.code === code)) };
+};
+
+/**
+ * Period of the newest published survey
+ */
+const getLatestPeriod = async (granularity) => {
+  const latest = await SembakoPrice.max('survey_date', { where: { status: 'published' } });
+  return latest ? periodKey(latest, granularity) : null;
+};
+
+/**
+ * Load window covering the periods plus what changes and carry-forward look back at
+ */
+const loadWindow = (from, to, granularity) => ({
+  startDate: periodRange(shiftPeriod(from, granularity, -(YEAR_LAG[granularity] + MAX_CARRY_PERIODS))).start,
+  endDate: periodRange(to).end,
+  keys: periodsBetween(shiftPeriod(from, granularity, -YEAR_LAG[granularity]), to, granularity)
+});
+
+/**
+ * Index series for one scope
+ * @param {Object} options - { where: scope filter on sembako_prices ({} = nationwide),
+ *   granularity: week|month, from, to: period keys }
+ */
+const getIndexSeries = async ({ where = {}, granularity, from, to }) => {
+  const config = await getActiveConfig();
+  const result = { config, base_prices: {}, excluded_commodities: [], series: [] };
+  if (!config.base_start) return result;
+
+  const codes = Object.keys(config.weights);
+  const window = loadWindow(from, to, granularity);
+
+  const [basePrices, periodPrices] = await Promise.all([
+    loadBasePrices(where, { startDate: config.base_start, endDate: config.base_end, codes }),
+    loadPeriodPrices(where, { ...window, granularity, codes })
+  ]);
+
+  const base = basePrices.get(null) || {};
+  const { rows, excluded } = computeSeries(periodPrices.get(null) || new Map(), base, config, {
+    granularity,
+    keys: window.keys,
+    withComponents: true
+  });
+
+  Object.entries(base).forEach(([code, price]) => {
+    result.base_prices[code] = round(price, 0);
+  });
+  result.excluded_commodities = excluded;
+  result.series = rows.filter(row => row.period >= from);
+  return result;
+};
+
+/**
+ * Index of every province (resolved region) for one period, plus the national value
+ */
+const getProvinceIndexes = async ({ granularity, period }) => {
+  const config = await getActiveConfig();
+  const result = { config, national: null, provinces: [] };
+  if (!config.base_start) return result;
+
+  const codes = Object.keys(config.weights);
+  const window = loadWindow(period, period, granularity);
+  const resolved = { region_id: { [Op.ne]: null } };
+
+  const [nationalBase, nationalPrices, regionBase, regionPrices] = await Promise.all([
+    loadBasePrices({}, { startDate: config.base_start, endDate: config.base_end, codes }),
+    loadPeriodPrices({}, { ...window, granularity, codes }),
+    loadBasePrices(resolved, { startDate: config.base_start, endDate: config.base_end, groupBy: 'region_id', codes }),
+    loadPeriodPrices(resolved, { ...window, granularity, groupBy: 'region_id', codes })
+  ]);
+
+  const pick = (periodPrices, basePrices) => {
+    const { rows, excluded } = computeSeries(periodPrices || new Map(), basePrices || {}, config, {
+      granularity,
+      keys: window.keys
+    });
+    return { ...rows[rows.length - 1], excluded_commodities: excluded };
+  };
+
+  result.national = pick(nationalPrices.get(null), nationalBase.get(null));
+
+  const regionIds = [...regionPrices.keys()];
+  const regions = regionIds.length > 0
+    ? await Region.findAll({ where: { id: regionIds }, attributes: ['id', 'province_id', 'province_name'] })
+    : [];
+
+  result.provinces = regions
+    .map(region => ({
+      region_id: region.id,
+      province_id: region.province_id,
+      province_name: region.province_name,
+      ...pick(regionPrices.get(region.id), regionBase.get(region.id))
+    }))
+    .filter(row => row.observations > 0 || row.index !== null)
+    .sort((a, b) => (b.index === null ? -1 : a.index === null ? 1 : b.index - a.index));
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  MISSING_RULES,
+  getActiveConfig,
+  saveConfig,
+  computeSeries,
+  getLatestPeriod,
+  getIndexSeries,
+  getProvinceIndexes
+};
@@ -2,10 +2,11 @@
 const axios = require('axios');
 const { Commodity, Price, Region, AuditLog } = require('../models');
 const { Op } = require('sequelize');
+const bpnConfig = require('../config/bpn');
 
 // Create axios instance with custom config
 const axiosInstance = axios.create({
-  timeout: 60000, // 60 seconds timeout
+  timeout: bpnConfig.timeoutMs || 60000, // 60 seconds timeout
   headers: {
     'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
     'Accept': 'application/json',
@@ -36,8 +37,12 @@ axiosInstance.interceptors.response.use(
   }
 );
 
+// Delay between BPN requests (BPN_REQUEST_DELAY_MS overrides the per-call default)
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, bpnConfig.requestDelayMs ?? ms));
+
 // Retry logic wrapper
 async function retryRequest(fn, retries = 3, delay = 2000) {
+  delay = bpnConfig.retryDelayMs ?? delay;
   for (let i = 0; i < retries; i++) {
     try {
       return await fn();
@@ -58,7 +63,7 @@ async function retryRequest(fn, retries = 3, delay = 2000) {
 }
 
 // API Endpoints
-const API_BASE = 'https://api-panelhargav2.badanpangan.go.id/api';
+const API_BASE = bpnConfig.apiBaseUrl;
 const ENDPOINTS = {
   HARGA_INFORMASI: `${API_BASE}/front/harga-pangan-informasi`,
   HARGA_PETA_PROVINSI: `${API_BASE}/front/harga-peta-provinsi`,
@@ -83,14 +88,30 @@ const fetchHargaInformasi = async (provinceId = '', cityId = '', levelHargaId =
   });
 };
 
+/**
+ * Map BPN level_harga_id to Price.level
+ */
+const getLevelHarga = (levelHargaId) => {
+  const id = parseInt(levelHargaId);
+  return id === 1 ? 'produsen' : id === 2 ? 'grosir' : 'konsumen';
+};
+
+/**
+ * Build the encoded period_date param (DD/MM/YYYY - DD/MM/YYYY) for a single day
+ * @param {Date|string} date - Date object or 'YYYY-MM-DD' string
+ */
+const formatPeriodDate = (date = new Date()) => {
+  const d = typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+  const dateStr = `${d.getDate().toString().padStart(2, '0')}%2F${(d.getMonth() + 1).toString().padStart(2, '0')}%2F${d.getFullYear()}`;
+  return `${dateStr}%20-%20${dateStr}`;
+};
+
 /**
  * Fetch price map data by province with retry
  */
 const fetchHargaPetaProvinsi = async (levelHargaId = 3, komoditasId = 109, periodDate = null) => {
   return retryRequest(async () => {
-    const today = new Date();
-    const dateStr = `${today.getDate().toString().padStart(2, '0')}%2F${(today.getMonth() + 1).toString().padStart(2, '0')}%2F${today.getFullYear()}`;
-    const period = periodDate || `${dateStr}%20-%20${dateStr}`;
+    const period = periodDate || formatPeriodDate();
     
     const url = `${ENDPOINTS.HARGA_PETA_PROVINSI}?level_harga_id=${levelHargaId}&komoditas_id=${komoditasId}&period_date=${period}&multi_status_map[0]=&multi_province_id[0]=`;
     
@@ -161,10 +182,51 @@ const getCommodityCategory = (name) => {
   }
 };
 
+/**
+ * Sync cities of one province to database
+ */
+const syncCitiesForProvince = async (provinceRegion) => {
+  const cities = await fetchCities(provinceRegion.province_id);
+  
+  if (!cities || cities.length === 0) {
+    return 0;
+  }
+  
+  for (const city of cities) {
+    try {
+      const [region, created] = await Region.findOrCreate({
+        where: {
+          city_id: city.id,
+          level: 'city'
+        },
+        defaults: {
+          province_id: provinceRegion.province_id,
+          province_name: provinceRegion.province_name,
+          city_id: city.id,
+          city_name: city.nama || city.name,
+          level: 'city'
+        }
+      });
+      
+      // Keep names in sync if BPN renames a city
+      const cityName = city.nama || city.name;
+      if (!created && cityName && region.city_name !== cityName) {
+        await region.update({ city_name: cityName });
+      }
+    } catch (error) {
+      console.error(`Error syncing city ${city.nama || city.name}:`, error.message);
+    }
+  }
+  
+  return cities.length;
+};
+
 /**
  * Sync provinces and cities to database
  */
-const syncRegions = async () => {
+const syncRegions = async (options = {}) => {
+  const { includeCities = true } = options;
+  
   try {
     console.log('🔄 Syncing provinces...');
     const provinces = await fetchProvinces();
@@ -175,6 +237,7 @@ const syncRegions = async () => {
     }
     
     let syncedCount = 0;
+    const provinceRegions = [];
     
     for (const province of provinces) {
       try {
@@ -193,13 +256,32 @@ const syncRegions = async () => {
         });
         
         if (created) syncedCount++;
+        provinceRegions.push(region);
       } catch (error) {
         console.error(`Error syncing province ${province.nama}:`, error.message);
       }
     }
     
     console.log(`✅ Synced ${syncedCount} new provinces (${provinces.length} total)`);
-    return provinces.length;
+    
+    if (!includeCities) {
+      return provinces.length;
+    }
+    
+    console.log('🔄 Syncing cities...');
+    let cityCount = 0;
+    
+    for (const provinceRegion of provinceRegions) {
+      try {
+        await pause(500); // Delay between requests
+        cityCount += await syncCitiesForProvince(provinceRegion);
+      } catch (error) {
+        console.error(`Error syncing cities for ${provinceRegion.province_name}:`, error.message);
+      }
+    }
+    
+    console.log(`✅ Synced ${cityCount} cities`);
+    return provinces.length + cityCount;
   } catch (error) {
     console.error('Error syncing regions:', error.message);
     return 0;
@@ -334,6 +416,175 @@ const savePricesFromInformasi = async (apiData, regionId = null, levelHarga = 'k
   return savedPrices;
 };
 
+/**
+ * Pick the price value from a harga-peta-provinsi item
+ */
+const getPetaItemPrice = (item) => {
+  const candidates = [item.geomean, item.rata_rata, item.harga, item.price, item.today];
+  
+  for (const value of candidates) {
+    const price = parseFloat(value);
+    if (!isNaN(price) && price > 0) return price;
+  }
+  
+  return null;
+};
+
+/**
+ * Save province-level prices from harga peta provinsi endpoint
+ */
+const savePricesFromPetaProvinsi = async (apiData, komoditasId, levelHarga = 'konsumen', date = null) => {
+  const priceDate = date || new Date().toISOString().split('T')[0];
+  const savedPrices = [];
+  
+  if (!apiData || !Array.isArray(apiData)) {
+    console.warn('⚠️ No province price data to save');
+    return savedPrices;
+  }
+  
+  const commodity = await Commodity.findOne({
+    where: { external_id: komoditasId }
+  });
+  
+  if (!commodity) {
+    console.warn(`⚠️ Commodity not found for external_id: ${komoditasId}, province prices skipped`);
+    return savedPrices;
+  }
+  
+  // Resolve BPN province ids to our region rows (created by syncRegions)
+  const provinces = await Region.findAll({
+    where: { level: 'province' },
+    attributes: ['id', 'province_id', 'province_name']
+  });
+  
+  const regionByProvinceId = {};
+  const regionByName = {};
+  provinces.forEach(region => {
+    if (region.province_id !== null) regionByProvinceId[region.province_id] = region.id;
+    regionByName[region.province_name.toLowerCase().trim()] = region.id;
+  });
+  
+  for (const item of apiData) {
+    try {
+      const provinceId = item.province_id || item.id;
+      const provinceName = item.province_name || item.nama || item.name || '';
+      const regionId = regionByProvinceId[provinceId] || regionByName[provinceName.toLowerCase().trim()];
+      
+      if (!regionId) {
+        console.warn(`⚠️ Region not found for province ${provinceId} (${provinceName})`);
+        continue;
+      }
+      
+      const priceValue = getPetaItemPrice(item);
+      if (priceValue === null) continue;
+      
+      // Skip if there's an active manual override for this region
+      const existingOverride = await Price.findOne({
+        where: {
+          commodity_id: commodity.id,
+          date: priceDate,
+          region_id: regionId,
+          is_override: true
+        }
+      });
+      
+      if (existingOverride) {
+        console.log(`ℹ️ Skipping ${commodity.name} (${provinceName}) - manual override exists`);
+        continue;
+      }
+      
+      const [price, created] = await Price.findOrCreate({
+        where: {
+          commodity_id: commodity.id,
+          date: priceDate,
+          region_id: regionId,
+          source: 'api',
+          level: levelHarga
+        },
+        defaults: {
+          price: priceValue,
+          is_override: false
+        }
+      });
+      
+      if (!created && price.price != priceValue) {
+        await price.update({ price: priceValue });
+      }
+      
+      savedPrices.push(price);
+    } catch (error) {
+      console.error(`Error saving province price for ${item.province_name || item.id}:`, error.message);
+    }
+  }
+  
+  console.log(`💾 Saved ${savedPrices.length} province prices for ${commodity.name}`);
+  return savedPrices;
+};
+
+/**
+ * Resolve BPN province/city ids to a region row id (null = national, only when neither is given).
+ * Throws when the requested region has no row yet: saving its prices with region_id null
+ * would overwrite the national series.
+ */
+const resolveRegionId = async (provinceId = '', cityId = '') => {
+  if (cityId) {
+    const city = await Region.findOne({ where: { city_id: cityId, level: 'city' } });
+    if (!city) throw new Error(`City ${cityId} not found - run region sync first`);
+    return city.id;
+  }
+  
+  if (provinceId) {
+    const province = await Region.findOne({ where: { province_id: provinceId, level: 'province' } });
+    if (!province) throw new Error(`Province ${provinceId} not found - run region sync first`);
+    return province.id;
+  }
+  
+  return null;
+};
+
+/**
+ * Sync harga-pangan-informasi for every city region (optionally within one province)
+ */
+const syncCityPrices = async (options = {}) => {
+  const { provinceId = '', levelHargaId = 3 } = options;
+  const level = getLevelHarga(levelHargaId);
+  const result = { cities: 0, prices: 0, errors: [] };
+  
+  const where = { level: 'city' };
+  if (provinceId) where.province_id = provinceId;
+  
+  const cities = await Region.findAll({ where, order: [['province_id', 'ASC'], ['city_name', 'ASC']] });
+  
+  if (cities.length === 0) {
+    console.warn('⚠️ No city regions found - run region sync first');
+    return result;
+  }
+  
+  console.log(`🏙️ Syncing ${level} prices for ${cities.length} cities...`);
+  
+  for (const city of cities) {
+    try {
+      await pause(1000); // Delay between requests
+      
+      const hargaInfo = await fetchHargaInformasi(city.province_id, city.city_id, levelHargaId);
+      
+      if (hargaInfo && hargaInfo.data && hargaInfo.data.length > 0) {
+        await syncCommodities(hargaInfo.data);
+        const prices = await savePricesFromInformasi(hargaInfo.data, city.id, level);
+        result.prices += prices.length;
+      }
+      
+      result.cities++;
+    } catch (error) {
+      console.error(`❌ City price sync failed for ${city.city_name}:`, error.message);
+      result.errors.push(`City ${city.city_id} (${city.city_name}): ${error.message}`);
+    }
+  }
+  
+  console.log(`✅ City price sync: ${result.prices} prices from ${result.cities} cities`);
+  return result;
+};
+
 /**
  * Main sync function with multiple data sources
  */
@@ -343,28 +594,31 @@ const syncPricesFromAPI = async (options = {}) => {
     cityId = '',
     levelHargaId = 3, // Default konsumen
     includeProvinceMap = false,
+    includeCityPrices = false,
     komoditasIds = [109], // Default Beras SPHP
-    syncRegions: shouldSyncRegions = true
+    syncRegions: shouldSyncRegions = true,
+    syncCities = true
   } = options;
   
   const startTime = Date.now();
   
   try {
     console.log('🔄 Starting comprehensive price synchronization...');
-    console.log('   Options:', { levelHargaId, includeProvinceMap, komoditasIds });
+    console.log('   Options:', { levelHargaId, includeProvinceMap, includeCityPrices, komoditasIds });
     
     const results = {
       regions: 0,
       commodities: 0,
       prices: 0,
       provinceMapPrices: 0,
+      cityPrices: 0,
       errors: []
     };
     
     // Step 1: Sync regions (if enabled)
     if (shouldSyncRegions) {
       try {
-        results.regions = await syncRegions();
+        results.regions = await syncRegions({ includeCities: syncCities });
       } catch (error) {
         console.warn('⚠️ Region sync failed (non-critical):', error.message);
         results.errors.push(`Region sync: ${error.message}`);
@@ -372,10 +626,13 @@ const syncPricesFromAPI = async (options = {}) => {
     }
     
     // Add delay between API calls to avoid overwhelming the server
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await pause(2000);
     
     // Step 2: Fetch and sync general price information
     try {
+      // Resolve the requested province/city first (national when none)
+      const regionId = await resolveRegionId(provinceId, cityId);
+      
       console.log('📊 Fetching price information...');
       const hargaInfo = await fetchHargaInformasi(provinceId, cityId, levelHargaId);
       
@@ -387,10 +644,9 @@ const syncPricesFromAPI = async (options = {}) => {
         results.commodities = commodities.length;
         
         // Determine level
-        const level = levelHargaId === 1 ? 'produsen' : levelHargaId === 2 ? 'grosir' : 'konsumen';
+        const level = getLevelHarga(levelHargaId);
         
-        // Save prices
-        const prices = await savePricesFromInformasi(hargaInfo.data, null, level);
+        const prices = await savePricesFromInformasi(hargaInfo.data, regionId, level);
         results.prices = prices.length;
       } else {
         console.warn('⚠️ No price data received from API');
@@ -404,15 +660,15 @@ const syncPricesFromAPI = async (options = {}) => {
     if (includeProvinceMap) {
       for (const komoditasId of komoditasIds) {
         try {
-          await new Promise(resolve => setTimeout(resolve, 1500)); // Delay between requests
+          await pause(1500); // Delay between requests
           
           console.log(`📍 Fetching province prices for commodity ${komoditasId}...`);
           const petaData = await fetchHargaPetaProvinsi(levelHargaId, komoditasId);
           
           if (petaData && petaData.data && petaData.data.length > 0) {
             console.log(`✅ Received ${petaData.data.length} province prices`);
-            // Implementation for saving province data can be added here
-            results.provinceMapPrices += petaData.data.length;
+            const prices = await savePricesFromPetaProvinsi(petaData.data, komoditasId, getLevelHarga(levelHargaId));
+            results.provinceMapPrices += prices.length;
           }
         } catch (error) {
           console.error(`❌ Province map sync failed for commodity ${komoditasId}:`, error.message);
@@ -421,6 +677,18 @@ const syncPricesFromAPI = async (options = {}) => {
       }
     }
     
+    // Step 4: Fetch city-level prices if requested
+    if (includeCityPrices) {
+      try {
+        const cityResult = await syncCityPrices({ provinceId, levelHargaId });
+        results.cityPrices = cityResult.prices;
+        results.errors.push(...cityResult.errors);
+      } catch (error) {
+        console.error('❌ City price sync failed:', error.message);
+        results.errors.push(`City prices: ${error.message}`);
+      }
+    }
+    
     // Clean up old overrides (expired)
     try {
       const expiredOverrides = await Price.destroy({
@@ -528,6 +796,9 @@ const getPriceComparison = async (date = new Date()) => {
 };
 
 module.exports = {
+  pause,
+  getLevelHarga,
+  formatPeriodDate,
   fetchHargaInformasi,
   fetchHargaPetaProvinsi,
   fetchProvinces,
@@ -535,6 +806,9 @@ module.exports = {
   syncPricesFromAPI,
   syncCommodities,
   savePricesFromInformasi,
+  savePricesFromPetaProvinsi,
   syncRegions,
+  syncCityPrices,
+  resolveRegionId,
   getPriceComparison
 };
\ No newline at end of file
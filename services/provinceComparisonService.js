@@ -0,0 +1,233 @@
+// services/provinceComparisonService.js - Internal survey vs BPN prices per province
+const { Op, fn, col } = require('sequelize');
+const { Commodity, Price, Region } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { loadMappings, findMapping } = require('./commodityMappingService');
+const { loadSurveyCommodities, findSurveyCommodity } = require('./surveyCommodityService');
+const { aggregatePrices } = require('./surveyObservationService');
+const { normalizeProvinceName } = require('../utils/provinceNames');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Survey averages, sample sizes and recency per resolved province (region_id),
+ * plus one row per unresolved province_name
+ */
+const getInternalByProvince = async ({ startDate, endDate, keys }) => {
+  const aggregates = [
+    [fn('COUNT', col('id')), 'sample_size'],
+    [fn('MIN', col('survey_date')), 'first_survey_date'],
+    [fn('MAX', col('survey_date')), 'last_survey_date']
+  ];
+
+  const where = {
+    status: 'published',
+    survey_date: { [Op.between]: [startDate, endDate] }
+  };
+  const resolvedWhere = { ...where, region_id: { [Op.ne]: null } };
+  const unresolvedWhere = { ...where, region_id: null };
+
+  const [resolved, unresolved, resolvedPrices, unresolvedPrices] = await Promise.all([
+    SembakoPrice.findAll({
+      attributes: ['region_id', ...aggregates],
+      where: resolvedWhere,
+      group: ['region_id'],
+      raw: true
+    }),
+    SembakoPrice.findAll({
+      attributes: ['province_name', ...aggregates],
+      where: unresolvedWhere,
+      group: ['province_name'],
+      raw: true
+    }),
+    aggregatePrices(resolvedWhere, { groupBy: ['region_id'], codes: keys }),
+    aggregatePrices(unresolvedWhere, { groupBy: ['province_name'], codes: keys })
+  ]);
+
+  // avg_<key> / count_<key> per group from the observation aggregates
+  const withPrices = (rows, prices, groupField) => rows.map(row => {
+    const result = { ...row };
+    keys.forEach(key => {
+      result[`avg_${key}`] = null;
+      result[`count_${key}`] = 0;
+    });
+    prices
+      .filter(price => price[groupField] === row[groupField])
+      .forEach(price => {
+        result[`avg_${price.code}`] = price.avg_price;
+        result[`count_${price.code}`] = price.count;
+      });
+    return result;
+  });
+
+  return [
+    ...withPrices(resolved, resolvedPrices, 'region_id'),
+    ...withPrices(unresolved, unresolvedPrices, 'province_name')
+  ];
+};
+
+/**
+ * BPN province prices in the window, reduced to one price per region + internal key
+ * (best mapping priority first, window average and latest date)
+ */
+const getBpnByRegion = async ({ startDate, endDate, regionIds, mappings }) => {
+  if (regionIds.length === 0) return {};
+
+  const rows = await Price.findAll({
+    attributes: [
+      'region_id',
+      'commodity_id',
+      [fn('AVG', col('price')), 'avg_price'],
+      [fn('COUNT', col('id')), 'sample_size'],
+      [fn('MAX', col('date')), 'last_date']
+    ],
+    where: {
+      region_id: regionIds,
+      level: ['konsumen', 'eceran'],
+      date: { [Op.between]: [startDate, endDate] }
+    },
+    group: ['region_id', 'commodity_id'],
+    raw: true
+  });
+
+  const commodities = await Commodity.findAll({
+    where: { id: [...new Set(rows.map(row => row.commodity_id))] },
+    attributes: ['id', 'external_id', 'name']
+  });
+  const commodityById = {};
+  commodities.forEach(commodity => { commodityById[commodity.id] = commodity; });
+
+  const byRegion = {};
+  rows.forEach(row => {
+    const commodity = commodityById[row.commodity_id];
+    if (!commodity) return;
+
+    const mapping = findMapping({ id: commodity.external_id, name: commodity.name }, mappings);
+    if (!mapping) return;
+
+    const regionPrices = byRegion[row.region_id] = byRegion[row.region_id] || {};
+    const current = regionPrices[mapping.internal_key];
+    if (current && current.priority <= mapping.priority) return;
+
+    regionPrices[mapping.internal_key] = {
+      priority: mapping.priority,
+      bpn_name: commodity.name,
+      bpn_commodity_id: commodity.id,
+      price: parseFloat(row.avg_price),
+      sample_size: parseInt(row.sample_size),
+      last_date: row.last_date
+    };
+  });
+
+  return byRegion;
+};
+
+/**
+ * Compare survey prices with BPN province prices for a date window
+ * @param {Object} options - { startDate, endDate, province, commodityKey }
+ */
+const compareByProvince = async ({ startDate, endDate, province, commodityKey }) => {
+  const commodities = await loadSurveyCommodities();
+  const keys = commodityKey ? [commodityKey] : commodities.map(commodity => commodity.code);
+
+  const [internalRows, regions, mappings] = await Promise.all([
+    getInternalByProvince({ startDate, endDate, keys }),
+    Region.findAll({ where: { level: 'province' } }),
+    loadMappings()
+  ]);
+
+  const regionById = {};
+  const regionByName = {};
+  regions.forEach(region => {
+    regionById[region.id] = region;
+    regionByName[normalizeProvinceName(region.province_name)] = region;
+  });
+
+  const provinceFilter = province ? normalizeProvinceName(province) : null;
+  const rows = internalRows
+    .map(row => {
+      const region = row.region_id
+        ? regionById[row.region_id] || null
+        : regionByName[normalizeProvinceName(row.province_name)] || null;
+      return { row: { ...row, province_name: row.province_name || region?.province_name || null }, region };
+    })
+    .filter(({ row, region }) => !provinceFilter
+      || normalizeProvinceName(row.province_name) === provinceFilter
+      || (region && String(region.id) === String(province)));
+
+  const bpnByRegion = await getBpnByRegion({
+    startDate,
+    endDate,
+    regionIds: rows.filter(({ region }) => region).map(({ region }) => region.id),
+    mappings
+  });
+
+  const referenceTime = new Date(`${endDate}T00:00:00Z`).getTime();
+
+  const provinces = rows.map(({ row, region }) => {
+    const bpnPrices = region ? (bpnByRegion[region.id] || {}) : {};
+
+    const commodities = keys.map(key => {
+      const internalSample = parseInt(row[`count_${key}`]) || 0;
+      const internalPrice = internalSample > 0 ? parseFloat(row[`avg_${key}`]) : null;
+      const bpn = bpnPrices[key] || null;
+      const difference = internalPrice !== null && bpn ? internalPrice - bpn.price : null;
+
+      return {
+        commodity_key: key,
+        commodity_name: findSurveyCommodity(key)?.name || key,
+        internal_price: round(internalPrice),
+        internal_sample_size: internalSample,
+        bpn_name: bpn?.bpn_name || null,
+        bpn_price: bpn ? round(bpn.price) : null,
+        bpn_sample_size: bpn?.sample_size || 0,
+        bpn_last_date: bpn?.last_date || null,
+        difference: round(difference),
+        percentage_difference: difference !== null ? round((difference / bpn.price) * 100) : null,
+        trend: difference === null ? null : (Math.abs(difference) < 500 ? 'same' : (difference > 0 ? 'higher' : 'lower'))
+      };
+    });
+
+    const deviations = commodities
+      .filter(c => c.percentage_difference !== null)
+      .map(c => Math.abs(c.percentage_difference));
+
+    return {
+      province_name: row.province_name,
+      region_id: region?.id || null,
+      bpn_province_id: region?.province_id || null,
+      matched_region: !!region,
+      survey: {
+        sample_size: parseInt(row.sample_size),
+        first_survey_date: row.first_survey_date,
+        last_survey_date: row.last_survey_date,
+        days_since_last_survey: Math.round((referenceTime - new Date(row.last_survey_date).getTime()) / DAY_MS)
+      },
+      compared_commodities: deviations.length,
+      mean_absolute_deviation_percentage: deviations.length > 0
+        ? round(deviations.reduce((sum, value) => sum + value, 0) / deviations.length)
+        : null,
+      commodities
+    };
+  });
+
+  provinces.sort((a, b) => (b.mean_absolute_deviation_percentage ?? -1) - (a.mean_absolute_deviation_percentage ?? -1));
+
+  return {
+    provinces,
+    summary: {
+      total_provinces: provinces.length,
+      matched_provinces: provinces.filter(p => p.matched_region).length,
+      unmatched_province_names: provinces.filter(p => !p.matched_region).map(p => p.province_name),
+      provinces_with_bpn_data: provinces.filter(p => p.compared_commodities > 0).length,
+      total_survey_samples: provinces.reduce((sum, p) => sum + p.survey.sample_size, 0)
+    }
+  };
+};
+
+module.exports = {
+  normalizeProvinceName,
+  compareByProvince
+};
@@ -0,0 +1,153 @@
+// services/provinceResolver.js - Map free-text province names to canonical province regions
+const { Op, fn, col } = require('sequelize');
+const { Region, ProvinceAlias } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const {
+  PROVINCE_BY_CODE,
+  normalizeProvinceName,
+  buildAliasMap,
+  matchProvinceCode
+} = require('../utils/provinceNames');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// { aliases: Map, regionByCode: Map, loadedAt } - shared by every lookup in this process
+let lookupCache = null;
+
+const invalidate = () => {
+  lookupCache = null;
+};
+
+const loadLookups = async () => {
+  if (lookupCache && Date.now() - lookupCache.loadedAt < CACHE_TTL_MS) {
+    return lookupCache;
+  }
+
+  const [aliases, regions] = await Promise.all([
+    ProvinceAlias.findAll({ attributes: ['alias', 'bps_code'], raw: true }),
+    Region.findAll({
+      where: { level: 'province' },
+      attributes: ['id', 'province_id', 'province_name'],
+      raw: true
+    })
+  ]);
+
+  lookupCache = {
+    aliases: buildAliasMap(aliases.map(row => [row.alias, row.bps_code])),
+    regionByCode: new Map(regions.map(region => [Number(region.province_id), region])),
+    loadedAt: Date.now()
+  };
+  return lookupCache;
+};
+
+/**
+ * Province region for a BPS code, created from the BPS list when BPN sync has not added it yet
+ */
+const ensureProvinceRegion = async (code, lookups) => {
+  const cached = lookups.regionByCode.get(code);
+  if (cached) return cached;
+
+  const [region] = await Region.findOrCreate({
+    where: { province_id: code, level: 'province' },
+    defaults: { province_name: PROVINCE_BY_CODE.get(code).name }
+  });
+
+  const row = { id: region.id, province_id: region.province_id, province_name: region.province_name };
+  lookups.regionByCode.set(code, row);
+  return row;
+};
+
+/**
+ * Resolve a province name, BPS code or alias
+ * @returns {Promise<{ bps_code: number, region_id: number, province_name: string }|null>}
+ */
+const resolveProvince = async (input) => {
+  const lookups = await loadLookups();
+  const code = matchProvinceCode(input, lookups.aliases);
+  if (!code) return null;
+
+  const region = await ensureProvinceRegion(code, lookups);
+  return {
+    bps_code: code,
+    region_id: region.id,
+    province_name: region.province_name
+  };
+};
+
+/**
+ * Where-clause for a province search parameter: exact region when the value resolves,
+ * otherwise the old substring match on province_name
+ */
+const buildProvinceFilter = async (input) => {
+  const resolved = await resolveProvince(input);
+  if (resolved) {
+    return { region_id: resolved.region_id };
+  }
+  return { province_name: { [Op.like]: `%${input}%` } };
+};
+
+/**
+ * Link every unlinked sembako row whose province_name now resolves (e.g. after adding an alias)
+ */
+const backfill = async () => {
+  const names = await SembakoPrice.findAll({
+    attributes: ['province_name'],
+    where: { region_id: null },
+    group: ['province_name'],
+    raw: true
+  });
+
+  const result = { updated_rows: 0, resolved_names: [], unresolved: [] };
+
+  for (const { province_name: provinceName } of names) {
+    const resolved = await resolveProvince(provinceName);
+    if (!resolved) {
+      result.unresolved.push(provinceName);
+      continue;
+    }
+
+    const [affected] = await SembakoPrice.update(
+      { region_id: resolved.region_id },
+      { where: { province_name: provinceName, region_id: null }, hooks: false }
+    );
+    result.updated_rows += affected;
+    result.resolved_names.push({ province_name: provinceName, region_id: resolved.region_id, rows: affected });
+  }
+
+  console.log(`🗺️ Province backfill: ${result.updated_rows} rows linked, ${result.unresolved.length} names unresolved`);
+  return result;
+};
+
+/**
+ * Province names that match no region, with how many rows use them
+ */
+const getUnresolvedReport = async () => {
+  const rows = await SembakoPrice.findAll({
+    attributes: [
+      'province_name',
+      [fn('COUNT', col('id')), 'row_count'],
+      [fn('MIN', col('survey_date')), 'first_survey_date'],
+      [fn('MAX', col('survey_date')), 'last_survey_date']
+    ],
+    where: { region_id: null },
+    group: ['province_name'],
+    order: [[fn('COUNT', col('id')), 'DESC']],
+    raw: true
+  });
+
+  return rows.map(row => ({
+    province_name: row.province_name,
+    normalized: normalizeProvinceName(row.province_name),
+    row_count: parseInt(row.row_count),
+    first_survey_date: row.first_survey_date,
+    last_survey_date: row.last_survey_date
+  }));
+};
+
+module.exports = {
+  invalidate,
+  resolveProvince,
+  buildProvinceFilter,
+  backfill,
+  getUnresolvedReport
+};
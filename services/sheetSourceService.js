@@ -0,0 +1,58 @@
+// services/sheetSourceService.js - Sync configured Google Sheet sources
+const { SheetSource } = require('../models');
+const { GoogleSheetsService } = require('./googleSheetsService');
+const syncRunService = require('./syncRunService');
+
+/**
+ * Run the incremental sync for one source and record it in the sync ledger
+ * @param {number|Object} sourceOrId - SheetSource instance or id
+ * @param {Object} options - { trigger, triggeredBy, force }
+ */
+const syncSource = async (sourceOrId, { trigger = 'manual', triggeredBy = null, force = false } = {}) => {
+  const source = typeof sourceOrId === 'object'
+    ? sourceOrId
+    : await SheetSource.findByPk(sourceOrId);
+
+  if (!source) {
+    throw new Error(`Sheet source ${sourceOrId} not found`);
+  }
+
+  const service = GoogleSheetsService.fromSource(source);
+
+  const result = await syncRunService.track(
+    {
+      source: 'google_sheet',
+      trigger,
+      triggeredBy,
+      options: { sheet_source_id: source.id, sheet_source: source.name, force }
+    },
+    () => service.syncToDatabase({ force })
+  );
+
+  if (result.success !== false) {
+    await source.update({ last_synced_at: new Date() });
+  }
+
+  return { source, result };
+};
+
+/**
+ * Dry run for one source: per-row mapping and planned actions, nothing written
+ * @param {Object} source - SheetSource instance
+ * @param {Object} options - { force }
+ */
+const previewSource = async (source, { force = false } = {}) => {
+  const preview = await GoogleSheetsService.fromSource(source).previewSync({ force });
+  return { sheet_source_id: source.id, sheet_source: source.name, ...preview };
+};
+
+/**
+ * Incremental sync state of a source (cursor and tracked row counts)
+ */
+const getSourceState = (source) => GoogleSheetsService.fromSource(source).getSyncState();
+
+module.exports = {
+  syncSource,
+  previewSource,
+  getSourceState
+};
@@ -0,0 +1,155 @@
+// services/sheetStatusWriter.js - Write per-row sync results back to the source Google Sheet
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// Header cells written above the status columns; the sync ignores these columns when reading
+const STATUS_HEADERS = ['Sync Status', 'Sync Message'];
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+const MAX_RANGES_PER_REQUEST = 500;
+
+/**
+ * 'A' → 1, 'N' → 14, 'AA' → 27
+ */
+const columnToNumber = (column) => String(column).toUpperCase()
+  .split('')
+  .reduce((number, letter) => number * 26 + (letter.charCodeAt(0) - 64), 0);
+
+/**
+ * 1 → 'A', 27 → 'AA'
+ */
+const numberToColumn = (number) => {
+  let column = '';
+  while (number > 0) {
+    const remainder = (number - 1) % 26;
+    column = String.fromCharCode(65 + remainder) + column;
+    number = Math.floor((number - 1) / 26);
+  }
+  return column;
+};
+
+/**
+ * First column after a read range ('A:N' → 'O'), so the status never lands inside the form data
+ */
+const nextColumnAfterRange = (range) => {
+  const match = String(range || '').match(/([A-Z]+)\d*\s*$/i);
+  return match ? numberToColumn(columnToNumber(match[1]) + 1) : 'O';
+};
+
+/**
+ * Writes through the Sheets API with a service account (API keys are read-only).
+ * The service account email must have edit access to the spreadsheet.
+ */
+class GoogleSheetsStatusWriter {
+  constructor({ clientEmail, privateKey } = {}) {
+    this.name = 'google';
+    this.clientEmail = clientEmail;
+    this.privateKey = privateKey;
+    this.baseUrl = 'https://sheets.googleapis.com/v4/spreadsheets';
+    this.token = null; // { accessToken, expiresAt }
+  }
+
+  isConfigured() {
+    return !!(this.clientEmail && this.privateKey);
+  }
+
+  async getAccessToken() {
+    if (this.token && Date.now() < this.token.expiresAt) {
+      return this.token.accessToken;
+    }
+
+    const assertion = jwt.sign(
+      { iss: this.clientEmail, scope: SHEETS_SCOPE, aud: TOKEN_URL },
+      this.privateKey,
+      { algorithm: 'RS256', expiresIn: 3600 }
+    );
+
+    const response = await axios.post(TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    this.token = {
+      accessToken: response.data.access_token,
+      expiresAt: Date.now() + (response.data.expires_in - 60) * 1000
+    };
+    return this.token.accessToken;
+  }
+
+  /**
+   * @param {Object} request - { sheetId, sheetName, column, rows: [{ rowIndex, status, message }] }
+   */
+  async writeStatuses({ sheetId, sheetName, column, rows }) {
+    if (!this.isConfigured()) {
+      throw new Error('Sheet write-back needs GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY');
+    }
+
+    const endColumn = numberToColumn(columnToNumber(column) + 1);
+    const rangeFor = (rowIndex) => `'${sheetName}'!${column}${rowIndex}:${endColumn}${rowIndex}`;
+    const data = [
+      { range: rangeFor(1), values: [STATUS_HEADERS] },
+      ...rows.map(row => ({ range: rangeFor(row.rowIndex), values: [[row.status, row.message || '']] }))
+    ];
+
+    const accessToken = await this.getAccessToken();
+    for (let start = 0; start < data.length; start += MAX_RANGES_PER_REQUEST) {
+      await axios.post(`${this.baseUrl}/${sheetId}/values:batchUpdate`, {
+        valueInputOption: 'RAW',
+        data: data.slice(start, start + MAX_RANGES_PER_REQUEST)
+      }, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+    }
+
+    return { written: rows.length };
+  }
+}
+
+/**
+ * Local fake: keeps the cells in memory (tests, local development)
+ */
+class MemoryStatusWriter {
+  constructor() {
+    this.name = 'memory';
+    this.cells = new Map(); // "sheetId|sheetName|rowIndex" → { status, message, column }
+    this.requests = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async writeStatuses({ sheetId, sheetName, column, rows }) {
+    this.requests.push({ sheetId, sheetName, column, rows });
+    rows.forEach(row => {
+      this.cells.set(`${sheetId}|${sheetName}|${row.rowIndex}`, {
+        status: row.status,
+        message: row.message || '',
+        column
+      });
+    });
+    return { written: rows.length };
+  }
+
+  getStatus(sheetId, sheetName, rowIndex) {
+    return this.cells.get(`${sheetId}|${sheetName}|${rowIndex}`) || null;
+  }
+}
+
+const createStatusWriter = (name) => {
+  if (name === 'memory') return new MemoryStatusWriter();
+  return new GoogleSheetsStatusWriter({
+    clientEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+    privateKey: (process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY || '').replace(/\\n/g, '\n') || null
+  });
+};
+
+module.exports = createStatusWriter(process.env.SHEET_WRITEBACK_DRIVER || 'google');
+module.exports.STATUS_HEADERS = STATUS_HEADERS;
+module.exports.nextColumnAfterRange = nextColumnAfterRange;
+module.exports.GoogleSheetsStatusWriter = GoogleSheetsStatusWriter;
+module.exports.MemoryStatusWriter = MemoryStatusWriter;
+module.exports.createStatusWriter = createStatusWriter;
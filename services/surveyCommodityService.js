@@ -0,0 +1,141 @@
+// services/surveyCommodityService.js - Commodities collected by the sembako survey
+//
+// A survey commodity is a Commodity row with a code. Its price travels as
+// harga_<code> in API payloads, CSV files and sheets ("Harga <Code>" headers),
+// so adding one (e.g. cabai) only needs a new Commodity row.
+const { Op } = require('sequelize');
+const { Commodity } = require('../models');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Seeded into commodities on first use
+const DEFAULT_SURVEY_COMMODITIES = [
+  { code: 'beras', name: 'Beras', unit: 'Rp/kg', category: 'beras' },
+  { code: 'gula', name: 'Gula', unit: 'Rp/kg', category: 'lainnya' },
+  { code: 'minyak', name: 'Minyak Goreng', unit: 'Rp/liter', category: 'lainnya' },
+  { code: 'daging', name: 'Daging Sapi', unit: 'Rp/kg', category: 'daging' },
+  { code: 'ayam', name: 'Daging Ayam', unit: 'Rp/kg', category: 'daging' },
+  { code: 'telur', name: 'Telur Ayam', unit: 'Rp/kg', category: 'lainnya' },
+  { code: 'bawang_merah', name: 'Bawang Merah', unit: 'Rp/kg', category: 'bumbu' },
+  { code: 'bawang_putih', name: 'Bawang Putih', unit: 'Rp/kg', category: 'bumbu' },
+  { code: 'gas', name: 'Gas LPG', unit: 'Rp/tabung 3kg', category: 'lainnya' },
+  { code: 'garam', name: 'Garam', unit: 'Rp/kg', category: 'bumbu' },
+  { code: 'susu', name: 'Susu', unit: 'Rp/liter', category: 'lainnya' }
+];
+
+// English headers seen in older form versions
+const EXTRA_HEADERS = {
+  beras: ['Rice Price'],
+  gula: ['Sugar Price'],
+  minyak: ['Oil Price'],
+  daging: ['Meat Price'],
+  ayam: ['Chicken Price'],
+  telur: ['Egg Price'],
+  bawang_merah: ['Red Onion Price'],
+  bawang_putih: ['Garlic Price'],
+  gas: ['Gas Price'],
+  garam: ['Salt Price'],
+  susu: ['Milk Price']
+};
+
+const priceField = (code) => `harga_${code}`;
+
+// "bawang_merah" → "Bawang Merah"
+const titleCase = (code) => code.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+/**
+ * Catalog entry: field name and the sheet/CSV headers tried for it (in priority order)
+ */
+const describe = (commodity) => {
+  const title = titleCase(commodity.code);
+  const headers = [`Harga ${title}`, priceField(commodity.code), title];
+  if (commodity.name && !headers.includes(commodity.name)) headers.push(commodity.name);
+  (EXTRA_HEADERS[commodity.code] || []).forEach(header => headers.push(header));
+
+  return {
+    id: commodity.id || null,
+    code: commodity.code,
+    name: commodity.name,
+    unit: commodity.unit,
+    field: priceField(commodity.code),
+    label: `Harga ${title}`,
+    headers
+  };
+};
+
+// Defaults until the first load (no ids yet)
+let catalog = DEFAULT_SURVEY_COMMODITIES.map(describe);
+let loadedAt = 0;
+let seeded = false;
+let loading = null; // in-flight load shared by concurrent callers
+
+const invalidate = () => {
+  loadedAt = 0;
+};
+
+/**
+ * Create the default survey commodities that do not exist yet
+ */
+const ensureDefaultCommodities = async () => {
+  for (const commodity of DEFAULT_SURVEY_COMMODITIES) {
+    await Commodity.findOrCreate({
+      where: { code: commodity.code },
+      defaults: { ...commodity, is_active: true }
+    });
+  }
+  seeded = true;
+};
+
+/**
+ * Active survey commodities, cached for a few minutes
+ */
+const loadSurveyCommodities = async () => {
+  if (loadedAt && Date.now() - loadedAt < CACHE_TTL_MS) {
+    return catalog;
+  }
+
+  if (!loading) {
+    loading = (async () => {
+      try {
+        if (!seeded) {
+          await ensureDefaultCommodities();
+        }
+
+        const commodities = await Commodity.findAll({
+          where: { code: { [Op.ne]: null }, is_active: true },
+          order: [['id', 'ASC']]
+        });
+
+        catalog = commodities.map(describe);
+        loadedAt = Date.now();
+        return catalog;
+      } finally {
+        loading = null;
+      }
+    })();
+  }
+
+  return loading;
+};
+
+/**
+ * Last loaded catalog (for synchronous row mapping; call loadSurveyCommodities() first)
+ */
+const getSurveyCommodities = () => catalog;
+
+/**
+ * Catalog entry by code ("beras") or price field ("harga_beras")
+ */
+const findSurveyCommodity = (key) => {
+  const code = String(key || '').replace(/^harga_/, '');
+  return catalog.find(commodity => commodity.code === code) || null;
+};
+
+module.exports = {
+  DEFAULT_SURVEY_COMMODITIES,
+  priceField,
+  invalidate,
+  loadSurveyCommodities,
+  getSurveyCommodities,
+  findSurveyCommodity
+};
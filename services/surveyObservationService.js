@@ -0,0 +1,215 @@
+// services/surveyObservationService.js - Sembako surveys with their per-commodity prices
+//
+// sembako_prices keeps one row per survey (province, market, date); prices live in
+// survey_observations. Payloads and responses keep the flat harga_<code> shape.
+const { Op, fn, col } = require('sequelize');
+const { SurveyObservation } = require('../models');
+const SembakoPrice = require('../models/SembakoPrice');
+const { loadSurveyCommodities } = require('./surveyCommodityService');
+const { scoreSurvey } = require('./outlierDetectionService');
+
+/**
+ * Parse a price value; empty, non-numeric and non-positive values are "no price"
+ */
+const parsePrice = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const price = parseFloat(value);
+  return !isNaN(price) && price > 0 ? price : null;
+};
+
+/**
+ * harga_<code> values present in a payload
+ * @returns {Array<{ commodity, price }>} price null = clear this commodity
+ */
+const extractPrices = (data, commodities) => commodities
+  .filter(commodity => data[commodity.field] !== undefined)
+  .map(commodity => ({ commodity, price: parsePrice(data[commodity.field]) }));
+
+const hasAnyPrice = (data, commodities) => extractPrices(data, commodities).some(({ price }) => price !== null);
+
+/**
+ * Published surveys with a flagged price become "flagged" (and flagged ones whose prices
+ * are all fine again become "published"); drafts and archived surveys are left alone
+ */
+const refreshFlagStatus = async (survey) => {
+  if (!['published', 'flagged'].includes(survey.status)) return survey;
+
+  const flagged = await SurveyObservation.findAll({
+    attributes: ['flag_reason'],
+    where: { survey_id: survey.id, flag_reason: { [Op.ne]: null } },
+    order: [['commodity_id', 'ASC']],
+    raw: true
+  });
+
+  const status = flagged.length > 0 ? 'flagged' : 'published';
+  const flagReason = flagged.length > 0 ? flagged.map(row => row.flag_reason).join('; ') : null;
+  if (survey.status !== status || survey.flag_reason !== flagReason) {
+    await survey.update({ status, flag_reason: flagReason }, { hooks: false });
+  }
+  return survey;
+};
+
+/**
+ * Create a survey and its observations from a flat payload; outlier prices flag the survey
+ */
+const createSurvey = async (data) => {
+  const commodities = await loadSurveyCommodities();
+  const survey = await SembakoPrice.create(data);
+  const prices = extractPrices(data, commodities).filter(({ price }) => price !== null);
+
+  let scores;
+  try {
+    scores = await scoreSurvey(survey, prices);
+    const observations = prices.map(({ commodity, price }) => ({
+      survey_id: survey.id,
+      commodity_id: commodity.id,
+      price,
+      unit: commodity.unit,
+      outlier_score: scores.get(commodity.id)?.score ?? null,
+      flag_reason: scores.get(commodity.id)?.reason || null
+    }));
+
+    await SurveyObservation.bulkCreate(observations, { validate: true });
+  } catch (error) {
+    await survey.destroy();
+    throw error;
+  }
+
+  if ([...scores.values()].some(score => score.flagged)) {
+    await refreshFlagStatus(survey);
+  }
+  return survey;
+};
+
+/**
+ * Update survey fields and the observations of the harga_<code> keys present in data
+ * (a null/empty price removes that observation; new and changed prices are scored again)
+ */
+const updateSurvey = async (survey, data) => {
+  const commodities = await loadSurveyCommodities();
+  const surveyFields = {};
+  Object.keys(data).forEach(key => {
+    if (SembakoPrice.rawAttributes[key] && key !== 'id') surveyFields[key] = data[key];
+  });
+
+  await survey.update(surveyFields);
+
+  for (const { commodity, price } of extractPrices(data, commodities)) {
+    if (price === null) {
+      await SurveyObservation.destroy({ where: { survey_id: survey.id, commodity_id: commodity.id } });
+      continue;
+    }
+
+    const existing = await SurveyObservation.findOne({
+      where: { survey_id: survey.id, commodity_id: commodity.id }
+    });
+    if (existing && parseFloat(existing.price) === price) continue;
+
+    // New or changed price: score it again
+    const score = (await scoreSurvey(survey, [{ commodity, price }])).get(commodity.id);
+    const values = {
+      price,
+      outlier_score: score?.score ?? null,
+      flag_reason: score?.reason || null
+    };
+
+    if (existing) {
+      await existing.update(values);
+    } else {
+      await SurveyObservation.create({ survey_id: survey.id, commodity_id: commodity.id, unit: commodity.unit, ...values });
+    }
+  }
+
+  return refreshFlagStatus(survey);
+};
+
+/**
+ * Reviewer confirmed the flagged prices of a survey: they count as normal data from now on
+ */
+const confirmFlaggedPrices = async (survey) => {
+  await SurveyObservation.update({ flag_reason: null }, { where: { survey_id: survey.id } });
+  await survey.update({ status: 'published', flag_reason: null }, { hooks: false });
+  return survey;
+};
+
+/**
+ * Flatten surveys to the harga_<code> response shape (every catalog commodity, null when not observed)
+ * @param {Object|Array} surveys - SembakoPrice instance(s)
+ */
+const withPrices = async (surveys) => {
+  const list = [].concat(surveys || []);
+  const commodities = await loadSurveyCommodities();
+
+  const observations = list.length > 0
+    ? await SurveyObservation.findAll({ where: { survey_id: list.map(survey => survey.id) }, raw: true })
+    : [];
+  const bySurvey = {};
+  observations.forEach(observation => {
+    (bySurvey[observation.survey_id] = bySurvey[observation.survey_id] || []).push(observation);
+  });
+
+  const flattened = list.map(survey => {
+    const plain = typeof survey.toJSON === 'function' ? survey.toJSON() : { ...survey };
+    const surveyObservations = bySurvey[survey.id] || [];
+
+    commodities.forEach(commodity => {
+      const observation = surveyObservations.find(item => item.commodity_id === commodity.id);
+      plain[commodity.field] = observation ? observation.price : null;
+    });
+    plain.observations = surveyObservations.map(observation => ({
+      commodity_id: observation.commodity_id,
+      code: commodities.find(commodity => commodity.id === observation.commodity_id)?.code || null,
+      price: observation.price,
+      unit: observation.unit,
+      outlier_score: observation.outlier_score,
+      flag_reason: observation.flag_reason
+    }));
+
+    return plain;
+  });
+
+  return Array.isArray(surveys) ? flattened : flattened[0];
+};
+
+/**
+ * AVG/MIN/MAX/COUNT of observed prices per commodity for surveys matching surveyWhere
+ * @param {Object} surveyWhere - where clause on sembako_prices
+ * @param {Object} options - { groupBy: survey columns to group by, codes: limit to these commodities }
+ * @returns {Promise<Array>} raw rows: <groupBy...>, commodity_id, code, avg_price, min_price, max_price, count
+ */
+const aggregatePrices = async (surveyWhere = {}, { groupBy = [], codes = null } = {}) => {
+  const commodities = await loadSurveyCommodities();
+  const selected = codes ? commodities.filter(commodity => codes.includes(commodity.code)) : commodities;
+  if (selected.length === 0) return [];
+
+  const rows = await SurveyObservation.findAll({
+    attributes: [
+      ...groupBy.map(field => [col(`survey.${field}`), field]),
+      'commodity_id',
+      [fn('AVG', col('SurveyObservation.price')), 'avg_price'],
+      [fn('MIN', col('SurveyObservation.price')), 'min_price'],
+      [fn('MAX', col('SurveyObservation.price')), 'max_price'],
+      [fn('COUNT', col('SurveyObservation.id')), 'count']
+    ],
+    where: { commodity_id: selected.map(commodity => commodity.id) },
+    include: [{ model: SembakoPrice, as: 'survey', attributes: [], where: surveyWhere }],
+    group: [...groupBy.map(field => `survey.${field}`), 'commodity_id'],
+    raw: true
+  });
+
+  return rows.map(row => ({
+    ...row,
+    code: selected.find(commodity => commodity.id === row.commodity_id)?.code || null
+  }));
+};
+
+module.exports = {
+  parsePrice,
+  extractPrices,
+  hasAnyPrice,
+  createSurvey,
+  updateSurvey,
+  confirmFlaggedPrices,
+  withPrices,
+  aggregatePrices
+};
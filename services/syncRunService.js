@@ -0,0 +1,152 @@
+// services/syncRunService.js - Durable ledger of sync runs (BPN, Google Sheets)
+const { SyncRun } = require('../models');
+
+const MAX_STORED_ERRORS = 50;
+
+/**
+ * Normalize the different sync result shapes into counts/errors/status
+ * - bpnApiService.fullSync   → { success, message, data: {...counts, errors} }
+ * - priceSync.syncPricesFromAPI → { success, message, stats: {...counts, errors} }
+ * - googleSheetsService.syncToDatabase → { ...counts, errors }
+ */
+const summarizeResult = (result) => {
+  const stats = result?.stats || result?.data || result || {};
+  const { errors = [], ...counts } = stats;
+  const errorList = Array.isArray(errors) ? errors : [String(errors)];
+
+  let status = 'success';
+  if (result?.success === false) {
+    status = 'failed';
+  } else if (errorList.length > 0 || counts.error_count > 0) {
+    status = 'partial';
+  }
+
+  return {
+    status,
+    counts,
+    errors: errorList,
+    message: result?.message || null
+  };
+};
+
+/**
+ * Drop cached forecast models so they are refitted on the synced data
+ * (required lazily: forecastService pulls in the models and services that sync themselves)
+ */
+const invalidateForecasts = async (source) => {
+  try {
+    await require('./forecastService').invalidate();
+  } catch (error) {
+    console.error(`⚠️ Failed to invalidate forecasts after sync (${source}):`, error.message);
+  }
+};
+
+/**
+ * Run a sync function and record it in the sync_runs table.
+ * Ledger failures are logged but never break the sync itself.
+ *
+ * @param {Object} meta - { source, trigger, triggeredBy, options }
+ * @param {Function} runFn - async function performing the sync
+ * @returns {Promise<*>} result of runFn (with sync_run_id when recorded)
+ */
+const track = async (meta, runFn) => {
+  const { source, trigger = 'manual', triggeredBy = null, options = {} } = meta;
+  const startedAt = new Date();
+  let run = null;
+
+  try {
+    run = await SyncRun.create({
+      source,
+      trigger_type: trigger,
+      triggered_by: triggeredBy,
+      status: 'running',
+      started_at: startedAt,
+      options
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to record sync run start (${source}):`, error.message);
+  }
+
+  const finish = async (fields) => {
+    if (!run) return;
+    try {
+      await run.update({
+        ...fields,
+        finished_at: new Date(),
+        duration_ms: Date.now() - startedAt.getTime()
+      });
+    } catch (error) {
+      console.error(`⚠️ Failed to record sync run result (${source}):`, error.message);
+    }
+  };
+
+  try {
+    const result = await runFn();
+    const summary = summarizeResult(result);
+
+    await finish({
+      status: summary.status,
+      counts: summary.counts,
+      error_count: summary.errors.length,
+      errors: summary.errors.slice(0, MAX_STORED_ERRORS),
+      message: summary.message
+    });
+
+    if (run && result && typeof result === 'object' && !Array.isArray(result)) {
+      result.sync_run_id = run.id;
+    }
+
+    if (summary.status !== 'failed') await invalidateForecasts(source);
+
+    return result;
+  } catch (error) {
+    await finish({
+      status: 'failed',
+      error_count: 1,
+      errors: [error.message],
+      message: error.message
+    });
+    throw error;
+  }
+};
+
+/**
+ * Latest recorded run for a source
+ */
+const getLastRun = async (source) => {
+  try {
+    return await SyncRun.findOne({
+      where: { source },
+      order: [['started_at', 'DESC']]
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to read last sync run (${source}):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Mark runs left in 'running' by a previous process as failed (called at startup,
+ * before any sync of this process can start)
+ * @returns {Promise<number>} number of runs marked failed
+ */
+const failStaleRuns = async () => {
+  const message = 'Interrupted: server stopped before the sync finished';
+  const [count] = await SyncRun.update({
+    status: 'failed',
+    finished_at: new Date(),
+    error_count: 1,
+    errors: [message],
+    message
+  }, {
+    where: { status: 'running' }
+  });
+  return count;
+};
+
+module.exports = {
+  track,
+  failStaleRuns,
+  getLastRun,
+  summarizeResult
+};
@@ -0,0 +1,130 @@
+// tests/affordability.test.js - Minimum wages (UMP) and sembako basket affordability
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+const { parseBasket } = require('../services/affordabilityService');
+
+describe('Basket parameter', () => {
+  test('code:quantity pairs are parsed, malformed entries rejected', () => {
+    expect(parseBasket('beras:10, harga_gula:2')).toEqual({ beras: 10, gula: 2 });
+    expect(parseBasket('beras:10,gula')).toBeNull();
+    expect(parseBasket('beras:-1')).toBeNull();
+  });
+});
+
+describe('Affordability', () => {
+  let restoreConsole;
+  let models;
+  let app;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    process.env.OUTLIER_DETECTION = 'false';
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+    await models.Region.create({ province_id: 32, province_name: 'Jawa Barat', level: 'province' });
+    await models.Region.create({ province_id: 51, province_name: 'Bali', level: 'province' });
+    await models.Region.create({ province_id: 31, province_name: 'DKI Jakarta', level: 'province' });
+    require('../services/provinceResolver').invalidate();
+
+    const { createSurvey } = require('../services/surveyObservationService');
+    const survey = (province, surveyDate, prices) => createSurvey({
+      province_name: province,
+      market_name: 'Pasar Induk',
+      survey_date: surveyDate,
+      ...prices
+    });
+    await survey('Jawa Barat', '2025-12-20', { harga_beras: 12000 });
+    await survey('Jawa Barat', '2026-08-01', { harga_beras: 50000 });
+    await survey('Jawa Barat', '2026-10-01', { harga_beras: 14000, harga_gula: 18000 });
+    await survey('Jawa Barat', '2026-10-05', { harga_beras: 16000 });
+    await survey('Bali', '2026-10-03', { harga_beras: 15000 });
+
+    const minimumWageController = require('../controllers/minimumWageController');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 1, username: 'admin' };
+      next();
+    });
+    app.get('/api/minimum-wages/affordability', minimumWageController.getAffordability);
+    app.get('/api/minimum-wages', minimumWageController.getWages);
+    app.post('/api/minimum-wages', minimumWageController.createWage);
+    app.put('/api/minimum-wages/:id', minimumWageController.updateWage);
+    app.delete('/api/minimum-wages/:id', minimumWageController.deleteWage);
+  });
+
+  afterAll(async () => {
+    delete process.env.OUTLIER_DETECTION;
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('admins record one UMP per province and year', async () => {
+    const created = await request(app).post('/api/minimum-wages').send({ province: 'Jawa Barat', year: 2026, amount: 2000000 });
+    expect(created.status).toBe(201);
+
+    const duplicate = await request(app).post('/api/minimum-wages').send({ province: 'jawa barat', year: 2026, amount: 2100000 });
+    expect(duplicate.status).toBe(409);
+
+    const invalid = await request(app).post('/api/minimum-wages').send({ province: 'Bali', year: 2025, amount: -5 });
+    expect(invalid.status).toBe(400);
+
+    const updated = await request(app).put(`/api/minimum-wages/${created.body.data.id}`).send({ amount: 2191232 });
+    expect(parseFloat(updated.body.data.amount)).toBe(2191232);
+
+    await request(app).post('/api/minimum-wages').send({ province: 'Bali', year: 2025, amount: 2996561 });
+    await request(app).post('/api/minimum-wages').send({ province: 'DKI Jakarta', year: 2026, amount: 5396761 });
+
+    const temporary = await request(app).post('/api/minimum-wages').send({ province: 'Bali', year: 2020, amount: 2494000 });
+    expect((await request(app).delete(`/api/minimum-wages/${temporary.body.data.id}`)).status).toBe(200);
+
+    const list = await request(app).get('/api/minimum-wages?year=2026');
+    expect(list.body.data.map(wage => wage.region.province_name)).toEqual(['Jawa Barat', 'DKI Jakarta']);
+  });
+
+  test('basket cost as share of UMP and hours of work', async () => {
+    const res = await request(app).get('/api/minimum-wages/affordability?year=2026&basket=beras:10,gula:2');
+    expect(res.status).toBe(200);
+
+    const [jabar, bali] = res.body.data.provinces;
+    // Only the last 30 days before the newest survey count (the August price is ignored)
+    expect(jabar).toMatchObject({
+      province_name: 'Jawa Barat',
+      basket_cost: 186000,
+      ump: { year: 2026, amount: 2191232 },
+      share_of_ump_pct: 8.49,
+      hours_of_work: 14.7,
+      imputed_commodities: []
+    });
+    // Bali has no 2026 UMP yet and no sugar price: 2025 UMP, national sugar average
+    expect(bali).toMatchObject({
+      province_name: 'Bali',
+      basket_cost: 186000,
+      ump: { year: 2025 },
+      share_of_ump_pct: 6.21,
+      imputed_commodities: ['gula']
+    });
+    expect(res.body.data.without_prices).toEqual([
+      expect.objectContaining({ province_name: 'DKI Jakarta' })
+    ]);
+  });
+
+  test('a past year is priced with the surveys of that year', async () => {
+    const res = await request(app).get('/api/minimum-wages/affordability?year=2025&basket=beras:10');
+    expect(res.status).toBe(200);
+
+    expect(res.body.data.provinces).toEqual([
+      expect.objectContaining({ province_name: 'Jawa Barat', latest_survey_date: '2025-12-20', basket_cost: 120000, ump: null })
+    ]);
+    expect(res.body.data.without_prices).toEqual([
+      expect.objectContaining({ province_name: 'Bali', ump: { year: 2025, amount: 2996561 } })
+    ]);
+  });
+
+  test('unknown basket commodities are rejected', async () => {
+    const res = await request(app).get('/api/minimum-wages/affordability?basket=kopi:1');
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,96 @@
+// tests/bpnRoutes.test.js - BPN-backed HTTP endpoints against the local mock server
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { startBpnMock } = require('./helpers/bpnMock');
+const { silenceConsole } = require('./helpers/console');
+
+describe('BPN-backed routes', () => {
+  let mock;
+  let server;
+  let restoreConsole;
+  let app;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    ({ mock, server } = await startBpnMock());
+    await require('../models').sequelize.sync({ force: true });
+
+    const bpnController = require('../controllers/bpnController');
+
+    app = express();
+    app.use(express.json());
+    app.get('/api/public/bpn-prices', bpnController.getPublicPrices);
+    app.use('/api/bpn', require('../routes/bpnData'));
+    app.use('/api/images', require('../routes/imageProxy'));
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await require('../models').sequelize.close();
+    restoreConsole();
+  });
+
+  test('GET /api/public/bpn-prices proxies the configured BPN API', async () => {
+    const res = await request(app).get('/api/public/bpn-prices?level_harga_id=1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(10);
+    expect(res.body.request_data.level_harga_id).toBe('1');
+  });
+
+  test('GET /api/public/bpn-prices returns 500 when BPN fails', async () => {
+    mock.setScenario('error');
+
+    const res = await request(app).get('/api/public/bpn-prices');
+
+    expect(res.status).toBe(500);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('GET /api/bpn/prices serves fresh data, then the cache', async () => {
+    const first = await request(app).get('/api/bpn/prices?level_harga_id=2');
+    expect(first.status).toBe(200);
+    expect(first.body.source).toBe('fresh');
+    expect(first.body.count).toBe(10);
+
+    const second = await request(app).get('/api/bpn/prices?level_harga_id=2');
+    expect(second.body.source).toBe('cache');
+    expect(mock.requestsFor('harga-pangan-informasi')).toHaveLength(1);
+  });
+
+  test('GET /api/bpn/prices returns 503 without a cached copy', async () => {
+    mock.setScenario('malformed');
+
+    const res = await request(app).get('/api/bpn/prices?province_id=31');
+
+    expect(res.status).toBe(503);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('GET /api/images/bpn-image/:filename proxies commodity icons', async () => {
+    const res = await request(app).get('/api/images/bpn-image/beras-premium.png');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/image\/png/);
+    expect(mock.requestsFor('komoditas-ikon')).toHaveLength(1);
+  });
+
+  test('POST /api/bpn/sync is admin-only and records who triggered it', async () => {
+    const sync = () => request(app).post('/api/bpn/sync').send({ levelHargaId: 3 });
+    const tokenFor = (user) => `Bearer ${jwt.sign(user, process.env.JWT_SECRET || 'your-secret-key')}`;
+
+    expect((await sync()).status).toBe(401);
+    expect((await sync().set('Authorization', tokenFor({ id: 8, role: 'user' }))).status).toBe(403);
+
+    const res = await sync().set('Authorization', tokenFor({ id: 7, role: 'admin' }));
+    expect(res.status).toBe(200);
+
+    const run = await require('../models').SyncRun.findByPk(res.body.sync_run_id);
+    expect(run).toMatchObject({ source: 'bpn_full_sync', triggered_by: 7, status: 'success' });
+  });
+});
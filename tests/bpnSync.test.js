@@ -0,0 +1,197 @@
+// tests/bpnSync.test.js - BPN sync pipeline against the local mock server
+const { startBpnMock } = require('./helpers/bpnMock');
+const { silenceConsole } = require('./helpers/console');
+
+describe('BPN sync pipeline', () => {
+  let mock;
+  let server;
+  let restoreConsole;
+  let models;
+  let priceSync;
+  let bpnApiService;
+  let cacheService;
+  let syncRunService;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    ({ mock, server } = await startBpnMock());
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+
+    priceSync = require('../services/priceSync');
+    bpnApiService = require('../services/bpnApiService');
+    cacheService = require('../services/cacheService');
+    syncRunService = require('../services/syncRunService');
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('syncs regions, commodities and national, province and city prices', async () => {
+    const result = await priceSync.syncPricesFromAPI({
+      includeProvinceMap: true,
+      includeCityPrices: true,
+      komoditasIds: [109, 1]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.stats).toMatchObject({
+      regions: 9, // 4 provinces + 5 cities
+      commodities: 10,
+      prices: 10,
+      provinceMapPrices: 8,
+      cityPrices: 50,
+      errors: []
+    });
+
+    const { Commodity, Price, Region } = models;
+    expect(await Region.count({ where: { level: 'province' } })).toBe(4);
+    expect(await Region.count({ where: { level: 'city' } })).toBe(5);
+    expect(await Price.count({ where: { region_id: null, level: 'konsumen' } })).toBe(10);
+
+    const sphp = await Commodity.findOne({ where: { external_id: 109 } });
+    const jakarta = await Region.findOne({ where: { province_id: 31, level: 'province' } });
+    const jakartaPrice = await Price.findOne({ where: { commodity_id: sphp.id, region_id: jakarta.id } });
+    expect(parseFloat(jakartaPrice.price)).toBe(13250);
+  });
+
+  test('a second run updates prices instead of duplicating them', async () => {
+    const before = await models.Price.count();
+    await priceSync.syncPricesFromAPI({ syncRegions: false });
+    expect(await models.Price.count()).toBe(before);
+  });
+
+  test('an unknown province is reported instead of overwriting the national series', async () => {
+    const snapshot = async () => (await models.Price.findAll({
+      where: { region_id: null },
+      order: [['id', 'ASC']],
+      raw: true
+    })).map(({ id, price, updatedAt }) => ({ id, price, updatedAt }));
+    const before = await snapshot();
+
+    const result = await priceSync.syncPricesFromAPI({ provinceId: 99, syncRegions: false });
+
+    expect(result.stats.prices).toBe(0);
+    expect(result.stats.errors).toEqual([expect.stringMatching(/^Price sync: Province 99 not found/)]);
+    expect(await snapshot()).toEqual(before);
+  });
+
+  test('fullSync saves a province sync against its region, never the national series', async () => {
+    const nationalBefore = await models.Price.count({ where: { region_id: null } });
+    const jakarta = await models.Region.findOne({ where: { province_id: 31, level: 'province' } });
+    await models.Price.destroy({ where: { region_id: jakarta.id } });
+
+    const result = await bpnApiService.fullSync({ provinceId: 31, levelHargaIds: [3] });
+
+    expect(result.success).toBe(true);
+    expect(await models.Price.count({ where: { region_id: jakarta.id, level: 'konsumen' } })).toBe(result.data.prices);
+    expect(result.data.prices).toBeGreaterThan(0);
+    expect(await models.Price.count({ where: { region_id: null } })).toBe(nationalBefore);
+
+    await expect(bpnApiService.fullSync({ provinceId: 99, levelHargaIds: [3] })).rejects.toThrow(/Province 99 not found/);
+  });
+
+  test('fullSync stores every price level for the national series', async () => {
+    const result = await bpnApiService.fullSync({ levelHargaIds: [1, 2, 3] });
+
+    expect(result.success).toBe(true);
+    expect(Object.keys(result.data.levels)).toEqual(['produsen', 'grosir', 'konsumen']);
+
+    const { Price } = models;
+    expect(await Price.count({ where: { region_id: null, level: 'produsen' } })).toBe(10);
+    expect(await Price.count({ where: { region_id: null, level: 'grosir' } })).toBe(10);
+    expect(await Price.count({ where: { region_id: null, level: 'konsumen' } })).toBe(10);
+  });
+
+  test('retries and records an error when BPN returns HTTP 500', async () => {
+    mock.setScenario('error', 'harga-pangan-informasi');
+
+    const result = await priceSync.syncPricesFromAPI({ syncRegions: false });
+
+    expect(result.success).toBe(true);
+    expect(result.stats.prices).toBe(0);
+    expect(result.stats.errors).toEqual([expect.stringMatching(/^Price sync: .*500/)]);
+    expect(mock.requestsFor('harga-pangan-informasi')).toHaveLength(3);
+  });
+
+  test('gives up on a request that times out', async () => {
+    mock.setScenario('timeout', 'harga-pangan-informasi');
+
+    await expect(bpnApiService.fetchCurrentPrices()).rejects.toThrow(/timeout/);
+  });
+
+  test('rejects a malformed response body', async () => {
+    mock.setScenario('malformed');
+
+    await expect(priceSync.fetchHargaInformasi()).rejects.toThrow(/API returned error/);
+    await expect(bpnApiService.fetchCurrentPrices()).rejects.toThrow(/BPN API fetch failed/);
+  });
+
+  test('province map failures are isolated from the national sync', async () => {
+    mock.setScenario('api_error', 'harga-peta-provinsi');
+
+    const result = await priceSync.syncPricesFromAPI({
+      syncRegions: false,
+      includeProvinceMap: true,
+      komoditasIds: [109]
+    });
+
+    expect(result.stats.prices).toBe(10);
+    expect(result.stats.provinceMapPrices).toBe(0);
+    expect(result.stats.errors).toEqual([expect.stringMatching(/^Province map 109: /)]);
+  });
+
+  test('fullSync reports failure when every level fails and the ledger records it', async () => {
+    mock.setScenario('error');
+
+    const result = await syncRunService.track(
+      { source: 'bpn_full_sync', trigger: 'manual' },
+      () => bpnApiService.fullSync({ levelHargaIds: [3] })
+    );
+
+    expect(result.success).toBe(false);
+
+    const run = await models.SyncRun.findByPk(result.sync_run_id);
+    expect(run.status).toBe('failed');
+    expect(run.error_count).toBeGreaterThan(0);
+  });
+
+  test('runs left running by a stopped process are marked failed at startup', async () => {
+    const stale = await models.SyncRun.create({ source: 'bpn', status: 'running', started_at: new Date() });
+
+    expect(await syncRunService.failStaleRuns()).toBe(1);
+
+    await stale.reload();
+    expect(stale.status).toBe('failed');
+    expect(stale.finished_at).not.toBeNull();
+    expect(stale.message).toMatch(/Interrupted/);
+  });
+
+  test('cached prices fall back to the last copy while BPN is down', async () => {
+    const { key } = bpnApiService.getPriceCachePolicy({ levelHargaId: 3 });
+    await cacheService.clear();
+
+    const fresh = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
+    expect(fresh.source).toBe('fresh');
+    expect(fresh.value).toHaveLength(10);
+
+    const cached = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
+    expect(cached.source).toBe('cache');
+
+    // Expire the entry completely, then take BPN down
+    await cacheService.set(key, fresh.value, { ttlMs: -1 });
+    mock.setScenario('error');
+
+    const fallback = await bpnApiService.getCachedPrices({ levelHargaId: 3 });
+    expect(fallback.source).toBe('cache_fallback');
+    expect(fallback.value).toHaveLength(10);
+  });
+});
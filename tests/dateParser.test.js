@@ -0,0 +1,62 @@
+// tests/dateParser.test.js - Strict, locale-aware date parsing for form submissions
+const { parseDate, formatDateKey, detectDayMonthOrder } = require('../utils/dateParser');
+const { mapSembakoCsvRow, mapMarketPriceCsvRow } = require('../services/csvImportService');
+
+const parse = (value, format) => formatDateKey(parseDate(value, { format, field: 'survey_date' }));
+
+describe('parseDate', () => {
+  test.each([
+    ['03/09/2026', 'DD/MM/YYYY', '2026-09-03'],
+    ['03/09/2026', 'MM/DD/YYYY', '2026-03-09'],
+    ['3-9-2026 07:15', 'DD/MM/YYYY', '2026-09-03'],
+    ['9/23/2025 19:50:23', 'MM/DD/YYYY', '2025-09-23'],
+    ['23/09/2025', 'auto', '2025-09-23'],
+    ['2026-10-01 08:00:00', 'DD/MM/YYYY', '2026-10-01'],
+    ['3 September 2026', 'MM/DD/YYYY', '2026-09-03'],
+    ['17 Agu 2026', 'auto', '2026-08-17']
+  ])('%s as %s → %s', (value, format, expected) => {
+    expect(parse(value, format)).toBe(expected);
+  });
+
+  test.each([
+    ['9/23/2025', 'DD/MM/YYYY', /looks like MM\/DD\/YYYY/],
+    ['03/09/2026', 'auto', /ambiguous/],
+    ['31/02/2026', 'DD/MM/YYYY', /no such date/],
+    ['03/09/2026', 'YYYY-MM-DD', /expected YYYY-MM-DD/],
+    ['kemarin', 'DD/MM/YYYY', /Invalid date "kemarin" for survey_date/]
+  ])('%s as %s is rejected', (value, format, message) => {
+    expect(() => parseDate(value, { format, field: 'survey_date' })).toThrow(message);
+  });
+
+  test('empty values are left to the caller', () => {
+    expect(parseDate('', { format: 'DD/MM/YYYY' })).toBeNull();
+    expect(parseDate(null, { format: 'DD/MM/YYYY' })).toBeNull();
+  });
+});
+
+describe('detectDayMonthOrder', () => {
+  test('reports the order and ambiguous values in a column', () => {
+    expect(detectDayMonthOrder(['23/09/2026', '03/09/2026', '2026-09-01'])).toEqual({
+      detected: 'DD/MM/YYYY',
+      day_first: 1,
+      month_first: 0,
+      ambiguous: 1
+    });
+    expect(detectDayMonthOrder(['23/09/2026', '09/23/2026']).detected).toBe('mixed');
+  });
+});
+
+describe('CSV rows', () => {
+  test('blank dates are rejected instead of becoming today', () => {
+    const survey = { Timestamp: '', 'Province ID': 'Bali', 'Nama Pasar': 'Pasar Badung', 'Harga Beras': '15000' };
+    const options = { dateFormat: 'DD/MM/YYYY' };
+
+    expect(formatDateKey(mapSembakoCsvRow({ ...survey, Tanggal: '03/09/2026' }, options).survey_date)).toBe('2026-09-03');
+    expect(() => mapSembakoCsvRow({ ...survey, Tanggal: '' }, options)).toThrow('Tanggal wajib diisi');
+    expect(() => mapSembakoCsvRow(survey, options)).toThrow('Tanggal wajib diisi');
+
+    const marketPrice = { product_name: 'Cabai Merah', price: '45000', market_type: 'Pasar Tradisional' };
+    expect(mapMarketPriceCsvRow({ ...marketPrice, effective_date: '03/09/2026' }, options).effective_date).toBe('2026-09-03');
+    expect(() => mapMarketPriceCsvRow({ ...marketPrice, effective_date: ' ' }, options)).toThrow('effective_date wajib diisi');
+  });
+});
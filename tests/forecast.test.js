@@ -0,0 +1,134 @@
+// tests/forecast.test.js - Holt-Winters fitting and the forecast endpoint
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+const holtWinters = require('../utils/holtWinters');
+
+const WEEKLY_PATTERN = [0, -2, -1, 1, 3, 4, -5];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trend + weekly season + a little deterministic noise
+const syntheticValue = (t) => 100 + 0.5 * t + WEEKLY_PATTERN[t % 7] + Math.sin(t * 1.7);
+
+describe('Holt-Winters', () => {
+  test('recovers trend and weekly season with widening intervals', () => {
+    const series = Array.from({ length: 84 }, (_, t) => syntheticValue(t));
+    const model = holtWinters.fit(series, 7);
+    expect(model.method).toBe('holt_winters_additive');
+
+    const points = holtWinters.forecast(model, 14);
+    points.forEach(point => {
+      expect(Math.abs(point.value - syntheticValue(83 + point.step))).toBeLessThan(2.5);
+      expect(point.lower_95).toBeLessThan(point.lower_80);
+      expect(point.upper_95).toBeGreaterThan(point.upper_80);
+    });
+    const width = (point) => point.upper_95 - point.lower_95;
+    expect(width(points[13])).toBeGreaterThan(width(points[0]));
+
+    const metrics = holtWinters.backtest(series, 7, 14, 21);
+    expect(metrics.mae).toBeLessThan(metrics.naive_mae);
+  });
+
+  test('falls back to a linear trend without two seasons of data', () => {
+    const model = holtWinters.fit([10, 11, 12, 13, 14, 15, 16, 17], 7);
+    expect(model.method).toBe('holt_linear');
+    expect(holtWinters.forecast(model, 2)[1].value).toBeCloseTo(19, 0);
+  });
+});
+
+describe('Forecast endpoint', () => {
+  let restoreConsole;
+  let models;
+  let app;
+  let rice;
+
+  const today = new Date();
+  const daysAgo = (days) => new Date(today.getTime() - days * DAY_MS).toISOString().split('T')[0];
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    process.env.OUTLIER_DETECTION = 'false';
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+    await models.Region.create({ province_id: 32, province_name: 'Jawa Barat', level: 'province' });
+    require('../services/provinceResolver').invalidate();
+    await require('../services/cacheService').clear();
+
+    rice = await models.Commodity.create({ name: 'Beras Medium', external_id: 1 });
+    const sugar = await models.Commodity.create({ name: 'Gula Pasir', external_id: 2 });
+
+    // 70 days of national prices, one day missing
+    const rows = [];
+    for (let t = 0; t < 70; t++) {
+      if (t === 40) continue;
+      rows.push({ commodity_id: rice.id, region_id: null, date: daysAgo(70 - t), price: 12000 + 100 * syntheticValue(t) });
+    }
+    rows.push({ commodity_id: sugar.id, region_id: null, date: daysAgo(1), price: 17000 });
+    await models.Price.bulkCreate(rows);
+
+    const { createSurvey } = require('../services/surveyObservationService');
+    for (let week = 12; week >= 1; week--) {
+      await createSurvey({
+        province_name: 'Jawa Barat',
+        market_name: 'Pasar Induk',
+        survey_date: daysAgo(week * 7),
+        harga_beras: 14000 + (12 - week) * 50
+      });
+    }
+
+    const forecastController = require('../controllers/forecastController');
+    app = express();
+    app.get('/api/forecast', forecastController.getForecast);
+  });
+
+  afterAll(async () => {
+    delete process.env.OUTLIER_DETECTION;
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('daily forecast with intervals and backtest, cached until the next sync', async () => {
+    const res = await request(app).get('/api/forecast?commodity=Beras%20Medium&horizon=7');
+    expect(res.status).toBe(200);
+
+    const { data } = res.body;
+    expect(data.model).toMatchObject({ method: 'holt_winters_additive', season_length: 7, cached: false });
+    expect(data.history).toEqual({ from: daysAgo(70), to: daysAgo(1), filled_points: 1 });
+    expect(data.backtest).toEqual(expect.objectContaining({ horizon: 14 }));
+    expect(data.forecast).toHaveLength(7);
+    expect(data.forecast[0].date).toBe(daysAgo(0));
+    expect(data.forecast[0].lower_95).toBeLessThan(data.forecast[0].value);
+
+    const cached = await request(app).get(`/api/forecast?commodity=${rice.id}&horizon=30`);
+    expect(cached.body.data.model.cached).toBe(true);
+    expect(cached.body.data.forecast).toHaveLength(30);
+
+    await models.Price.create({ commodity_id: rice.id, region_id: null, date: daysAgo(0), price: 12000 + 100 * syntheticValue(70) });
+    await require('../services/syncRunService').track({ source: 'bpn' }, async () => ({ success: true }));
+
+    const refreshed = await request(app).get('/api/forecast?commodity=Beras%20Medium');
+    expect(refreshed.body.data.model.cached).toBe(false);
+    expect(refreshed.body.data.history.to).toBe(daysAgo(0));
+    expect(refreshed.body.data.forecast).toHaveLength(14);
+  });
+
+  test('weekly survey forecast falls back to a linear trend', async () => {
+    const res = await request(app).get('/api/forecast?source=survey&commodity=beras&region=Jawa%20Barat&horizon=4');
+    expect(res.status).toBe(200);
+    expect(res.body.data.model.method).toBe('holt_linear');
+    expect(res.body.data.points).toBe(12);
+    expect(res.body.data.forecast[3].value).toBeCloseTo(14750, -1);
+  });
+
+  test('invalid parameters and short series are rejected', async () => {
+    expect((await request(app).get('/api/forecast?commodity=Beras%20Medium&horizon=200')).status).toBe(400);
+    expect((await request(app).get('/api/forecast?commodity=Beras%20Medium&level=retail')).status).toBe(400);
+    expect((await request(app).get('/api/forecast?commodity=Beras%20Medium&region=Atlantis')).status).toBe(400);
+    expect((await request(app).get('/api/forecast?commodity=Kopi')).status).toBe(404);
+
+    const short = await request(app).get('/api/forecast?commodity=Gula%20Pasir');
+    expect(short.status).toBe(404);
+    expect(short.body.message).toMatch(/Not enough history/);
+  });
+});
@@ -0,0 +1,224 @@
+// tests/googleSheetSync.test.js - Incremental Google Sheet sync (row cursor + row hashes)
+const { silenceConsole } = require('./helpers/console');
+
+const HEADERS = ['Timestamp', 'Province ID', 'Nama Pasar', 'Tanggal', 'Harga Beras', 'Harga Telur'];
+
+const toRows = (values) => values.map((row, index) => {
+  const rowData = {};
+  HEADERS.forEach((header, headerIndex) => { rowData[header] = row[headerIndex] || null; });
+  rowData._originalRowIndex = index + 2;
+  return rowData;
+});
+
+describe('Google Sheet incremental sync', () => {
+  let restoreConsole;
+  let models;
+  let SembakoPrice;
+  let googleSheetsService;
+  let GoogleSheetsService;
+  let sheet;
+
+  const sync = async (options) => {
+    jest.spyOn(googleSheetsService, 'fetchSheetData').mockResolvedValue(toRows(sheet));
+    return googleSheetsService.syncToDatabase(options);
+  };
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    process.env.GOOGLE_SHEET_ID = 'test-sheet';
+    // Rows are published straight away (no review queue) in this suite
+    process.env.DEFAULT_SUBMISSION_STATUS = 'published';
+
+    models = require('../models');
+    SembakoPrice = require('../models/SembakoPrice');
+    await models.sequelize.sync({ force: true });
+
+    googleSheetsService = require('../services/googleSheetsService');
+    ({ GoogleSheetsService } = googleSheetsService);
+
+    sheet = [
+      ['2026-10-01 08:00:00', 'Jawa Barat', 'Pasar Kosambi', '2026-10-01', '14000', '28000'],
+      ['2026-10-01 09:00:00', 'Jawa Timur', 'Pasar Keputran', '2026-10-01', '13500', '27000'],
+      ['2026-10-02 08:00:00', 'Bali', 'Pasar Badung', '2026-10-02', '15000', '30000']
+    ];
+  });
+
+  afterAll(async () => {
+    delete process.env.DEFAULT_SUBMISSION_STATUS;
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('first run inserts every row and moves the cursor', async () => {
+    const result = await sync();
+
+    expect(result).toMatchObject({ success_count: 3, unchanged_count: 0, new_rows: 3, last_row_index: 4 });
+    expect(await SembakoPrice.count()).toBe(3);
+  });
+
+  test('unchanged rows are skipped', async () => {
+    const mapSpy = jest.spyOn(googleSheetsService, 'mapSheetDataToDatabase');
+
+    const result = await sync();
+
+    expect(result).toMatchObject({ success_count: 0, updated_count: 0, unchanged_count: 3 });
+    expect(mapSpy).not.toHaveBeenCalled();
+    mapSpy.mockRestore();
+  });
+
+  test('edited and appended rows are updated and inserted', async () => {
+    sheet[1][4] = '13900';
+    sheet.push(['2026-10-03 08:00:00', 'DKI Jakarta', 'Pasar Minggu', '2026-10-03', '15500', '31000']);
+
+    const result = await sync();
+
+    expect(result).toMatchObject({ success_count: 1, updated_count: 1, unchanged_count: 2, new_rows: 1, last_row_index: 5 });
+    const edited = await SembakoPrice.findOne({ where: { market_name: 'Pasar Keputran' } });
+    const { withPrices } = require('../services/surveyObservationService');
+    expect(parseFloat((await withPrices(edited)).harga_beras)).toBe(13900);
+    expect(await SembakoPrice.count()).toBe(4);
+  });
+
+  test('deleted rows are flagged and shifted rows are only re-indexed', async () => {
+    sheet.splice(0, 1); // remove Pasar Kosambi, every row below moves up
+
+    const result = await sync();
+
+    expect(result).toMatchObject({ deleted_count: 1, moved_count: 3, updated_count: 0, success_count: 0 });
+
+    const removed = await SembakoPrice.findOne({ where: { market_name: 'Pasar Kosambi' } });
+    expect(removed.status).toBe('archived');
+
+    const flagged = await models.SheetRow.findOne({ where: { sembako_price_id: removed.id } });
+    expect(flagged.status).toBe('deleted');
+    expect(flagged.deleted_at).not.toBeNull();
+
+    const state = await googleSheetsService.getSyncState();
+    expect(state).toMatchObject({ last_row_index: 4, total_rows: 3 });
+    expect(state.tracked_rows).toEqual({ synced: 3, deleted: 1 });
+  });
+
+  test('a re-added row adopts its archived record instead of duplicating it', async () => {
+    sheet.push(['2026-10-01 08:00:00', 'Jawa Barat', 'Pasar Kosambi', '2026-10-01', '14000', '28000']);
+
+    const result = await sync();
+
+    expect(result).toMatchObject({ success_count: 0, updated_count: 1, duplicate_count: 0 });
+    const restored = await SembakoPrice.findOne({ where: { market_name: 'Pasar Kosambi' } });
+    expect(restored.status).toBe('published');
+    expect(await SembakoPrice.count()).toBe(4);
+  });
+
+  test('edits and forced re-syncs keep the moderation status of synced records', async () => {
+    const rejected = await SembakoPrice.findOne({ where: { market_name: 'Pasar Keputran' } });
+    await rejected.update({ status: 'rejected' });
+
+    await sync({ force: true });
+    await rejected.reload();
+    expect(rejected.status).toBe('rejected');
+
+    sheet.find(row => row[2] === 'Pasar Keputran')[4] = '13950';
+    const result = await sync();
+    expect(result.updated_count).toBe(1);
+    await rejected.reload();
+    expect(rejected.status).toBe('rejected');
+  });
+
+  test('invalid rows are recorded once and not retried while unchanged', async () => {
+    sheet.push(['2026-10-04 08:00:00', 'Bali', '', '2026-10-04', '15000', '']);
+
+    const first = await sync();
+    expect(first.error_count).toBe(1);
+    expect(first.errors[0]).toMatch(/^Row 6: .*Missing required fields/);
+
+    const second = await sync();
+    expect(second.error_count).toBe(0);
+    expect(second.unchanged_count).toBe(5);
+  });
+
+  test('dates are read in the configured format and bad dates are rejected', () => {
+    const row = { 'Province ID': 'Bali', 'Nama Pasar': 'Pasar Badung', 'Harga Beras': '15000' };
+    const dayFirst = new GoogleSheetsService({ sheetId: 'test-sheet', dateFormat: 'DD/MM/YYYY' });
+    const monthFirst = new GoogleSheetsService({ sheetId: 'test-sheet', dateFormat: 'MM/DD/YYYY' });
+
+    expect(dayFirst.mapSheetDataToDatabase({ ...row, Tanggal: '03/09/2026' }).survey_date).toBe('2026-09-03');
+    expect(monthFirst.mapSheetDataToDatabase({ ...row, Tanggal: '03/09/2026' }).survey_date).toBe('2026-03-09');
+    expect(() => dayFirst.mapSheetDataToDatabase({ ...row, Tanggal: '09/23/2026' })).toThrow(/Invalid date "09\/23\/2026" for survey_date/);
+  });
+
+  test('a blank survey date is rejected like in the CSV import, never replaced by the timestamp', () => {
+    const row = { 'Province ID': 'Bali', 'Nama Pasar': 'Pasar Badung', 'Harga Beras': '15000', Tanggal: '' };
+    const service = new GoogleSheetsService({ sheetId: 'test-sheet', dateFormat: 'DD/MM/YYYY' });
+
+    expect(() => service.mapSheetDataToDatabase({ ...row, Timestamp: '02/10/2026 08:00:00' })).toThrow(/Tanggal wajib diisi/);
+    expect(() => service.mapSheetDataToDatabase(row)).toThrow(/Tanggal wajib diisi/);
+
+    const { mapSembakoCsvRow } = require('../services/csvImportService');
+    expect(() => mapSembakoCsvRow({ ...row, Timestamp: '02/10/2026 08:00:00' }, { dateFormat: 'DD/MM/YYYY' })).toThrow(/Tanggal wajib diisi/);
+  });
+
+  test('a rejected row is quarantined and can be fixed and re-submitted', async () => {
+    const importRejectionService = require('../services/importRejectionService');
+    const rejection = await models.ImportRejection.findOne({ where: { source: 'google_sheet' } });
+
+    expect(rejection).toMatchObject({ row_number: 6, status: 'pending', source_ref: googleSheetsService.getSheetKey() });
+    expect(rejection.raw_payload['Nama Pasar']).toBeNull();
+
+    await rejection.update({ raw_payload: { ...rejection.raw_payload, 'Nama Pasar': 'Pasar Kreneng' } });
+    const result = await importRejectionService.resubmit(rejection);
+
+    expect(result.success).toBe(true);
+    const tracked = await models.SheetRow.findOne({ where: { row_index: 6, status: 'synced' } });
+    expect(tracked.sembako_price_id).toBe(result.recordId);
+    expect((await sync()).unchanged_count).toBe(5);
+  });
+
+  test('dry run reports planned actions without writing', async () => {
+    jest.spyOn(googleSheetsService, 'fetchSheetData').mockResolvedValue(toRows([
+      ...sheet.slice(1),
+      ['2026-10-05 08:00:00', 'Banten', 'Pasar Rau', '2026-10-05', '14200', '29000']
+    ]));
+    const before = await SembakoPrice.count();
+
+    const preview = await googleSheetsService.previewSync();
+
+    expect(preview.dry_run).toBe(true);
+    expect(preview.totals).toMatchObject({ success_count: 1, moved_count: 4, deleted_count: 1 });
+    expect(preview.rows.find(row => row.action === 'insert')).toMatchObject({ row_index: 6, mapped: { market_name: 'Pasar Rau' } });
+    expect(preview.rows.find(row => row.action === 'delete').reason).toMatch(/would be archived/);
+    expect(preview.columns.matched).toMatchObject({ market_name: 'Nama Pasar', harga_beras: 'Harga Beras' });
+    expect(await SembakoPrice.count()).toBe(before);
+    expect((await googleSheetsService.getSyncState()).last_row_index).toBe(6);
+  });
+
+  test('write-back fills status and message for processed rows only', async () => {
+    const { MemoryStatusWriter } = require('../services/sheetStatusWriter');
+    const statusWriter = new MemoryStatusWriter();
+    const service = new GoogleSheetsService({ sheetId: 'writeback-sheet', range: 'A:F', writeBack: true, statusWriter });
+    const rows = toRows([
+      ['2026-10-06 08:00:00', 'Jawa Tengah', 'Pasar Johar', '2026-10-06', '14100', '28500'],
+      ['2026-10-06 09:00:00', 'Jawa Tengah', 'Pasar Johar', '2026-10-06', '14100', '28500'],
+      ['2026-10-06 10:00:00', 'Jawa Tengah', '', '2026-10-06', '14100', '28500']
+    ]);
+    jest.spyOn(service, 'fetchSheetData').mockResolvedValue(rows);
+
+    const result = await service.syncToDatabase();
+
+    expect(result.writeback).toMatchObject({ enabled: true, column: 'G', written: 3, error: null });
+    expect(statusWriter.getStatus('writeback-sheet', 'Form Responses 1', 2)).toMatchObject({ status: 'ACCEPTED', column: 'G' });
+    expect(statusWriter.getStatus('writeback-sheet', 'Form Responses 1', 3).status).toBe('DUPLICATE');
+    expect(statusWriter.getStatus('writeback-sheet', 'Form Responses 1', 4))
+      .toMatchObject({ status: 'REJECTED', message: expect.stringMatching(/Missing required fields/) });
+
+    // The written status columns come back on the next read but are not form data
+    service.fetchSheetData.mockResolvedValue(rows.map(row => ({
+      ...row,
+      'Sync Status': statusWriter.getStatus('writeback-sheet', 'Form Responses 1', row._originalRowIndex).status,
+      'Sync Message': 'x'
+    })));
+    const second = await service.syncToDatabase();
+
+    expect(second).toMatchObject({ unchanged_count: 3, writeback: { written: 0 } });
+    expect(statusWriter.requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,19 @@
+// tests/helpers/bpnMock.js - Start the BPN mock and point the app at it
+const { createBpnMockServer } = require('../../mocks/bpn/server');
+
+/**
+ * Must run before any module that reads config/bpn is required
+ */
+const startBpnMock = async () => {
+  const mock = createBpnMockServer();
+  const server = await mock.listen();
+
+  process.env.BPN_API_BASE_URL = server.apiBaseUrl;
+  process.env.BPN_PANEL_BASE_URL = server.url;
+
+  return { mock, server };
+};
+
+module.exports = {
+  startBpnMock
+};
@@ -0,0 +1,13 @@
+// tests/helpers/console.js
+
+/**
+ * Silence the sync logging for the duration of a suite
+ */
+const silenceConsole = () => {
+  const spies = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  return () => spies.forEach(spy => spy.mockRestore());
+};
+
+module.exports = {
+  silenceConsole
+};
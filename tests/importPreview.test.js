@@ -0,0 +1,86 @@
+// tests/importPreview.test.js - Dry-run previews of the CSV importers
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+
+describe('CSV import dry run', () => {
+  let restoreConsole;
+  let models;
+  let SembakoPrice;
+  let app;
+  let csvPath;
+
+  const writeCsv = (lines) => {
+    csvPath = path.join(os.tmpdir(), `sembako-import-${process.pid}-${Date.now()}.csv`);
+    fs.writeFileSync(csvPath, lines.join('\n'));
+  };
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    SembakoPrice = require('../models/SembakoPrice');
+    await models.sequelize.sync({ force: true });
+
+    const sembakoPriceController = require('../controllers/sembakoPriceController');
+
+    app = express();
+    app.post('/api/sembako/import', (req, res, next) => {
+      req.file = { path: csvPath };
+      next();
+    }, sembakoPriceController.importCSV);
+  });
+
+  afterAll(async () => {
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('previews mapping, duplicates and errors without writing', async () => {
+    const { createSurvey } = require('../services/surveyObservationService');
+    await createSurvey({
+      province_name: 'Bali',
+      market_name: 'Pasar Badung',
+      survey_date: '2026-10-02',
+      harga_beras: 15000,
+      source: 'manual'
+    });
+
+    writeCsv([
+      'Timestamp,Province ID,Nama Pasar,Tanggal,Harga Beras,Catatan',
+      '2026-10-02 08:00:00,Bali,Pasar Badung,2026-10-02,15200,',
+      '2026-10-02 09:00:00,Jawa Barat,Pasar Kosambi,2026-10-02,14000,',
+      '2026-10-02 10:00:00,Jawa Barat,Pasar Kosambi,2026-10-02,14100,',
+      '2026-10-02 11:00:00,Jawa Timur,,2026-10-02,13500,'
+    ]);
+
+    const res = await request(app).post('/api/sembako/import?dry_run=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totals).toEqual({ total_rows: 4, success_count: 3, duplicate_count: 2, error_count: 1 });
+    expect(res.body.data.rows.map(row => row.action)).toEqual(['duplicate', 'insert', 'duplicate', 'error']);
+    expect(res.body.data.rows[0].reason).toMatch(/existing record #1/);
+    expect(res.body.data.rows[2].reason).toMatch(/row 2/);
+    expect(res.body.data.rows[1].mapped).toMatchObject({ province_name: 'Jawa Barat', harga_beras: 14000 });
+    expect(res.body.data.columns.matched.market_name).toBe('Nama Pasar');
+    expect(res.body.data.columns.unmatched_headers).toEqual(['Catatan']);
+
+    expect(await SembakoPrice.count()).toBe(1);
+    expect(fs.existsSync(csvPath)).toBe(false);
+  });
+
+  test('the same file without dry_run is imported', async () => {
+    writeCsv([
+      'Timestamp,Province ID,Nama Pasar,Tanggal,Harga Beras',
+      '2026-10-02 09:00:00,Jawa Barat,Pasar Kosambi,2026-10-02,14000'
+    ]);
+
+    const res = await request(app).post('/api/sembako/import');
+
+    expect(res.body.data.success_count).toBe(1);
+    expect(await SembakoPrice.count()).toBe(2);
+  });
+});
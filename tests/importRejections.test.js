@@ -0,0 +1,92 @@
+// tests/importRejections.test.js - Quarantined import rows: edit and re-submit
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+
+describe('Import rejections', () => {
+  let restoreConsole;
+  let models;
+  let SembakoPrice;
+  let app;
+  let csvPath;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    SembakoPrice = require('../models/SembakoPrice');
+    await models.sequelize.sync({ force: true });
+
+    const sembakoPriceController = require('../controllers/sembakoPriceController');
+    const importRejectionController = require('../controllers/importRejectionController');
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 1, username: 'admin' };
+      next();
+    });
+    app.post('/api/sembako/import', (req, res, next) => {
+      req.file = { path: csvPath, originalname: 'survei-oktober.csv' };
+      next();
+    }, sembakoPriceController.importCSV);
+    app.get('/api/import-rejections', importRejectionController.getRejections);
+    app.put('/api/import-rejections/:id', importRejectionController.updateRejection);
+    app.post('/api/import-rejections/:id/resubmit', importRejectionController.resubmitRejection);
+  });
+
+  afterAll(async () => {
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('rejected CSV rows are stored with payload, row number and reason', async () => {
+    csvPath = path.join(os.tmpdir(), `sembako-rejections-${process.pid}.csv`);
+    fs.writeFileSync(csvPath, [
+      'Timestamp,Province ID,Nama Pasar,Tanggal,Harga Beras',
+      '2026-10-02 09:00:00,Jawa Barat,Pasar Kosambi,2026-10-02,14000',
+      '2026-10-02 10:00:00,Jawa Timur,,2026-10-02,13500'
+    ].join('\n'));
+
+    const res = await request(app).post('/api/sembako/import');
+    expect(res.body.data).toMatchObject({ success_count: 1, error_count: 1 });
+    expect(res.body.data.rejection_ids).toHaveLength(1);
+
+    const list = await request(app).get('/api/import-rejections?source=sembako_csv');
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0]).toMatchObject({
+      source_ref: 'survei-oktober.csv',
+      row_number: 2,
+      status: 'pending',
+      error_reason: 'Province name dan market name wajib diisi'
+    });
+    expect(list.body.data[0].raw_payload['Province ID']).toBe('Jawa Timur');
+  });
+
+  test('an edited row is re-submitted through the importer mapping', async () => {
+    const [rejection] = (await request(app).get('/api/import-rejections')).body.data;
+
+    const stillBad = await request(app).post(`/api/import-rejections/${rejection.id}/resubmit`);
+    expect(stillBad.status).toBe(400);
+    expect(stillBad.body.data.attempts).toBe(1);
+
+    await request(app)
+      .put(`/api/import-rejections/${rejection.id}`)
+      .send({ raw_payload: { 'Nama Pasar': 'Pasar Keputran' } })
+      .expect(200);
+
+    const res = await request(app).post(`/api/import-rejections/${rejection.id}/resubmit`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'resolved', attempts: 2, resolved_by: 1 });
+
+    const price = await SembakoPrice.findByPk(res.body.data.resolved_record_id);
+    expect(price).toMatchObject({ market_name: 'Pasar Keputran', province_name: 'Jawa Timur', source: 'import_csv' });
+
+    const again = await request(app).post(`/api/import-rejections/${rejection.id}/resubmit`);
+    expect(again.status).toBe(409);
+  });
+});
@@ -0,0 +1,182 @@
+// tests/markets.test.js - Market registry and fuzzy linking of price rows
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+const { normalizeMarketName, marketNameSimilarity } = require('../utils/marketNames');
+
+describe('Market names', () => {
+  test('prefixes, punctuation and abbreviations are normalized', () => {
+    expect(normalizeMarketName('Psr. Kosambi')).toBe('kosambi');
+    expect(normalizeMarketName('PASAR  Induk Caringin')).toBe('induk caringin');
+    expect(normalizeMarketName('Pasar Baru Jl. Otista')).toBe('baru jalan otista');
+  });
+
+  test('similar spellings score high, different markets low', () => {
+    expect(marketNameSimilarity('Pasar Kosambi', 'psr kosambi')).toBe(1);
+    expect(marketNameSimilarity('Pasar Kosambi', 'Pasar Kosambie')).toBeGreaterThan(0.85);
+    expect(marketNameSimilarity('Pasar Kosambi', 'Pasar Kiaracondong')).toBeLessThan(0.5);
+  });
+});
+
+describe('Market registry', () => {
+  let restoreConsole;
+  let models;
+  let createSurvey;
+  let jabar;
+  let bali;
+  let kosambi;
+  let app;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+
+    jabar = await models.Region.create({ province_id: 32, province_name: 'Jawa Barat', level: 'province' });
+    bali = await models.Region.create({ province_id: 51, province_name: 'Bali', level: 'province' });
+
+    ({ createSurvey } = require('../services/surveyObservationService'));
+    require('../services/provinceResolver').invalidate();
+    require('../services/marketMatcher').invalidate();
+
+    const marketController = require('../controllers/marketController');
+    const sembakoPriceController = require('../controllers/sembakoPriceController');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 1, username: 'admin' };
+      next();
+    });
+    app.get('/api/markets', marketController.getMarkets);
+    app.post('/api/markets', marketController.createMarket);
+    app.get('/api/markets/unlinked', marketController.getUnlinked);
+    app.post('/api/markets/link', marketController.linkMarkets);
+    app.get('/api/markets/:id', marketController.getMarketById);
+    app.delete('/api/markets/:id', marketController.deleteMarket);
+    app.get('/api/sembako', sembakoPriceController.getAll);
+
+    const marketPricesController = require('../controllers/marketPricesController');
+    app.get('/api/market-prices/statistics/province', marketPricesController.getProvinceStatistics);
+    app.get('/api/market-prices/search', marketPricesController.search);
+  });
+
+  afterAll(async () => {
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  const createPrice = (provinceName, marketName) => createSurvey({
+    province_name: provinceName,
+    market_name: marketName,
+    survey_date: '2026-10-01',
+    harga_beras: 14000
+  });
+
+  test('markets are validated and registered once per region', async () => {
+    const invalid = await request(app).post('/api/markets').send({ name: 'Pasar Kosambi', operating_days: ['monday'] });
+    expect(invalid.status).toBe(400);
+
+    const created = await request(app).post('/api/markets').send({
+      name: 'Pasar Kosambi',
+      region_id: jabar.id,
+      latitude: -6.9197,
+      longitude: 107.6186,
+      operating_days: ['sabtu', 'senin']
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ market_type: 'Pasar Tradisional', operating_days: ['senin', 'sabtu'], is_active: true });
+    kosambi = created.body.data;
+
+    const duplicate = await request(app).post('/api/markets').send({ name: 'Pasar Kosambi', region_id: jabar.id });
+    expect(duplicate.status).toBe(409);
+
+    const list = await request(app).get('/api/markets').query({ province: 'Jawa Barat' });
+    expect(list.body.data.map(market => market.id)).toEqual([kosambi.id]);
+  });
+
+  test('new price rows link to a market in their province only', async () => {
+    const typo = await createPrice('Jawa Barat', 'Psr. Kosambie');
+    const otherProvince = await createPrice('Bali', 'Pasar Kosambi');
+
+    expect(typo.market_id).toBe(kosambi.id);
+    expect(otherProvince.market_id).toBeNull();
+  });
+
+  test('existing rows are linked after their market is registered', async () => {
+    await createPrice('Bali', 'Pasar Badung');
+    await createPrice('Bali', 'pasar badung');
+    await createPrice('Bali', 'Pasar Kreneng');
+
+    await request(app).post('/api/markets').send({ name: 'Pasar Badung', region_id: bali.id });
+
+    const dryRun = await request(app).post('/api/markets/link').query({ dry_run: 'true' });
+    expect(dryRun.body.data).toMatchObject({ dry_run: true, linked_rows: 2 });
+    expect(await models.SembakoPrice.count({ where: { market_name: 'Pasar Badung', market_id: null } })).toBe(1);
+
+    const linked = await request(app).post('/api/markets/link');
+    expect(linked.body.data.linked_rows).toBe(2);
+    expect(linked.body.data.unmatched.map(item => item.market_name).sort()).toEqual(['Pasar Kosambi', 'Pasar Kreneng']);
+
+    const unlinked = await request(app).get('/api/markets/unlinked');
+    expect(unlinked.body.summary).toEqual({ unlinked_names: 2, unlinked_rows: 2 });
+  });
+
+  test('price queries filter by market_id', async () => {
+    const res = await request(app).get('/api/sembako').query({ market_id: String(kosambi.id) });
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ market_name: 'Psr. Kosambie', harga_beras: 14000 });
+
+    const invalid = await request(app).get('/api/sembako').query({ market_id: 'abc' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('deleting a market unlinks its rows', async () => {
+    const detail = await request(app).get(`/api/markets/${kosambi.id}`);
+    expect(detail.body.data.linked_rows).toEqual({ sembako_prices: 1, market_prices: 0 });
+
+    const deleted = await request(app).delete(`/api/markets/${kosambi.id}`);
+    expect(deleted.body.data.unlinked_rows).toEqual({ sembako_prices: 1, market_prices: 0 });
+    expect(await models.SembakoPrice.count({ where: { market_id: kosambi.id } })).toBe(0);
+  });
+
+  test('market price statistics and search filter by market_id', async () => {
+    const caringin = (await request(app).post('/api/markets').send({ name: 'Pasar Caringin', region_id: jabar.id })).body.data;
+    await request(app).post('/api/markets').send({ name: 'Pasar Baru', region_id: jabar.id });
+    await request(app).post('/api/markets').send({ name: 'Pasar Badung', region_id: bali.id });
+    const marketPrice = (marketName, provinceId, price) => models.MarketPrice.create({
+      product_name: 'Cabai Merah',
+      price,
+      market_type: 'Pasar Tradisional',
+      market_name: marketName,
+      province_id: provinceId,
+      status: 'published'
+    });
+    await marketPrice('Pasar Caringin', 32, 40000);
+    await marketPrice('Pasar Caringin', 32, 50000);
+    await marketPrice('Pasar Baru', 32, 60000);
+    await marketPrice('Pasar Badung', 51, 70000);
+    await models.MarketPrice.update({ status: 'draft' }, { where: { price: 50000 } });
+
+    // Every row points at a registered market and its province
+    const rows = await models.MarketPrice.findAll({ include: ['market', 'province'] });
+    rows.forEach(row => {
+      expect(row.market.name).toBe(row.market_name);
+      expect(row.province.province_id).toBe(row.province_id);
+    });
+    expect(rows.filter(row => row.market_id === caringin.id)).toHaveLength(2);
+
+    const stats = await request(app).get('/api/market-prices/statistics/province').query({ market_id: String(caringin.id) });
+    expect(stats.body.data).toEqual([
+      // The draft 50000 does not count
+      { province_id: 32, province_name: 'Jawa Barat', avg_price: 40000, total_products: 1 }
+    ]);
+    expect((await request(app).get('/api/market-prices/statistics/province')).body.data).toHaveLength(2);
+
+    const found = await request(app).get('/api/market-prices/search').query({ q: 'Jawa', market_id: String(caringin.id) });
+    expect(found.body.data.map(row => row.market_name)).toEqual(['Pasar Caringin', 'Pasar Caringin']);
+
+    expect((await request(app).get('/api/market-prices/statistics/province').query({ market_id: 'abc' })).status).toBe(400);
+    expect((await request(app).get('/api/market-prices/search').query({ q: 'Cabai', market_id: '0' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,173 @@
+// tests/moderation.test.js - Review queue for draft and flagged submissions
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+
+describe('Moderation queue', () => {
+  let restoreConsole;
+  let models;
+  let reviewer;
+  let app;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+    await models.Region.create({ province_id: 32, province_name: 'Jawa Barat', level: 'province' });
+    require('../services/provinceResolver').invalidate();
+
+    reviewer = await models.User.create({
+      username: 'editor1',
+      email: 'editor1@example.com',
+      password: 'secret123',
+      full_name: 'Editor Satu',
+      role: 'editor'
+    });
+
+    const moderationController = require('../controllers/moderationController');
+    const sembakoPriceController = require('../controllers/sembakoPriceController');
+    const marketPricesController = require('../controllers/marketPricesController');
+
+    app = express();
+    app.use(express.json());
+    // Public routes first, as in server.js
+    app.get('/api/sembako/public/latest', sembakoPriceController.getLatestPrices);
+    app.get('/public/market-prices', marketPricesController.getAll);
+    app.use((req, res, next) => {
+      req.user = { id: reviewer.id, username: reviewer.username, role: 'editor' };
+      next();
+    });
+    app.post('/api/sembako', sembakoPriceController.create);
+    app.put('/api/sembako/:id', sembakoPriceController.update);
+    app.post('/api/market-prices', marketPricesController.create);
+    app.put('/api/market-prices/:id', marketPricesController.update);
+    app.get('/api/moderation/queue', moderationController.getQueue);
+    app.post('/api/moderation/bulk-approve', moderationController.bulkApprove);
+    app.post('/api/moderation/:type/:id/approve', moderationController.approve);
+    app.post('/api/moderation/:type/:id/reject', moderationController.reject);
+    app.get('/api/moderation/:type/:id/history', moderationController.getHistory);
+  });
+
+  afterAll(async () => {
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  const submitSurvey = (marketName, hargaBeras) => request(app).post('/api/sembako').send({
+    province_name: 'Jawa Barat',
+    market_name: marketName,
+    survey_date: '2026-10-01',
+    harga_beras: hargaBeras
+  });
+
+  test('submissions wait in the queue and stay out of public data', async () => {
+    const created = await submitSurvey('Pasar Kosambi', 14000);
+    expect(created.status).toBe(201);
+    expect(created.body.data.status).toBe('draft');
+
+    await request(app).post('/api/market-prices').send({ product_name: 'Cabai Merah', price: 45000, market_type: 'Pasar Tradisional' });
+
+    const queue = await request(app).get('/api/moderation/queue');
+    expect(queue.body.data.map(item => item.id)).toEqual([created.body.data.id]);
+    expect(queue.body.data[0]).toMatchObject({ type: 'sembako', harga_beras: 14000 });
+    expect(queue.body.summary).toEqual({
+      sembako: { draft: 1, flagged: 0 },
+      market_price: { draft: 1 }
+    });
+
+    const latest = await request(app).get('/api/sembako/public/latest');
+    expect(latest.body.data).toHaveLength(0);
+
+    const publicPrices = await request(app).get('/public/market-prices');
+    expect(publicPrices.body.data).toHaveLength(0);
+  });
+
+  test('approving publishes the submission and records the reviewer', async () => {
+    const survey = await models.SembakoPrice.findOne({ where: { market_name: 'Pasar Kosambi' } });
+
+    const res = await request(app)
+      .post(`/api/moderation/sembako/${survey.id}/approve`)
+      .send({ comment: 'Sesuai foto nota' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('published');
+
+    const latest = await request(app).get('/api/sembako/public/latest');
+    expect(latest.body.data.map(item => item.id)).toEqual([survey.id]);
+
+    const history = await request(app).get(`/api/moderation/sembako/${survey.id}/history`);
+    expect(history.body.data).toHaveLength(1);
+    expect(history.body.data[0]).toMatchObject({
+      action: 'moderation_approve',
+      user_id: reviewer.id,
+      old_values: { status: 'draft' },
+      new_values: { status: 'published', comment: 'Sesuai foto nota' },
+      user: { username: 'editor1' }
+    });
+
+    const again = await request(app).post(`/api/moderation/sembako/${survey.id}/approve`);
+    expect(again.status).toBe(409);
+  });
+
+  test('rejecting requires a comment', async () => {
+    const created = await submitSurvey('Pasar Caringin', 14500);
+    const url = `/api/moderation/sembako/${created.body.data.id}/reject`;
+
+    expect((await request(app).post(url).send({})).status).toBe(400);
+
+    const res = await request(app).post(url).send({ comment: 'Tanggal survei salah' });
+    expect(res.body.data.status).toBe('rejected');
+
+    const queue = await request(app).get('/api/moderation/queue?type=sembako');
+    expect(queue.body.data).toHaveLength(0);
+  });
+
+  test('bulk approve reports items it could not approve', async () => {
+    const first = await submitSurvey('Pasar Baru', 14100);
+    const marketPrice = await models.MarketPrice.findOne({ where: { status: 'draft' } });
+
+    const res = await request(app).post('/api/moderation/bulk-approve').send({
+      items: [
+        { type: 'sembako', id: first.body.data.id },
+        { type: 'market_price', id: marketPrice.id },
+        { type: 'sembako', id: 9999 },
+        { type: 'unknown', id: 1 }
+      ]
+    });
+
+    expect(res.body.data.approved).toEqual([
+      { type: 'sembako', id: first.body.data.id },
+      { type: 'market_price', id: marketPrice.id }
+    ]);
+    expect(res.body.data.failed.map(item => item.error)).toEqual(['Not found', 'Unknown type "unknown"']);
+
+    const publicPrices = await request(app).get('/public/market-prices');
+    expect(publicPrices.body.data).toHaveLength(1);
+  });
+
+  test('clients cannot set the status on create or update', async () => {
+    const created = await request(app).post('/api/sembako').send({
+      province_name: 'Jawa Barat',
+      market_name: 'Pasar Sederhana',
+      survey_date: '2026-10-02',
+      harga_beras: 14200,
+      status: 'published'
+    });
+    expect(created.body.data.status).toBe('draft');
+
+    const survey = await models.SembakoPrice.findByPk(created.body.data.id);
+    await survey.update({ status: 'rejected' });
+    const edited = await request(app).put(`/api/sembako/${survey.id}`).send({ harga_beras: 14300, status: 'published' });
+    expect(edited.body.data).toMatchObject({ status: 'rejected', harga_beras: 14300 });
+
+    const marketPrice = await request(app).post('/api/market-prices').send({
+      product_name: 'Bawang Merah', price: 38000, market_type: 'Pasar Tradisional', status: 'published'
+    });
+    expect(marketPrice.body.data.status).toBe('draft');
+
+    const updated = await request(app).put(`/api/market-prices/${marketPrice.body.data.id}`).send({
+      product_name: 'Bawang Merah', price: 39000, market_type: 'Pasar Tradisional', status: 'published'
+    });
+    expect(updated.body.data).toMatchObject({ status: 'draft', price: 39000 });
+  });
+});
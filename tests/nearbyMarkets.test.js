@@ -0,0 +1,99 @@
+// tests/nearbyMarkets.test.js - Nearby-market price search by coordinates
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+const { distanceKm } = require('../utils/geo');
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+};
+
+describe('Nearby markets', () => {
+  let restoreConsole;
+  let models;
+  let createSurvey;
+  let app;
+
+  // Around Alun-alun Bandung
+  const origin = { lat: -6.9218, lon: 107.6070 };
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+
+    const region = await models.Region.create({ province_id: 32, province_name: 'Jawa Barat', level: 'province' });
+    await models.Market.bulkCreate([
+      { name: 'Pasar Kosambi', region_id: region.id, latitude: -6.9197, longitude: 107.6186 },
+      { name: 'Pasar Baru', region_id: region.id, latitude: -6.9156, longitude: 107.6047 },
+      { name: 'Pasar Kiaracondong', region_id: region.id, latitude: -6.9250, longitude: 107.6470 },
+      { name: 'Pasar Lembang', region_id: region.id, latitude: -6.8110, longitude: 107.6170 },
+      { name: 'Pasar Tutup', region_id: region.id, latitude: -6.9200, longitude: 107.6080, is_active: false }
+    ]);
+
+    ({ createSurvey } = require('../services/surveyObservationService'));
+    require('../services/provinceResolver').invalidate();
+    require('../services/marketMatcher').invalidate();
+
+    const survey = (market, surveyDate, prices) => createSurvey({
+      province_name: 'Jawa Barat',
+      market_name: market,
+      survey_date: surveyDate,
+      ...prices
+    });
+    await survey('Pasar Kosambi', daysAgo(10), { harga_beras: 13000 });
+    await survey('Pasar Kosambi', daysAgo(2), { harga_beras: 14500, harga_gula: 17000 });
+    await survey('Pasar Kosambi', daysAgo(2), { harga_beras: 14700 });
+    await survey('Pasar Baru', daysAgo(1), { harga_beras: 15000 });
+    await survey('Pasar Baru', daysAgo(0), { harga_gula: 16500 });
+    await survey('Pasar Kiaracondong', daysAgo(40), { harga_beras: 12000 });
+
+    const marketController = require('../controllers/marketController');
+    app = express();
+    app.get('/api/markets/nearby', marketController.getNearby);
+  });
+
+  afterAll(async () => {
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('distance between two Bandung markets', () => {
+    expect(distanceKm(-6.9197, 107.6186, -6.9156, 107.6047)).toBeCloseTo(1.6, 1);
+  });
+
+  test('markets in range come with their latest price, cheapest first', async () => {
+    const res = await request(app).get('/api/markets/nearby').query({ ...origin, radius_km: 10, commodity: 'beras' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.meta).toMatchObject({ commodity: 'beras', sort: 'price', total: 3 });
+    expect(res.body.data.map(market => market.name)).toEqual(['Pasar Kiaracondong', 'Pasar Kosambi', 'Pasar Baru']);
+
+    const kosambi = res.body.data[1];
+    expect(kosambi).toMatchObject({
+      latest_survey_date: daysAgo(2),
+      data_age_days: 2,
+      latest_price: { commodity: 'beras', price: 14600, unit: 'Rp/kg', surveys: 2 }
+    });
+    expect(kosambi.distance_km).toBeGreaterThan(1);
+  });
+
+  test('stale prices can be excluded and markets are sorted by distance without a commodity', async () => {
+    const fresh = await request(app).get('/api/markets/nearby').query({ ...origin, radius_km: 10, commodity: 'beras', max_age_days: 30 });
+    expect(fresh.body.data.map(market => market.latest_price?.price ?? null)).toEqual([14600, 15000, null]);
+
+    const nearest = await request(app).get('/api/markets/nearby').query({ ...origin, radius_km: 3 });
+    expect(nearest.body.data.map(market => market.name)).toEqual(['Pasar Baru', 'Pasar Kosambi']);
+    expect(nearest.body.data[0]).toMatchObject({ latest_survey_date: daysAgo(0), latest_price: null });
+  });
+
+  test('invalid parameters are rejected', async () => {
+    expect((await request(app).get('/api/markets/nearby').query({ lat: 'x', lon: 107.6 })).status).toBe(400);
+    expect((await request(app).get('/api/markets/nearby').query({ ...origin, radius_km: 500 })).status).toBe(400);
+    expect((await request(app).get('/api/markets/nearby').query({ ...origin, commodity: 'emas' })).status).toBe(400);
+    expect((await request(app).get('/api/markets/nearby').query({ ...origin, sort: 'price' })).status).toBe(400);
+  });
+});
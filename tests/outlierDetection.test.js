@@ -0,0 +1,123 @@
+// tests/outlierDetection.test.js - Outlier scoring of incoming survey prices
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+const { median, medianAbsoluteDeviation, robustZScore } = require('../utils/robustStats');
+
+describe('Robust statistics', () => {
+  test('median and MAD ignore a single extreme value', () => {
+    const prices = [14000, 14200, 13900, 14100, 150000];
+    expect(median(prices)).toBe(14100);
+    expect(medianAbsoluteDeviation(prices)).toBe(100);
+  });
+
+  test('the minimum spread keeps identical history from flagging small changes', () => {
+    expect(robustZScore(14500, 14000, 0, 700)).toBeCloseTo(0.71, 2);
+    expect(robustZScore(150000, 14000, 0, 700)).toBeGreaterThan(100);
+  });
+});
+
+describe('Outlier detection', () => {
+  let restoreConsole;
+  let models;
+  let createSurvey;
+  let app;
+
+  const survey = (marketName, surveyDate, prices) => createSurvey({
+    province_name: 'Jawa Barat',
+    market_name: marketName,
+    survey_date: surveyDate,
+    ...prices
+  });
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    // Submissions are published straight away, so outliers flag them (drafts stay drafts)
+    process.env.DEFAULT_SUBMISSION_STATUS = 'published';
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+    await models.Region.create({ province_id: 32, province_name: 'Jawa Barat', level: 'province' });
+
+    ({ createSurvey } = require('../services/surveyObservationService'));
+    require('../services/provinceResolver').invalidate();
+
+    const history = [13800, 14000, 14100, 14200, 14300, 14500];
+    for (const [index, price] of history.entries()) {
+      await survey(`Pasar ${index + 1}`, `2026-09-${String(index + 10).padStart(2, '0')}`, { harga_beras: price, harga_gula: 17000 });
+    }
+
+    const sembakoPriceController = require('../controllers/sembakoPriceController');
+    app = express();
+    app.use(express.json());
+    app.post('/api/sembako', sembakoPriceController.create);
+    app.put('/api/sembako/:id', sembakoPriceController.update);
+    app.get('/api/sembako/flagged', sembakoPriceController.getFlagged);
+    app.post('/api/sembako/:id/confirm', sembakoPriceController.confirmFlagged);
+  });
+
+  afterAll(async () => {
+    delete process.env.DEFAULT_SUBMISSION_STATUS;
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  const publishedAverage = async (code) => {
+    const { aggregatePrices } = require('../services/surveyObservationService');
+    const [row] = await aggregatePrices({ status: 'published' }, { codes: [code] });
+    return Math.round(parseFloat(row.avg_price));
+  };
+
+  test('a typo price is stored but flagged and kept out of published averages', async () => {
+    const res = await request(app).post('/api/sembako').send({
+      province_name: 'Jawa Barat',
+      market_name: 'Pasar Kosambi',
+      survey_date: '2026-10-01',
+      harga_beras: 150000,
+      harga_gula: 17200
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'flagged', harga_beras: 150000 });
+    expect(res.body.data.flag_reason).toMatch(/^beras: .*median.*provinsi, 6 data/);
+
+    const beras = res.body.data.observations.find(observation => observation.code === 'beras');
+    const gula = res.body.data.observations.find(observation => observation.code === 'gula');
+    expect(parseFloat(beras.outlier_score)).toBeGreaterThan(3.5);
+    expect(gula.flag_reason).toBeNull();
+
+    expect(await publishedAverage('beras')).toBe(14150);
+
+    const flagged = await request(app).get('/api/sembako/flagged');
+    expect(flagged.body.data.map(item => item.id)).toEqual([res.body.data.id]);
+  });
+
+  test('correcting the price publishes the survey again', async () => {
+    const flagged = await models.SembakoPrice.findOne({ where: { status: 'flagged' } });
+
+    const res = await request(app).put(`/api/sembako/${flagged.id}`).send({ harga_beras: 15000 });
+    expect(res.body.data).toMatchObject({ status: 'published', flag_reason: null, harga_beras: 15000 });
+  });
+
+  test('a reviewer can confirm a real price jump', async () => {
+    const res = await request(app).post('/api/sembako').send({
+      province_name: 'Jawa Barat',
+      market_name: 'Pasar Caringin',
+      survey_date: '2026-10-02',
+      harga_beras: 25000
+    });
+    expect(res.body.data.status).toBe('flagged');
+
+    const confirmed = await request(app).post(`/api/sembako/${res.body.data.id}/confirm`);
+    expect(confirmed.body.data).toMatchObject({ status: 'published', flag_reason: null });
+    expect(confirmed.body.data.observations[0].flag_reason).toBeNull();
+
+    const again = await request(app).post(`/api/sembako/${res.body.data.id}/confirm`);
+    expect(again.status).toBe(400);
+  });
+
+  test('without enough history nothing is flagged', async () => {
+    const created = await survey('Pasar Baru', '2026-10-03', { harga_garam: 90000 });
+    expect(created.status).toBe('published');
+  });
+});
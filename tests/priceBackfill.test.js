@@ -0,0 +1,86 @@
+// tests/priceBackfill.test.js - Historical backfill: failed pairs, resume and request validation
+const express = require('express');
+const request = require('supertest');
+const { startBpnMock } = require('./helpers/bpnMock');
+const { silenceConsole } = require('./helpers/console');
+
+describe('Price backfill', () => {
+  let mock;
+  let server;
+  let restoreConsole;
+  let models;
+  let priceBackfill;
+  let app;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    ({ mock, server } = await startBpnMock());
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+
+    priceBackfill = require('../services/priceBackfill');
+
+    const priceController = require('../controllers/priceController');
+    app = express();
+    app.use(express.json());
+    app.post('/api/prices/backfill', priceController.startBackfill);
+  });
+
+  afterEach(() => {
+    mock.reset();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  const provinceMapRequests = () => mock.requestsFor('harga-peta-provinsi').length;
+
+  test('failed commodity/day pairs are kept and retried on resume', async () => {
+    const job = await priceBackfill.createBackfillJob({ startDate: '2026-09-01', endDate: '2026-09-02', komoditasIds: [109] });
+
+    mock.setScenario('error', 'harga-peta-provinsi');
+    await priceBackfill.runBackfillJob(job.id);
+
+    const partial = await priceBackfill.getBackfillJob(job.id);
+    expect(partial).toMatchObject({ status: 'partial', last_completed_date: '2026-09-02', processed_days: 2, failed_count: 2 });
+    expect(partial.failed_items.map(item => [item.date, item.komoditas_id, item.attempts])).toEqual([
+      ['2026-09-01', 109, 1],
+      ['2026-09-02', 109, 1]
+    ]);
+
+    mock.reset();
+    await priceBackfill.runBackfillJob(job.id);
+
+    const resumed = await priceBackfill.getBackfillJob(job.id);
+    expect(resumed).toMatchObject({ status: 'completed', failed_count: 0, saved_prices: 8 });
+    // Only the two failed pairs are fetched again
+    expect(provinceMapRequests()).toBe(2);
+    expect(await models.Price.count({ where: { date: '2026-09-01' } })).toBe(4);
+  });
+
+  test('resume continues after the last completed day', async () => {
+    const job = await priceBackfill.createBackfillJob({ startDate: '2026-08-01', endDate: '2026-08-03', komoditasIds: [109] });
+    await job.update({ status: 'failed', last_completed_date: '2026-08-01', processed_days: 1 });
+
+    await priceBackfill.runBackfillJob(job.id);
+
+    expect(await priceBackfill.getBackfillJob(job.id)).toMatchObject({ status: 'completed', processed_days: 3, failed_count: 0 });
+    expect(provinceMapRequests()).toBe(2);
+    expect(await models.Price.count({ where: { date: '2026-08-01' } })).toBe(0);
+  });
+
+  test('impossible dates and oversized ranges are rejected', async () => {
+    const start = (body) => request(app).post('/api/prices/backfill').send({ komoditas_ids: [109], ...body });
+
+    expect((await start({ start_date: '2026-02-31', end_date: '2026-03-05' })).status).toBe(400);
+    expect((await start({ start_date: '2026-13-01', end_date: '2026-12-05' })).status).toBe(400);
+
+    const tooLong = await start({ start_date: '2024-01-01', end_date: '2025-06-30' });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.message).toMatch(/at most 366 days/);
+  });
+});
@@ -0,0 +1,137 @@
+// tests/priceIndex.test.js - Indeks Harga Sembako
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+const { periodKey, shiftPeriod, previousYearPeriod } = require('../utils/periods');
+
+describe('Period keys', () => {
+  test('ISO weeks follow the Thursday rule across year ends', () => {
+    expect(periodKey('2026-01-01', 'week')).toBe('2026-W01');
+    expect(periodKey('2025-12-29', 'week')).toBe('2026-W01');
+    expect(periodKey('2026-10-19', 'month')).toBe('2026-10');
+    expect(shiftPeriod('2026-01', 'month', -1)).toBe('2025-12');
+    expect(shiftPeriod('2026-W01', 'week', -1)).toBe('2025-W52');
+  });
+
+  test('a 53rd week has no counterpart in a 52-week year', () => {
+    expect(previousYearPeriod('2026-W40')).toBe('2025-W40');
+    expect(previousYearPeriod('2026-W53')).toBeNull();
+  });
+});
+
+describe('Price index', () => {
+  let restoreConsole;
+  let models;
+  let createSurvey;
+  let app;
+
+  const survey = (province, surveyDate, prices, status = 'published') => createSurvey({
+    province_name: province,
+    market_name: 'Pasar Induk',
+    survey_date: surveyDate,
+    status,
+    ...prices
+  });
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+    process.env.OUTLIER_DETECTION = 'false';
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+    await models.Region.create({ province_id: 32, province_name: 'Jawa Barat', level: 'province' });
+    await models.Region.create({ province_id: 51, province_name: 'Bali', level: 'province' });
+
+    ({ createSurvey } = require('../services/surveyObservationService'));
+    require('../services/provinceResolver').invalidate();
+
+    await survey('Jawa Barat', '2025-10-10', { harga_beras: 10000, harga_gula: 15000 });
+    await survey('Jawa Barat', '2025-11-10', { harga_beras: 11000, harga_gula: 15000 });
+    await survey('Jawa Barat', '2025-12-10', { harga_beras: 12100 });
+    await survey('Jawa Barat', '2026-10-10', { harga_beras: 11000, harga_gula: 16500 });
+    await survey('Jawa Barat', '2026-10-12', { harga_beras: 99000, harga_gula: 99000 }, 'draft');
+    await survey('Bali', '2025-10-11', { harga_beras: 12000, harga_gula: 16000 });
+    await survey('Bali', '2026-10-11', { harga_beras: 12000, harga_gula: 16000 });
+
+    const priceIndexController = require('../controllers/priceIndexController');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 1, username: 'admin' };
+      next();
+    });
+    app.get('/api/price-index', priceIndexController.getSeries);
+    app.get('/api/price-index/provinces', priceIndexController.getProvinces);
+    app.put('/api/price-index/config', priceIndexController.updateConfig);
+  });
+
+  afterAll(async () => {
+    delete process.env.OUTLIER_DETECTION;
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('config is validated against the survey commodities', async () => {
+    const res = await request(app).put('/api/price-index/config').send({
+      weights: { beras: 0.5, kopi: 0.5 },
+      base_start: '2025-10-01',
+      base_end: '2025-10-31'
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Unknown commodity "kopi"/);
+  });
+
+  test('monthly series with carry-forward and year-on-year change', async () => {
+    const saved = await request(app).put('/api/price-index/config').send({
+      weights: { beras: 1, gula: 1 },
+      base_start: '2025-10-01',
+      base_end: '2025-10-31',
+      min_coverage: 0.5
+    });
+    expect(saved.body.data).toMatchObject({ missing_rule: 'carry_forward', is_default: false });
+
+    const res = await request(app).get('/api/price-index?province=Jawa Barat');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ from: '2025-11', to: '2026-10', base_prices: { beras: 10000, gula: 15000 } });
+
+    const byPeriod = Object.fromEntries(res.body.data.series.map(row => [row.period, row]));
+    expect(byPeriod['2025-11']).toMatchObject({ index: 105, change_previous_pct: 5 });
+    expect(byPeriod['2025-12']).toMatchObject({ index: 110.5, coverage: 0.5, carried_forward: ['gula'] });
+    // Nothing left to carry after three months
+    expect(byPeriod['2026-04']).toMatchObject({ index: null, missing: ['beras', 'gula'] });
+    // Draft survey with absurd prices is ignored
+    expect(byPeriod['2026-10']).toMatchObject({ index: 110, change_yoy_pct: 10, change_previous_pct: null });
+  });
+
+  test('the skip rule blanks periods with a missing commodity', async () => {
+    await request(app).put('/api/price-index/config').send({
+      weights: { beras: 1, gula: 1 },
+      base_start: '2025-10-01',
+      base_end: '2025-10-31',
+      missing_rule: 'skip',
+      min_coverage: 0.5
+    });
+
+    const res = await request(app).get('/api/price-index?province=32&from=2025-11&to=2025-12');
+    expect(res.body.data.series.map(row => row.index)).toEqual([105, null]);
+  });
+
+  test('province ranking for one month', async () => {
+    const res = await request(app).get('/api/price-index/provinces?period=2026-10');
+    expect(res.status).toBe(200);
+
+    expect(res.body.data.provinces.map(row => [row.province_name, row.index, row.change_yoy_pct])).toEqual([
+      ['Jawa Barat', 110, 10],
+      ['Bali', 100, 0]
+    ]);
+    expect(res.body.data.national.index).toBeCloseTo(104.69, 2);
+  });
+
+  test('weekly periods are validated', async () => {
+    const res = await request(app).get('/api/price-index?granularity=week&to=2026-10');
+    expect(res.status).toBe(400);
+
+    const weekly = await request(app).get('/api/price-index?province=Jawa Barat&granularity=week&from=2026-W41&to=2026-W41');
+    expect(weekly.body.data.series).toEqual([expect.objectContaining({ period: '2026-W41', index: 110 })]);
+  });
+});
@@ -0,0 +1,97 @@
+// tests/provinceResolver.test.js - Canonical province resolution for sembako rows
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+
+describe('Province resolution', () => {
+  let restoreConsole;
+  let models;
+  let SembakoPrice;
+  let provinceResolver;
+  let createSurvey;
+  let app;
+
+  const createPrice = (provinceName, surveyDate = '2026-10-01') => createSurvey({
+    province_name: provinceName,
+    market_name: 'Pasar Uji',
+    survey_date: surveyDate,
+    harga_beras: 14000
+  });
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    SembakoPrice = require('../models/SembakoPrice');
+    await models.sequelize.sync({ force: true });
+
+    await models.Region.create({ province_id: 32, province_name: 'JAWA BARAT', level: 'province' });
+    await models.ProvinceAlias.bulkCreate([
+      { alias: 'jabar', bps_code: 32 },
+      { alias: 'jatim', bps_code: 35 }
+    ]);
+
+    ({ createSurvey } = require('../services/surveyObservationService'));
+    provinceResolver = require('../services/provinceResolver');
+    provinceResolver.invalidate();
+
+    const provinceAliasController = require('../controllers/provinceAliasController');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 1, username: 'admin' };
+      next();
+    });
+    app.post('/api/regions/province-aliases', provinceAliasController.createAlias);
+    app.get('/api/regions/provinces/unresolved', provinceAliasController.getUnresolved);
+    app.post('/api/regions/provinces/resolve', provinceAliasController.resolveProvinces);
+  });
+
+  afterAll(async () => {
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('names, aliases and BPS codes resolve to the same region', async () => {
+    const rows = await Promise.all(['Jawa Barat', 'JABAR', '32', 'Prov. Jawa Barat'].map(name => createPrice(name)));
+    const region = await models.Region.findOne({ where: { province_id: 32, level: 'province' } });
+
+    rows.forEach(row => expect(row.region_id).toBe(region.id));
+  });
+
+  test('a missing province region is created from the BPS list', async () => {
+    const row = await createPrice('Jatim');
+    const region = await models.Region.findByPk(row.region_id);
+
+    expect(region).toMatchObject({ province_id: 35, province_name: 'Jawa Timur', level: 'province' });
+  });
+
+  test('province filter matches every spelling of the province', async () => {
+    const where = await provinceResolver.buildProvinceFilter('jawa barat');
+    expect(await SembakoPrice.count({ where })).toBe(4);
+  });
+
+  test('unknown names are reported and linked once an alias exists', async () => {
+    await createPrice('Jwa Brt', '2026-10-02');
+    await createPrice('Jwa Brt', '2026-10-03');
+    await createPrice('Atlantis');
+
+    const report = await request(app).get('/api/regions/provinces/unresolved');
+    expect(report.body.data[0]).toMatchObject({
+      province_name: 'Jwa Brt',
+      row_count: 2,
+      first_survey_date: '2026-10-02',
+      last_survey_date: '2026-10-03'
+    });
+    expect(report.body.summary).toEqual({ unresolved_names: 2, unresolved_rows: 3 });
+
+    const created = await request(app).post('/api/regions/province-aliases').send({ alias: 'Jwa Brt', bps_code: 32 });
+    expect(created.status).toBe(201);
+
+    const duplicate = await request(app).post('/api/regions/province-aliases').send({ alias: 'JWA-BRT', bps_code: 33 });
+    expect(duplicate.status).toBe(409);
+
+    const resolved = await request(app).post('/api/regions/provinces/resolve');
+    expect(resolved.body.data).toMatchObject({ updated_rows: 2, unresolved: ['Atlantis'] });
+  });
+});
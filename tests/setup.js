@@ -0,0 +1,8 @@
+// tests/setup.js - Environment for the Jest suite (in-memory SQLite, fast BPN retries)
+process.env.NODE_ENV = 'test';
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.CACHE_DRIVER = 'memory';
+process.env.BPN_REQUEST_DELAY_MS = '0';
+process.env.BPN_RETRY_DELAY_MS = '10';
+process.env.BPN_API_TIMEOUT_MS = '500';
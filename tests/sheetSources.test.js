@@ -0,0 +1,101 @@
+// tests/sheetSources.test.js - Multiple Google Sheet sources with per-source column mappings
+const { silenceConsole } = require('./helpers/console');
+
+describe('Google Sheet sources', () => {
+  let restoreConsole;
+  let models;
+  let SembakoPrice;
+  let GoogleSheetsService;
+  let sheetSourceService;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    SembakoPrice = require('../models/SembakoPrice');
+    await models.sequelize.sync({ force: true });
+
+    ({ GoogleSheetsService } = require('../services/googleSheetsService'));
+    sheetSourceService = require('../services/sheetSourceService');
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('each source maps its own headers and keeps its own cursor', async () => {
+    const kabupaten = await models.SheetSource.create({
+      name: 'Survei Kabupaten',
+      sheet_id: 'kabupaten-sheet',
+      default_province: 'Jawa Tengah',
+      column_mappings: { market_name: 'Lokasi Pasar', harga_beras: ['Beras Medium (Rp/kg)'] }
+    });
+
+    jest.spyOn(GoogleSheetsService.prototype, 'fetchSheetData').mockImplementation(async function () {
+      const rowData = this.sheetId === 'kabupaten-sheet'
+        ? { 'Lokasi Pasar': 'Pasar Johar', Tanggal: '2026-10-05', 'Beras Medium (Rp/kg)': '13800' }
+        : { 'Province ID': 'Bali', 'Nama Pasar': 'Pasar Badung', Tanggal: '2026-10-05', 'Harga Beras': '15000' };
+      return [{ ...rowData, _originalRowIndex: 2 }];
+    });
+
+    const { result } = await sheetSourceService.syncSource(kabupaten.id);
+    const other = await new GoogleSheetsService({ sheetId: 'kota-sheet' }).syncToDatabase();
+
+    expect(result).toMatchObject({ success_count: 1, last_row_index: 2 });
+    expect(other).toMatchObject({ success_count: 1, last_row_index: 2 });
+
+    const price = await SembakoPrice.findOne({ where: { market_name: 'Pasar Johar' } });
+    expect(price.province_name).toBe('Jawa Tengah');
+    const { withPrices } = require('../services/surveyObservationService');
+    expect(parseFloat((await withPrices(price)).harga_beras)).toBe(13800);
+
+    await kabupaten.reload();
+    expect(kabupaten.last_synced_at).not.toBeNull();
+    expect(await models.SheetSyncState.count()).toBe(2);
+  });
+
+  test('a sheet never takes over a record synced from another sheet', async () => {
+    const kota = await SembakoPrice.findOne({ where: { market_name: 'Pasar Badung' } });
+    jest.spyOn(GoogleSheetsService.prototype, 'fetchSheetData').mockResolvedValue([
+      { 'Province ID': 'Bali', 'Nama Pasar': 'Pasar Badung', Tanggal: '2026-10-05', 'Harga Beras': '99000', _originalRowIndex: 2 }
+    ]);
+
+    const result = await new GoogleSheetsService({ sheetId: 'provinsi-sheet' }).syncToDatabase();
+
+    expect(result).toMatchObject({ success_count: 0, updated_count: 0, duplicate_count: 1 });
+    await kota.reload();
+    expect(kota.source_ref).toBe('kota-sheet:Form Responses 1');
+    const { withPrices } = require('../services/surveyObservationService');
+    expect(parseFloat((await withPrices(kota)).harga_beras)).toBe(15000);
+  });
+
+  test('schedule and pause changes made through the jobs API survive re-registration', async () => {
+    const jobScheduler = require('../services/jobScheduler');
+    const sheetSourceJobs = require('../jobs/sheetSourceJobs');
+    const source = await models.SheetSource.create({ name: 'Survei Provinsi', sheet_id: 'provinsi-sheet' });
+    const name = sheetSourceJobs.jobName(source);
+
+    await sheetSourceJobs.registerAll();
+    await jobScheduler.updateSchedule(name, '30 1 * * *');
+    await jobScheduler.setPaused(name, true);
+
+    // Boot again, then deactivate and reactivate the source
+    await sheetSourceJobs.registerAll();
+    await source.update({ is_active: false });
+    await sheetSourceJobs.refresh(source);
+    await source.update({ is_active: true });
+    await sheetSourceJobs.refresh(source);
+
+    expect(await jobScheduler.getJob(name)).toMatchObject({ cron_expression: '30 1 * * *', is_paused: true });
+
+    // An explicit change of the source's own schedule still applies
+    await source.update({ cron_expression: '0 3 * * *' });
+    await sheetSourceJobs.refresh(source, { cronChanged: true });
+    expect(await jobScheduler.getJob(name)).toMatchObject({ cron_expression: '0 3 * * *', is_paused: true });
+
+    await sheetSourceJobs.remove(source);
+    expect(await models.ScheduledJob.count({ where: { name } })).toBe(0);
+  });
+});
@@ -0,0 +1,110 @@
+// tests/surveyObservations.test.js - Sembako prices stored as one observation per commodity
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { silenceConsole } = require('./helpers/console');
+
+describe('Survey observations', () => {
+  let restoreConsole;
+  let models;
+  let surveyCommodityService;
+  let surveyObservationService;
+  let app;
+  let csvPath;
+
+  beforeAll(async () => {
+    restoreConsole = silenceConsole();
+
+    models = require('../models');
+    await models.sequelize.sync({ force: true });
+
+    surveyCommodityService = require('../services/surveyCommodityService');
+    surveyObservationService = require('../services/surveyObservationService');
+    const sembakoPriceController = require('../controllers/sembakoPriceController');
+
+    app = express();
+    app.use(express.json());
+    app.post('/api/sembako', sembakoPriceController.create);
+    app.get('/api/sembako/:id', sembakoPriceController.getById);
+    app.put('/api/sembako/:id', sembakoPriceController.update);
+    app.post('/api/sembako/import', (req, res, next) => {
+      req.file = { path: csvPath, originalname: 'survei-cabai.csv' };
+      next();
+    }, sembakoPriceController.importCSV);
+  });
+
+  afterAll(async () => {
+    await models.sequelize.close();
+    restoreConsole();
+  });
+
+  test('the flat harga_* payload is stored as observations and returned flat', async () => {
+    const res = await request(app).post('/api/sembako').send({
+      province_name: 'Jawa Barat',
+      market_name: 'Pasar Kosambi',
+      survey_date: '2026-10-01',
+      harga_beras: '14000',
+      harga_telur: 28000
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ market_name: 'Pasar Kosambi', harga_beras: 14000, harga_telur: 28000, harga_gula: null });
+    expect(res.body.data.observations).toHaveLength(2);
+
+    const beras = await models.Commodity.findOne({ where: { code: 'beras' } });
+    const observation = await models.SurveyObservation.findOne({ where: { survey_id: res.body.data.id, commodity_id: beras.id } });
+    expect(observation).toMatchObject({ unit: 'Rp/kg' });
+    expect(parseFloat(observation.price)).toBe(14000);
+  });
+
+  test('update changes, adds and clears single commodities', async () => {
+    const survey = await models.SembakoPrice.findOne({ where: { market_name: 'Pasar Kosambi' } });
+
+    const res = await request(app).put(`/api/sembako/${survey.id}`).send({
+      harga_beras: 14500,
+      harga_gula: 17000,
+      harga_telur: null
+    });
+
+    expect(res.body.data).toMatchObject({ harga_beras: 14500, harga_gula: 17000, harga_telur: null });
+    expect(await models.SurveyObservation.count({ where: { survey_id: survey.id } })).toBe(2);
+  });
+
+  test('a new commodity only needs a Commodity row with a code', async () => {
+    await models.Commodity.create({ code: 'cabai', name: 'Cabai Rawit', unit: 'Rp/kg', category: 'bumbu' });
+    surveyCommodityService.invalidate();
+
+    csvPath = path.join(os.tmpdir(), `sembako-cabai-${process.pid}.csv`);
+    fs.writeFileSync(csvPath, [
+      'Timestamp,Province ID,Nama Pasar,Tanggal,Harga Beras,Harga Cabai',
+      '2026-10-02 09:00:00,Jawa Barat,Pasar Kosambi,2026-10-02,14200,52000',
+      '2026-10-02 10:00:00,Bali,Pasar Badung,2026-10-02,,61000'
+    ].join('\n'));
+
+    const imported = await request(app).post('/api/sembako/import');
+    expect(imported.body.data).toMatchObject({ success_count: 2, error_count: 0 });
+
+    const created = await request(app).post('/api/sembako').send({
+      province_name: 'Bali',
+      market_name: 'Pasar Kreneng',
+      survey_date: '2026-10-03',
+      harga_cabai: 59000
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ harga_cabai: 59000, harga_beras: null });
+
+    const averages = await surveyObservationService.aggregatePrices({}, { codes: ['cabai'] });
+    expect(averages).toHaveLength(1);
+    expect(averages[0]).toMatchObject({ code: 'cabai', count: 3 });
+    expect(parseFloat(averages[0].avg_price)).toBeCloseTo(57333.33, 2);
+  });
+
+  test('deleting a survey removes its observations', async () => {
+    const survey = await models.SembakoPrice.findOne({ where: { market_name: 'Pasar Kreneng' } });
+    await models.SembakoPrice.destroy({ where: { id: survey.id } });
+
+    expect(await models.SurveyObservation.count({ where: { survey_id: survey.id } })).toBe(0);
+  });
+});
@@ -0,0 +1,194 @@
+// utils/dateParser.js - Strict date parsing for form submissions and CSV imports
+//
+// Numeric day/month dates are read in the configured order only; values that
+// do not fit it are rejected instead of being guessed or replaced by today.
+// ISO dates (2026-09-03) and month names (3 September 2026, 3 Sep 2026) are
+// unambiguous and accepted with any format.
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'auto'];
+
+const MONTH_NAMES = {
+  jan: 1, januari: 1, january: 1,
+  feb: 2, februari: 2, february: 2,
+  mar: 3, maret: 3, march: 3,
+  apr: 4, april: 4,
+  mei: 5, may: 5,
+  jun: 6, juni: 6, june: 6,
+  jul: 7, juli: 7, july: 7,
+  agu: 8, agt: 8, ags: 8, agustus: 8, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  okt: 10, oktober: 10, oct: 10, october: 10,
+  nov: 11, nop: 11, november: 11,
+  des: 12, desember: 12, dec: 12, december: 12
+};
+
+const TIME = '(?:[ T](\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?)?';
+const ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/;
+const ISO_DATE = new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${TIME}$`);
+const NUMERIC_DATE = new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4})${TIME}$`);
+const NAMED_DATE = new RegExp(`^(\\d{1,2})[ -]([A-Za-z]+)\\.?[ -](\\d{4})${TIME}$`);
+
+/**
+ * Format used when a source does not configure one (Indonesian forms: day first)
+ */
+const getDefaultDateFormat = () => process.env.FORM_DATE_FORMAT || 'DD/MM/YYYY';
+
+const isValidDateFormat = (format) => DATE_FORMATS.includes(format);
+
+const isValidDay = (year, month, day) => month >= 1 && month <= 12
+  && day >= 1 && day <= new Date(year, month, 0).getDate();
+
+/**
+ * Local Date from parts, or null when a part is out of range
+ */
+const buildDate = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  if (!isValidDay(year, month, day) || hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+const timeParts = (match, offset) => match.slice(offset, offset + 3).map(part => parseInt(part || 0));
+
+/**
+ * Parse a date strictly
+ * @param {*} value - cell value
+ * @param {Object} options - { format: one of DATE_FORMATS, field: name used in error messages }
+ * @returns {Date|null} null for empty values; throws for anything unparseable or ambiguous
+ */
+const parseDate = (value, { format = getDefaultDateFormat(), field = 'date' } = {}) => {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) throw new Error(`Invalid date for ${field}`);
+    return value;
+  }
+
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (!text) return null;
+
+  const expected = format === 'auto' ? 'a day and month that can be told apart' : format;
+  const invalid = (reason = `expected ${expected}`) => new Error(`Invalid date "${text}" for ${field} (${reason})`);
+
+  if (ISO_WITH_ZONE.test(text)) {
+    const date = new Date(text);
+    if (isNaN(date.getTime())) throw invalid();
+    return date;
+  }
+
+  let match = text.match(ISO_DATE);
+  if (match) {
+    const date = buildDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), ...timeParts(match, 4));
+    if (!date) throw invalid('no such date');
+    return date;
+  }
+
+  match = text.match(NAMED_DATE);
+  if (match) {
+    const month = MONTH_NAMES[match[2].toLowerCase()];
+    if (!month) throw invalid(`unknown month "${match[2]}"`);
+    const date = buildDate(parseInt(match[3]), month, parseInt(match[1]), ...timeParts(match, 4));
+    if (!date) throw invalid('no such date');
+    return date;
+  }
+
+  match = text.match(NUMERIC_DATE);
+  if (!match) throw invalid();
+
+  if (format === 'YYYY-MM-DD') {
+    throw invalid('expected YYYY-MM-DD');
+  }
+
+  const first = parseInt(match[1]);
+  const second = parseInt(match[2]);
+  const year = parseInt(match[3]);
+  const time = timeParts(match, 4);
+  const dayFirst = buildDate(year, second, first, ...time);
+  const monthFirst = buildDate(year, first, second, ...time);
+
+  if (format === 'DD/MM/YYYY') {
+    if (dayFirst) return dayFirst;
+    throw invalid(monthFirst ? 'expected DD/MM/YYYY, value looks like MM/DD/YYYY' : 'no such date');
+  }
+
+  if (format === 'MM/DD/YYYY') {
+    if (monthFirst) return monthFirst;
+    throw invalid(dayFirst ? 'expected MM/DD/YYYY, value looks like DD/MM/YYYY' : 'no such date');
+  }
+
+  // auto: only accept values that read the same either way or fit one order only
+  if (dayFirst && monthFirst && first !== second) {
+    throw invalid('ambiguous: could be DD/MM or MM/DD, configure the date format');
+  }
+  if (!dayFirst && !monthFirst) throw invalid('no such date');
+  return dayFirst || monthFirst;
+};
+
+/**
+ * 'YYYY-MM-DD' of a Date in local time (matches how DATEONLY columns are stored)
+ */
+const formatDateKey = (date) => {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return String(date);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Which day/month order a column of numeric dates uses
+ * @returns {{ detected: 'DD/MM/YYYY'|'MM/DD/YYYY'|'mixed'|null, day_first: number, month_first: number, ambiguous: number }}
+ */
+const detectDayMonthOrder = (values) => {
+  const counts = { day_first: 0, month_first: 0, ambiguous: 0 };
+
+  values.forEach(value => {
+    const match = String(value || '').trim().match(NUMERIC_DATE);
+    if (!match) return;
+
+    const first = parseInt(match[1]);
+    const second = parseInt(match[2]);
+    if (first > 12 && second <= 12) counts.day_first++;
+    else if (second > 12 && first <= 12) counts.month_first++;
+    else if (first !== second) counts.ambiguous++;
+  });
+
+  let detected = null;
+  if (counts.day_first && counts.month_first) detected = 'mixed';
+  else if (counts.day_first) detected = 'DD/MM/YYYY';
+  else if (counts.month_first) detected = 'MM/DD/YYYY';
+
+  return { detected, ...counts };
+};
+
+/**
+ * Date report for dry runs: configured format vs. what the date columns contain
+ * @param {Array<Object>} rows - raw rows keyed by header
+ * @param {Array<string>} headers - headers holding dates
+ * @param {string} format - configured format
+ */
+const inspectDateColumns = (rows, headers, format) => {
+  const values = [];
+  headers.filter(Boolean).forEach(header => {
+    rows.forEach(row => values.push(row[header]));
+  });
+
+  const order = detectDayMonthOrder(values);
+  let warning = null;
+
+  if (order.detected === 'mixed') {
+    warning = 'Date columns mix day-first and month-first values';
+  } else if (order.detected && format !== 'auto' && order.detected !== format) {
+    warning = `Dates look like ${order.detected} but the configured format is ${format}`;
+  } else if (format === 'auto' && order.ambiguous > 0) {
+    warning = `${order.ambiguous} date(s) are ambiguous without a configured format`;
+  }
+
+  return { configured: format, ...order, warning };
+};
+
+module.exports = {
+  DATE_FORMATS,
+  getDefaultDateFormat,
+  isValidDateFormat,
+  parseDate,
+  formatDateKey,
+  detectDayMonthOrder,
+  inspectDateColumns
+};
@@ -0,0 +1,37 @@
+// utils/geo.js - Distances between coordinates
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance in km (haversine)
+ */
+const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Lat/lon box that contains every point within radiusKm (for an indexed pre-filter)
+ * @returns {{ minLat, maxLat, minLon, maxLon }}
+ */
+const boundingBox = (lat, lon, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lonDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01));
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLon: lon - lonDelta,
+    maxLon: lon + lonDelta
+  };
+};
+
+module.exports = {
+  distanceKm,
+  boundingBox
+};
@@ -0,0 +1,164 @@
+// utils/holtWinters.js - Additive Holt-Winters (level, trend, season) with a grid-searched fit
+//
+// Without two full seasons of data the season is dropped (Holt's linear trend).
+// Prediction intervals use the ETS(A,A,A) forecast variance:
+//   Var(h) = σ² · (1 + Σ_{j<h} (α(1 + jβ) + γ·[j mod m = 0])²)
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0.01, 0.05, 0.1, 0.2, 0.3];
+const GAMMAS = [0.05, 0.1, 0.2, 0.3, 0.5];
+
+// Two-sided normal quantiles for the reported intervals
+const Z_SCORES = { 80: 1.2816, 95: 1.96 };
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Initial level, trend and seasonal offsets from the first two seasons (or two points)
+ */
+const initialState = (series, period) => {
+  if (!period) {
+    return { level: series[0], trend: series[1] - series[0], seasonals: [] };
+  }
+
+  const first = mean(series.slice(0, period));
+  const second = mean(series.slice(period, 2 * period));
+  return {
+    level: first,
+    trend: (second - first) / period,
+    seasonals: series.slice(0, period).map(value => value - first)
+  };
+};
+
+/**
+ * Run the smoothing equations over the series
+ * @returns {{ level, trend, seasonals, sse, residuals }} final state (seasonals ordered so that
+ *   seasonals[0] belongs to the step right after the last observation) and one-step errors
+ */
+const smooth = (series, { alpha, beta, gamma, period }) => {
+  let { level, trend, seasonals } = initialState(series, period);
+  seasonals = [...seasonals];
+  const start = period || 1;
+  const residuals = [];
+
+  for (let t = start; t < series.length; t++) {
+    const season = period ? seasonals[t % period] : 0;
+    const forecast = level + trend + season;
+    residuals.push(series[t] - forecast);
+
+    const previousLevel = level;
+    level = alpha * (series[t] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (period) seasonals[t % period] = gamma * (series[t] - level) + (1 - gamma) * season;
+  }
+
+  const next = series.length % (period || 1);
+  return {
+    level,
+    trend,
+    seasonals: period ? [...seasonals.slice(next), ...seasonals.slice(0, next)] : [],
+    sse: residuals.reduce((sum, error) => sum + error * error, 0),
+    residuals
+  };
+};
+
+/**
+ * Fit by minimising the one-step squared error over the parameter grid
+ * @param {number[]} series - evenly spaced observations, oldest first
+ * @param {number} period - season length (7 for daily data with a weekly pattern)
+ * @returns {Object} plain, JSON-serializable model
+ */
+const fit = (series, period) => {
+  const seasonal = period > 1 && series.length >= 2 * period;
+  const seasonPeriod = seasonal ? period : 0;
+  let best = null;
+
+  for (const alpha of ALPHAS) {
+    for (const beta of BETAS) {
+      for (const gamma of seasonal ? GAMMAS : [0]) {
+        const state = smooth(series, { alpha, beta, gamma, period: seasonPeriod });
+        if (!best || state.sse < best.state.sse) best = { alpha, beta, gamma, state };
+      }
+    }
+  }
+
+  const { residuals } = best.state;
+  return {
+    method: seasonal ? 'holt_winters_additive' : 'holt_linear',
+    period: seasonPeriod,
+    alpha: best.alpha,
+    beta: best.beta,
+    gamma: best.gamma,
+    level: best.state.level,
+    trend: best.state.trend,
+    seasonals: best.state.seasonals,
+    sigma: Math.sqrt(best.state.sse / Math.max(residuals.length - 1, 1)),
+    observations: series.length
+  };
+};
+
+/**
+ * Point forecasts with 80% and 95% prediction intervals
+ * @returns {Array<{ step, value, lower_80, upper_80, lower_95, upper_95 }>}
+ */
+const forecast = (model, horizon) => {
+  const { alpha, beta, gamma, period, level, trend, seasonals, sigma } = model;
+  const points = [];
+  let spread = 0;
+
+  for (let step = 1; step <= horizon; step++) {
+    if (step > 1) {
+      const j = step - 1;
+      const coefficient = alpha * (1 + j * beta) + (period && j % period === 0 ? gamma : 0);
+      spread += coefficient * coefficient;
+    }
+
+    const value = level + step * trend + (period ? seasonals[(step - 1) % period] : 0);
+    const sd = sigma * Math.sqrt(1 + spread);
+    points.push({
+      step,
+      value,
+      lower_80: value - Z_SCORES[80] * sd,
+      upper_80: value + Z_SCORES[80] * sd,
+      lower_95: value - Z_SCORES[95] * sd,
+      upper_95: value + Z_SCORES[95] * sd
+    });
+  }
+
+  return points;
+};
+
+/**
+ * Fit on all but the last `horizon` points and score the forecast of the held-out points
+ * @returns {Object|null} { horizon, mae, rmse, mape, naive_mae, coverage_95 }; null when the
+ *   series is too short to hold points out
+ */
+const backtest = (series, period, horizon, minTraining) => {
+  const training = series.slice(0, series.length - horizon);
+  if (horizon < 1 || training.length < minTraining) return null;
+
+  const actual = series.slice(training.length);
+  const predicted = forecast(fit(training, period), horizon);
+  const errors = actual.map((value, index) => value - predicted[index].value);
+  const last = training[training.length - 1];
+  const nonZero = actual.filter(value => value !== 0);
+
+  return {
+    horizon,
+    mae: mean(errors.map(Math.abs)),
+    rmse: Math.sqrt(mean(errors.map(error => error * error))),
+    mape: nonZero.length === actual.length
+      ? 100 * mean(errors.map((error, index) => Math.abs(error / actual[index])))
+      : null,
+    naive_mae: mean(actual.map(value => Math.abs(value - last))),
+    coverage_95: mean(actual.map((value, index) => (
+      value >= predicted[index].lower_95 && value <= predicted[index].upper_95 ? 1 : 0
+    )))
+  };
+};
+
+module.exports = {
+  fit,
+  forecast,
+  backtest
+};
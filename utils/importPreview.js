@@ -0,0 +1,105 @@
+// utils/importPreview.js - Helpers shared by the dry-run previews of the sheet sync and CSV imports
+const { inspectDateColumns } = require('./dateParser');
+
+/**
+ * dry_run flag from a query string or form field ("true", "1", true)
+ */
+const isDryRun = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Which header each field would be read from
+ * @param {Array<string>} headers - column headers found in the file/sheet
+ * @param {Object} columns - field → accepted header name(s), in priority order
+ * @returns {{ matched: Object, missing_fields: Array, unmatched_headers: Array }}
+ */
+const detectColumnMatches = (headers, columns) => {
+  const matched = {};
+  const used = new Set();
+
+  Object.entries(columns).forEach(([field, candidates]) => {
+    const header = [].concat(candidates).find(candidate => headers.includes(candidate)) || null;
+    matched[field] = header;
+    if (header) used.add(header);
+  });
+
+  return {
+    matched,
+    missing_fields: Object.keys(matched).filter(field => !matched[field]),
+    unmatched_headers: headers.filter(header => !used.has(header))
+  };
+};
+
+/**
+ * Dry run of a CSV import: map and validate every row, flag repeats, write nothing
+ * @param {Array<Object>} records - parsed CSV rows
+ * @param {Object} options
+ *   - columns: field → accepted header name(s), for the column report
+ *   - mapRow(item): returns the record to create, throws when the row is rejected
+ *   - model: Sequelize model the import creates (used for validation only)
+ *   - rowKey(data): identity of a record, to catch repeats inside the file
+ *   - findExisting(data): existing record the row would duplicate, or null
+ *   - describeKey: e.g. 'province, market and survey date'
+ *   - dateFields, dateFormat: date columns to check against the configured format
+ */
+const previewCsvImport = async (records, options) => {
+  const { columns, mapRow, model, rowKey, findExisting, describeKey, dateFields = [], dateFormat } = options;
+  const headers = records.length > 0 ? Object.keys(records[0]) : [];
+  const columnMatches = detectColumnMatches(headers, columns);
+  const preview = {
+    dry_run: true,
+    columns: columnMatches,
+    dates: inspectDateColumns(records, dateFields.map(field => columnMatches.matched[field]), dateFormat),
+    totals: {
+      total_rows: records.length,
+      success_count: 0,
+      duplicate_count: 0,
+      error_count: 0
+    },
+    rows: []
+  };
+  const seen = new Map();
+
+  for (let i = 0; i < records.length; i++) {
+    const row = i + 1;
+    let mapped;
+
+    try {
+      mapped = mapRow(records[i]);
+      await model.build(mapped).validate();
+    } catch (error) {
+      preview.totals.error_count++;
+      preview.rows.push({ row, action: 'error', mapped: mapped || null, reason: error.message });
+      continue;
+    }
+
+    // The import creates every valid row, repeats included
+    preview.totals.success_count++;
+
+    const key = rowKey(mapped);
+    const existing = seen.has(key) ? null : await findExisting(mapped);
+
+    if (seen.has(key) || existing) {
+      preview.totals.duplicate_count++;
+      preview.rows.push({
+        row,
+        action: 'duplicate',
+        mapped,
+        reason: existing
+          ? `Same ${describeKey} as existing record #${existing.id}; the import would add a second copy`
+          : `Same ${describeKey} as row ${seen.get(key)}; the import would add both`
+      });
+    } else {
+      preview.rows.push({ row, action: 'insert', mapped, reason: null });
+    }
+
+    if (!seen.has(key)) seen.set(key, row);
+  }
+
+  return preview;
+};
+
+module.exports = {
+  isDryRun,
+  detectColumnMatches,
+  previewCsvImport
+};
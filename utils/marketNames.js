@@ -0,0 +1,89 @@
+// utils/marketNames.js - Normalization and fuzzy comparison of free-text market names
+
+// Prefixes that say "market" and carry no identity ("Pasar Kosambi" ≈ "Psr. Kosambi" ≈ "Kosambi")
+const MARKET_PREFIX = /^(pasar tradisional|pasar modern|pasar|psr|ps)\s+/;
+
+// Spellings of the same word seen in survey forms
+const TOKEN_REPLACEMENTS = {
+  jl: 'jalan',
+  jln: 'jalan',
+  kec: 'kecamatan',
+  kab: 'kabupaten',
+  trad: 'tradisional'
+};
+
+/**
+ * Lowercase, no punctuation, without the "pasar" prefix; "Psr. Kosambi (Bandung)" → "kosambi bandung"
+ */
+const normalizeMarketName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .map(token => TOKEN_REPLACEMENTS[token] || token)
+  .join(' ')
+  .replace(MARKET_PREFIX, '')
+  .trim();
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const pairs = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+};
+
+/**
+ * Similarity of two market names from 0 to 1 (Dice coefficient over character bigrams)
+ */
+const marketNameSimilarity = (a, b) => {
+  const left = normalizeMarketName(a);
+  const right = normalizeMarketName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  const total = [...leftPairs.values(), ...rightPairs.values()].reduce((sum, count) => sum + count, 0);
+  if (total === 0) return 0;
+
+  let shared = 0;
+  leftPairs.forEach((count, pair) => {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+  });
+  return (2 * shared) / total;
+};
+
+/**
+ * Closest candidate at or above the threshold; ties between different candidates are not a match
+ * @param {string} name - free-text market name
+ * @param {Array<{ name: string }>} candidates
+ * @param {number} threshold - minimum similarity (0-1)
+ * @returns {{ candidate: Object, score: number }|null}
+ */
+const findBestMarketMatch = (name, candidates, threshold) => {
+  let best = null;
+  let ambiguous = false;
+
+  candidates.forEach(candidate => {
+    const score = marketNameSimilarity(name, candidate.name);
+    if (score < threshold) return;
+
+    if (!best || score > best.score) {
+      best = { candidate, score };
+      ambiguous = false;
+    } else if (score === best.score) {
+      ambiguous = true;
+    }
+  });
+
+  return best && !ambiguous ? best : null;
+};
+
+module.exports = {
+  normalizeMarketName,
+  marketNameSimilarity,
+  findBestMarketMatch
+};
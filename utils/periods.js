@@ -0,0 +1,101 @@
+// utils/periods.js - Calendar month and ISO week keys ("2026-10", "2026-W42")
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ['week', 'month'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const toUtcDate = (value) => {
+  if (value instanceof Date) return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+// Monday of ISO week 1 (the week with 4 January)
+const isoYearStart = (year) => {
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  return new Date(jan4.getTime() - ((jan4.getUTCDay() || 7) - 1) * DAY_MS);
+};
+
+/**
+ * Period key of a date ("2026-10-19" → "2026-10" or "2026-W43")
+ */
+const periodKey = (value, granularity) => {
+  const date = toUtcDate(value);
+  if (granularity === 'month') return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+
+  // Thursday of the same week decides the ISO year
+  const thursday = new Date(date.getTime() + (4 - (date.getUTCDay() || 7)) * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - isoYearStart(year)) / (7 * DAY_MS)) + 1;
+  return `${year}-W${pad(week)}`;
+};
+
+/**
+ * First and last day of a period key
+ * @returns {{ start: string, end: string }|null} null for a malformed key
+ */
+const periodRange = (key) => {
+  const month = /^(\d{4})-(\d{2})$/.exec(key);
+  if (month) {
+    const year = parseInt(month[1]);
+    const index = parseInt(month[2]) - 1;
+    if (index < 0 || index > 11) return null;
+    return {
+      start: toDateKey(new Date(Date.UTC(year, index, 1))),
+      end: toDateKey(new Date(Date.UTC(year, index + 1, 0)))
+    };
+  }
+
+  const week = /^(\d{4})-W(\d{2})$/.exec(key);
+  if (week) {
+    const year = parseInt(week[1]);
+    const number = parseInt(week[2]);
+    const start = new Date(isoYearStart(year).getTime() + (number - 1) * 7 * DAY_MS);
+    if (number < 1 || periodKey(start, 'week') !== key) return null;
+    return { start: toDateKey(start), end: toDateKey(new Date(start.getTime() + 6 * DAY_MS)) };
+  }
+
+  return null;
+};
+
+/**
+ * Period key `steps` periods later (negative = earlier)
+ */
+const shiftPeriod = (key, granularity, steps) => {
+  const { start } = periodRange(key);
+  const date = toUtcDate(start);
+  if (granularity === 'month') {
+    return periodKey(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + steps, 1)), 'month');
+  }
+  return periodKey(new Date(date.getTime() + steps * 7 * DAY_MS), 'week');
+};
+
+/**
+ * Same period one year earlier ("2026-W43" → "2025-W43"); null when that week does not exist
+ */
+const previousYearPeriod = (key) => {
+  const [year, rest] = [parseInt(key.slice(0, 4)), key.slice(4)];
+  const previous = `${year - 1}${rest}`;
+  return periodRange(previous) ? previous : null;
+};
+
+/**
+ * Every period key from `from` to `to` (inclusive)
+ */
+const periodsBetween = (from, to, granularity) => {
+  const keys = [];
+  for (let key = from; key <= to; key = shiftPeriod(key, granularity, 1)) keys.push(key);
+  return keys;
+};
+
+module.exports = {
+  GRANULARITIES,
+  periodKey,
+  periodRange,
+  shiftPeriod,
+  previousYearPeriod,
+  periodsBetween
+};
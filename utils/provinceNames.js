@@ -0,0 +1,151 @@
+// utils/provinceNames.js - Canonical Indonesian provinces (BPS codes) and name matching
+//
+// Kept free of database access so migrations can use it for backfills.
+
+// BPS province codes; regions.province_id of level 'province' rows uses the same codes
+const BPS_PROVINCES = [
+  [11, 'Aceh'],
+  [12, 'Sumatera Utara'],
+  [13, 'Sumatera Barat'],
+  [14, 'Riau'],
+  [15, 'Jambi'],
+  [16, 'Sumatera Selatan'],
+  [17, 'Bengkulu'],
+  [18, 'Lampung'],
+  [19, 'Kepulauan Bangka Belitung'],
+  [21, 'Kepulauan Riau'],
+  [31, 'DKI Jakarta'],
+  [32, 'Jawa Barat'],
+  [33, 'Jawa Tengah'],
+  [34, 'DI Yogyakarta'],
+  [35, 'Jawa Timur'],
+  [36, 'Banten'],
+  [51, 'Bali'],
+  [52, 'Nusa Tenggara Barat'],
+  [53, 'Nusa Tenggara Timur'],
+  [61, 'Kalimantan Barat'],
+  [62, 'Kalimantan Tengah'],
+  [63, 'Kalimantan Selatan'],
+  [64, 'Kalimantan Timur'],
+  [65, 'Kalimantan Utara'],
+  [71, 'Sulawesi Utara'],
+  [72, 'Sulawesi Tengah'],
+  [73, 'Sulawesi Selatan'],
+  [74, 'Sulawesi Tenggara'],
+  [75, 'Gorontalo'],
+  [76, 'Sulawesi Barat'],
+  [81, 'Maluku'],
+  [82, 'Maluku Utara'],
+  [91, 'Papua Barat'],
+  [92, 'Papua Barat Daya'],
+  [94, 'Papua'],
+  [95, 'Papua Selatan'],
+  [96, 'Papua Tengah'],
+  [97, 'Papua Pegunungan']
+].map(([code, name]) => ({ code, name }));
+
+// Abbreviations and old names seen in form submissions (seeded into province_aliases)
+const DEFAULT_ALIASES = {
+  nad: 11,
+  'nanggroe aceh darussalam': 11,
+  sumut: 12,
+  sumbar: 13,
+  sumsel: 16,
+  babel: 19,
+  'bangka belitung': 19,
+  kepri: 21,
+  'kep riau': 21,
+  'kep bangka belitung': 19,
+  dki: 31,
+  jakarta: 31,
+  'dki jakarta raya': 31,
+  jabar: 32,
+  jateng: 33,
+  diy: 34,
+  'd i yogyakarta': 34,
+  yogyakarta: 34,
+  'daerah istimewa yogyakarta': 34,
+  jogja: 34,
+  jogjakarta: 34,
+  jatim: 35,
+  ntb: 52,
+  ntt: 53,
+  kalbar: 61,
+  kalteng: 62,
+  kalsel: 63,
+  kaltim: 64,
+  kaltara: 65,
+  sulut: 71,
+  sulteng: 72,
+  sulsel: 73,
+  sultra: 74,
+  sulbar: 76,
+  malut: 82,
+  pabar: 91,
+  'irian jaya barat': 91,
+  pbd: 92,
+  'irian jaya': 94
+};
+
+/**
+ * Loose province name key: "Prov. DKI Jakarta" → "dki jakarta"
+ */
+const normalizeProvinceName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/^\s*(provinsi|prov\.?)\s+/, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const compact = (key) => key.replace(/ /g, '');
+
+const PROVINCE_BY_CODE = new Map(BPS_PROVINCES.map(province => [province.code, province]));
+const CODE_BY_NAME = new Map();
+BPS_PROVINCES.forEach(({ code, name }) => {
+  CODE_BY_NAME.set(normalizeProvinceName(name), code);
+  CODE_BY_NAME.set(compact(normalizeProvinceName(name)), code);
+});
+
+/**
+ * alias → code map from { alias: code } pairs, keyed like normalizeProvinceName
+ */
+const buildAliasMap = (pairs) => {
+  const aliases = new Map();
+  pairs.forEach(([alias, code]) => {
+    const key = normalizeProvinceName(alias);
+    aliases.set(key, code);
+    aliases.set(compact(key), code);
+  });
+  return aliases;
+};
+
+/**
+ * BPS code for a name, code or alias ("Jawa Barat", "JABAR", "32", "Prov. Jawa Barat")
+ * @param {*} input - free-text province value
+ * @param {Map} aliases - from buildAliasMap()
+ * @returns {number|null}
+ */
+const matchProvinceCode = (input, aliases = new Map()) => {
+  const text = String(input === null || input === undefined ? '' : input).trim();
+  if (!text) return null;
+
+  if (/^\d{1,2}$/.test(text)) {
+    const code = parseInt(text);
+    return PROVINCE_BY_CODE.has(code) ? code : null;
+  }
+
+  const key = normalizeProvinceName(text);
+  return CODE_BY_NAME.get(key)
+    ?? aliases.get(key)
+    ?? CODE_BY_NAME.get(compact(key))
+    ?? aliases.get(compact(key))
+    ?? null;
+};
+
+module.exports = {
+  BPS_PROVINCES,
+  DEFAULT_ALIASES,
+  PROVINCE_BY_CODE,
+  normalizeProvinceName,
+  buildAliasMap,
+  matchProvinceCode
+};
@@ -0,0 +1,36 @@
+// utils/robustStats.js - Outlier-resistant statistics (median / MAD)
+
+// Scales the MAD to the standard deviation of a normal distribution
+const MAD_TO_SIGMA = 1.4826;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median absolute deviation from the median
+ */
+const medianAbsoluteDeviation = (values, center = median(values)) => {
+  if (values.length === 0) return null;
+  return median(values.map(value => Math.abs(value - center)));
+};
+
+/**
+ * How many (robust) standard deviations a value lies from the median
+ * @param {number} minSpread - lower bound for the scaled MAD, so a run of identical prices
+ *   does not turn every small change into an outlier
+ */
+const robustZScore = (value, center, mad, minSpread = 0) => {
+  const spread = Math.max(mad * MAD_TO_SIGMA, minSpread);
+  if (spread === 0) return value === center ? 0 : Infinity;
+  return (value - center) / spread;
+};
+
+module.exports = {
+  median,
+  medianAbsoluteDeviation,
+  robustZScore
+};